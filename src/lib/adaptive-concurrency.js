@@ -0,0 +1,130 @@
+/**
+ * Adaptive Concurrency Module
+ *
+ * AIMD (additive increase, multiplicative decrease) limit on parallel LLM
+ * requests for whole-document runs. A fixed worker count either leaves a
+ * fast backend idle or, when a vLLM server saturates, has every request time
+ * out together. The adaptive limit instead:
+ *
+ * - starts low (one request by default)
+ * - grows by about one request per full window of successful requests,
+ *   while latency stays within a tolerance of the best latency seen
+ * - holds while latency is rising (the server is queueing)
+ * - halves on a timeout or an overload response (429/503)
+ *
+ * Requests already in flight when the limit was cut cannot cause another
+ * cut, so a burst of timeouts from one overload halves the limit once.
+ * Latency is compared per token so larger chunks do not look like a slower
+ * server.
+ *
+ * Pure JavaScript -- no Word API dependency.
+ *
+ * @module adaptive-concurrency
+ */
+
+/** Default limits for adaptive mode. */
+export const DEFAULT_ADAPTIVE_LIMITS = Object.freeze({ initial: 1, min: 1, max: 16 });
+
+/** Weight of the newest latency sample in the moving average. */
+const LATENCY_SMOOTHING = 0.3;
+
+/**
+ * Per-sample factor by which the best-latency baseline may rise, so a server
+ * that has become permanently slower is eventually treated as stable again.
+ */
+const BASELINE_DRIFT = 1.02;
+
+/**
+ * Whether an error means the backend is overloaded: a timeout or an HTTP
+ * 429/503 (left over once llm-client's retries are exhausted).
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isOverloadError(error) {
+  return !!error && (error.name === 'TimeoutError' || error.status === 429 || error.status === 503);
+}
+
+/**
+ * AIMD concurrency limit.
+ */
+export class AdaptiveConcurrency {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.initial=1] - Starting limit
+   * @param {number} [options.min=1]
+   * @param {number} [options.max=16]
+   * @param {number} [options.decreaseFactor=0.5] - Multiplier applied on overload
+   * @param {number} [options.latencyTolerance=1.5] - Growth stops when latency exceeds
+   *   the baseline by this factor
+   * @param {function(): number} [options.now=Date.now] - Clock (for testing)
+   */
+  constructor(options = {}) {
+    const {
+      initial = DEFAULT_ADAPTIVE_LIMITS.initial,
+      min = DEFAULT_ADAPTIVE_LIMITS.min,
+      max = DEFAULT_ADAPTIVE_LIMITS.max,
+      decreaseFactor = 0.5,
+      latencyTolerance = 1.5,
+      now = Date.now,
+    } = options;
+    this.min = Math.max(1, min);
+    this.max = Math.max(this.min, max);
+    this.decreaseFactor = decreaseFactor;
+    this.latencyTolerance = latencyTolerance;
+    this._now = now;
+    this._window = Math.min(this.max, Math.max(this.min, initial));
+    this._smoothed = null;
+    this._baseline = null;
+    this._lastDecreaseAt = -Infinity;
+  }
+
+  /**
+   * Current number of requests allowed in flight.
+   * @returns {number}
+   */
+  get limit() {
+    return Math.floor(this._window);
+  }
+
+  /**
+   * Records a successful request.
+   *
+   * @param {number} latencyMs - How long it took
+   * @param {number} [size=1] - Its size (e.g. prompt tokens), to compare latency per unit
+   * @returns {boolean} Whether the limit grew
+   */
+  recordSuccess(latencyMs, size = 1) {
+    const cost = latencyMs / Math.max(1, size);
+    this._smoothed = this._smoothed === null
+      ? cost
+      : this._smoothed * (1 - LATENCY_SMOOTHING) + cost * LATENCY_SMOOTHING;
+    this._baseline = this._baseline === null
+      ? this._smoothed
+      : Math.min(this._smoothed, this._baseline * BASELINE_DRIFT);
+
+    if (this._smoothed > this._baseline * this.latencyTolerance) {
+      return false;
+    }
+    const before = this.limit;
+    this._window = Math.min(this.max, this._window + 1 / this.limit);
+    return this.limit > before;
+  }
+
+  /**
+   * Records a request that failed because the backend was overloaded.
+   *
+   * @param {number} startedAt - When the request was sent (same clock as options.now)
+   * @returns {boolean} Whether the limit was cut (false for requests sent before the last
+   *   cut, and at the minimum)
+   */
+  recordOverload(startedAt) {
+    if (startedAt < this._lastDecreaseAt) {
+      return false;
+    }
+    const before = this.limit;
+    this._window = Math.max(this.min, Math.floor(this._window * this.decreaseFactor));
+    this._lastDecreaseAt = this._now();
+    return this.limit < before;
+  }
+}
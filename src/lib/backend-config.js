@@ -0,0 +1,331 @@
+/**
+ * Backend Config Module
+ *
+ * Named backend profiles and request routing.
+ *
+ * Profiles live in config.backends, keyed by id. Each profile names a server
+ * type (which selects the llm-client provider adapter) and carries its own
+ * URL, API key, model, limits, default generation parameters, timeout and
+ * extra HTTP headers. Profiles can be exported to and imported from JSON for
+ * sharing.
+ *
+ * Routing resolves which profile and model serve a request. Each prompt category can
+ * be routed to its own backend/model (config.routing), and a saved prompt can
+ * override its category with its own `route`. Anything left blank inherits
+ * from the level below:
+ *
+ *   prompt.route  >  config.routing[category]  >  config.backend (active)
+ *
+ * Choosing a different backend at a level resets the model to that backend's
+ * own model unless the same level also names one. Generation parameters merge
+ * the same way, per parameter: the prompt's values over the profile's.
+ *
+ * Pure JavaScript -- no Word API dependency.
+ *
+ * @module backend-config
+ */
+
+import { normalizeGenerationParams, mergeGenerationParams } from './generation-params.js';
+
+/**
+ * Server types a profile can have, with display labels and the llm-client
+ * provider adapter each one uses.
+ * @type {Object<string, {label: string, provider: string}>}
+ */
+export const BACKEND_TYPES = {
+  ollama: { label: 'Ollama', provider: 'openai' },
+  vllm: { label: 'vLLM', provider: 'openai' },
+  openai: { label: 'OpenAI-compatible', provider: 'openai' },
+  anthropic: { label: 'Anthropic (Messages API)', provider: 'anthropic' },
+  gemini: { label: 'Gemini (generateContent API)', provider: 'gemini' },
+};
+
+/** Format marker written into exported profile files. */
+export const PROFILE_EXPORT_FORMAT = 'word-ai-redliner/backend-profiles';
+
+/**
+ * @typedef {Object} BackendProfile
+ * @property {string} name - Display name
+ * @property {string} type - Key in BACKEND_TYPES
+ * @property {string} provider - llm-client provider adapter (derived from type)
+ * @property {string} url - Base URL or proxy path
+ * @property {string} apiKey
+ * @property {string} model - Default model id
+ * @property {number|null} contextWindow - Manual context window (tokens)
+ * @property {number|null} maxOutputTokens - Manual output limit (tokens)
+ * @property {import('./generation-params.js').GenerationParams} generation - Default generation
+ *   parameters (unset = server default)
+ * @property {number|null} timeoutMs - Request timeout (null = caller default)
+ * @property {Object<string, string>} headers - Extra HTTP headers sent with every request
+ */
+
+/**
+ * Coerces a number setting, or null when unset/invalid.
+ * @private
+ */
+function numberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Fills in missing profile fields. Profiles saved before profiles had names
+ * and types (the fixed ollama/vllm/anthropic/gemini backends) take their type
+ * from their id or provider; a top-level temperature from before generation
+ * parameters moves into `generation`.
+ *
+ * @param {string} id - Profile id (key in config.backends)
+ * @param {Object} profile - Saved or imported profile data
+ * @returns {BackendProfile} New object
+ */
+export function normalizeProfile(id, profile) {
+  let type = profile.type;
+  if (!BACKEND_TYPES[type]) {
+    if (BACKEND_TYPES[id]) {
+      type = id;
+    } else if (profile.provider && BACKEND_TYPES[profile.provider]) {
+      type = profile.provider;
+    } else {
+      type = 'openai';
+    }
+  }
+
+  const headers = {};
+  for (const [key, value] of Object.entries(profile.headers || {})) {
+    if (key.trim() && typeof value === 'string') headers[key.trim()] = value;
+  }
+
+  return {
+    name: (profile.name || '').trim() || BACKEND_TYPES[type].label,
+    type,
+    provider: BACKEND_TYPES[type].provider,
+    url: profile.url || '',
+    apiKey: profile.apiKey || '',
+    model: profile.model || '',
+    contextWindow: numberOrNull(profile.contextWindow),
+    maxOutputTokens: numberOrNull(profile.maxOutputTokens),
+    generation: normalizeGenerationParams({ temperature: profile.temperature, ...profile.generation }),
+    timeoutMs: numberOrNull(profile.timeoutMs),
+    headers,
+  };
+}
+
+/**
+ * Derives a unique profile id from a display name.
+ *
+ * @param {string} name
+ * @param {string[]} existingIds
+ * @returns {string}
+ */
+export function createProfileId(name, existingIds) {
+  const base = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+  let id = base;
+  for (let n = 2; existingIds.includes(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Parses the headers textarea format ("Name: value" per line) into an object.
+ * Blank and malformed lines are skipped.
+ *
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+export function parseHeaderLines(text) {
+  const headers = {};
+  for (const rawLine of (text || '').split('\n')) {
+    const sep = rawLine.indexOf(':');
+    if (sep <= 0) continue;
+    const name = rawLine.substring(0, sep).trim();
+    if (name) headers[name] = rawLine.substring(sep + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * Formats headers back into the textarea format.
+ *
+ * @param {Object<string, string>} headers
+ * @returns {string}
+ */
+export function formatHeaderLines(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+/**
+ * Serializes profiles for sharing. API keys and header values (which may
+ * carry gateway credentials) are blanked unless requested; header names are
+ * kept so recipients know what to fill in.
+ *
+ * @param {Object<string, BackendProfile>} backends - config.backends
+ * @param {Object} [options]
+ * @param {boolean} [options.includeApiKeys=false]
+ * @returns {string} Pretty-printed JSON
+ */
+export function exportProfiles(backends, { includeApiKeys = false } = {}) {
+  const profiles = Object.entries(backends).map(([id, profile]) => ({
+    id,
+    ...profile,
+    apiKey: includeApiKeys ? profile.apiKey : '',
+    headers: includeApiKeys
+      ? { ...profile.headers }
+      : Object.fromEntries(Object.keys(profile.headers || {}).map((name) => [name, ''])),
+  }));
+  return JSON.stringify({ format: PROFILE_EXPORT_FORMAT, version: 1, profiles }, null, 2);
+}
+
+/**
+ * Merges profiles from an exported JSON file into existing profiles.
+ * Profiles replace existing ones with the same id; a blank imported API key
+ * or header value keeps the existing one so shared files without secrets
+ * don't wipe them.
+ * Invalid entries are skipped and reported.
+ *
+ * @param {string} json - Contents of an exportProfiles file
+ * @param {Object<string, BackendProfile>} existing - Current config.backends
+ * @returns {{backends: Object<string, BackendProfile>, imported: string[], errors: string[]}}
+ * @throws {Error} When the text is not JSON or not a profile export
+ */
+export function importProfiles(json, existing) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Not valid JSON: ${e.message}`);
+  }
+  if (!data || data.format !== PROFILE_EXPORT_FORMAT || !Array.isArray(data.profiles)) {
+    throw new Error('Not a backend profile export');
+  }
+
+  const backends = { ...existing };
+  const imported = [];
+  const errors = [];
+
+  data.profiles.forEach((entry, i) => {
+    const label = entry && entry.name ? `"${entry.name}"` : `#${i + 1}`;
+    if (!entry || typeof entry.id !== 'string' || !entry.id.trim()) {
+      errors.push(`Profile ${label}: missing id`);
+      return;
+    }
+    if (typeof entry.url !== 'string' || !entry.url.trim()) {
+      errors.push(`Profile ${label}: missing url`);
+      return;
+    }
+    if (entry.type !== undefined && !BACKEND_TYPES[entry.type]) {
+      errors.push(`Profile ${label}: unknown type "${entry.type}"`);
+      return;
+    }
+    const { id: rawId, ...profile } = entry;
+    const id = rawId.trim();
+    if (!profile.apiKey && existing[id]) {
+      profile.apiKey = existing[id].apiKey;
+    }
+    if (profile.headers && typeof profile.headers === 'object') {
+      const existingHeaders = (existing[id] && existing[id].headers) || {};
+      profile.headers = Object.fromEntries(Object.entries(profile.headers)
+        .map(([name, value]) => [name, value || existingHeaders[name] || ''])
+        .filter(([, value]) => value));
+    }
+    backends[id] = normalizeProfile(id, profile);
+    imported.push(id);
+  });
+
+  return { backends, imported, errors };
+}
+
+/**
+ * Prompt categories that send requests and can therefore be routed.
+ * @type {string[]}
+ */
+export const ROUTABLE_CATEGORIES = ['amendment', 'comment', 'summary'];
+
+/**
+ * @typedef {Object} BackendRoute
+ * @property {string} [backend] - Key in config.backends; blank inherits
+ * @property {string} [model] - Model id; blank uses the backend's model
+ */
+
+/**
+ * @typedef {Object} ResolvedRoute
+ * @property {string} backend - Key in config.backends
+ * @property {string} model - Model id
+ * @property {'prompt'|'category'|'default'} source - Highest level that set backend or model
+ */
+
+/**
+ * Resolves the backend and model for a category, with an optional prompt
+ * override. Routes naming a backend that no longer exists are ignored.
+ *
+ * @param {Object} config - Taskpane config ({ backend, backends, routing? })
+ * @param {string} [category] - Prompt category; omitted = the active backend
+ * @param {{route?: BackendRoute}|null} [prompt] - Active prompt of that category
+ * @returns {ResolvedRoute}
+ */
+export function resolveRoute(config, category, prompt) {
+  let backend = config.backend;
+  let model = '';
+  let source = 'default';
+
+  const levels = [
+    ['category', category ? config.routing?.[category] : null],
+    ['prompt', prompt?.route],
+  ];
+
+  for (const [name, route] of levels) {
+    if (!route) continue;
+    const routeBackend = route.backend && config.backends[route.backend] ? route.backend : '';
+    const routeModel = (route.model || '').trim();
+    if (routeBackend && routeBackend !== backend) {
+      backend = routeBackend;
+      model = '';
+    }
+    if (routeModel) {
+      model = routeModel;
+    }
+    if (routeBackend || routeModel) {
+      source = name;
+    }
+  }
+
+  return { backend, model: model || config.backends[backend].model, source };
+}
+
+/**
+ * Builds the llm-client config for a resolved route: the backend's settings
+ * with the routed model, the shared retry policy, and the profile's generation
+ * parameters overridden by the prompt's.
+ *
+ * @param {Object} config - Taskpane config
+ * @param {ResolvedRoute} route
+ * @param {{generation?: Object}|null} [prompt] - Active prompt of the routed category
+ * @returns {Object} { url, apiKey, model, provider?, retry, generation, ... }
+ */
+export function buildBackendConfig(config, route, prompt) {
+  const backend = config.backends[route.backend];
+  return {
+    ...backend,
+    model: route.model,
+    retry: config.retry,
+    generation: mergeGenerationParams(backend.generation, prompt?.generation),
+  };
+}
+
+/**
+ * Normalizes a route from settings or prompt data: trims fields and drops
+ * blanks. Returns null when nothing is set.
+ *
+ * @param {BackendRoute|null|undefined} route
+ * @returns {BackendRoute|null}
+ */
+export function normalizeRoute(route) {
+  const backend = (route?.backend || '').trim();
+  const model = (route?.model || '').trim();
+  if (!backend && !model) return null;
+  const normalized = {};
+  if (backend) normalized.backend = backend;
+  if (model) normalized.model = model;
+  return normalized;
+}
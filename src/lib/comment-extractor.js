@@ -10,6 +10,8 @@
  * @module comment-extractor
  */
 
+import { countTokens } from './tokenizer.js';
+
 const MAX_ASSOCIATED_TEXT_LENGTH = 500;
 
 // OOXML namespace constants
@@ -70,18 +72,19 @@ function removeProofErrors(parent) {
     }
 }
 
-function getChangeAuthor(element) {
-    return element.getAttributeNS(W_NS, 'author')
-        || element.getAttribute('w:author')
-        || element.getAttribute('author')
+function getWordAttribute(element, name) {
+    return element.getAttributeNS(W_NS, name)
+        || element.getAttribute('w:' + name)
+        || element.getAttribute(name)
         || null;
 }
 
+function getChangeAuthor(element) {
+    return getWordAttribute(element, 'author');
+}
+
 function getChangeDate(element) {
-    return element.getAttributeNS(W_NS, 'date')
-        || element.getAttribute('w:date')
-        || element.getAttribute('date')
-        || null;
+    return getWordAttribute(element, 'date');
 }
 
 /**
@@ -142,6 +145,212 @@ function getNextElementSibling(element) {
     return sibling;
 }
 
+function getPreviousElementSibling(element) {
+    let sibling = element.previousSibling;
+    while (sibling && sibling.nodeType !== 1) sibling = sibling.previousSibling;
+    return sibling;
+}
+
+/** First direct child element with the given local name, or null. */
+function getChildElement(parent, localName) {
+    for (const child of Array.from(parent.childNodes || [])) {
+        if (child.nodeType === 1 && child.localName === localName) return child;
+    }
+    return null;
+}
+
+/** Nearest ancestor (or the element itself) with the given local name, or null. */
+function getAncestor(element, localName) {
+    let node = element;
+    while (node && node.localName !== localName) node = node.parentNode;
+    return node || null;
+}
+
+/** Whether a run sits inside deleted or moved-away content (its text is in w:delText). */
+function isInDeletion(run) {
+    let node = run.parentNode;
+    while (node && node.nodeType === 1) {
+        if (node.localName === 'del' || node.localName === 'moveFrom') return true;
+        node = node.parentNode;
+    }
+    return false;
+}
+
+/** Text of a table cell or row, deleted runs included. Cells are joined with " | ". */
+function readTableText(element) {
+    const cells = element.localName === 'tc' ? [element] : queryElements(element, 'tc');
+    return cells.map(tc => queryElements(tc, 'r')
+        .map(run => readRunText(run, isInDeletion(run)))
+        .join('')
+        .trim()
+    ).join(' | ');
+}
+
+// Properties compared for formatting revisions (w:rPrChange / w:pPrChange), with their labels
+const RUN_FORMATTING = [
+    ['b', 'bold'], ['i', 'italic'], ['u', 'underline'], ['strike', 'strikethrough'],
+    ['dstrike', 'double strikethrough'], ['caps', 'all caps'], ['smallCaps', 'small caps'],
+    ['vanish', 'hidden'], ['vertAlign', 'position'], ['sz', 'size'], ['rFonts', 'font'],
+    ['color', 'colour'], ['highlight', 'highlight']
+];
+const PARAGRAPH_FORMATTING = [
+    ['pStyle', 'style'], ['jc', 'alignment'], ['ind', 'indentation'], ['spacing', 'spacing'],
+    ['numPr', 'numbering'], ['keepNext', 'keep with next'], ['keepLines', 'keep lines together'],
+    ['pageBreakBefore', 'page break before']
+];
+const TOGGLE_PROPERTIES = new Set([
+    'b', 'i', 'strike', 'dstrike', 'caps', 'smallCaps', 'vanish', 'keepNext', 'keepLines', 'pageBreakBefore'
+]);
+
+/**
+ * Readable value of one formatting property of a w:rPr or w:pPr element
+ * ("on"/"off" for toggles, "none" when not set).
+ */
+function readFormattingValue(properties, localName) {
+    const element = properties ? getChildElement(properties, localName) : null;
+    if (TOGGLE_PROPERTIES.has(localName)) {
+        const val = element ? getWordAttribute(element, 'val') : null;
+        return element && !['0', 'false', 'off'].includes(val) ? 'on' : 'off';
+    }
+    if (!element) return 'none';
+    switch (localName) {
+        case 'sz': {
+            const halfPoints = parseInt(getWordAttribute(element, 'val'), 10);
+            return Number.isNaN(halfPoints) ? 'none' : `${halfPoints / 2}pt`;
+        }
+        case 'rFonts':
+            return getWordAttribute(element, 'ascii') || getWordAttribute(element, 'hAnsi') || 'none';
+        case 'numPr': {
+            const numId = getChildElement(element, 'numId');
+            const ilvl = getChildElement(element, 'ilvl');
+            return `list ${numId ? getWordAttribute(numId, 'val') : '?'} level ${ilvl ? getWordAttribute(ilvl, 'val') : '0'}`;
+        }
+        case 'ind':
+        case 'spacing':
+            return Array.from(element.attributes)
+                .map(attr => `${attr.localName}=${attr.value}`)
+                .sort()
+                .join(' ') || 'none';
+        default:
+            return getWordAttribute(element, 'val') || 'on';
+    }
+}
+
+/**
+ * Describes what a formatting revision changed, e.g. "bold: off -> on; size: 11pt -> 12pt".
+ *
+ * @param {Element} current - The w:rPr / w:pPr now in effect
+ * @param {Element|null} previous - The w:rPr / w:pPr inside the w:rPrChange / w:pPrChange
+ * @param {Array<[string, string]>} properties - RUN_FORMATTING or PARAGRAPH_FORMATTING
+ * @returns {string}
+ */
+function describeFormattingChange(current, previous, properties) {
+    const changes = [];
+    for (const [localName, label] of properties) {
+        const before = readFormattingValue(previous, localName);
+        const after = readFormattingValue(current, localName);
+        if (before !== after) changes.push(`${label}: ${before} -> ${after}`);
+    }
+    return changes.length > 0 ? changes.join('; ') : 'formatting changed';
+}
+
+/**
+ * Formatting revisions: run formatting (w:rPrChange, adjacent runs with the
+ * same change merged), paragraph formatting (w:pPrChange) and numbering
+ * changes (w:numberingChange, once per paragraph).
+ */
+function parseFormattingChanges(body) {
+    const changes = [];
+
+    let previous = null;  // { change, run } of the last run formatting change
+    for (const rPrChange of queryElements(body, 'rPrChange')) {
+        const rPr = rPrChange.parentNode;
+        const run = rPr && rPr.parentNode;
+        // w:pPr/w:rPr/w:rPrChange formats the paragraph mark, which has no text
+        if (!run || run.localName !== 'r') continue;
+        const text = readRunText(run, isInDeletion(run));
+        if (!text.trim()) continue;
+        const author = getChangeAuthor(rPrChange);
+        const date = getChangeDate(rPrChange);
+        const formatting = describeFormattingChange(rPr, getChildElement(rPrChange, 'rPr'), RUN_FORMATTING);
+        if (previous && getPreviousElementSibling(run) === previous.run
+            && previous.change.author === author && previous.change.date === date
+            && previous.change.formatting === formatting) {
+            previous.change.text += text;
+            previous.run = run;
+            continue;
+        }
+        const change = {
+            type: 'Formatted', text, formatting, author, date,
+            paragraphText: getContainingParagraphText(run)
+        };
+        changes.push(change);
+        previous = { change, run };
+    }
+
+    for (const pPrChange of queryElements(body, 'pPrChange')) {
+        const pPr = pPrChange.parentNode;
+        const paragraphText = getContainingParagraphText(pPrChange);
+        if (!paragraphText) continue;
+        changes.push({
+            type: 'Paragraph formatted', text: paragraphText,
+            formatting: describeFormattingChange(pPr, getChildElement(pPrChange, 'pPr'), PARAGRAPH_FORMATTING),
+            author: getChangeAuthor(pPrChange), date: getChangeDate(pPrChange), paragraphText
+        });
+    }
+
+    const numberedParagraphs = new Set();
+    for (const numberingChange of queryElements(body, 'numberingChange')) {
+        const paragraph = getAncestor(numberingChange, 'p');
+        if (!paragraph || numberedParagraphs.has(paragraph)) continue;
+        numberedParagraphs.add(paragraph);
+        const paragraphText = getContainingParagraphText(numberingChange);
+        if (!paragraphText) continue;
+        const original = getWordAttribute(numberingChange, 'original');
+        changes.push({
+            type: 'Numbering changed', text: paragraphText,
+            formatting: original ? `numbering was "${original}"` : 'numbering changed',
+            author: getChangeAuthor(numberingChange), date: getChangeDate(numberingChange), paragraphText
+        });
+    }
+
+    return changes;
+}
+
+/**
+ * Table structure revisions: inserted/deleted rows (w:trPr/w:ins, w:trPr/w:del)
+ * and cells (w:tcPr/w:cellIns, w:tcPr/w:cellDel). The text of a row is
+ * its cells joined with " | ".
+ */
+function parseTableChanges(body) {
+    const changes = [];
+    for (const tr of queryElements(body, 'tr')) {
+        const trPr = getChildElement(tr, 'trPr');
+        if (!trPr) continue;
+        for (const [localName, type] of [['ins', 'Table row inserted'], ['del', 'Table row deleted']]) {
+            const marker = getChildElement(trPr, localName);
+            if (!marker) continue;
+            changes.push({
+                type, text: readTableText(tr), author: getChangeAuthor(marker),
+                date: getChangeDate(marker), paragraphText: ''
+            });
+        }
+    }
+    for (const tc of queryElements(body, 'tc')) {
+        const tcPr = getChildElement(tc, 'tcPr');
+        if (!tcPr) continue;
+        for (const [localName, type] of [['cellIns', 'Table cell inserted'], ['cellDel', 'Table cell deleted']]) {
+            const marker = getChildElement(tcPr, localName);
+            if (!marker) continue;
+            changes.push({
+                type, text: readTableText(tc), author: getChangeAuthor(marker),
+                date: getChangeDate(marker), paragraphText: ''
+            });
+        }
+    }
+    return changes;
+}
+
 /** Skip w:ins/w:del inside w:trPr (table row property markers, not content). */
 function isTableRowRevisionMarker(element) {
     const parent = element.parentNode;
@@ -151,7 +360,9 @@ function isTableRowRevisionMarker(element) {
 /**
  * Parses OOXML for tracked changes using browser DOMParser.
  * Handles: pkg:package wrapper, w:proofErr normalization,
- * w:ins, w:del, w:moveFrom, w:moveTo.
+ * w:ins, w:del, w:moveFrom, w:moveTo, formatting revisions
+ * (w:rPrChange, w:pPrChange, w:numberingChange) and table row/cell
+ * insertions and deletions.
  * Pairs adjacent w:del + w:ins (by DOM sibling, same author) as replacements.
  * Extracts containing paragraph text for clause context.
  * Patterns informed by docx-redline-js and adeu reference libraries.
@@ -232,6 +443,8 @@ function parseOoxmlTrackedChanges(ooxml) {
                 date: getChangeDate(mt), paragraphText: getContainingParagraphText(mt)
             });
         }
+
+        changes.push(...parseFormattingChanges(body), ...parseTableChanges(body));
     } catch (e) {
         console.error('Failed to parse OOXML for tracked changes:', e);
     }
@@ -239,15 +452,16 @@ function parseOoxmlTrackedChanges(ooxml) {
 }
 
 /**
- * Extracts all comments from the active document.
+ * Extracts all comments from the active document, each with its reply thread.
  * Returns structured data suitable for LLM prompt composition.
  *
  * Uses a three-sync batch loading pattern:
  *   1. Load collection items -> sync
- *   2. Load comment properties (content, authorName, creationDate, resolved, id) -> sync
+ *   2. Load comment properties (content, authorName, creationDate, resolved, id)
+ *      and their replies -> sync
  *   3. Load associated text ranges via getRange() -> sync
  *
- * @returns {Promise<Array<{index: number, commentText: string, associatedText: string, author: string, date: string, resolved: boolean, id: string}>>}
+ * @returns {Promise<Array<{index: number, commentText: string, associatedText: string, author: string, date: string, resolved: boolean, id: string, replies: Array<{replyText: string, author: string, date: string, id: string}>}>>}
  */
 export async function extractAllComments() {
     const comments = [];
@@ -257,9 +471,10 @@ export async function extractAllComments() {
         commentCollection.load('items');
         await context.sync();
 
-        // Batch load comment properties
+        // Batch load comment properties and reply threads
         for (const comment of commentCollection.items) {
             comment.load('content,authorName,creationDate,resolved,id');
+            comment.replies.load('items/content,items/authorName,items/creationDate,items/id');
         }
         await context.sync();
 
@@ -286,7 +501,13 @@ export async function extractAllComments() {
                 author: comment.authorName,
                 date: comment.creationDate,
                 resolved: comment.resolved,
-                id: comment.id
+                id: comment.id,
+                replies: comment.replies.items.map(reply => ({
+                    replyText: reply.content,
+                    author: reply.authorName,
+                    date: reply.creationDate,
+                    id: reply.id
+                }))
             });
         }
     });
@@ -323,17 +544,16 @@ function getHeadingLevel(styleBuiltIn) {
 }
 
 /**
- * Estimates token count using a character-based heuristic.
- * Average ~4 characters per token for English text.
- * Accuracy ~80-85% -- sufficient for informational display,
- * not for exact billing or hard limits.
+ * Estimates token count with the active tokenizer (see tokenizer.js).
+ * Defaults to a character heuristic (~4 characters per token), which is
+ * accurate to ~80-85% for English text; selecting a BPE tokenizer for the
+ * model makes counts exact for non-English text and numbered clauses.
  *
  * @param {string} text - The text to estimate tokens for
  * @returns {number} Estimated token count
  */
 export function estimateTokenCount(text) {
-    if (!text) return 0;
-    return Math.ceil(text.length / 4);
+    return countTokens(text);
 }
 
 /**
@@ -427,7 +647,8 @@ export async function extractDocumentStructured(options = {}) {
  *
  * Uses body.getOoxml() to get the document's OOXML representation, then
  * parses it with the browser's DOMParser to extract revision marks:
- * w:ins, w:del, w:moveFrom, w:moveTo.
+ * w:ins, w:del, w:moveFrom, w:moveTo, formatting changes (w:rPrChange,
+ * w:pPrChange, w:numberingChange) and table row/cell insertions and deletions.
  *
  * This approach works on ALL Office versions (WordApi 1.1 minimum) and
  * provides richer data than higher-level Word JS API alternatives:
@@ -435,11 +656,16 @@ export async function extractDocumentStructured(options = {}) {
  * - Move detection (w:moveFrom / w:moveTo)
  * - Author + date on every change
  * - Paragraph context
+ * - What a formatting change changed (e.g. "bold: off -> on"), in `formatting`
  *
  * Handles the pkg:package wrapper that body.getOoxml() returns.
  * Normalizes by removing w:proofErr elements before extraction.
  *
- * @returns {Promise<{changes: Array<{type: string, text: string, author: string|null, date: string|null, paragraphText: string}>}>}
+ * Change types: 'Added', 'Deleted', 'Replaced', 'Moved (from)', 'Moved (to)',
+ * 'Formatted', 'Paragraph formatted', 'Numbering changed', 'Table row inserted',
+ * 'Table row deleted', 'Table cell inserted', 'Table cell deleted'.
+ *
+ * @returns {Promise<{changes: Array<{type: string, text: string, author: string|null, date: string|null, paragraphText: string, formatting?: string}>}>}
  */
 export async function extractTrackedChanges() {
     try {
@@ -457,3 +683,47 @@ export async function extractTrackedChanges() {
         return { changes: [] };
     }
 }
+
+/**
+ * Formats extracted tracked changes for the {tracked changes} placeholder,
+ * showing before/after text and the author prominently.
+ *
+ * @param {Array<Object>} changes - From extractTrackedChanges()
+ * @returns {string} Numbered change blocks separated by blank lines
+ */
+export function formatTrackedChanges(changes) {
+    return changes.map((c, i) => {
+        const num = i + 1;
+        const author = c.author || 'Unknown';
+        const date = c.date || '';
+        const dateStr = date ? ` on ${date}` : '';
+        const clause = c.paragraphText ? `\n  IN CLAUSE: "${c.paragraphText}"` : '';
+
+        if (c.type === 'Replaced') {
+            return `[Change ${num}] REPLACED by ${author}${dateStr}:\n` +
+                   `  BEFORE: "${c.beforeText}"\n` +
+                   `  AFTER:  "${c.afterText}"` + clause;
+        } else if (c.type === 'Deleted') {
+            return `[Change ${num}] DELETED by ${author}${dateStr}:\n` +
+                   `  REMOVED: "${c.text}"` + clause;
+        } else if (c.type === 'Added') {
+            return `[Change ${num}] ADDED by ${author}${dateStr}:\n` +
+                   `  INSERTED: "${c.text}"` + clause;
+        } else if (c.type.startsWith('Moved')) {
+            return `[Change ${num}] ${c.type.toUpperCase()} by ${author}${dateStr}:\n` +
+                   `  TEXT: "${c.text}"` + clause;
+        } else if (c.formatting) {
+            return `[Change ${num}] ${c.type.toUpperCase()} by ${author}${dateStr}:\n` +
+                   `  TEXT: "${c.text}"\n` +
+                   `  FORMATTING: ${c.formatting}` +
+                   (c.paragraphText !== c.text ? clause : '');
+        } else if (c.type.startsWith('Table row')) {
+            return `[Change ${num}] ${c.type.toUpperCase()} by ${author}${dateStr}:\n` +
+                   `  ROW: "${c.text}"`;
+        } else if (c.type.startsWith('Table cell')) {
+            return `[Change ${num}] ${c.type.toUpperCase()} by ${author}${dateStr}:\n` +
+                   `  CELL: "${c.text}"`;
+        }
+        return `[Change ${num}] ${c.type} by ${author}${dateStr}: "${c.text}"`;
+    }).join('\n\n');
+}
@@ -0,0 +1,319 @@
+/**
+ * Consistency Checker Module
+ *
+ * Cross-chunk consistency pass for whole-document runs. Chunks are amended
+ * independently, so the model may rename a defined term ("Supplier" ->
+ * "Vendor") or change a value (a liability cap, a notice period) in one
+ * chunk but not in others that use it. This module compares every chunk's
+ * amendment with its original text to find:
+ *
+ * - defined terms (DocumentContext.definitions) replaced by other words
+ * - numeric values (amounts, percentages, periods) replaced by other values
+ *
+ * and reports each change that is either left out elsewhere (other chunks
+ * still use the old term/value) or made differently in different chunks.
+ *
+ * The orchestrator either re-requests the affected chunks with a note
+ * describing the changes, or flags the issues as chunk comments.
+ *
+ * Pure JavaScript -- no Word API dependency.
+ *
+ * @module consistency-checker
+ */
+
+import { computeWordDiff } from './redline-review.js';
+
+/**
+ * @typedef {import('./orchestrator.js').ChunkResult} ChunkResult
+ * @typedef {import('./context-extractor.js').DocumentContext} DocumentContext
+ */
+
+/**
+ * @typedef {Object} ConsistencyIssue
+ * @property {'term'|'value'} type
+ * @property {string} from - Defined term or value in the original text
+ * @property {string[]} to - Replacements made (more than one = inconsistent changes)
+ * @property {string[]} changedIn - Chunk ids where it was replaced
+ * @property {string[]} unchangedIn - Chunk ids whose final text still uses it
+ * @property {string} description - One-line summary for the log
+ */
+
+/**
+ * Amounts, percentages and other numbers; currency symbols are kept with
+ * the number so "£1,000" and "$1,000" differ.
+ * @private
+ */
+const VALUE_PATTERN = /[$€£]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?%?/g;
+
+/**
+ * Escapes a string for use in a RegExp.
+ * @private
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Matches a term as a whole word, case-sensitively (defined terms are
+ * capitalised; "supplier" in lower case is ordinary usage).
+ * @private
+ */
+function termPattern(term) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'gu');
+}
+
+/**
+ * Matches a value not embedded in a longer number.
+ * @private
+ */
+function valuePattern(value) {
+  return new RegExp(`(?<![\\d.,$€£])${escapeRegExp(value)}(?![\\d%]|[.,]\\d)`, 'g');
+}
+
+/**
+ * Whether a value is specific enough to track: single digits (clause
+ * numbers, list items) are ignored unless they carry a unit.
+ * @private
+ */
+function isSignificantValue(value) {
+  return /[$€£%]/.test(value) || value.replace(/\D/g, '').length >= 2;
+}
+
+/**
+ * Strips quotes, brackets and trailing punctuation around a replacement.
+ * @private
+ */
+function trimReplacement(text) {
+  return text.trim().replace(/^["'“‘(\s]+|["'”’),.;:\s]+$/g, '');
+}
+
+/**
+ * Maps a span of the original text through a word diff to the text that
+ * took its place in the amendment. Insertions right after the span are
+ * included, so a replaced word maps to its replacement.
+ * @private
+ */
+function mapSpan(ops, amended, start, end) {
+  let o = 0;
+  let a = 0;
+  let mappedStart = null;
+  let mappedEnd = null;
+  for (const op of ops) {
+    const length = op.text.length;
+    if (op.type === 'equal') {
+      if (mappedStart === null && start < o + length) mappedStart = a + (start - o);
+      if (end > o && end <= o + length) mappedEnd = a + (end - o);
+      o += length;
+      a += length;
+    } else if (op.type === 'delete') {
+      if (mappedStart === null && start < o + length) mappedStart = a;
+      if (end > o && end <= o + length) mappedEnd = a;
+      o += length;
+    } else {
+      // Insertion directly after the span's end belongs to the replacement
+      if (mappedEnd === a && o === end) mappedEnd = a + length;
+      a += length;
+    }
+  }
+  if (mappedStart === null || mappedEnd === null) return '';
+  return amended.slice(mappedStart, Math.max(mappedStart, mappedEnd));
+}
+
+/**
+ * Replacements of defined terms in one chunk's amendment.
+ * @private
+ * @returns {Array<[string, string]>} [term, replacement] pairs
+ */
+function termReplacements(original, amended, terms) {
+  const ops = computeWordDiff(original, amended);
+  const replacements = [];
+  for (const term of terms) {
+    for (const match of original.matchAll(termPattern(term))) {
+      const replacement = trimReplacement(mapSpan(ops, amended, match.index, match.index + term.length));
+      if (replacement && !termPattern(term).test(replacement)) {
+        replacements.push([term, replacement]);
+      }
+    }
+  }
+  return replacements;
+}
+
+/**
+ * Values that disappeared from a text paired, in order, with values that
+ * appeared. Compared as whole values rather than via the word diff, which
+ * splits "1,000,000" at the commas. Returns nothing when the counts differ
+ * (values were added or removed, not replaced).
+ * @private
+ */
+function valueReplacements(original, amended) {
+  const before = original.match(VALUE_PATTERN) || [];
+  const after = amended.match(VALUE_PATTERN) || [];
+  const minus = (values, other) => {
+    const remaining = [...other];
+    return values.filter((v) => {
+      const i = remaining.indexOf(v);
+      if (i === -1) return true;
+      remaining.splice(i, 1);
+      return false;
+    });
+  };
+  const removed = minus(before, after);
+  const added = minus(after, before);
+  if (removed.length !== added.length) return [];
+  return removed.map((from, i) => [from, added[i]]);
+}
+
+/**
+ * Chunk text as sent to the LLM.
+ * @private
+ */
+function originalText(result) {
+  return result.chunk ? result.chunk.paragraphs.map((p) => p.text).join('\n') : '';
+}
+
+/**
+ * Records a change in the per-type map.
+ * @private
+ */
+function addChange(changes, from, to, chunkId) {
+  if (!changes.has(from)) {
+    changes.set(from, { to: new Map() });
+  }
+  const targets = changes.get(from).to;
+  if (!targets.has(to)) {
+    targets.set(to, new Set());
+  }
+  targets.get(to).add(chunkId);
+}
+
+/**
+ * Finds defined terms and values changed in some chunks but not others, or
+ * changed in different ways. Only fulfilled results are considered.
+ *
+ * @param {ChunkResult[]} results
+ * @param {DocumentContext['definitions']} definitions
+ * @returns {ConsistencyIssue[]}
+ */
+export function checkConsistency(results, definitions) {
+  const fulfilled = results.filter((r) => r && r.status === 'fulfilled');
+  const terms = [...new Set((definitions || []).map((d) => d.term))];
+  const termChanges = new Map();
+  const valueChanges = new Map();
+
+  for (const result of fulfilled) {
+    if (!result.amendment) continue;
+    for (const [term, replacement] of termReplacements(originalText(result), result.amendment, terms)) {
+      addChange(termChanges, term, replacement, result.chunkId);
+    }
+
+    for (const [from, to] of valueReplacements(originalText(result), result.amendment)) {
+      if (isSignificantValue(from)) {
+        addChange(valueChanges, from, to, result.chunkId);
+      }
+    }
+  }
+
+  const issues = [];
+  const collect = (type, changes, patternFor) => {
+    for (const [from, { to }] of changes) {
+      const changedIn = [...new Set([...to.values()].flatMap((ids) => [...ids]))];
+      const pattern = patternFor(from);
+      const unchangedIn = fulfilled
+        .filter((r) => !changedIn.includes(r.chunkId))
+        .filter((r) => {
+          pattern.lastIndex = 0;
+          return pattern.test(r.amendment || originalText(r));
+        })
+        .map((r) => r.chunkId);
+      if (unchangedIn.length === 0 && to.size === 1) continue;
+
+      const label = type === 'term' ? `Defined term "${from}"` : `Value "${from}"`;
+      const targets = [...to.entries()].map(([value, ids]) => `"${value}" (${[...ids].join(', ')})`);
+      let description = to.size > 1
+        ? `${label} changed inconsistently: ${targets.join(', ')}`
+        : `${label} changed to ${targets[0]}`;
+      if (unchangedIn.length > 0) {
+        description += ` but unchanged in ${unchangedIn.join(', ')}`;
+      }
+
+      issues.push({ type, from, to: [...to.keys()], changedIn, unchangedIn, description });
+    }
+  };
+  collect('term', termChanges, termPattern);
+  collect('value', valueChanges, valuePattern);
+
+  return issues;
+}
+
+/**
+ * Sentence describing an issue's change, for prompts and comments.
+ * @private
+ */
+function describeChange(issue) {
+  const what = issue.type === 'term' ? `the defined term "${issue.from}"` : `the value "${issue.from}"`;
+  return issue.to.length === 1
+    ? `${what} was changed to "${issue.to[0]}"`
+    : `${what} was changed to ${issue.to.map((t) => `"${t}"`).join(' or ')}`;
+}
+
+/**
+ * Notes for re-requesting chunks that missed a change made elsewhere. Only
+ * issues with a single replacement are included; inconsistent replacements
+ * need a decision and are flagged instead.
+ *
+ * @param {ConsistencyIssue[]} issues
+ * @returns {Map<string, string>} chunkId -> note to append to the chunk's prompt
+ */
+export function consistencyNotes(issues) {
+  const changesByChunk = new Map();
+  for (const issue of issues) {
+    if (issue.to.length !== 1) continue;
+    for (const chunkId of issue.unchangedIn) {
+      if (!changesByChunk.has(chunkId)) changesByChunk.set(chunkId, []);
+      changesByChunk.get(chunkId).push(describeChange(issue));
+    }
+  }
+
+  const notes = new Map();
+  for (const [chunkId, changes] of changesByChunk) {
+    notes.set(chunkId,
+      'CONSISTENCY NOTE: other parts of this document were amended as follows. ' +
+      'Make the same changes in this text wherever it refers to the same thing:\n' +
+      changes.map((c) => `- ${c.charAt(0).toUpperCase()}${c.slice(1)}.`).join('\n'));
+  }
+  return notes;
+}
+
+/**
+ * Appends a consistency warning to the comment of each chunk involved in an
+ * issue: chunks that missed a change, and all chunks of an inconsistent one.
+ *
+ * @param {ChunkResult[]} results - Mutated
+ * @param {ConsistencyIssue[]} issues
+ * @returns {ChunkResult[]} The results whose comment changed
+ */
+export function flagConsistencyIssues(results, issues) {
+  const byId = new Map(results.filter(Boolean).map((r) => [r.chunkId, r]));
+  const flagged = new Set();
+
+  const flag = (chunkId, text) => {
+    const result = byId.get(chunkId);
+    if (!result || result.status !== 'fulfilled') return;
+    result.comment = result.comment ? `${result.comment}\n\n${text}` : text;
+    flagged.add(result);
+  };
+
+  for (const issue of issues) {
+    const change = describeChange(issue);
+    for (const chunkId of issue.unchangedIn) {
+      flag(chunkId, `Consistency check: elsewhere in the document ${change}, but not here.`);
+    }
+    if (issue.to.length > 1) {
+      for (const chunkId of issue.changedIn) {
+        flag(chunkId, `Consistency check: ${change} in different parts of the document.`);
+      }
+    }
+  }
+
+  return [...flagged];
+}
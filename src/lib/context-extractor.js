@@ -1,9 +1,17 @@
 /**
  * Context Extractor Module
  *
- * Extracts global document context (defined terms, abbreviations, document outline)
- * from the parsed document model. This context becomes a prefix prepended to every
- * chunk's LLM prompt during whole-document processing.
+ * Extracts global document context (defined terms, abbreviations, document outline,
+ * clause numbering and cross-references) from the parsed document model. This
+ * context becomes a prefix prepended to every chunk's LLM prompt during
+ * whole-document processing.
+ *
+ * Cross-references ("subject to Clause 12.3", "as set out in Schedule 2") are
+ * resolved against the numbering: list numbers from document-parser.js
+ * (listString), numbers typed at the start of a paragraph, and labelled
+ * headings ("SCHEDULE 2", "Article IV"). Clause, Section and Article share one
+ * numbering; Schedules, Annexes, Appendices, Exhibits and Parts each have
+ * their own.
  *
  * Pure functions -- no Word API or LLM calls.
  *
@@ -17,6 +25,33 @@ import { estimateTokenCount } from './comment-extractor.js';
  * @property {Array<{term: string, definition: string, paragraphIndex: number}>} definitions
  * @property {Array<{abbreviation: string, expansion: string, paragraphIndex: number}>} abbreviations
  * @property {Array<{level: number, text: string, paragraphIndex: number}>} outline
+ * @property {NumberedItem[]} numbering
+ * @property {CrossReference[]} crossReferences
+ */
+
+/**
+ * @typedef {Object} NumberedItem
+ * @property {string} kind - 'clause', 'schedule', 'annex', 'appendix', 'exhibit' or 'part'
+ * @property {string} label - e.g. "12.3", "12.3(a)", "2", "IV"
+ * @property {number} paragraphIndex
+ * @property {string} text - Paragraph text (first 200 chars)
+ */
+
+/**
+ * @typedef {Object} CrossReference
+ * @property {string} text - As written, one label per reference (e.g. "Clause 12.3")
+ * @property {string} kind
+ * @property {string} label
+ * @property {number} paragraphIndex - Paragraph containing the reference
+ * @property {number|null} targetIndex - Referenced paragraph (null when unresolved)
+ * @property {string} targetText - Referenced text (first 300 chars; '' when unresolved)
+ */
+
+/**
+ * @typedef {Object} ReferenceIssue
+ * @property {'unresolved'|'renumbered'|'retargeted'} reason
+ * @property {CrossReference} reference - As found after the change
+ * @property {string} message
  */
 
 /**
@@ -66,6 +101,180 @@ const EXCLUDED_COLON_TERMS = new Set([
  */
 const ABBREVIATION_PATTERN = /\(([A-Z]{2,})\)/g;
 
+/**
+ * Reference keywords (lower case, singular) and the numbering they refer to.
+ */
+const REFERENCE_KINDS = {
+  clause: 'clause',
+  section: 'clause',
+  article: 'clause',
+  schedule: 'schedule',
+  annex: 'annex',
+  appendix: 'appendix',
+  exhibit: 'exhibit',
+  part: 'part',
+};
+
+/** Plural reference keywords that do not just add "s". */
+const PLURAL_KEYWORDS = { annexes: 'annex', appendices: 'appendix' };
+
+/** A clause number, optionally with sub-paragraphs ("12.3(a)"), or a roman numeral or letter. */
+const LABEL = String.raw`\d+(?:\.\d+)*(?:\([a-z0-9]+\))*|[IVXLC]+\b|[A-Z]\b`;
+
+/**
+ * Cross-references, including lists and ranges ("Clauses 3, 4 and 5",
+ * "Clauses 8 to 14"). Lower-case keywords are accepted except "part", which
+ * is too common in ordinary prose.
+ */
+const REFERENCE_PATTERN = new RegExp(
+  String.raw`\b([Cc]lauses?|[Ss]ections?|[Aa]rticles?|[Ss]chedules?|[Aa]nnex(?:es)?|[Aa]ppendix|[Aa]ppendices|[Ee]xhibits?|Parts?)` +
+  String.raw`\s+((?:${LABEL})(?:\s*(?:,|and|or|to|-|–)\s*(?:${LABEL}))*)`,
+  'g'
+);
+
+/** A labelled heading at the start of a paragraph ("SCHEDULE 2", "Clause 5"). */
+const LABELLED_PARAGRAPH_PATTERN = /^(clause|section|article|schedule|annex|appendix|exhibit|part)\s+(\d+(?:\.\d+)*|[IVXLC]+\b|[A-Z]\b)/i;
+
+/** A number typed at the start of a paragraph ("12.3 The Supplier..."). */
+const LEADING_NUMBER_PATTERN = /^(\d+(?:\.\d+)+|\d+\.)\s/;
+
+/** A sub-paragraph list number ("(a)", "(iv)", "b)"). */
+const SUB_PARAGRAPH_PATTERN = /^\(?([a-z]{1,2}|[ivx]{1,4})\)$/;
+
+/**
+ * Builds the numbering of clauses, schedules and other referable parts.
+ *
+ * @param {Array<{index: number, text: string, headingLevel: number, listString?: string|null}>} paragraphs
+ * @returns {NumberedItem[]}
+ */
+function extractNumbering(paragraphs) {
+  const numbering = [];
+  let clauseNumber = null;
+
+  const add = (kind, label, para) => {
+    numbering.push({ kind, label, paragraphIndex: para.index, text: (para.text || '').substring(0, 200) });
+  };
+
+  for (const para of paragraphs) {
+    const text = (para.text || '').trim();
+    const listString = (para.listString || '').trim();
+
+    // "Section 5 applies to..." is a reference, not a label: labels are
+    // headings, capitalised ("SCHEDULE 2") or short lines without a full stop
+    const labelled = LABELLED_PARAGRAPH_PATTERN.exec(text);
+    if (labelled && (para.headingLevel > 0 || labelled[1] === labelled[1].toUpperCase()
+        || (text.length <= 80 && !/[.;]$/.test(text)))) {
+      const kind = REFERENCE_KINDS[labelled[1].toLowerCase()];
+      add(kind, labelled[2].toUpperCase(), para);
+      if (kind === 'clause') clauseNumber = labelled[2];
+      continue;
+    }
+
+    const listNumber = /^\d+(?:\.\d+)*\.?$/.test(listString) ? listString.replace(/\.$/, '') : null;
+    const leading = LEADING_NUMBER_PATTERN.exec(text);
+    const number = listNumber || (leading ? leading[1].replace(/\.$/, '') : null);
+    if (number) {
+      add('clause', number, para);
+      clauseNumber = number;
+      continue;
+    }
+
+    const sub = SUB_PARAGRAPH_PATTERN.exec(listString);
+    if (sub && clauseNumber) {
+      add('clause', `${clauseNumber}(${sub[1]})`, para);
+    }
+  }
+
+  return numbering;
+}
+
+/**
+ * Key identifying a numbered item or the target of a reference.
+ */
+function numberingKey(kind, label) {
+  return `${kind}:${/^[ivxlc]+$/i.test(label) || /^[a-z]$/i.test(label) ? label.toUpperCase() : label}`;
+}
+
+/**
+ * Finds the paragraph a reference points to. A sub-paragraph reference
+ * ("12.3(a)") falls back to its clause when the sub-paragraph is not
+ * numbered separately.
+ */
+function resolveReference(index, kind, label) {
+  let current = label;
+  for (;;) {
+    const target = index.get(numberingKey(kind, current));
+    if (target !== undefined) return target;
+    const parent = current.replace(/\([a-z0-9]+\)$/, '');
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Text of a referenced paragraph; for a heading, the paragraph after it is
+ * included so the reference shows what the section says.
+ */
+function referencedText(byIndex, targetIndex, paragraphs) {
+  const target = byIndex.get(targetIndex);
+  let text = target.text || '';
+  if (target.headingLevel > 0) {
+    const next = paragraphs[paragraphs.indexOf(target) + 1];
+    if (next) text += `\n${next.text || ''}`;
+  }
+  return text.substring(0, 300);
+}
+
+/**
+ * Finds cross-references and resolves them against the numbering. Headings
+ * are skipped (a heading's own label is not a reference), as are references
+ * to other documents ("Clause 5 of the Supply Agreement").
+ *
+ * @param {Array<{index: number, text: string, headingLevel: number}>} paragraphs
+ * @param {NumberedItem[]} numbering
+ * @returns {CrossReference[]}
+ */
+function extractCrossReferences(paragraphs, numbering) {
+  const index = new Map();
+  const ownLabels = new Set();
+  for (const item of numbering) {
+    const key = numberingKey(item.kind, item.label);
+    if (!index.has(key)) index.set(key, item.paragraphIndex);
+    ownLabels.add(`${item.paragraphIndex}|${key}`);
+  }
+  const byIndex = new Map(paragraphs.map((p) => [p.index, p]));
+
+  const references = [];
+  for (const para of paragraphs) {
+    if (para.headingLevel > 0) continue;
+    const text = para.text || '';
+    REFERENCE_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = REFERENCE_PATTERN.exec(text)) !== null) {
+      const after = text.substring(match.index + match[0].length);
+      if (/^\s+(?:of|to|in)\s+(?:the|that)\s+[A-Z]/.test(after)) continue;
+      const keyword = match[1].toLowerCase();
+      const singular = PLURAL_KEYWORDS[keyword] || keyword.replace(/s$/, '');
+      const word = match[1].substring(0, 1) + singular.substring(1);
+      const kind = REFERENCE_KINDS[singular];
+      for (const label of match[2].split(/\s*(?:,|\band\b|\bor\b|\bto\b|-|–)\s*/).filter(Boolean)) {
+        // A labelled paragraph ("Schedule 2 - Services") does not refer to itself
+        if (ownLabels.has(`${para.index}|${numberingKey(kind, label)}`)) continue;
+        const targetIndex = resolveReference(index, kind, label);
+        references.push({
+          text: `${word} ${label}`,
+          kind,
+          label,
+          paragraphIndex: para.index,
+          targetIndex,
+          targetText: targetIndex === null ? '' : referencedText(byIndex, targetIndex, paragraphs),
+        });
+      }
+    }
+  }
+  return references;
+}
+
 /**
  * Extracts global document context from the parsed document model.
  * Pure function -- no Word API or LLM calls.
@@ -86,24 +295,14 @@ export function extractContext(docModel) {
     const text = para.text || '';
 
     // Extract definitions
-    for (const pattern of DEFINITION_PATTERNS) {
-      pattern.lastIndex = 0;
-      let match;
-      while ((match = pattern.exec(text)) !== null) {
-        const term = match[1].trim();
-        if (term.length >= 2 && term.length <= 60 && !seenTerms.has(term.toLowerCase())) {
-          // For colon-format pattern (last in array), exclude common false positives
-          if (pattern === DEFINITION_PATTERNS[DEFINITION_PATTERNS.length - 1]
-              && EXCLUDED_COLON_TERMS.has(term.toLowerCase())) {
-            continue;
-          }
-          seenTerms.add(term.toLowerCase());
-          definitions.push({
-            term,
-            definition: text.substring(0, 200),
-            paragraphIndex: para.index,
-          });
-        }
+    for (const term of findDefinedTerms(text)) {
+      if (!seenTerms.has(term.toLowerCase())) {
+        seenTerms.add(term.toLowerCase());
+        definitions.push({
+          term,
+          definition: text.substring(0, 200),
+          paragraphIndex: para.index,
+        });
       }
     }
 
@@ -138,7 +337,37 @@ export function extractContext(docModel) {
     }
   }
 
-  return { definitions, abbreviations, outline };
+  const numbering = extractNumbering(docModel.paragraphs);
+  const crossReferences = extractCrossReferences(docModel.paragraphs, numbering);
+
+  return { definitions, abbreviations, outline, numbering, crossReferences };
+}
+
+/**
+ * Finds the terms a paragraph defines, in pattern order. Unlike
+ * extractContext, repeats are not removed (used to detect terms defined
+ * more than once).
+ *
+ * @param {string} text - Paragraph text
+ * @returns {string[]}
+ */
+export function findDefinedTerms(text) {
+  const terms = [];
+  for (const pattern of DEFINITION_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const term = match[1].trim();
+      if (term.length < 2 || term.length > 60) continue;
+      // For colon-format pattern (last in array), exclude common false positives
+      if (pattern === DEFINITION_PATTERNS[DEFINITION_PATTERNS.length - 1]
+          && EXCLUDED_COLON_TERMS.has(term.toLowerCase())) {
+        continue;
+      }
+      terms.push(term);
+    }
+  }
+  return terms;
 }
 
 /**
@@ -215,6 +444,25 @@ export function formatContextPrefix(context, chunkText, maxTokens = 4000) {
     sections.push(abbrSection.trimEnd());
   }
 
+  // Build cross-references section: the text of clauses the chunk refers to,
+  // unless the referenced text is part of the chunk
+  const seenTargets = new Set();
+  const relevantRefs = (context.crossReferences || []).filter((r) => {
+    const key = numberingKey(r.kind, r.label);
+    if (r.targetIndex === null || seenTargets.has(key)) return false;
+    if (!chunkLower.includes(r.text.toLowerCase())) return false;
+    if (chunkText.includes(r.targetText.split('\n')[0])) return false;
+    seenTargets.add(key);
+    return true;
+  });
+  if (relevantRefs.length > 0) {
+    let refSection = 'CROSS-REFERENCED CLAUSES:\n';
+    for (const ref of relevantRefs) {
+      refSection += `- ${ref.text}: ${ref.targetText.replace(/\s*\n\s*/g, ' ')}\n`;
+    }
+    sections.push(refSection.trimEnd());
+  }
+
   // Build document structure section
   if (context.outline.length > 0) {
     let outlineSection = 'DOCUMENT STRUCTURE:\n';
@@ -233,9 +481,9 @@ export function formatContextPrefix(context, chunkText, maxTokens = 4000) {
   // Enforce token budget
   const currentTokens = estimateTokenCount(result);
   if (currentTokens > maxTokens) {
-    // Truncate to fit within budget
-    // estimateTokenCount uses Math.ceil(text.length / 4), so maxTokens * 4 chars is the limit
-    const maxChars = maxTokens * 4;
+    // Truncate to fit within budget, scaling by the measured chars-per-token
+    // ratio so the cut point is right for whichever tokenizer is active
+    const maxChars = Math.floor(result.length * (maxTokens / currentTokens));
     result = result.substring(0, maxChars);
 
     // Try to truncate at a clean line boundary
@@ -247,3 +495,115 @@ export function formatContextPrefix(context, chunkText, maxTokens = 4000) {
 
   return result;
 }
+
+/**
+ * Normalised start of a clause's text, for recognising it under another
+ * number. Typed numbering and labels are removed.
+ */
+function textSignature(text) {
+  return (text || '').split('\n')[0]
+    .replace(LEADING_NUMBER_PATTERN, '')
+    .replace(LABELLED_PARAGRAPH_PATTERN, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 60)
+    .toLowerCase();
+}
+
+/**
+ * Share of words two texts have in common (0-1), to tell a reworded clause
+ * from a different one.
+ */
+function wordOverlap(a, b) {
+  const words = (text) => new Set((text || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / Math.max(wordsA.size, wordsB.size);
+}
+
+/**
+ * Compares cross-references before and after a document was changed and
+ * reports the ones the change broke:
+ *
+ * - unresolved: the reference no longer matches any numbered clause,
+ *   schedule etc. (it was deleted, or an amendment added a reference to
+ *   something that does not exist)
+ * - renumbered: the reference now resolves to different text, and the text
+ *   it used to refer to is found under another number
+ * - retargeted: the reference now resolves to text with little in common
+ *   with what it referred to (typically the clause was deleted and the
+ *   following ones renumbered); a clause that was only reworded keeps most
+ *   of its words and is not reported
+ *
+ * References that were already unresolved before the change are not reported.
+ *
+ * @param {DocumentContext} before - extractContext() before the change
+ * @param {DocumentContext} after - extractContext() after the change
+ * @returns {ReferenceIssue[]}
+ */
+export function checkCrossReferences(before, after) {
+  const beforeRefs = before.crossReferences || [];
+  const wasUnresolved = new Set();
+  const oldTargets = new Map();
+  for (const ref of beforeRefs) {
+    const key = numberingKey(ref.kind, ref.label);
+    if (ref.targetIndex === null) {
+      wasUnresolved.add(key);
+    } else if (!oldTargets.has(key)) {
+      oldTargets.set(key, ref.targetText);
+    }
+  }
+  const oldNumbering = new Set((before.numbering || []).map((item) => numberingKey(item.kind, item.label)));
+
+  // Where the text a reference pointed to is numbered now, if not under the same label
+  const movedTo = (ref, key) => {
+    const oldSignature = oldTargets.has(key) ? textSignature(oldTargets.get(key)) : '';
+    if (!oldSignature) return null;
+    return (after.numbering || []).find((item) =>
+      item.kind === ref.kind && item.label !== ref.label && textSignature(item.text) === oldSignature) || null;
+  };
+
+  const issues = [];
+  const reported = new Set();
+  for (const ref of after.crossReferences || []) {
+    const key = numberingKey(ref.kind, ref.label);
+    if (reported.has(`${ref.paragraphIndex}|${key}`) || wasUnresolved.has(key)) continue;
+
+    const moved = movedTo(ref, key);
+    let issue = null;
+    if (moved && (ref.targetIndex === null || textSignature(ref.targetText) !== textSignature(oldTargets.get(key)))) {
+      issue = {
+        reason: 'renumbered',
+        reference: ref,
+        message: `${ref.text} ${ref.targetIndex === null ? 'no longer exists' : 'now refers to different text'}; ` +
+          `what it referred to is now ${ref.text.split(' ')[0]} ${moved.label}`,
+      };
+    } else if (ref.targetIndex === null) {
+      issue = {
+        reason: 'unresolved',
+        reference: ref,
+        message: oldNumbering.has(key)
+          ? `${ref.text} no longer exists (deleted or renumbered)`
+          : `${ref.text} does not exist in the document`,
+      };
+    } else if (oldTargets.has(key) && wordOverlap(oldTargets.get(key), ref.targetText) < 0.5) {
+      issue = {
+        reason: 'retargeted',
+        reference: ref,
+        message: `${ref.text} now refers to different text ("${ref.targetText.split('\n')[0].substring(0, 60)}"); ` +
+          'what it referred to may have been deleted',
+      };
+    }
+
+    if (issue) {
+      reported.add(`${ref.paragraphIndex}|${key}`);
+      issues.push(issue);
+    }
+  }
+  return issues;
+}
@@ -0,0 +1,291 @@
+/**
+ * Definition Extractor Module
+ *
+ * Optional LLM pass over the document's definitions section. The regex
+ * patterns in context-extractor.js miss definitions laid out in tables, in
+ * "Term: the meaning..." lists with lower-case lead-ins and in other
+ * languages, and record the first 200 characters of the paragraph rather
+ * than the definition itself. This pass sends the definitions section
+ * (found from the outline by its heading) to the LLM, which returns a clean
+ * term -> definition map that is merged over the regex results.
+ *
+ * Results are cached in the document's add-in settings, keyed by a hash of
+ * the model and the section text, so the pass only runs again when the
+ * definitions change.
+ *
+ * Pure JavaScript -- no Word API dependency (the settings object is injected).
+ *
+ * @module definition-extractor
+ */
+
+import { sendMessages as defaultSendMessages } from './llm-client.js';
+import { extractJsonObject } from './response-parser.js';
+import { buildSections, paragraphIndexEnd } from './section-selector.js';
+import { estimateTokenCount } from './comment-extractor.js';
+import { hashText } from './text-hash.js';
+
+/**
+ * @typedef {import('./context-extractor.js').DocumentContext} DocumentContext
+ * @typedef {import('./document-parser.js').DocumentModel} DocumentModel
+ * @typedef {import('./llm-client.js').TokenUsage} TokenUsage
+ */
+
+/**
+ * @typedef {Object} DefinitionsSection
+ * @property {number} startIndex - First paragraph (the heading)
+ * @property {number} endIndex - Last paragraph
+ * @property {Array<{index: number, text: string}>} paragraphs - Paragraphs sent to the LLM
+ * @property {string} text - Paragraph texts joined by newlines
+ * @property {boolean} truncated - Whether paragraphs were dropped to fit maxTokens
+ */
+
+/** Document settings key holding the cached definitions. */
+export const DEFINITION_CACHE_KEY = 'wordAI.definitions';
+
+/** Headings of definitions sections (English, German, French, Spanish, Italian, Dutch, Portuguese). */
+const DEFINITIONS_HEADING = /\b(?:definitions?|interpretation|defined terms|glossary|begriffsbestimmungen|definitionen|définitions|definiciones|definizioni|definities|definições)\b/i;
+
+/** Longest definition kept from the LLM reply (characters). */
+const MAX_DEFINITION_LENGTH = 400;
+
+/** JSON schema requested from backends that support guided decoding. */
+export const DEFINITIONS_RESPONSE_FORMAT = Object.freeze({
+  name: 'defined_terms',
+  schema: {
+    type: 'object',
+    properties: {
+      definitions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            term: { type: 'string' },
+            definition: { type: 'string' },
+          },
+          required: ['term', 'definition'],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ['definitions'],
+    additionalProperties: false,
+  },
+});
+
+const SYSTEM_PROMPT = `You extract defined terms from the definitions section of a legal document.
+Return every term the text defines, with its definition copied or closely paraphrased from the text. Definitions may be written as sentences ("X" means ...), as "X: the ..." lists, as table cells (one cell per line, term before definition) or in a language other than English; keep terms and definitions in the document's language.
+Do not include terms that are only used, not defined.
+
+RESPOND WITH A SINGLE JSON OBJECT AND NOTHING ELSE, in this shape:
+{"definitions": [{"term": "<defined term, without quotes>", "definition": "<its definition>"}]}`;
+
+/**
+ * Finds the definitions section(s) from the outline: sections whose heading
+ * names definitions or interpretation, subsections included.
+ *
+ * @param {DocumentModel} docModel
+ * @param {DocumentContext['outline']} outline
+ * @param {number} [maxTokens=8000] - Paragraphs beyond this budget are dropped
+ * @returns {DefinitionsSection|null} null when no heading matches
+ */
+export function findDefinitionsSection(docModel, outline, maxTokens = 8000) {
+  const sections = buildSections(outline, paragraphIndexEnd(docModel));
+  const matching = [];
+  for (const section of sections) {
+    if (section.level === 0 || !DEFINITIONS_HEADING.test(section.title)) continue;
+    // A subsection of a section already included
+    if (matching.some((s) => section.startIndex <= s.endIndex)) continue;
+    matching.push(section);
+  }
+  if (matching.length === 0) return null;
+
+  const paragraphs = [];
+  let tokens = 0;
+  let truncated = false;
+  for (const para of docModel.paragraphs) {
+    if (!matching.some((s) => para.index >= s.startIndex && para.index <= s.endIndex)) continue;
+    const paraTokens = para.tokenEstimate || estimateTokenCount(para.text || '');
+    if (tokens + paraTokens > maxTokens) {
+      truncated = true;
+      break;
+    }
+    tokens += paraTokens;
+    paragraphs.push(para);
+  }
+
+  return {
+    startIndex: matching[0].startIndex,
+    endIndex: matching[matching.length - 1].endIndex,
+    paragraphs,
+    text: paragraphs.map((p) => p.text).join('\n'),
+    truncated,
+  };
+}
+
+/**
+ * Builds the messages asking the LLM for the section's definitions.
+ *
+ * @param {string} sectionText
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function buildDefinitionMessages(sectionText) {
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: `DEFINITIONS SECTION:\n${sectionText}` },
+  ];
+}
+
+/**
+ * Parses the LLM reply into definitions. Entries without a term or
+ * definition are dropped, quotes around terms removed, and repeated terms
+ * kept once.
+ *
+ * @param {string} responseText
+ * @returns {Array<{term: string, definition: string}>}
+ * @throws {Error} When the reply is not a JSON object with a definitions array
+ */
+export function parseDefinitionResponse(responseText) {
+  const jsonText = extractJsonObject(responseText || '');
+  if (jsonText === null) {
+    throw new Error('no JSON object found');
+  }
+  let value;
+  try {
+    value = JSON.parse(jsonText);
+  } catch (e) {
+    throw new Error(`invalid JSON (${e.message})`);
+  }
+  if (!value || !Array.isArray(value.definitions)) {
+    throw new Error('"definitions" is not an array');
+  }
+
+  const seen = new Set();
+  const definitions = [];
+  for (const entry of value.definitions) {
+    if (!entry || typeof entry.term !== 'string' || typeof entry.definition !== 'string') continue;
+    const term = entry.term.trim().replace(/^["'“‘]+|["'”’]+$/g, '').trim();
+    const definition = entry.definition.trim().replace(/\s+/g, ' ').substring(0, MAX_DEFINITION_LENGTH);
+    if (term.length < 2 || term.length > 60 || !definition || seen.has(term.toLowerCase())) continue;
+    seen.add(term.toLowerCase());
+    definitions.push({ term, definition });
+  }
+  return definitions;
+}
+
+/**
+ * Merges LLM definitions over the regex ones: a term found by both keeps
+ * its regex paragraph and takes the LLM's definition text; terms only the
+ * LLM found are added, located at the first section paragraph that mentions
+ * them. Terms only the regex found are kept as they are.
+ *
+ * @param {DocumentContext['definitions']} regexDefinitions
+ * @param {Array<{term: string, definition: string}>} llmDefinitions
+ * @param {DefinitionsSection} section
+ * @returns {DocumentContext['definitions']} Sorted by paragraph
+ */
+export function mergeDefinitions(regexDefinitions, llmDefinitions, section) {
+  const merged = regexDefinitions.map((d) => ({ ...d }));
+  const byTerm = new Map(merged.map((d) => [d.term.toLowerCase(), d]));
+
+  for (const { term, definition } of llmDefinitions) {
+    const existing = byTerm.get(term.toLowerCase());
+    if (existing) {
+      existing.definition = definition;
+      continue;
+    }
+    const mention = section.paragraphs.find((p) => (p.text || '').toLowerCase().includes(term.toLowerCase()));
+    const added = { term, definition, paragraphIndex: mention ? mention.index : section.startIndex };
+    merged.push(added);
+    byTerm.set(term.toLowerCase(), added);
+  }
+
+  return merged.sort((a, b) => a.paragraphIndex - b.paragraphIndex);
+}
+
+/**
+ * Wraps Office document settings as the definitions cache. Holds the
+ * definitions for one section text (the document's current one).
+ *
+ * @param {Object} settings - Office.context.document.settings (get/set/saveAsync)
+ * @returns {{get: function(string): (Array|null), set: function(string, Array): Promise<void>}}
+ */
+export function createDefinitionCache(settings) {
+  return {
+    get(key) {
+      const value = settings.get(DEFINITION_CACHE_KEY);
+      return value && value.key === key && Array.isArray(value.definitions) ? value.definitions : null;
+    },
+    set(key, definitions) {
+      settings.set(DEFINITION_CACHE_KEY, { key, definitions });
+      return new Promise((resolve, reject) => {
+        settings.saveAsync((result) => {
+          if (result && result.status === 'failed') {
+            reject(new Error(result.error?.message || 'settings save failed'));
+          } else {
+            resolve();
+          }
+        });
+      });
+    },
+  };
+}
+
+/**
+ * Runs the LLM definitions pass and returns the context with merged
+ * definitions. Falls back to the regex definitions (logging why) when there
+ * is no definitions section or the request or its reply fails; only a
+ * cancellation is rethrown.
+ *
+ * @param {DocumentModel} docModel
+ * @param {DocumentContext} context - From extractContext(docModel)
+ * @param {Object} options
+ * @param {Object} options.config - Backend config for sendMessages
+ * @param {{get: function, set: function}} [options.cache] - From createDefinitionCache()
+ * @param {function} [options.log] - Logging callback (message, type)
+ * @param {AbortSignal} [options.signal]
+ * @param {number} [options.maxTokens=8000] - Budget for the section text
+ * @param {function} [options.sendMessagesFn] - Injectable sendMessages (for testing)
+ * @returns {Promise<{context: DocumentContext, source: 'llm'|'cache'|'regex', usage: TokenUsage|null}>}
+ */
+export async function extractDefinitionsWithLlm(docModel, context, options) {
+  const { config, cache, signal, maxTokens = 8000, sendMessagesFn = defaultSendMessages } = options;
+  const log = options.log || (() => {});
+
+  const section = findDefinitionsSection(docModel, context.outline, maxTokens);
+  if (!section || section.paragraphs.length === 0) {
+    log('No definitions section found in the outline -- using pattern-matched definitions', 'info');
+    return { context, source: 'regex', usage: null };
+  }
+  if (section.truncated) {
+    log(`Definitions section exceeds ${maxTokens} tokens -- only the first ` +
+      `${section.paragraphs.length} paragraphs are sent for definition extraction`, 'warning');
+  }
+
+  const key = hashText(`${config.model}\n${section.text}`);
+  const cached = cache ? cache.get(key) : null;
+  if (cached) {
+    return { context: { ...context, definitions: mergeDefinitions(context.definitions, cached, section) }, source: 'cache', usage: null };
+  }
+
+  let definitions;
+  let usage = null;
+  try {
+    const reply = await sendMessagesFn(config, buildDefinitionMessages(section.text), log, signal,
+      config.timeoutMs || 120000, { includeUsage: true, responseFormat: DEFINITIONS_RESPONSE_FORMAT });
+    usage = reply.usage || null;
+    definitions = parseDefinitionResponse(reply.text);
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    log(`Definition extraction failed (${err.message}) -- using pattern-matched definitions`, 'warning');
+    return { context, source: 'regex', usage };
+  }
+
+  if (cache) {
+    try {
+      await cache.set(key, definitions);
+    } catch (err) {
+      log(`Could not cache extracted definitions: ${err.message}`, 'warning');
+    }
+  }
+  return { context: { ...context, definitions: mergeDefinitions(context.definitions, definitions, section) }, source: 'llm', usage };
+}
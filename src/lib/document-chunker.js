@@ -10,6 +10,8 @@
  * - Keeps consecutive table paragraphs (inTable=true) as atomic units
  * - Falls back to paragraph-boundary splitting when no headings exist
  * - Includes overlap context from previous chunk for continuity
+ * - Optionally restricted to paragraph ranges (selected outline sections);
+ *   chunks never span a gap between ranges
  *
  * Pure JavaScript -- no Word API dependency.
  *
@@ -30,6 +32,8 @@
  * @property {number} tokenCount - Total estimated tokens in chunk
  * @property {string} sectionTitle - Nearest heading text (for logging)
  * @property {string} overlapBefore - Text from previous chunk's last paragraph(s) for context
+ * @property {string} overlapAfter - Text of the paragraph(s) after the chunk for context, when
+ *   they are not in a chunk themselves (only with ranges; '' otherwise)
  */
 
 /**
@@ -45,18 +49,27 @@
  *   7. Add overlap: for each chunk after first, set overlapBefore
  *   8. Assign sectionTitle, unique IDs
  *
+ * With `ranges`, steps 1-6 run separately over each range's paragraphs.
+ * The first chunk after a gap takes its overlap from the paragraphs just
+ * before it in the document, and the last chunk before a gap also gets the
+ * paragraphs just after it (overlapAfter), so a range is read between its
+ * neighbours on both sides.
+ *
  * @param {DocumentModel} docModel - Output from parseDocument()
  * @param {Object} [options]
  * @param {number} [options.maxTokens=12000] - Max tokens per chunk
  * @param {number} [options.minTokens=500] - Min tokens before creating a chunk
  * @param {number} [options.overlapParagraphs=1] - Paragraphs to overlap between chunks
+ * @param {Array<{startIndex: number, endIndex: number}>|null} [options.ranges=null] -
+ *   Inclusive paragraph index ranges to chunk (null = whole document)
  * @returns {DocumentChunk[]}
  */
 export function chunkDocument(docModel, options = {}) {
     const {
         maxTokens = 12000,
         minTokens = 500,
-        overlapParagraphs = 1
+        overlapParagraphs = 1,
+        ranges = null
     } = options;
 
     const { paragraphs } = docModel;
@@ -64,6 +77,69 @@ export function chunkDocument(docModel, options = {}) {
         return [];
     }
 
+    const groups = ranges
+        ? ranges
+            .map(r => paragraphs.filter(p => p.index >= r.startIndex && p.index <= r.endIndex))
+            .filter(group => group.length > 0)
+        : [paragraphs];
+    const rawChunks = groups.flatMap(group => splitParagraphs(group, maxTokens, minTokens));
+    const positions = new Map(paragraphs.map((p, i) => [p, i]));
+
+    // Build final chunk objects with metadata
+    const chunks = rawChunks.map((raw, idx) => {
+        const firstPara = raw.paragraphs[0];
+        const lastPara = raw.paragraphs[raw.paragraphs.length - 1];
+
+        // Find nearest heading in this chunk for sectionTitle
+        const headingPara = raw.paragraphs.find(p => p.headingLevel > 0);
+        const sectionTitle = headingPara ? headingPara.text : '';
+
+        // Build overlap from previous chunk, or from the document text
+        // before this chunk when the previous chunk is not adjacent.
+        // Adjacency is by position: parsed indices skip blank paragraphs
+        let overlapParas = [];
+        const prevParas = idx > 0 ? rawChunks[idx - 1].paragraphs : null;
+        if (prevParas && positions.get(prevParas[prevParas.length - 1]) === positions.get(firstPara) - 1) {
+            const overlapCount = Math.min(overlapParagraphs, prevParas.length);
+            overlapParas = prevParas.slice(prevParas.length - overlapCount);
+        } else if (ranges) {
+            const position = positions.get(firstPara);
+            overlapParas = paragraphs.slice(Math.max(0, position - overlapParagraphs), position);
+        }
+        const overlapBefore = overlapParas.map(p => p.text).join('\n');
+
+        let overlapAfter = '';
+        const nextParas = idx < rawChunks.length - 1 ? rawChunks[idx + 1].paragraphs : null;
+        if (ranges && !(nextParas && positions.get(nextParas[0]) === positions.get(lastPara) + 1)) {
+            const position = positions.get(lastPara);
+            overlapAfter = paragraphs.slice(position + 1, position + 1 + overlapParagraphs)
+                .map(p => p.text).join('\n');
+        }
+
+        return {
+            id: `chunk-${idx}`,
+            paragraphs: raw.paragraphs,
+            startIndex: firstPara.index,
+            endIndex: lastPara.index,
+            tokenCount: raw.tokenCount,
+            sectionTitle,
+            overlapBefore,
+            overlapAfter
+        };
+    });
+
+    return chunks;
+}
+
+/**
+ * Steps 1-6 of chunkDocument over a run of consecutive paragraphs.
+ * @private
+ * @param {ParsedParagraph[]} paragraphs
+ * @param {number} maxTokens
+ * @param {number} minTokens
+ * @returns {Array<{paragraphs: ParsedParagraph[], tokenCount: number}>}
+ */
+function splitParagraphs(paragraphs, maxTokens, minTokens) {
     const rawChunks = [];
     let currentParas = [];
     let currentTokens = 0;
@@ -139,34 +215,5 @@ export function chunkDocument(docModel, options = {}) {
         }
     }
 
-    // Build final chunk objects with metadata
-    const chunks = rawChunks.map((raw, idx) => {
-        const firstPara = raw.paragraphs[0];
-        const lastPara = raw.paragraphs[raw.paragraphs.length - 1];
-
-        // Find nearest heading in this chunk for sectionTitle
-        const headingPara = raw.paragraphs.find(p => p.headingLevel > 0);
-        const sectionTitle = headingPara ? headingPara.text : '';
-
-        // Build overlap from previous chunk
-        let overlapBefore = '';
-        if (idx > 0) {
-            const prevParas = rawChunks[idx - 1].paragraphs;
-            const overlapCount = Math.min(overlapParagraphs, prevParas.length);
-            const overlapParas = prevParas.slice(prevParas.length - overlapCount);
-            overlapBefore = overlapParas.map(p => p.text).join('\n');
-        }
-
-        return {
-            id: `chunk-${idx}`,
-            paragraphs: raw.paragraphs,
-            startIndex: firstPara.index,
-            endIndex: lastPara.index,
-            tokenCount: raw.tokenCount,
-            sectionTitle,
-            overlapBefore
-        };
-    });
-
-    return chunks;
+    return rawChunks;
 }
@@ -1,6 +1,7 @@
 /* global Word */
 
 import { marked } from 'marked';
+import { computeWordDiff } from './redline-review.js';
 
 // Configure marked for LLM output: GFM for tables/task lists, breaks for line breaks
 marked.use({ gfm: true, breaks: true });
@@ -8,7 +9,8 @@ marked.use({ gfm: true, breaks: true });
 /**
  * Document Generator Module
  *
- * Creates a new Word document with formatted summary content.
+ * Creates a new Word document with formatted summary content, or with a
+ * redline report of proposed changes (dry runs).
  * Uses Application.createDocument() (WordApi 1.3) for native document
  * creation and body.insertHtml() (WordApi 1.1) for formatted content.
  * LLM markdown output is converted to HTML via marked before insertion.
@@ -41,7 +43,7 @@ function escapeHtml(str) {
  *   <h3>Comment 1</h3> ... <h3>Comment N</h3>
  *
  * @param {string} summaryText - The LLM-generated summary (markdown, converted to HTML via marked)
- * @param {Array<{index: number, commentText: string, associatedText: string, author: string}>} extractedComments
+ * @param {Array<{index: number, commentText: string, associatedText: string, author: string, replies?: Array<{replyText: string, author: string}>}>} extractedComments
  * @param {string} [title='Comment Summary'] - Document title
  * @returns {string} Complete HTML string for insertHtml()
  */
@@ -69,6 +71,86 @@ export function buildSummaryHtml(summaryText, extractedComments, title = 'Commen
         html += `<p><strong>Author:</strong> ${escapeHtml(c.author)}</p>`;
         html += `<p><strong>Document text:</strong> &quot;${escapeHtml(c.associatedText)}&quot;</p>`;
         html += `<p><strong>Comment:</strong> &quot;${escapeHtml(c.commentText)}&quot;</p>`;
+        for (const r of c.replies || []) {
+            html += `<p><strong>Reply (${escapeHtml(r.author)}):</strong> &quot;${escapeHtml(r.replyText)}&quot;</p>`;
+        }
+    }
+
+    return html;
+}
+
+// Inline styles -- insertHtml ignores stylesheet classes
+const TABLE_STYLE = 'border-collapse: collapse; width: 100%;';
+const CELL_STYLE = 'border: 1px solid #999; padding: 6px 10px; vertical-align: top;';
+const HEADER_CELL_STYLE = `${CELL_STYLE} background-color: #f2f2f2; font-weight: bold; text-align: left;`;
+const DELETED_STYLE = 'color: #c00000; text-decoration: line-through;';
+const INSERTED_STYLE = 'color: #0070c0; text-decoration: underline;';
+
+/**
+ * Renders one side of a word diff: the original with deletions struck
+ * through, or the proposal with insertions underlined.
+ * @param {Array<{type: string, text: string}>} ops - From computeWordDiff()
+ * @param {'original'|'proposed'} side
+ * @returns {string}
+ */
+function renderRedlineSide(ops, side) {
+    const hidden = side === 'original' ? 'insert' : 'delete';
+    const style = side === 'original' ? DELETED_STYLE : INSERTED_STYLE;
+    return ops
+        .filter(op => op.type !== hidden)
+        .map(op => {
+            const text = escapeHtml(op.text).replace(/\n/g, '<br/>');
+            return op.type === 'equal' ? text : `<span style="${style}">${text}</span>`;
+        })
+        .join('');
+}
+
+/**
+ * Builds the HTML for a dry-run redline report: one section per chunk with
+ * proposed changes, showing the original and proposed text side by side
+ * with inline deletion/insertion styling, followed by the proposed comment.
+ *
+ * @param {Array<{title: string, original: string, amendment: string|null, comment: string|null}>} sections
+ * @param {Object} [options]
+ * @param {string} [options.title='Redline Report'] - Document title
+ * @param {number} [options.unchanged=0] - Sections with nothing proposed (counted, not listed)
+ * @param {Array<{title: string, error: string}>} [options.failed=[]] - Sections whose request failed
+ * @returns {string} Complete HTML string for insertHtml()
+ */
+export function buildRedlineReportHtml(sections, { title = 'Redline Report', unchanged = 0, failed = [] } = {}) {
+    let html = `<h1>${escapeHtml(title)}</h1>`;
+
+    const counts = [`${sections.length} section(s) with proposed changes`];
+    if (unchanged > 0) counts.push(`${unchanged} unchanged`);
+    if (failed.length > 0) counts.push(`${failed.length} failed`);
+    html += `<p>${counts.join(', ')}. Dry run -- the source document was not modified.</p>`;
+
+    for (const section of sections) {
+        html += `<h2>${escapeHtml(section.title)}</h2>`;
+
+        if (section.amendment) {
+            const ops = computeWordDiff(section.original, section.amendment);
+            html += `<table style="${TABLE_STYLE}">`;
+            html += `<tr><th style="${HEADER_CELL_STYLE}">Original</th><th style="${HEADER_CELL_STYLE}">Proposed</th></tr>`;
+            html += `<tr><td style="${CELL_STYLE}">${renderRedlineSide(ops, 'original')}</td>`;
+            html += `<td style="${CELL_STYLE}">${renderRedlineSide(ops, 'proposed')}</td></tr>`;
+            html += '</table>';
+        } else {
+            html += `<p><strong>Original:</strong> ${escapeHtml(section.original).replace(/\n/g, '<br/>')}</p>`;
+            html += '<p><em>No amendment proposed.</em></p>';
+        }
+
+        if (section.comment) {
+            html += `<p><strong>Comment:</strong> ${escapeHtml(section.comment)}</p>`;
+        }
+    }
+
+    if (failed.length > 0) {
+        html += '<hr/>';
+        html += '<h1>Not Processed</h1>';
+        for (const f of failed) {
+            html += `<p><strong>${escapeHtml(f.title)}:</strong> ${escapeHtml(f.error)}</p>`;
+        }
     }
 
     return html;
@@ -126,7 +126,7 @@ export function inferHeadingLevel(text) {
  * @property {string|null} listString - List bullet/number string
  * @property {number} listLevel - List nesting level
  * @property {boolean} inTable - Whether paragraph is inside a table
- * @property {number} tokenEstimate - Estimated tokens (chars/4)
+ * @property {number} tokenEstimate - Estimated tokens (active tokenizer, see tokenizer.js)
  */
 
 /**
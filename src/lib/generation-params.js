@@ -0,0 +1,132 @@
+/**
+ * Generation Params Module
+ *
+ * Sampling and length parameters sent with LLM requests: temperature, top_p,
+ * max_tokens, seed, stop sequences and repetition penalty. Backend profiles
+ * and saved prompts each carry an optional `generation` object; per-call
+ * options can override both. Layers merge per parameter, later layers winning:
+ *
+ *   profile.generation  <  prompt.generation  <  call options
+ *
+ * Unset parameters are omitted from the request so the server default applies.
+ * llm-client maps the merged values onto each provider's request fields.
+ *
+ * Pure JavaScript -- no Word API dependency.
+ *
+ * @module generation-params
+ */
+
+/**
+ * @typedef {Object} GenerationParams
+ * @property {number} [temperature] - Sampling temperature (>= 0)
+ * @property {number} [topP] - Nucleus sampling probability mass (0 < topP <= 1)
+ * @property {number} [maxTokens] - Maximum tokens to generate (positive integer)
+ * @property {number} [seed] - Sampling seed, for reproducible output where supported
+ * @property {string[]} [stop] - Stop sequences
+ * @property {number} [repetitionPenalty] - Repetition penalty (> 0; 1 = none)
+ */
+
+/**
+ * Parameter keys in display order, with the name used in log lines.
+ * @type {Array<{key: string, label: string}>}
+ */
+export const GENERATION_PARAMS = [
+  { key: 'temperature', label: 'temperature' },
+  { key: 'topP', label: 'top_p' },
+  { key: 'maxTokens', label: 'max_tokens' },
+  { key: 'seed', label: 'seed' },
+  { key: 'stop', label: 'stop' },
+  { key: 'repetitionPenalty', label: 'repetition_penalty' },
+];
+
+/**
+ * Validity check per numeric parameter.
+ * @private
+ */
+const NUMBER_RULES = {
+  temperature: (n) => n >= 0,
+  topP: (n) => n > 0 && n <= 1,
+  maxTokens: (n) => Number.isInteger(n) && n > 0,
+  seed: (n) => Number.isInteger(n),
+  repetitionPenalty: (n) => n > 0,
+};
+
+/**
+ * Drops unset and invalid parameters. Numeric strings (from form fields or
+ * imported JSON) are coerced; a single stop string becomes a one-item list.
+ *
+ * @param {Object|null|undefined} params
+ * @returns {GenerationParams} New object containing only valid, set parameters
+ */
+export function normalizeGenerationParams(params) {
+  const normalized = {};
+  if (!params || typeof params !== 'object') return normalized;
+
+  for (const [key, isValid] of Object.entries(NUMBER_RULES)) {
+    const value = params[key];
+    if (value === null || value === undefined || value === '') continue;
+    const n = Number(value);
+    if (Number.isFinite(n) && isValid(n)) {
+      normalized[key] = n;
+    }
+  }
+
+  const stop = typeof params.stop === 'string' ? [params.stop] : params.stop;
+  if (Array.isArray(stop)) {
+    const sequences = stop.filter((s) => typeof s === 'string' && s !== '');
+    if (sequences.length > 0) {
+      normalized.stop = sequences;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Merges parameter layers; each set parameter in a later layer replaces the
+ * same parameter from earlier layers. Missing layers are skipped.
+ *
+ * @param {...(GenerationParams|null|undefined)} layers - Lowest precedence first
+ * @returns {GenerationParams}
+ */
+export function mergeGenerationParams(...layers) {
+  return layers.reduce((merged, layer) => ({ ...merged, ...normalizeGenerationParams(layer) }), {});
+}
+
+/**
+ * Formats parameters for the activity log, e.g.
+ * `temperature=0.2, seed=42, stop=["\n\n"]`.
+ *
+ * @param {GenerationParams} params
+ * @returns {string} 'server defaults' when nothing is set
+ */
+export function formatGenerationParams(params) {
+  const parts = GENERATION_PARAMS
+    .filter(({ key }) => params[key] !== undefined)
+    .map(({ key, label }) => `${label}=${key === 'stop' ? JSON.stringify(params.stop) : params[key]}`);
+  return parts.length > 0 ? parts.join(', ') : 'server defaults';
+}
+
+/**
+ * Parses the stop sequences field: one sequence per line, with `\n` and `\t`
+ * written as escapes so newline stops can be entered.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseStopSequences(text) {
+  return (text || '')
+    .split('\n')
+    .filter((line) => line !== '')
+    .map((line) => line.replace(/\\n/g, '\n').replace(/\\t/g, '\t'));
+}
+
+/**
+ * Formats stop sequences back into the field format.
+ *
+ * @param {string[]|undefined} stop
+ * @returns {string}
+ */
+export function formatStopSequences(stop) {
+  return (stop || []).map((s) => s.replace(/\n/g, '\\n').replace(/\t/g, '\\t')).join('\n');
+}
@@ -1,13 +1,19 @@
 /**
  * Unified LLM Client Module
  *
- * Provides a shared abstraction for both Ollama and vLLM backends using the
- * OpenAI-compatible /v1/chat/completions format. All functions are pure --
- * they accept config objects and return promises with no global state.
+ * Provides a shared abstraction over LLM backends. Ollama and vLLM use the
+ * OpenAI-compatible /v1/chat/completions format; Anthropic Messages and Gemini
+ * generateContent APIs are supported through provider adapters selected by
+ * config.provider. All functions are pure -- they accept config objects and
+ * return promises with no global state.
  *
  * @module llm-client
  */
 
+import { mergeGenerationParams } from './generation-params.js';
+
+/** @typedef {import('./generation-params.js').GenerationParams} GenerationParams */
+
 /**
  * Strips <think>...</think> tags and reasoning artifacts from LLM responses.
  * Applied to ALL backends as a universal safety net.
@@ -53,6 +59,38 @@ export function stripThinkTags(text, log) {
   return cleaned;
 }
 
+/**
+ * Strips <think> reasoning from a partially received (streaming) response.
+ *
+ * Unlike stripThinkTags, the input may end mid-way through a think block or
+ * mid-way through a tag, so this works on the rolling buffer of everything
+ * received so far and only returns text that is safe to display:
+ *   - Complete <think>...</think> blocks are removed
+ *   - An unclosed <think> hides everything after it (reasoning still streaming)
+ *   - Orphaned </think> tags are removed
+ *   - A trailing partial tag ("<thi", "</th") is held back until it completes
+ *
+ * The final response should still be cleaned with stripThinkTags.
+ *
+ * @param {string} text - Raw response text received so far
+ * @returns {string} Displayable text with reasoning artifacts removed
+ */
+export function stripPartialThinkTags(text) {
+  if (!text) return text;
+
+  let cleaned = text.replace(/<think>[\s\S]*?<\/think>/gi, '');
+
+  const openIdx = cleaned.search(/<think>/i);
+  if (openIdx !== -1) {
+    cleaned = cleaned.substring(0, openIdx);
+  }
+
+  cleaned = cleaned.replace(/<\/think>/gi, '');
+  cleaned = cleaned.replace(/<\/?t?h?i?n?k?$/i, '');
+
+  return cleaned.replace(/^\s+/, '').replace(/\n{3,}/g, '\n\n');
+}
+
 /**
  * Strips common markdown formatting artifacts from LLM responses.
  * Used as a post-processing safety net for amendment-mode responses
@@ -166,91 +204,723 @@ export function stripChunkDelimiters(text, log) {
 }
 
 /**
- * Private helper to build the request URL and headers for chat completions.
+ * Joins the content of all system messages into a single string.
+ *
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {string} Combined system prompt ('' when there are none)
+ * @private
+ */
+function collectSystemText(messages) {
+  return messages
+    .filter((m) => m.role === 'system')
+    .map((m) => m.content)
+    .join('\n\n');
+}
+
+/**
+ * Drops system messages and merges consecutive same-role turns.
+ * Anthropic and Gemini both reject two consecutive turns from the same role.
+ *
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {Array<{role: string, content: string}>}
+ * @private
+ */
+function collapseConversationTurns(messages) {
+  const turns = [];
+  for (const m of messages) {
+    if (m.role === 'system') continue;
+    const last = turns[turns.length - 1];
+    if (last && last.role === m.role) {
+      last.content += '\n\n' + m.content;
+    } else {
+      turns.push({ role: m.role, content: m.content });
+    }
+  }
+  return turns;
+}
+
+/**
+ * Strips trailing slashes from a backend base URL.
+ *
+ * @param {object} config - Backend configuration
+ * @returns {string}
+ * @private
+ */
+function baseUrl(config) {
+  return config.url.replace(/\/+$/, '');
+}
+
+/**
+ * Provider adapters. Each adapter knows how one API family shapes requests,
+ * handles system messages, returns completion text (whole or as SSE deltas)
+ * and lists models. The rest of the module is provider-agnostic.
+ *
+ * Adapter interface:
+ * - buildRequest(config, messages, stream, responseFormat, generation) -> { url, headers, body }
+ *   responseFormat ({ name, schema } or undefined) requests JSON output matching
+ *   schema where the API supports it; Anthropic has no equivalent and ignores it.
+ *   generation is the merged GenerationParams (see generation-params.js)
+ * - generationFields: GenerationParams key -> request field name; keys not
+ *   listed are not supported by the API and are left out of the request
+ * - extractText(data) -> string (non-streaming response JSON)
+ * - extractDelta(event) -> string|undefined (one parsed SSE event)
+ * - extractUsage(dataOrEvent) -> partial TokenUsage|null (response JSON or SSE event)
+ * - buildModelsRequest(config) -> { url, headers }
+ * - parseModels(data) -> Array<ModelInfo>
+ *
+ * @private
+ */
+const PROVIDER_ADAPTERS = {
+  // OpenAI-compatible /v1/chat/completions (Ollama, vLLM, most gateways)
+  openai: {
+    // repetition_penalty is a vLLM extension to the OpenAI parameters
+    generationFields: {
+      temperature: 'temperature',
+      topP: 'top_p',
+      maxTokens: 'max_tokens',
+      seed: 'seed',
+      stop: 'stop',
+      repetitionPenalty: 'repetition_penalty',
+    },
+    buildRequest(config, messages, stream, responseFormat, generation) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (config.apiKey) {
+        headers['Authorization'] = `Bearer ${config.apiKey}`;
+      }
+      const body = { model: config.model, messages, stream };
+      copyGenerationFields(this.generationFields, generation, body);
+      if (stream) {
+        // include_usage makes the final stream event carry the usage block
+        body.stream_options = { include_usage: true };
+      }
+      if (responseFormat) {
+        // vLLM and Ollama enforce this with guided decoding
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: true },
+        };
+      }
+      return { url: baseUrl(config) + '/v1/chat/completions', headers, body };
+    },
+    extractText(data) {
+      return data.choices?.[0]?.message?.content ?? '';
+    },
+    extractDelta(event) {
+      return event.choices?.[0]?.delta?.content;
+    },
+    extractUsage(data) {
+      const usage = data.usage;
+      if (!usage) return null;
+      return {
+        promptTokens: usage.prompt_tokens,
+        completionTokens: usage.completion_tokens,
+        totalTokens: usage.total_tokens,
+      };
+    },
+    buildModelsRequest(config) {
+      const headers = { Accept: 'application/json' };
+      if (config.apiKey) {
+        headers['Authorization'] = `Bearer ${config.apiKey}`;
+      }
+      return { url: baseUrl(config) + '/v1/models', headers };
+    },
+    parseModels(data) {
+      return (data.data || []).map((m) => {
+        const model = { id: m.id };
+        // vLLM reports the served context length
+        if (typeof m.max_model_len === 'number') {
+          model.contextWindow = m.max_model_len;
+        }
+        return model;
+      });
+    },
+  },
+
+  // Anthropic Messages API: /v1/messages with a top-level system field
+  anthropic: {
+    // No seed or repetition penalty in the Messages API
+    generationFields: {
+      temperature: 'temperature',
+      topP: 'top_p',
+      maxTokens: 'max_tokens',
+      stop: 'stop_sequences',
+    },
+    buildRequest(config, messages, stream, responseFormat, generation) {
+      // No JSON schema mode: structured replies rely on prompt instructions alone
+      const body = {
+        model: config.model,
+        max_tokens: config.maxOutputTokens || 4096,
+        messages: collapseConversationTurns(messages),
+        stream,
+      };
+      copyGenerationFields(this.generationFields, generation, body);
+      const system = collectSystemText(messages);
+      if (system) {
+        body.system = system;
+      }
+      return {
+        url: baseUrl(config) + '/v1/messages',
+        headers: { 'Content-Type': 'application/json', ...anthropicHeaders(config) },
+        body,
+      };
+    },
+    extractText(data) {
+      return (data.content || [])
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('');
+    },
+    extractDelta(event) {
+      return event.type === 'content_block_delta' ? event.delta?.text : undefined;
+    },
+    extractUsage(data) {
+      // Streaming: message_start carries input tokens, message_delta output tokens
+      const usage = data.usage || data.message?.usage;
+      if (!usage) return null;
+      return { promptTokens: usage.input_tokens, completionTokens: usage.output_tokens };
+    },
+    buildModelsRequest(config) {
+      return {
+        url: baseUrl(config) + '/v1/models',
+        headers: { Accept: 'application/json', ...anthropicHeaders(config) },
+      };
+    },
+    parseModels(data) {
+      return (data.data || []).map((m) => ({ id: m.id }));
+    },
+  },
+
+  // Gemini generateContent API: contents/parts with a systemInstruction field
+  gemini: {
+    // generationConfig fields; Gemini has no repetition penalty
+    generationFields: {
+      temperature: 'temperature',
+      topP: 'topP',
+      maxTokens: 'maxOutputTokens',
+      seed: 'seed',
+      stop: 'stopSequences',
+    },
+    buildRequest(config, messages, stream, responseFormat, generation) {
+      const model = encodeURIComponent(config.model);
+      const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+      const body = {
+        contents: collapseConversationTurns(messages).map((m) => ({
+          role: m.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: m.content }],
+        })),
+      };
+      const system = collectSystemText(messages);
+      if (system) {
+        body.systemInstruction = { parts: [{ text: system }] };
+      }
+      const generationConfig = {};
+      copyGenerationFields(this.generationFields, generation, generationConfig);
+      if (responseFormat) {
+        generationConfig.responseMimeType = 'application/json';
+        generationConfig.responseJsonSchema = responseFormat.schema;
+      }
+      if (Object.keys(generationConfig).length > 0) {
+        body.generationConfig = generationConfig;
+      }
+      return {
+        url: `${baseUrl(config)}/v1beta/models/${model}:${method}`,
+        headers: { 'Content-Type': 'application/json', ...geminiHeaders(config) },
+        body,
+      };
+    },
+    extractText(data) {
+      return geminiCandidateText(data);
+    },
+    extractDelta(event) {
+      return geminiCandidateText(event) || undefined;
+    },
+    extractUsage(data) {
+      const usage = data.usageMetadata;
+      if (!usage) return null;
+      return {
+        promptTokens: usage.promptTokenCount,
+        completionTokens: usage.candidatesTokenCount,
+        totalTokens: usage.totalTokenCount,
+      };
+    },
+    buildModelsRequest(config) {
+      return {
+        url: baseUrl(config) + '/v1beta/models',
+        headers: { Accept: 'application/json', ...geminiHeaders(config) },
+      };
+    },
+    parseModels(data) {
+      return (data.models || []).map((m) => {
+        const model = { id: m.name.replace(/^models\//, '') };
+        if (typeof m.inputTokenLimit === 'number') {
+          model.contextWindow = m.inputTokenLimit + (m.outputTokenLimit || 0);
+        }
+        if (typeof m.outputTokenLimit === 'number') {
+          model.maxOutputTokens = m.outputTokenLimit;
+        }
+        return model;
+      });
+    },
+  },
+};
+
+/**
+ * Copies the generation parameters an adapter supports onto a request body
+ * under the adapter's field names.
+ *
+ * @param {Object<string, string>} fields - Adapter generationFields
+ * @param {GenerationParams} [generation]
+ * @param {Object} target - Request body or nested config object (mutated)
+ * @private
+ */
+function copyGenerationFields(fields, generation, target) {
+  for (const [key, field] of Object.entries(fields)) {
+    if (generation?.[key] !== undefined) {
+      target[field] = generation[key];
+    }
+  }
+}
+
+/**
+ * Anthropic authentication headers. The direct-browser-access header is
+ * required for CORS when the taskpane calls the API without a proxy.
  *
  * @param {object} config - Backend configuration
- * @returns {{ url: string, headers: object }}
+ * @returns {object}
+ * @private
  */
-function buildRequestConfig(config) {
-  const url = config.url.replace(/\/+$/, '') + '/v1/chat/completions';
-  const headers = { 'Content-Type': 'application/json' };
+function anthropicHeaders(config) {
+  const headers = {
+    'anthropic-version': '2023-06-01',
+    'anthropic-dangerous-direct-browser-access': 'true',
+  };
   if (config.apiKey) {
-    headers['Authorization'] = `Bearer ${config.apiKey}`;
+    headers['x-api-key'] = config.apiKey;
   }
-  return { url, headers };
+  return headers;
 }
 
 /**
- * Sends a prompt to the configured LLM backend.
- * Uses OpenAI-compatible /v1/chat/completions format for both Ollama and vLLM.
+ * Gemini authentication headers.
  *
  * @param {object} config - Backend configuration
- * @param {string} config.url - Base proxy path (e.g., '/ollama' or '/vllm')
- * @param {string} config.apiKey - API key (empty string if not required)
- * @param {string} config.model - Model identifier
- * @param {string} promptText - The prompt text to send
- * @param {function} [log] - Optional logging callback (message, type)
- * @returns {Promise<string>} The LLM response text with think tags stripped
- * @throws {Error} On non-ok HTTP response or network failure
+ * @returns {object}
+ * @private
+ */
+function geminiHeaders(config) {
+  return config.apiKey ? { 'x-goog-api-key': config.apiKey } : {};
+}
+
+/**
+ * Concatenates the text parts of the first Gemini candidate.
+ *
+ * @param {object} data - generateContent response (or one streamed chunk)
+ * @returns {string}
+ * @private
+ */
+function geminiCandidateText(data) {
+  const parts = data.candidates?.[0]?.content?.parts || [];
+  return parts.map((p) => p.text || '').join('');
+}
+
+/**
+ * @typedef {Object} ModelInfo
+ * @property {string} id - Model identifier
+ * @property {number} [contextWindow] - Total context tokens, when the server reports it
+ * @property {number} [maxOutputTokens] - Max generated tokens, when the server reports it
+ */
+
+/**
+ * Supported provider identifiers for config.provider.
+ * @type {string[]}
+ */
+export const PROVIDERS = Object.keys(PROVIDER_ADAPTERS);
+
+/**
+ * Returns the adapter for config.provider, defaulting to the
+ * OpenAI-compatible adapter when the field is absent.
+ *
+ * @param {object} config - Backend configuration
+ * @returns {object} Provider adapter
+ * @throws {Error} When config.provider names an unknown provider
+ * @private
+ */
+function getAdapter(config) {
+  const provider = config.provider || 'openai';
+  const adapter = PROVIDER_ADAPTERS[provider];
+  if (!adapter) {
+    throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+  return adapter;
+}
+
+/**
+ * Resolves the generation parameters a request will use: config.generation
+ * (profile, already merged with the prompt's parameters by the caller) with
+ * per-call overrides on top. Parameters the provider's API does not support
+ * are reported as ignored rather than sent.
+ *
+ * @param {object} config - Backend configuration
+ * @param {GenerationParams} [overrides] - Per-call parameters (highest precedence)
+ * @returns {{params: GenerationParams, ignored: string[]}} Parameters sent, and the
+ *   keys of set parameters left out for this provider
+ */
+export function resolveGenerationParams(config, overrides) {
+  const { generationFields } = getAdapter(config);
+  const merged = mergeGenerationParams(config.generation, overrides);
+  const params = {};
+  const ignored = [];
+  for (const [key, value] of Object.entries(merged)) {
+    if (generationFields[key]) {
+      params[key] = value;
+    } else {
+      ignored.push(key);
+    }
+  }
+  return { params, ignored };
+}
+
+/**
+ * Default retry policy. A single attempt (no retry) unless the caller
+ * configures config.retry; the taskpane enables retries by default.
+ *
+ * - maxAttempts: total attempts including the first
+ * - baseDelayMs: backoff before the first retry, doubled on each subsequent retry
+ * - maxDelayMs: upper bound for any single wait (including Retry-After)
+ * - jitter: fraction of the delay randomized in either direction (0-1)
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  jitter: 0.2,
+};
+
+/**
+ * Whether a failed request should be retried: HTTP 429 and 5xx responses and
+ * network failures (fetch rejects with TypeError). Aborts and timeouts are
+ * never retried.
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ * @private
  */
-export async function sendPrompt(config, promptText, log) {
-  const { url, headers } = buildRequestConfig(config);
+function isRetryableError(err) {
+  if (err.name === 'AbortError' || err.name === 'TimeoutError') return false;
+  if (typeof err.status === 'number') {
+    return err.status === 429 || err.status >= 500;
+  }
+  return err.networkError === true;
+}
 
-  const body = JSON.stringify({
-    model: config.model,
-    messages: [{ role: 'user', content: promptText }],
-    stream: false,
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date) into ms.
+ *
+ * @param {string|null|undefined} value - Header value
+ * @param {number} [now=Date.now()] - Current time, for HTTP-date values
+ * @returns {number|null} Delay in ms, or null when absent/unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const trimmed = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.round(parseFloat(trimmed) * 1000);
+  }
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Computes the wait before the next attempt. Retry-After wins when present;
+ * otherwise exponential backoff with jitter. Both are capped at maxDelayMs.
+ *
+ * @param {Object} policy - Resolved retry policy
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Error} err - The failure, possibly carrying retryAfterMs
+ * @returns {number} Delay in ms
+ * @private
+ */
+function computeRetryDelay(policy, attempt, err) {
+  if (typeof err.retryAfterMs === 'number') {
+    return Math.min(err.retryAfterMs, policy.maxDelayMs);
+  }
+  const exponential = Math.min(policy.baseDelayMs * Math.pow(2, attempt - 1), policy.maxDelayMs);
+  const spread = exponential * policy.jitter * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(exponential + spread));
+}
+
+/**
+ * Waits for ms, rejecting early with AbortError if the signal fires.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ * @private
+ */
+function waitForRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+      return;
+    }
+    let onAbort;
+    const timer = setTimeout(() => {
+      if (signal && onAbort) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) {
+      onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      };
+      signal.addEventListener('abort', onAbort);
+    }
   });
+}
 
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 120000);
+/**
+ * Builds the error thrown for a non-ok response, tagging it with the HTTP
+ * status and any Retry-After delay so the retry loop can classify it.
+ *
+ * @param {Response} response
+ * @returns {Error}
+ * @private
+ */
+function httpError(response) {
+  const err = new Error(`HTTP ${response.status}: ${response.statusText}`);
+  err.status = response.status;
+  const retryAfterMs = parseRetryAfter(response.headers?.get?.('Retry-After'));
+  if (retryAfterMs !== null) {
+    err.retryAfterMs = retryAfterMs;
+  }
+  return err;
+}
 
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body,
-      signal: controller.signal,
-    });
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} promptTokens - Input tokens billed by the backend
+ * @property {number} completionTokens - Output tokens billed by the backend
+ * @property {number} totalTokens - promptTokens + completionTokens unless reported otherwise
+ */
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+/**
+ * Merges the numeric fields of a partial usage report into an accumulator.
+ * Later reports win, which matches how streaming APIs send running totals.
+ *
+ * @param {Object} target - Accumulator (mutated)
+ * @param {Object|null} partial - Adapter extractUsage() result
+ * @private
+ */
+function mergeUsage(target, partial) {
+  if (!partial) return;
+  for (const key of ['promptTokens', 'completionTokens', 'totalTokens']) {
+    if (typeof partial[key] === 'number') {
+      target[key] = partial[key];
     }
+  }
+}
+
+/**
+ * Completes a merged usage accumulator into a TokenUsage, or null when the
+ * backend reported nothing.
+ *
+ * @param {Object} usage - Accumulator from mergeUsage
+ * @returns {TokenUsage|null}
+ * @private
+ */
+function finalizeUsage(usage) {
+  if (Object.keys(usage).length === 0) return null;
+  const promptTokens = usage.promptTokens || 0;
+  const completionTokens = usage.completionTokens || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.totalTokens ?? promptTokens + completionTokens,
+  };
+}
+
+/**
+ * Reads a completion response body as text.
+ *
+ * When onDelta is provided and the response has a readable body, the body is
+ * consumed as a server-sent event stream (`data: {json}` lines, optionally
+ * terminated by `data: [DONE]`); the adapter pulls the text delta out of each
+ * event. After each content delta, onDelta receives the displayable text so
+ * far (rolling buffer passed through stripPartialThinkTags). Otherwise the
+ * body is parsed as JSON. Token usage is collected from either form.
+ *
+ * @param {Response} response - fetch Response with ok status
+ * @param {object} adapter - Provider adapter
+ * @param {function} [onDelta] - Called with (visibleText, rawText) as deltas arrive
+ * @returns {Promise<{text: string, usage: TokenUsage|null}>} Raw (uncleaned) text and usage
+ * @private
+ */
+async function readCompletionText(response, adapter, onDelta) {
+  const usage = {};
 
+  if (typeof onDelta !== 'function' || !response.body || typeof response.body.getReader !== 'function') {
     const data = await response.json();
-    const rawText = data.choices?.[0]?.message?.content ?? '';
-    return stripThinkTags(rawText, log);
-  } finally {
-    clearTimeout(timeoutId);
+    mergeUsage(usage, adapter.extractUsage(data));
+    return { text: adapter.extractText(data), usage: finalizeUsage(usage) };
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let rawText = '';
+  let done = false;
+
+  // Handles one SSE line; returns true on the [DONE] terminator
+  const handleLine = (rawLine) => {
+    const line = rawLine.trim();
+    if (!line.startsWith('data:')) return false;
+    const payload = line.substring(5).trim();
+    if (payload === '[DONE]') return true;
+
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (e) {
+      return false; // Ignore malformed keep-alive or partial events
+    }
+
+    mergeUsage(usage, adapter.extractUsage(event));
+    const delta = adapter.extractDelta(event);
+    if (delta) {
+      rawText += delta;
+      onDelta(stripPartialThinkTags(rawText), rawText);
+    }
+    return false;
+  };
+
+  while (!done) {
+    const chunk = await reader.read();
+    if (chunk.done) break;
+    buffer += decoder.decode(chunk.value, { stream: true });
+
+    // SSE events are newline-delimited; keep any incomplete trailing line buffered
+    let newlineIdx;
+    while ((newlineIdx = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.substring(0, newlineIdx);
+      buffer = buffer.substring(newlineIdx + 1);
+      if (handleLine(line)) {
+        done = true;
+        break;
+      }
+    }
   }
+
+  // The stream may end without a trailing newline: handle what is left
+  if (!done) {
+    buffer += decoder.decode();
+    for (const line of buffer.split('\n')) {
+      if (handleLine(line)) break;
+    }
+  }
+
+  if (done && typeof reader.cancel === 'function') {
+    reader.cancel().catch(() => {});
+  }
+
+  return { text: rawText, usage: finalizeUsage(usage) };
+}
+
+/**
+ * Sends a prompt to the configured LLM backend as a single user message.
+ * The request is shaped by the provider adapter selected by config.provider.
+ *
+ * @param {object} config - Backend configuration
+ * @param {string} config.url - Base URL or proxy path (e.g., '/ollama' or '/vllm')
+ * @param {string} config.apiKey - API key (empty string if not required)
+ * @param {string} config.model - Model identifier
+ * @param {string} [config.provider='openai'] - 'openai', 'anthropic' or 'gemini'
+ * @param {Object} [config.retry] - Retry policy overrides (see DEFAULT_RETRY_POLICY)
+ * @param {GenerationParams} [config.generation] - Sampling/length parameters (see generation-params.js)
+ * @param {number} [config.timeoutMs=120000] - Request timeout
+ * @param {Object<string, string>} [config.headers] - Extra HTTP headers (e.g. gateway auth)
+ * @param {string} promptText - The prompt text to send
+ * @param {function} [log] - Optional logging callback (message, type)
+ * @param {Object} [options]
+ * @param {function} [options.onDelta] - Enables SSE streaming; called with (visibleText, rawText) per delta
+ * @param {boolean} [options.includeUsage=false] - Resolve to { text, usage } instead of the text
+ * @param {{name: string, schema: Object}} [options.responseFormat] - Request JSON output matching schema
+ * @param {GenerationParams} [options.generation] - Per-call parameters, merged over config.generation
+ * @returns {Promise<string|{text: string, usage: TokenUsage|null}>} The LLM response text with
+ *   think tags stripped (or text plus usage when includeUsage is set)
+ * @throws {Error} On non-ok HTTP response, network failure or timeout (config.timeoutMs, default 120 seconds),
+ *   once the retry policy is exhausted
+ */
+export async function sendPrompt(config, promptText, log, options = {}) {
+  return sendMessages(config, [{ role: 'user', content: promptText }], log, undefined, config.timeoutMs || 120000, options);
 }
 
 /**
  * Sends a messages array to the LLM backend, preserving system/user roles.
  * Unlike sendPrompt (single string), this sends the messages array directly
- * to the chat completions API without wrapping in a single user message.
+ * without wrapping in a single user message. Providers without a system role
+ * (Anthropic, Gemini) receive system messages in their dedicated field.
  *
  * Uses a manual AbortController approach instead of AbortSignal.any() for
  * compatibility with Office's WebView2 runtime.
  *
- * @param {Object} config - { url, apiKey, model }
+ * Failed attempts are retried according to config.retry (merged over
+ * DEFAULT_RETRY_POLICY): HTTP 429/5xx and network errors back off
+ * exponentially with jitter, honoring Retry-After. Each attempt gets its own
+ * timeout; aborts and timeouts are never retried. Retries are reported via log.
+ *
+ * @param {Object} config - { url, apiKey, model, provider?, retry?, generation?, headers? }
  * @param {Array<{role: string, content: string}>} messages - Chat messages
  * @param {function} [log] - Optional logging callback (message, type)
  * @param {AbortSignal} [signal] - Optional abort signal for cancellation
  * @param {number} [timeoutMs=120000] - Per-request timeout in ms
- * @returns {Promise<string>} Cleaned LLM response text
- * @throws {Error} On non-ok HTTP response or network failure
+ * @param {Object} [options]
+ * @param {function} [options.onDelta] - Enables SSE streaming; called with (visibleText, rawText) per delta
+ * @param {boolean} [options.includeUsage=false] - Resolve to { text, usage } instead of the text.
+ *   usage is the backend-reported TokenUsage, or null when the backend omits it.
+ * @param {{name: string, schema: Object}} [options.responseFormat] - Request JSON output matching
+ *   schema (OpenAI-compatible response_format, Gemini responseJsonSchema; ignored by Anthropic)
+ * @param {GenerationParams} [options.generation] - Per-call parameters, merged over config.generation
+ *   (see resolveGenerationParams)
+ * @returns {Promise<string|{text: string, usage: TokenUsage|null}>} Cleaned LLM response text
+ *   (or text plus usage when includeUsage is set)
+ * @throws {Error} On non-ok HTTP response (error.status set) or network failure
  * @throws {DOMException} AbortError on user cancellation via signal
  * @throws {Error} TimeoutError (error.name === 'TimeoutError') when timeout expires
  */
-export async function sendMessages(config, messages, log, signal, timeoutMs = 120000) {
-  const { url, headers } = buildRequestConfig(config);
+export async function sendMessages(config, messages, log, signal, timeoutMs = 120000, options = {}) {
+  const adapter = getAdapter(config);
+  const policy = { ...DEFAULT_RETRY_POLICY, ...(config.retry || {}) };
+  const maxAttempts = Math.max(1, policy.maxAttempts);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const reply = await attemptCompletion(adapter, config, messages, log, signal, timeoutMs, options);
+      return options.includeUsage ? reply : reply.text;
+    } catch (err) {
+      if (attempt >= maxAttempts || !isRetryableError(err)) {
+        throw err;
+      }
+      const delayMs = computeRetryDelay(policy, attempt, err);
+      if (log) {
+        log(`LLM request failed (${err.message}); retrying in ${(delayMs / 1000).toFixed(1)}s ` +
+          `(attempt ${attempt + 1}/${maxAttempts})`, 'warning');
+      }
+      await waitForRetry(delayMs, signal);
+    }
+  }
+}
 
-  const body = JSON.stringify({
-    model: config.model,
-    messages: messages,
-    stream: false,
-  });
+/**
+ * Performs a single completion request with its own timeout.
+ *
+ * @returns {Promise<{text: string, usage: TokenUsage|null}>} Cleaned text and usage
+ * @private
+ */
+async function attemptCompletion(adapter, config, messages, log, signal, timeoutMs, options) {
+  const { onDelta, responseFormat } = options;
+  const { params } = resolveGenerationParams(config, options.generation);
+  const { url, headers, body } = adapter.buildRequest(config, messages, typeof onDelta === 'function', responseFormat, params);
 
   // Create a local AbortController for timeout management
   const localController = new AbortController();
@@ -272,20 +942,28 @@ export async function sendMessages(config, messages, log, signal, timeoutMs = 12
   }
 
   try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body,
-      signal: localController.signal,
-    });
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { ...headers, ...(config.headers || {}) },
+        body: JSON.stringify(body),
+        signal: localController.signal,
+      });
+    } catch (fetchErr) {
+      // fetch rejects with TypeError on network failure (DNS, refused, CORS)
+      if (fetchErr instanceof TypeError) {
+        fetchErr.networkError = true;
+      }
+      throw fetchErr;
+    }
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      throw httpError(response);
     }
 
-    const data = await response.json();
-    const rawText = data.choices?.[0]?.message?.content ?? '';
-    return stripThinkTags(rawText, log);
+    const { text, usage } = await readCompletionText(response, adapter, onDelta);
+    return { text: stripThinkTags(text, log), usage };
   } catch (err) {
     // Distinguish timeout aborts from user cancellation aborts
     if (timedOut && err.name === 'AbortError') {
@@ -304,30 +982,27 @@ export async function sendMessages(config, messages, log, signal, timeoutMs = 12
 
 /**
  * Tests connection to the configured LLM backend and retrieves model list.
- * Uses OpenAI-compatible /v1/models endpoint for both Ollama and vLLM.
+ * Uses the provider's model listing endpoint (/v1/models for OpenAI-compatible
+ * and Anthropic backends, /v1beta/models for Gemini).
  *
  * @param {object} config - Backend configuration
- * @param {string} config.url - Base proxy path (e.g., '/ollama' or '/vllm')
+ * @param {string} config.url - Base URL or proxy path (e.g., '/ollama' or '/vllm')
  * @param {string} config.apiKey - API key (empty string if not required)
- * @returns {Promise<{connected: boolean, models: Array<{id: string}>}>}
+ * @param {string} [config.provider='openai'] - 'openai', 'anthropic' or 'gemini'
+ * @param {Object<string, string>} [config.headers] - Extra HTTP headers
+ * @returns {Promise<{connected: boolean, models: Array<ModelInfo>}>}
  * @throws {Error} On non-ok HTTP response or network failure
  */
 export async function testConnection(config) {
-  const url = config.url.replace(/\/+$/, '') + '/v1/models';
+  const adapter = getAdapter(config);
+  const { url, headers } = adapter.buildModelsRequest(config);
 
-  const headers = { Accept: 'application/json' };
-  if (config.apiKey) {
-    headers['Authorization'] = `Bearer ${config.apiKey}`;
-  }
-
-  const response = await fetch(url, { method: 'GET', headers });
+  const response = await fetch(url, { method: 'GET', headers: { ...headers, ...(config.headers || {}) } });
 
   if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    throw httpError(response);
   }
 
   const data = await response.json();
-  const models = (data.data || []).map((m) => ({ id: m.id }));
-  return { connected: true, models };
+  return { connected: true, models: adapter.parseModels(data) };
 }
-
@@ -7,11 +7,22 @@
  * and returns results with status tracking.
  *
  * Key behaviors:
- * - Worker-pool concurrency pattern with configurable limit (default 4)
+ * - Worker-pool concurrency pattern with configurable limit (default 4), or an
+ *   adaptive limit (adaptive-concurrency.js) that starts low, grows while
+ *   latency is stable and halves on timeouts/429s
+ * - Optional response cache (response-cache.js): requests identical to an
+ *   earlier run's are answered from the cache instead of the LLM
  * - Promise.allSettled semantics: failed chunks don't block successful ones
  * - AbortController cancellation stops pending work immediately
  * - Progress callback fires after each chunk with accurate counts and ETA
  * - Prompt composition includes document context prefix and overlap markers
+ * - Backend-reported token usage is attached to each result and totalled in the log
+ * - Merged amendment+comment replies use ===AMENDMENT=== delimiters, or a JSON
+ *   object validated by response-parser.js in structured mode; replies with
+ *   neither can be split by a second classification call
+ * - Optional consistency pass (consistency-checker.js) after all chunks: defined
+ *   terms and values changed in some chunks but not others are flagged as
+ *   comments, or the affected chunks are re-requested with a note
  *
  * Pure JavaScript -- no Word API dependency.
  *
@@ -20,11 +31,24 @@
 
 import { sendMessages as defaultSendMessages, stripMarkdown, stripChunkDelimiters } from './llm-client.js';
 import { formatContextPrefix as defaultFormatContextPrefix } from './context-extractor.js';
-import { parseDelimitedResponse as defaultParseDelimitedResponse } from './response-parser.js';
+import {
+  parseDelimitedResponse as defaultParseDelimitedResponse,
+  parseStructuredResponse as defaultParseStructuredResponse,
+  buildFallbackClassificationPrompt,
+  formatStructuredOutputInstructions,
+  STRUCTURED_RESPONSE_FORMAT,
+} from './response-parser.js';
+import { estimateTokenCount } from './comment-extractor.js';
+import { sumUsage, formatUsage } from './usage-tracker.js';
+import { checkConsistency, consistencyNotes, flagConsistencyIssues } from './consistency-checker.js';
+import { AdaptiveConcurrency, isOverloadError } from './adaptive-concurrency.js';
+import { responseCacheKey } from './response-cache.js';
 
 /**
  * @typedef {import('./document-chunker.js').DocumentChunk} DocumentChunk
  * @typedef {import('./context-extractor.js').DocumentContext} DocumentContext
+ * @typedef {import('./llm-client.js').TokenUsage} TokenUsage
+ * @typedef {import('./response-cache.js').ResponseCache} ResponseCache
  */
 
 /**
@@ -34,7 +58,12 @@ import { parseDelimitedResponse as defaultParseDelimitedResponse } from './respo
  * @property {'fulfilled'|'rejected'|'cancelled'} status
  * @property {string|null} amendment - Amended text (for amendment/merged mode)
  * @property {string|null} comment - Comment text (for comment/merged mode)
+ * @property {Array<{quote: string, text: string}>|null} comments - Individual comments (structured mode)
+ * @property {string|null} rationale - Model's explanation of the amendment (structured mode)
  * @property {string|null} error - Error message if rejected
+ * @property {TokenUsage|null} usage - Backend-reported token usage (null if not reported)
+ * @property {number|null} estimatedPromptTokens - Local estimate of the prompt sent for this chunk
+ * @property {boolean} cached - Whether the reply came from the response cache (usage is then null)
  * @property {DocumentChunk} chunk - Reference to original chunk
  */
 
@@ -46,6 +75,10 @@ import { parseDelimitedResponse as defaultParseDelimitedResponse } from './respo
  * @property {number} total - Total chunks
  * @property {number} percentComplete - 0-100
  * @property {number} estimatedSecondsRemaining - ETA based on average per-chunk time
+ * @property {number} concurrency - Current limit on parallel requests (changes in adaptive mode)
+ * @property {number} cacheHits - Requests answered from the response cache so far
+ * @property {{chunkId: string, sectionTitle: string, text: string}} [partial] - Streaming
+ *   preview of an in-flight chunk (only present on partial updates when streaming)
  */
 
 /**
@@ -57,10 +90,13 @@ import { parseDelimitedResponse as defaultParseDelimitedResponse } from './respo
  * @param {string} mode - 'amendment'|'comment'|'both'
  * @param {string} commentInstructions - For merged mode
  * @param {function} formatContextPrefixFn
+ * @param {number} [contextPrefixTokens=4000] - Token budget for the document context prefix
+ * @param {boolean} [structuredOutput=false] - Ask for a JSON object instead of delimiters (merged mode)
+ * @param {string} [consistencyNote=''] - Changes made in other chunks to carry over (consistency pass)
  * @returns {Array<{role: string, content: string}>}
  * @private
  */
-function _composeChunkMessages(chunk, documentContext, promptManager, mode, commentInstructions, formatContextPrefixFn) {
+function _composeChunkMessages(chunk, documentContext, promptManager, mode, commentInstructions, formatContextPrefixFn, contextPrefixTokens = 4000, structuredOutput = false, consistencyNote = '') {
   const messages = [];
 
   // Build chunk text from paragraphs
@@ -68,7 +104,7 @@ function _composeChunkMessages(chunk, documentContext, promptManager, mode, comm
 
   // 1. System message: user's Context prompt (if active) + document context prefix
   const contextPrompt = promptManager.getActivePrompt('context');
-  const docContextPrefix = formatContextPrefixFn(documentContext, chunkText, 4000);
+  const docContextPrefix = formatContextPrefixFn(documentContext, chunkText, contextPrefixTokens);
 
   let systemContent = '';
   if (contextPrompt) {
@@ -101,6 +137,9 @@ function _composeChunkMessages(chunk, documentContext, promptManager, mode, comm
     textContent += `[CONTEXT - DO NOT AMEND]\n${chunk.overlapBefore}\n[END CONTEXT]\n\n`;
   }
   textContent += `[AMEND THIS TEXT]\n${chunkText}\n[END TEXT]`;
+  if (chunk.overlapAfter) {
+    textContent += `\n\n[CONTEXT - DO NOT AMEND]\n${chunk.overlapAfter}\n[END CONTEXT]`;
+  }
 
   // Substitute into template
   if (promptTemplate.includes('{selection}')) {
@@ -109,6 +148,10 @@ function _composeChunkMessages(chunk, documentContext, promptManager, mode, comm
     userContent = promptTemplate + '\n\n' + textContent;
   }
 
+  if (consistencyNote) {
+    userContent += `\n\n${consistencyNote}`;
+  }
+
   // Add output format constraints for amendment mode
   if (mode === 'amendment' || mode === 'both') {
     userContent += `\n\nCRITICAL OUTPUT RULES:
@@ -120,9 +163,12 @@ function _composeChunkMessages(chunk, documentContext, promptManager, mode, comm
 - Do NOT include the delimiter markers [AMEND THIS TEXT], [END TEXT], [CONTEXT - DO NOT AMEND], or [END CONTEXT] in your output. These are input framing only.`;
   }
 
-  // For merged mode, append comment instructions with delimiter format.
+  // For merged mode, append comment instructions with delimiter format (or the
+  // JSON shape in structured mode).
   // When mode is 'amendment' but commentInstructions are provided, treat as merged.
-  if ((mode === 'both' || mode === 'amendment') && commentInstructions) {
+  if ((mode === 'both' || mode === 'amendment') && commentInstructions && structuredOutput) {
+    userContent += `\n\n${formatStructuredOutputInstructions(commentInstructions)}`;
+  } else if ((mode === 'both' || mode === 'amendment') && commentInstructions) {
     userContent += `\n\nAdditionally, provide a comment for this text based on these instructions: ${commentInstructions.trim()}
 
 FORMAT YOUR RESPONSE WITH THESE EXACT DELIMITERS:
@@ -147,13 +193,34 @@ FORMAT YOUR RESPONSE WITH THESE EXACT DELIMITERS:
  * @param {DocumentContext} options.documentContext - From extractContext()
  * @param {function} options.log - addLog callback
  * @param {function} [options.onProgress] - Called after each chunk with ProcessingProgress
+ * @param {function} [options.onResult] - Called with each ChunkResult as its request settles
+ *   (not for chunks cancelled before they started), e.g. to persist run state
  * @param {AbortSignal} [options.signal] - Cancellation signal
- * @param {number} [options.concurrency=4] - Max parallel LLM calls
+ * @param {number} [options.concurrency=4] - Max parallel LLM calls (the ceiling in adaptive mode)
+ * @param {boolean} [options.adaptiveConcurrency=false] - Start at one request and adjust the
+ *   limit AIMD-style: grow while latency is stable, halve on timeouts and 429/503 responses
  * @param {number} [options.timeoutMs=30000] - Per-chunk LLM timeout
  * @param {string} [options.commentInstructions=''] - Comment instructions for merged mode
- * @param {function} [options.sendMessagesFn] - Injectable sendMessages (for testing)
+ * @param {boolean} [options.stream=false] - Stream responses; onProgress receives partial text as it arrives
+ * @param {number} [options.contextPrefixTokens=4000] - Document context prefix budget (see token-budget.js)
+ * @param {number|null} [options.inputBudget=null] - Max prompt tokens for the model; larger prompts are
+ *   still sent but logged as a warning
+ * @param {boolean} [options.structuredOutput=false] - Merged mode: request a JSON object via
+ *   response_format instead of ===AMENDMENT=== delimiters
+ * @param {boolean} [options.classifyFallback=false] - Merged mode: when a reply has no
+ *   amendment/comment sections, ask the LLM to split it before treating it all as the amendment
+ * @param {'off'|'flag'|'reprompt'} [options.consistencyCheck='off'] - After all chunks, check
+ *   that defined terms and values were changed consistently across chunks. 'flag' logs each
+ *   conflict and appends it to the affected chunks' comments; 'reprompt' first re-requests
+ *   chunks that missed a change (keeping the first result if that fails), then flags what remains
+ * @param {ResponseCache|null} [options.responseCache=null] - Answer requests identical to an
+ *   earlier one from this cache, and store new replies in it
+ * @param {boolean} [options.bypassCache=false] - Send every request, but still store the replies
+ * @param {function} [options.sendMessagesFn] - Injectable sendMessages (for testing); may resolve
+ *   to the response text or to { text, usage }
  * @param {function} [options.formatContextPrefixFn] - Injectable formatContextPrefix (for testing)
  * @param {function} [options.parseDelimitedResponseFn] - Injectable parseDelimitedResponse (for testing)
+ * @param {function} [options.parseStructuredResponseFn] - Injectable parseStructuredResponse (for testing)
  * @returns {Promise<ChunkResult[]>}
  */
 export async function processChunksParallel(chunks, options) {
@@ -163,13 +230,24 @@ export async function processChunksParallel(chunks, options) {
     documentContext,
     log,
     onProgress,
+    onResult,
     signal,
     concurrency = 4,
+    adaptiveConcurrency = false,
     timeoutMs = 30000,
     commentInstructions = '',
+    stream = false,
+    contextPrefixTokens = 4000,
+    inputBudget = null,
+    structuredOutput = false,
+    classifyFallback = false,
+    consistencyCheck = 'off',
+    responseCache = null,
+    bypassCache = false,
     sendMessagesFn = defaultSendMessages,
     formatContextPrefixFn = defaultFormatContextPrefix,
     parseDelimitedResponseFn = defaultParseDelimitedResponse,
+    parseStructuredResponseFn = defaultParseStructuredResponse,
   } = options;
 
   if (chunks.length === 0) {
@@ -177,6 +255,10 @@ export async function processChunksParallel(chunks, options) {
   }
 
   const mode = promptManager.getActiveMode();
+  // When mode is 'amendment' but commentInstructions are provided,
+  // the prompt requests merged output.
+  const isMerged = (mode === 'both') || (mode === 'amendment' && !!commentInstructions);
+  const useStructured = structuredOutput && isMerged && !!commentInstructions;
   const results = new Array(chunks.length);
   let nextIndex = 0;
   let completed = 0;
@@ -184,8 +266,12 @@ export async function processChunksParallel(chunks, options) {
   let cancelled = 0;
   const startTime = Date.now();
   const chunkTimings = []; // Track per-chunk elapsed times for ETA
+  const adaptive = adaptiveConcurrency ? new AdaptiveConcurrency({ max: concurrency }) : null;
+  let active = 0;
+  let slotWaiters = [];
+  let cacheHits = 0;
 
-  function reportProgress() {
+  function reportProgress(partial) {
     if (!onProgress) return;
 
     const settled = completed + failed + cancelled;
@@ -199,14 +285,20 @@ export async function processChunksParallel(chunks, options) {
       estimatedSecondsRemaining = Math.round((remaining * avgMs) / 1000);
     }
 
-    onProgress({
+    const progress = {
       completed,
       failed,
       cancelled,
       total: chunks.length,
       percentComplete,
       estimatedSecondsRemaining,
-    });
+      concurrency: adaptive ? adaptive.limit : concurrency,
+      cacheHits,
+    };
+    if (partial) {
+      progress.partial = partial;
+    }
+    onProgress(progress);
   }
 
   function makeResult(chunkIndex, chunk, status, data = {}) {
@@ -216,12 +308,46 @@ export async function processChunksParallel(chunks, options) {
       status,
       amendment: data.amendment || null,
       comment: data.comment || null,
+      comments: data.comments || null,
+      rationale: data.rationale || null,
       error: data.error || null,
+      usage: data.usage || null,
+      estimatedPromptTokens: data.estimatedPromptTokens || null,
+      cached: !!data.cached,
       chunk,
     };
   }
 
-  async function processChunk(chunkIndex) {
+  // Sends a chunk's request, answering it from the response cache when an
+  // identical request was made before. Cache failures are logged and the
+  // request is sent as usual.
+  async function requestReply(chunk, messages, sendOptions) {
+    let key = null;
+    if (responseCache) {
+      try {
+        key = await responseCacheKey(config, messages, sendOptions);
+        const hit = bypassCache ? null : await responseCache.get(key);
+        if (hit) {
+          cacheHits++;
+          return { text: hit.text, usage: null, cached: true };
+        }
+      } catch (err) {
+        log(`Chunk ${chunk.id}: response cache lookup failed -- ${err.message}`, 'warning');
+      }
+    }
+
+    const reply = await sendMessagesFn(config, messages, log, signal, timeoutMs, sendOptions);
+    if (key) {
+      try {
+        await responseCache.set(key, typeof reply === 'string' ? reply : reply.text);
+      } catch (err) {
+        log(`Chunk ${chunk.id}: could not store the response in the cache -- ${err.message}`, 'warning');
+      }
+    }
+    return reply;
+  }
+
+  async function processChunk(chunkIndex, consistencyNote = '') {
     const chunk = chunks[chunkIndex];
     const chunkStart = Date.now();
 
@@ -241,25 +367,87 @@ export async function processChunksParallel(chunks, options) {
         promptManager,
         mode,
         commentInstructions,
-        formatContextPrefixFn
+        formatContextPrefixFn,
+        contextPrefixTokens,
+        useStructured,
+        consistencyNote
       );
 
-      // Send to LLM
-      const responseText = await sendMessagesFn(config, messages, log, signal, timeoutMs);
+      const estimatedPromptTokens = estimateTokenCount(messages.map((m) => m.content).join('\n'));
+      if (inputBudget && estimatedPromptTokens > inputBudget) {
+        log(
+          `Chunk ${chunk.id}: prompt is ~${estimatedPromptTokens} tokens, over the model's ` +
+          `${inputBudget}-token input budget -- the response may be truncated or rejected`,
+          'warning'
+        );
+      }
 
-      // Parse response based on mode.
-      // When mode is 'amendment' but commentInstructions are provided,
-      // the prompt requested delimited output -- parse it as merged.
+      // Send to LLM (streamed deltas are surfaced as partial progress updates)
+      const sendOptions = { includeUsage: true };
+      if (useStructured) {
+        sendOptions.responseFormat = STRUCTURED_RESPONSE_FORMAT;
+      }
+      if (stream) {
+        sendOptions.onDelta = (text) => {
+          reportProgress({ chunkId: chunk.id, sectionTitle: chunk.sectionTitle || '', text });
+        };
+      }
+      const reply = await requestReply(chunk, messages, sendOptions);
+      const cached = typeof reply !== 'string' && !!reply.cached;
+      const responseText = typeof reply === 'string' ? reply : reply.text;
+      let usage = typeof reply === 'string' ? null : reply.usage || null;
+
+      // Parse response based on mode
       let amendment = null;
       let comment = null;
-      const isMerged = (mode === 'both') || (mode === 'amendment' && commentInstructions);
+      let comments = null;
+      let rationale = null;
 
       if (isMerged) {
-        const parsed = parseDelimitedResponseFn(responseText);
+        const parsed = useStructured
+          ? parseStructuredResponseFn(responseText)
+          : parseDelimitedResponseFn(responseText);
+        if (useStructured && !parsed.structured) {
+          log(`Chunk ${chunk.id}: structured response rejected (${parsed.error}); parsed as delimited text`, 'warning');
+        }
         amendment = parsed.amendment;
         comment = parsed.comment;
+        comments = parsed.comments || null;
+        rationale = parsed.rationale || null;
+
+        // Second pass: ask the LLM to split an unsectioned reply
+        if (!amendment && !comment && classifyFallback) {
+          log(`Chunk ${chunk.id}: response has no amendment/comment sections; running fallback classification`, 'info');
+          try {
+            const chunkText = chunk.paragraphs.map((p) => p.text).join('\n');
+            const classifyReply = await sendMessagesFn(
+              config,
+              buildFallbackClassificationPrompt(responseText, chunkText),
+              log,
+              signal,
+              timeoutMs,
+              { includeUsage: true }
+            );
+            const classifyText = typeof classifyReply === 'string' ? classifyReply : classifyReply.text;
+            if (typeof classifyReply !== 'string' && classifyReply.usage) {
+              usage = sumUsage([usage, classifyReply.usage]);
+            }
+            const split = parseDelimitedResponseFn(classifyText);
+            amendment = split.amendment;
+            comment = split.comment;
+            comments = comment ? [{ quote: '', text: comment }] : null;
+            if (amendment || comment) {
+              log(`Chunk ${chunk.id}: fallback classification split the response`, 'info');
+            }
+          } catch (classifyError) {
+            if (classifyError.name === 'AbortError') throw classifyError;
+            log(`Chunk ${chunk.id}: fallback classification failed -- ${classifyError.message}`, 'warning');
+          }
+        }
+
         // Fallback: if no delimiters found, treat as amendment
         if (!amendment && !comment) {
+          log(`Chunk ${chunk.id}: response has no amendment/comment sections; using it all as the amendment`, 'warning');
           amendment = responseText;
         }
       } else if (mode === 'amendment') {
@@ -275,9 +463,26 @@ export async function processChunksParallel(chunks, options) {
       }
 
       completed++;
-      chunkTimings.push(Date.now() - chunkStart);
-      results[chunkIndex] = makeResult(chunkIndex, chunk, 'fulfilled', { amendment, comment });
+      // A cached reply says nothing about the backend's speed or load
+      if (!cached) {
+        chunkTimings.push(Date.now() - chunkStart);
+        if (adaptive && adaptive.recordSuccess(Date.now() - chunkStart, estimatedPromptTokens)) {
+          log(`Concurrency raised to ${adaptive.limit}`, 'info');
+        }
+      }
+      results[chunkIndex] = makeResult(chunkIndex, chunk, 'fulfilled', {
+        amendment,
+        comment,
+        comments,
+        rationale,
+        usage,
+        estimatedPromptTokens,
+        cached,
+      });
     } catch (error) {
+      if (adaptive && isOverloadError(error) && adaptive.recordOverload(chunkStart)) {
+        log(`Backend overloaded (${error.message}); concurrency lowered to ${adaptive.limit}`, 'warning');
+      }
       if (error.name === 'AbortError') {
         cancelled++;
         results[chunkIndex] = makeResult(chunkIndex, chunk, 'cancelled');
@@ -297,9 +502,87 @@ export async function processChunksParallel(chunks, options) {
       }
     }
 
+    if (onResult) {
+      onResult(results[chunkIndex]);
+    }
     reportProgress();
   }
 
+  // Waits for a free request slot under the current limit (fixed or adaptive)
+  async function acquireSlot() {
+    while (active >= (adaptive ? adaptive.limit : concurrency)) {
+      await new Promise((resolve) => slotWaiters.push(resolve));
+    }
+    active++;
+  }
+
+  function releaseSlot() {
+    active--;
+    const waiters = slotWaiters;
+    slotWaiters = [];
+    waiters.forEach((resolve) => resolve());
+  }
+
+  async function processChunkInSlot(chunkIndex, consistencyNote) {
+    await acquireSlot();
+    try {
+      await processChunk(chunkIndex, consistencyNote);
+    } finally {
+      releaseSlot();
+    }
+  }
+
+  // Re-requests chunks with a consistency note; a failed re-request keeps
+  // the chunk's first result.
+  async function reprocessChunks(notes) {
+    const queue = chunks
+      .map((_, i) => i)
+      .filter((i) => notes.has(chunks[i].id));
+    const reworker = async () => {
+      while (queue.length > 0 && !(signal && signal.aborted)) {
+        const i = queue.shift();
+        const previous = results[i];
+        completed--;
+        await processChunkInSlot(i, notes.get(chunks[i].id));
+        if (results[i].status !== 'fulfilled') {
+          if (results[i].status === 'rejected') failed--;
+          else cancelled--;
+          completed++;
+          log(`Chunk ${chunks[i].id}: consistency re-request failed; keeping the first result`, 'warning');
+          results[i] = previous;
+          if (onResult) onResult(previous);
+          reportProgress();
+        }
+      }
+    };
+    await Promise.allSettled(Array.from({ length: Math.min(concurrency, queue.length) }, () => reworker()));
+  }
+
+  async function runConsistencyPass() {
+    const definitions = documentContext ? documentContext.definitions : [];
+    let issues = checkConsistency(results, definitions);
+
+    if (issues.length > 0 && consistencyCheck === 'reprompt') {
+      const notes = consistencyNotes(issues);
+      if (notes.size > 0) {
+        log(`Consistency check: ${issues.length} conflict(s); re-requesting ${notes.size} chunk(s)`, 'info');
+        await reprocessChunks(notes);
+        issues = checkConsistency(results, definitions);
+      }
+    }
+
+    if (issues.length === 0) {
+      log('Consistency check: no conflicting changes between chunks', 'info');
+      return;
+    }
+    for (const issue of issues) {
+      log(`Consistency: ${issue.description}`, 'warning');
+    }
+    for (const result of flagConsistencyIssues(results, issues)) {
+      if (onResult) onResult(result);
+    }
+  }
+
   // Worker-pool pattern: spawn N workers, each pulls from shared index
   async function worker() {
     while (nextIndex < chunks.length) {
@@ -317,17 +600,45 @@ export async function processChunksParallel(chunks, options) {
         return;
       }
 
+      await acquireSlot();
       const i = nextIndex++;
-      if (i < chunks.length) {
-        await processChunk(i);
+      try {
+        if (i < chunks.length) {
+          await processChunk(i);
+        }
+      } finally {
+        releaseSlot();
       }
     }
   }
 
-  // Spawn concurrency workers
+  // Spawn concurrency workers (in adaptive mode, enough for the ceiling; the
+  // current limit decides how many run at once)
   const workerCount = Math.min(concurrency, chunks.length);
   const workers = Array.from({ length: workerCount }, () => worker());
   await Promise.allSettled(workers);
 
+  if (consistencyCheck !== 'off' && !(signal && signal.aborted)) {
+    await runConsistencyPass();
+  }
+
+  if (responseCache) {
+    log(bypassCache
+      ? 'Response cache bypassed: every chunk was sent to the LLM and its reply stored'
+      : `Response cache: ${cacheHits} of ${chunks.length} chunk(s) answered from cache`, 'info');
+  }
+
+  // Usage summary across chunks that reported it
+  const reported = results.filter((r) => r.usage);
+  if (reported.length > 0) {
+    const total = sumUsage(reported.map((r) => r.usage));
+    const estimated = reported.reduce((sum, r) => sum + (r.estimatedPromptTokens || 0), 0);
+    log(
+      `LLM usage: ${formatUsage(total)} across ${reported.length} chunk(s); ` +
+      `prompt estimate was ~${estimated.toLocaleString('en-US')} tokens`,
+      'info'
+    );
+  }
+
   return results;
 }
@@ -0,0 +1,334 @@
+/**
+ * Paragraph Fingerprint Module
+ *
+ * Records a content fingerprint for every paragraph of a parsed document at
+ * the end of a whole-document run, and diffs a later version of the
+ * document against it, so a re-review after the counterparty's turn only
+ * sends the paragraphs that were changed or inserted.
+ *
+ * A paragraph's fingerprint is 24 bits of its whitespace-normalised text
+ * hash, written as 4 base64url characters. The fingerprints are stored in
+ * the document's custom properties, which hold at most 255 characters each:
+ * a `wordAI.fingerprint` property with the count and timestamp, and the
+ * fingerprints themselves spread over `wordAI.fingerprint.0`, `.1`, ...
+ *
+ * Paragraphs of chunks the run did not review (failed, cancelled, or with
+ * proposals that were not applied) are recorded with a placeholder that
+ * matches nothing, so the next change review sends them again. They are
+ * marked by position, found again after the run's amendments shifted them
+ * (locateChunkParagraphs).
+ *
+ * The diff aligns old and new fingerprints by longest common subsequence,
+ * so inserted or deleted paragraphs do not make everything after them look
+ * changed. Very large middles (after common leading and trailing paragraphs
+ * are set aside) fall back to matching fingerprints as a multiset.
+ *
+ * Pure JavaScript -- no Word API dependency.
+ *
+ * @module paragraph-fingerprint
+ */
+
+import { hashText } from './text-hash.js';
+
+/**
+ * @typedef {import('./document-parser.js').DocumentModel} DocumentModel
+ */
+
+/**
+ * @typedef {Object} Fingerprint
+ * @property {string[]} tokens - One per paragraph, in document order
+ * @property {string} recordedAt - ISO timestamp of the run that recorded it
+ */
+
+/**
+ * @typedef {Object} ParagraphDiff
+ * @property {number[]} changed - Paragraph indices (ParsedParagraph.index) changed or inserted
+ * @property {number} deleted - Recorded paragraphs with no counterpart in the new document
+ * @property {number} unchanged - Paragraphs matched to a recorded one
+ * @property {boolean} approximate - Whether the multiset fallback was used
+ */
+
+/** Custom property holding the fingerprint's count and timestamp. */
+export const FINGERPRINT_PROPERTY = 'wordAI.fingerprint';
+
+/** Bumped when the fingerprint encoding changes; older fingerprints are ignored. */
+const FINGERPRINT_VERSION = 1;
+
+/** Fingerprints per part property (4 characters each, under the 255-character limit). */
+const TOKENS_PER_PART = 60;
+
+/** Largest LCS table (old x new paragraphs) computed before falling back. */
+const MAX_DIFF_CELLS = 4000000;
+
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/** Recorded for unreviewed paragraphs; outside BASE64URL, so it never matches a paragraph. */
+const UNREVIEWED_TOKEN = '~~~~';
+
+/**
+ * Fingerprints each paragraph of a document.
+ *
+ * @param {DocumentModel} docModel
+ * @param {number[]} [unreviewedIndices=[]] - Indices (ParsedParagraph.index) of paragraphs the
+ *   run did not review; these get a fingerprint that never matches
+ * @returns {string[]} In docModel.paragraphs order
+ */
+export function fingerprintParagraphs(docModel, unreviewedIndices = []) {
+  const unreviewed = new Set(unreviewedIndices);
+  return docModel.paragraphs.map((p) => (unreviewed.has(p.index) ? UNREVIEWED_TOKEN : fingerprintText(p.text)));
+}
+
+/**
+ * Finds chunks' paragraphs in the document as re-parsed after a run.
+ * Amendments applied elsewhere shift paragraph indices, so each chunk is
+ * found by its paragraph texts: the matching run of consecutive paragraphs
+ * nearest its old position. A chunk whose text is no longer there is skipped.
+ *
+ * @param {DocumentModel} docModel - The document now
+ * @param {Array<{startIndex: number, paragraphs: Array<{text: string}>}>} chunks - As chunked
+ *   before the run
+ * @returns {number[]} Paragraph indices (ParsedParagraph.index) in docModel
+ */
+export function locateChunkParagraphs(docModel, chunks) {
+  const { paragraphs } = docModel;
+  const indices = [];
+
+  for (const chunk of chunks) {
+    const texts = chunk.paragraphs.map((p) => p.text);
+    if (texts.length === 0) continue;
+    const matchesAt = (position) => position >= 0
+      && position + texts.length <= paragraphs.length
+      && texts.every((text, i) => paragraphs[position + i].text === text);
+
+    let expected = paragraphs.findIndex((p) => p.index >= chunk.startIndex);
+    if (expected === -1) expected = paragraphs.length;
+    for (let distance = 0; distance <= paragraphs.length; distance++) {
+      const position = [expected - distance, expected + distance].find(matchesAt);
+      if (position !== undefined) {
+        paragraphs.slice(position, position + texts.length).forEach((p) => indices.push(p.index));
+        break;
+      }
+    }
+  }
+
+  return indices;
+}
+
+/**
+ * 4-character fingerprint of a paragraph's text (whitespace-insensitive).
+ * @private
+ */
+function fingerprintText(text) {
+  const bits = parseInt(hashText((text || '').replace(/\s+/g, ' ').trim()), 16) >>> 8;
+  let token = '';
+  for (let shift = 18; shift >= 0; shift -= 6) {
+    token += BASE64URL[(bits >>> shift) & 63];
+  }
+  return token;
+}
+
+/**
+ * Name of the nth fingerprint part property.
+ *
+ * @param {number} n
+ * @returns {string}
+ */
+export function fingerprintPartName(n) {
+  return `${FINGERPRINT_PROPERTY}.${n}`;
+}
+
+/**
+ * Encodes fingerprints as custom properties.
+ *
+ * @param {string[]} tokens - From fingerprintParagraphs()
+ * @param {string} [recordedAt=new Date().toISOString()]
+ * @returns {Array<{name: string, value: string}>} The summary property first, then the parts
+ */
+export function encodeFingerprint(tokens, recordedAt = new Date().toISOString()) {
+  const parts = [];
+  for (let i = 0; i < tokens.length; i += TOKENS_PER_PART) {
+    parts.push(tokens.slice(i, i + TOKENS_PER_PART).join(''));
+  }
+  return [
+    {
+      name: FINGERPRINT_PROPERTY,
+      value: JSON.stringify({ v: FINGERPRINT_VERSION, count: tokens.length, parts: parts.length, at: recordedAt }),
+    },
+    ...parts.map((value, n) => ({ name: fingerprintPartName(n), value })),
+  ];
+}
+
+/**
+ * Decodes fingerprints from custom properties.
+ *
+ * @param {Object<string, string>} properties - Custom property values by name
+ * @returns {Fingerprint|null} null when there is none, or it is from another version or incomplete
+ */
+export function decodeFingerprint(properties) {
+  let summary;
+  try {
+    summary = JSON.parse(properties[FINGERPRINT_PROPERTY]);
+  } catch (e) {
+    return null;
+  }
+  if (!summary || summary.v !== FINGERPRINT_VERSION || !Number.isInteger(summary.parts)) {
+    return null;
+  }
+
+  const tokens = [];
+  for (let n = 0; n < summary.parts; n++) {
+    const part = properties[fingerprintPartName(n)];
+    if (typeof part !== 'string' || part.length % 4 !== 0) return null;
+    for (let i = 0; i < part.length; i += 4) {
+      tokens.push(part.substring(i, i + 4));
+    }
+  }
+  if (tokens.length !== summary.count) {
+    return null;
+  }
+  return { tokens, recordedAt: summary.at || '' };
+}
+
+/**
+ * Diffs a document against recorded fingerprints.
+ *
+ * @param {string[]} previousTokens - Fingerprint.tokens from the last run
+ * @param {DocumentModel} docModel - The document now
+ * @returns {ParagraphDiff}
+ */
+export function diffParagraphs(previousTokens, docModel) {
+  const current = fingerprintParagraphs(docModel);
+  const matched = new Array(current.length).fill(false);
+
+  // Common leading and trailing paragraphs
+  let start = 0;
+  while (start < current.length && start < previousTokens.length && current[start] === previousTokens[start]) {
+    matched[start++] = true;
+  }
+  let endOld = previousTokens.length;
+  let endNew = current.length;
+  while (endOld > start && endNew > start && current[endNew - 1] === previousTokens[endOld - 1]) {
+    matched[--endNew] = true;
+    endOld--;
+  }
+
+  const oldMiddle = previousTokens.slice(start, endOld);
+  const newMiddle = current.slice(start, endNew);
+  const approximate = oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS;
+  const middleMatches = approximate
+    ? matchMultiset(oldMiddle, newMiddle)
+    : matchLcs(oldMiddle, newMiddle);
+  middleMatches.forEach((isMatch, i) => {
+    matched[start + i] = isMatch;
+  });
+
+  const unchanged = matched.filter(Boolean).length;
+  return {
+    changed: docModel.paragraphs.filter((p, i) => !matched[i]).map((p) => p.index),
+    deleted: previousTokens.length - unchanged,
+    unchanged,
+    approximate,
+  };
+}
+
+/**
+ * Which of b's entries are part of a longest common subsequence with a.
+ * @private
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean[]}
+ */
+function matchLcs(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  // lengths[i * cols + j] = LCS length of a[i..] and b[j..]
+  const lengths = new Uint32Array(rows * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = a[i] === b[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const matched = new Array(b.length).fill(false);
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matched[j] = true;
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matched;
+}
+
+/**
+ * Which of b's entries also occur in a, each occurrence in a used once.
+ * @private
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean[]}
+ */
+function matchMultiset(a, b) {
+  const counts = new Map();
+  for (const token of a) counts.set(token, (counts.get(token) || 0) + 1);
+  return b.map((token) => {
+    const count = counts.get(token) || 0;
+    if (count === 0) return false;
+    counts.set(token, count - 1);
+    return true;
+  });
+}
+
+/**
+ * Groups changed paragraphs into ranges for chunkDocument(), merging
+ * paragraphs that are adjacent in the document model.
+ *
+ * @param {DocumentModel} docModel
+ * @param {number[]} changedIndices - ParagraphDiff.changed
+ * @returns {Array<{startIndex: number, endIndex: number}>}
+ */
+export function changedRanges(docModel, changedIndices) {
+  const changed = new Set(changedIndices);
+  const ranges = [];
+  let current = null;
+  for (const para of docModel.paragraphs) {
+    if (!changed.has(para.index)) {
+      current = null;
+      continue;
+    }
+    if (current) {
+      current.endIndex = para.index;
+    } else {
+      current = { startIndex: para.index, endIndex: para.index };
+      ranges.push(current);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Intersects two sets of inclusive paragraph ranges.
+ *
+ * @param {Array<{startIndex: number, endIndex: number}>} ranges
+ * @param {Array<{startIndex: number, endIndex: number}>|null} within - null = no restriction
+ * @returns {Array<{startIndex: number, endIndex: number}>}
+ */
+export function intersectRanges(ranges, within) {
+  if (!within) return ranges.map((r) => ({ ...r }));
+  const result = [];
+  for (const r of ranges) {
+    for (const w of within) {
+      const startIndex = Math.max(r.startIndex, w.startIndex);
+      const endIndex = Math.min(r.endIndex, w.endIndex);
+      if (startIndex <= endIndex) result.push({ startIndex, endIndex });
+    }
+  }
+  return result.sort((x, y) => x.startIndex - y.startIndex);
+}
@@ -9,6 +9,10 @@
  * @module prompt-manager
  */
 
+import { formatStructuredOutputInstructions } from './response-parser.js';
+import { ROUTABLE_CATEGORIES, normalizeRoute } from './backend-config.js';
+import { normalizeGenerationParams } from './generation-params.js';
+
 /**
  * The four prompt categories.
  * @type {string[]}
@@ -62,9 +66,13 @@ export class PromptManager {
      * @param {string} data.template - Prompt template text
      * @param {string} data.description - Short description
      * @param {string} [data.commentInstructions] - Comment instructions (amendment category only)
-     * @returns {object} The prompt object { id, name, template, description, commentInstructions }
+     * @param {{backend?: string, model?: string}} [data.route] - Backend/model override
+     *   (amendment, comment and summary only; see backend-config.js)
+     * @param {object} [data.generation] - Generation parameters overriding the backend
+     *   profile's (amendment, comment and summary only; see generation-params.js)
+     * @returns {object} The prompt object { id, name, template, description, commentInstructions, route, generation }
      */
-    addPrompt(category, { name, template, description, commentInstructions }) {
+    addPrompt(category, { name, template, description, commentInstructions, route, generation }) {
         this._validateCategory(category);
 
         const id = this._generateId(name);
@@ -75,6 +83,16 @@ export class PromptManager {
             prompt.commentInstructions = commentInstructions;
         }
 
+        const normalizedRoute = normalizeRoute(route);
+        if (normalizedRoute && ROUTABLE_CATEGORIES.includes(category)) {
+            prompt.route = normalizedRoute;
+        }
+
+        const normalizedGeneration = normalizeGenerationParams(generation);
+        if (Object.keys(normalizedGeneration).length > 0 && ROUTABLE_CATEGORIES.includes(category)) {
+            prompt.generation = normalizedGeneration;
+        }
+
         const catState = this.state[category];
 
         const existingIndex = catState.prompts.findIndex(p => p.id === id);
@@ -188,7 +206,8 @@ export class PromptManager {
      *
      * @param {string} category - One of 'context', 'amendment', 'comment'
      * @param {string} promptId - The prompt ID to update
-     * @param {object} updates - Fields to update (only template and description are allowed)
+     * @param {object} updates - Fields to update (template, description, commentInstructions,
+     *   route and generation; a blank route or empty generation removes the override)
      * @returns {object} The updated prompt object
      * @throws {Error} If promptId is not found or category is invalid
      */
@@ -200,7 +219,7 @@ export class PromptManager {
             throw new Error(`Prompt "${promptId}" not found in ${category}`);
         }
 
-        // Only allow template, description, and commentInstructions to be updated
+        // Only allow template, description, commentInstructions, route and generation to be updated
         if (updates.template !== undefined) {
             prompt.template = updates.template;
         }
@@ -210,6 +229,22 @@ export class PromptManager {
         if (updates.commentInstructions !== undefined && category === 'amendment') {
             prompt.commentInstructions = updates.commentInstructions;
         }
+        if (updates.route !== undefined && ROUTABLE_CATEGORIES.includes(category)) {
+            const normalizedRoute = normalizeRoute(updates.route);
+            if (normalizedRoute) {
+                prompt.route = normalizedRoute;
+            } else {
+                delete prompt.route;
+            }
+        }
+        if (updates.generation !== undefined && ROUTABLE_CATEGORIES.includes(category)) {
+            const normalizedGeneration = normalizeGenerationParams(updates.generation);
+            if (Object.keys(normalizedGeneration).length > 0) {
+                prompt.generation = normalizedGeneration;
+            } else {
+                delete prompt.generation;
+            }
+        }
 
         this.persistState(category);
         return prompt;
@@ -356,12 +391,16 @@ export class PromptManager {
      * When commentInstructions is non-empty, appends delimiter instructions to the
      * amendment prompt so the LLM returns both an amended text and a comment in one response.
      * When commentInstructions is empty/falsy, delegates to composeMessages('amendment').
+     * With options.structured, asks for a JSON object (see parseStructuredResponse)
+     * instead of delimiters.
      *
      * @param {string} selectionText - The user's selected text from the document
      * @param {string} commentInstructions - Comment instructions text (empty = amendment-only)
+     * @param {object} [options]
+     * @param {boolean} [options.structured=false] - Request structured JSON output
      * @returns {Array<{role: string, content: string}>} Messages array for chat completions
      */
-    composeMergedMessages(selectionText, commentInstructions) {
+    composeMergedMessages(selectionText, commentInstructions, options = {}) {
         // Empty comment instructions = amendment-only (backward compatible)
         if (!commentInstructions || !commentInstructions.trim()) {
             return this.composeMessages(selectionText, 'amendment');
@@ -388,6 +427,12 @@ export class PromptManager {
             content = amendmentPrompt.template + '\n\n' + selectionText;
         }
 
+        if (options.structured) {
+            content += `\n\n${formatStructuredOutputInstructions(commentInstructions)}`;
+            messages.push({ role: 'user', content });
+            return messages;
+        }
+
         // Append delimiter instructions for merged response
         content += `\n\nAdditionally, provide a comment for this text based on these instructions: ${commentInstructions.trim()}
 
@@ -407,10 +452,11 @@ FORMAT YOUR RESPONSE WITH THESE EXACT DELIMITERS:
      *
      * If a Context prompt is active, it becomes the system message.
      * The active Summary prompt becomes the user message with {comments}
-     * placeholder replaced by structured comment data, and {whole document}
-     * placeholder replaced by the full document body text.
+     * placeholder replaced by structured comment data (each comment followed
+     * by its replies), and {whole document} placeholder replaced by the full
+     * document body text.
      *
-     * @param {Array<{index: number, commentText: string, associatedText: string, author: string, date: string, resolved: boolean}>} extractedComments
+     * @param {Array<{index: number, commentText: string, associatedText: string, author: string, date: string, resolved: boolean, replies?: Array<{replyText: string, author: string}>}>} extractedComments
      * @param {object} [options] - Optional parameters
      * @param {string} [options.documentText] - Full document body text for {whole document} placeholder
      * @returns {Array<{role: string, content: string}>} Messages array for chat completions
@@ -426,7 +472,8 @@ FORMAT YOUR RESPONSE WITH THESE EXACT DELIMITERS:
 
         // Build structured comment data string
         const commentData = extractedComments.map(c =>
-            `[Comment ${c.index}] by ${c.author} on "${c.associatedText}":\n"${c.commentText}"`
+            `[Comment ${c.index}] by ${c.author} on "${c.associatedText}":\n"${c.commentText}"` +
+            (c.replies || []).map(r => `\n  [Reply] by ${r.author}:\n  "${r.replyText}"`).join('')
         ).join('\n\n');
 
         // User message from summary prompt with placeholder replacement
@@ -440,6 +440,8 @@ export async function bookmarkChunkRanges(chunks) {
  * @param {boolean} options.lineDiffEnabled - use sentence-diff vs token-map for fallback
  * @param {function} options.log
  * @param {number} [options.commentGranularity=0] - 0=per chunk
+ * @param {function} [options.onApplied] - Called with (chunkId, 'amendment'|'comment') after each
+ *   part is written to the document, e.g. to persist run state
  * @returns {Promise<{amendmentsApplied: number, commentsInserted: number, errors: string[]}>}
  */
 export async function applyChunkResults(results, bookmarkMap, options) {
@@ -448,6 +450,7 @@ export async function applyChunkResults(results, bookmarkMap, options) {
     lineDiffEnabled = false,
     log = () => {},
     commentGranularity = 0,
+    onApplied = () => {},
   } = options;
 
   let amendmentsApplied = 0;
@@ -520,6 +523,7 @@ export async function applyChunkResults(results, bookmarkMap, options) {
       });
 
       amendmentsApplied++;
+      onApplied(result.chunkId, 'amendment');
       log(`Chunk ${result.chunkId}: amendment applied`, 'info');
     } catch (err) {
       errors.push(`Chunk ${result.chunkId}: ${err.message || String(err)}`);
@@ -570,6 +574,7 @@ export async function applyChunkResults(results, bookmarkMap, options) {
       });
 
       commentsInserted++;
+      onApplied(result.chunkId, 'comment');
       log(`Chunk ${result.chunkId}: comment inserted`, 'info');
     } catch (err) {
       errors.push(`Chunk ${result.chunkId}: comment failed -- ${err.message || String(err)}`);
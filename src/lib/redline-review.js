@@ -0,0 +1,235 @@
+/**
+ * Redline Review Module
+ *
+ * Review stage between the orchestrator and the reassembler: each fulfilled
+ * chunk result becomes a review item that the user accepts, rejects or edits
+ * in the taskpane before anything is written to the document. Only accepted
+ * items are passed on to applyChunkResults.
+ *
+ * Also computes the word-level diff shown for each item (diff-match-patch
+ * over word tokens, so changes are highlighted as whole words) and renders it
+ * as side-by-side HTML.
+ *
+ * Pure JavaScript -- no Word API dependency.
+ *
+ * @module redline-review
+ */
+
+import DiffMatchPatch from 'diff-match-patch';
+
+/**
+ * @typedef {import('./orchestrator.js').ChunkResult} ChunkResult
+ */
+
+/**
+ * @typedef {Object} DiffOp
+ * @property {'equal'|'delete'|'insert'} type
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} ReviewItem
+ * @property {string} chunkId
+ * @property {string} sectionTitle - Nearest heading ('' when none)
+ * @property {string} original - Chunk text as sent to the LLM
+ * @property {string|null} amendment - Proposed (possibly edited) amendment
+ * @property {string|null} comment - Proposed (possibly edited) comment
+ * @property {'pending'|'accepted'|'rejected'} decision
+ * @property {boolean} edited - Whether the user changed the amendment or comment
+ */
+
+const DIFF_TYPES = {
+  [DiffMatchPatch.DIFF_EQUAL]: 'equal',
+  [DiffMatchPatch.DIFF_DELETE]: 'delete',
+  [DiffMatchPatch.DIFF_INSERT]: 'insert',
+};
+
+/**
+ * Splits text into word, whitespace and punctuation tokens.
+ * @private
+ */
+function tokenize(text) {
+  return text.match(/\s+|[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*|[^\s\p{L}\p{N}]/gu) || [];
+}
+
+/**
+ * Escapes HTML special characters.
+ * @private
+ */
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Computes a word-level diff. Each distinct token is mapped to one character
+ * so diff-match-patch compares whole words (the same trick as its
+ * line-mode diff), then semantic cleanup merges fragmented edits.
+ *
+ * @param {string} original
+ * @param {string} amended
+ * @returns {DiffOp[]}
+ */
+export function computeWordDiff(original, amended) {
+  const tokenIds = new Map();
+  const tokens = [];
+  const encode = (text) => tokenize(text || '').map((token) => {
+    if (!tokenIds.has(token)) {
+      tokenIds.set(token, tokens.length);
+      tokens.push(token);
+    }
+    return String.fromCharCode(tokenIds.get(token));
+  }).join('');
+
+  const a = encode(original);
+  const b = encode(amended);
+
+  const dmp = new DiffMatchPatch();
+  const diffs = dmp.diff_main(a, b, false);
+  dmp.diff_cleanupSemantic(diffs);
+
+  return diffs.map(([op, chars]) => ({
+    type: DIFF_TYPES[op],
+    text: chars.split('').map((c) => tokens[c.charCodeAt(0)]).join(''),
+  }));
+}
+
+/**
+ * Counts changed words (whitespace and punctuation tokens excluded).
+ *
+ * @param {DiffOp[]} ops
+ * @returns {{inserted: number, deleted: number}}
+ */
+export function countChangedWords(ops) {
+  const words = (text) => tokenize(text).filter((t) => /[\p{L}\p{N}]/u.test(t)).length;
+  let inserted = 0;
+  let deleted = 0;
+  for (const op of ops) {
+    if (op.type === 'insert') inserted += words(op.text);
+    if (op.type === 'delete') deleted += words(op.text);
+  }
+  return { inserted, deleted };
+}
+
+/**
+ * Renders a diff as two HTML fragments: the original with deletions marked
+ * and the amendment with insertions marked. Line breaks become <br>.
+ *
+ * @param {DiffOp[]} ops
+ * @returns {{original: string, amended: string}}
+ */
+export function renderSideBySideHtml(ops) {
+  const html = (text) => escapeHtml(text).replace(/\n/g, '<br>');
+  let original = '';
+  let amended = '';
+  for (const op of ops) {
+    if (op.type === 'equal') {
+      original += html(op.text);
+      amended += html(op.text);
+    } else if (op.type === 'delete') {
+      original += `<del class="diff-del">${html(op.text)}</del>`;
+    } else {
+      amended += `<ins class="diff-ins">${html(op.text)}</ins>`;
+    }
+  }
+  return { original, amended };
+}
+
+/**
+ * Builds review items for the results that propose something: fulfilled
+ * results with an amendment or a comment. Items start pending.
+ *
+ * @param {ChunkResult[]} results
+ * @returns {ReviewItem[]} In document order
+ */
+export function createReviewItems(results) {
+  return results
+    .filter((r) => r.status === 'fulfilled' && (r.amendment || r.comment))
+    .sort((a, b) => (a.chunk?.startIndex ?? 0) - (b.chunk?.startIndex ?? 0))
+    .map((r) => ({
+      chunkId: r.chunkId,
+      sectionTitle: r.chunk?.sectionTitle || '',
+      original: r.chunk ? r.chunk.paragraphs.map((p) => p.text).join('\n') : '',
+      amendment: r.amendment || null,
+      comment: r.comment || null,
+      decision: 'pending',
+      edited: false,
+    }));
+}
+
+/**
+ * Replaces an item's amendment and/or comment with the user's edits.
+ * Blank text removes that part. Editing does not change the decision.
+ *
+ * @param {ReviewItem} item - Mutated
+ * @param {{amendment?: string, comment?: string}} edits
+ */
+export function editReviewItem(item, edits) {
+  for (const part of ['amendment', 'comment']) {
+    if (edits[part] === undefined) continue;
+    const text = edits[part].trim() ? edits[part] : null;
+    if (text !== item[part]) {
+      item[part] = text;
+      item.edited = true;
+    }
+  }
+}
+
+/**
+ * Counts items per decision.
+ *
+ * @param {ReviewItem[]} items
+ * @returns {{pending: number, accepted: number, rejected: number}}
+ */
+export function summarizeReview(items) {
+  const counts = { pending: 0, accepted: 0, rejected: 0 };
+  for (const item of items) {
+    counts[item.decision]++;
+  }
+  return counts;
+}
+
+/**
+ * Returns the results to apply: accepted items only, carrying any edits.
+ * Rejected and still-pending items are left out, as are accepted items whose
+ * edits removed both the amendment and the comment.
+ *
+ * @param {ChunkResult[]} results
+ * @param {ReviewItem[]} items
+ * @returns {ChunkResult[]} New result objects
+ */
+export function approvedResults(results, items) {
+  const byChunk = new Map(items.map((item) => [item.chunkId, item]));
+  const approved = [];
+  for (const result of results) {
+    const item = byChunk.get(result.chunkId);
+    if (!item || item.decision !== 'accepted' || (!item.amendment && !item.comment)) continue;
+    approved.push({
+      ...result,
+      amendment: item.amendment,
+      comment: item.comment,
+      // Per-quote comments no longer match an edited comment
+      comments: item.comment === result.comment ? result.comments : null,
+    });
+  }
+  return approved;
+}
+
+/**
+ * Returns the results whose chunks a run leaves unreviewed: failed and
+ * cancelled ones, and those whose proposals were not applied (rejected,
+ * left pending, or the whole review discarded). Fulfilled results that
+ * proposed nothing count as reviewed.
+ *
+ * @param {ChunkResult[]} results
+ * @param {ChunkResult[]} applied - The results that were applied
+ * @returns {ChunkResult[]}
+ */
+export function unappliedResults(results, applied) {
+  const appliedIds = new Set(applied.map((r) => r.chunkId));
+  return results.filter((r) => r.status !== 'fulfilled'
+    || ((r.amendment || r.comment) && !appliedIds.has(r.chunkId)));
+}
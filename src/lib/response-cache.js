@@ -0,0 +1,205 @@
+/**
+ * Response Cache Module
+ *
+ * Persistent cache of LLM replies for whole-document runs, so re-running a
+ * review after a small edit only sends the chunks whose text changed. An
+ * entry is keyed by a SHA-256 hash of everything that shapes the reply: the
+ * backend URL and provider, the model, the effective generation parameters,
+ * the requested response format and the composed messages (which include the
+ * chunk text, prompts and context prefix). Any change to these is a miss.
+ *
+ * Entries live in IndexedDB (they can be far larger than localStorage
+ * allows) and are evicted oldest-first beyond maxEntries. Where IndexedDB is
+ * unavailable, a session-only in-memory cache is used instead.
+ *
+ * Pure JavaScript -- no Word API dependency.
+ *
+ * @module response-cache
+ */
+
+import { mergeGenerationParams } from './generation-params.js';
+
+/**
+ * @typedef {Object} ResponseCache
+ * @property {function(string): Promise<{text: string}|null>} get - Cached reply for a key
+ * @property {function(string, string): Promise<void>} set - Stores a reply's text
+ * @property {function(): Promise<void>} clear - Removes every entry
+ * @property {'indexeddb'|'memory'} kind
+ */
+
+/** IndexedDB database and object store names. */
+export const RESPONSE_CACHE_DB = 'wordAI.responseCache';
+const STORE = 'responses';
+
+/** Default number of replies kept. */
+export const DEFAULT_MAX_ENTRIES = 2000;
+
+/**
+ * Computes the cache key for a request.
+ *
+ * @param {Object} config - llm-client config { url, provider?, model, generation? }
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {Object} [options] - sendMessages options that change the reply
+ * @param {{name: string, schema: Object}} [options.responseFormat]
+ * @param {Object} [options.generation] - Per-call generation parameters
+ * @returns {Promise<string>} 64 hex characters
+ * @throws {Error} When Web Crypto is unavailable
+ */
+export async function responseCacheKey(config, messages, options = {}) {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('Web Crypto is not available');
+  }
+  const material = JSON.stringify({
+    url: config.url || '',
+    provider: config.provider || '',
+    model: config.model || '',
+    generation: sortKeys(mergeGenerationParams(config.generation, options.generation)),
+    responseFormat: options.responseFormat || null,
+    messages: messages.map(({ role, content }) => [role, content]),
+  });
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(material));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Copies an object with its keys sorted, so parameter order does not change the key.
+ * @private
+ */
+function sortKeys(obj) {
+  return Object.fromEntries(Object.entries(obj).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+/**
+ * Creates a session-only cache held in memory.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=DEFAULT_MAX_ENTRIES]
+ * @returns {ResponseCache}
+ */
+export function createMemoryResponseCache(options = {}) {
+  const { maxEntries = DEFAULT_MAX_ENTRIES } = options;
+  const entries = new Map();
+  return {
+    kind: 'memory',
+    async get(key) {
+      return entries.has(key) ? { text: entries.get(key) } : null;
+    },
+    async set(key, text) {
+      entries.delete(key);
+      entries.set(key, text);
+      // Maps iterate in insertion order, so the first keys are the oldest
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries) break;
+        entries.delete(oldest);
+      }
+    },
+    async clear() {
+      entries.clear();
+    },
+  };
+}
+
+/**
+ * Opens the persistent cache, falling back to an in-memory one (with a
+ * warning) when IndexedDB or Web Crypto is unavailable or fails to open.
+ *
+ * @param {Object} [options]
+ * @param {IDBFactory} [options.indexedDB=globalThis.indexedDB]
+ * @param {string} [options.dbName=RESPONSE_CACHE_DB]
+ * @param {number} [options.maxEntries=DEFAULT_MAX_ENTRIES]
+ * @param {function} [options.log] - Logging callback (message, type)
+ * @returns {Promise<ResponseCache|null>} null when Web Crypto is unavailable (no keys can be made)
+ */
+export async function openResponseCache(options = {}) {
+  const {
+    indexedDB = globalThis.indexedDB,
+    dbName = RESPONSE_CACHE_DB,
+    maxEntries = DEFAULT_MAX_ENTRIES,
+  } = options;
+  const log = options.log || (() => {});
+
+  if (!globalThis.crypto?.subtle) {
+    log('Response cache disabled: Web Crypto is not available', 'warning');
+    return null;
+  }
+  if (!indexedDB) {
+    log('IndexedDB is not available -- cached responses last for this session only', 'warning');
+    return createMemoryResponseCache({ maxEntries });
+  }
+  try {
+    const db = await openDatabase(indexedDB, dbName);
+    return createIndexedDbCache(db, maxEntries);
+  } catch (err) {
+    log(`Could not open the response cache (${err.message}) -- cached responses last for this session only`, 'warning');
+    return createMemoryResponseCache({ maxEntries });
+  }
+}
+
+/**
+ * Opens (creating on first use) the cache database.
+ * @private
+ */
+function openDatabase(indexedDB, dbName) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, 1);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+      store.createIndex('storedAt', 'storedAt');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('open failed'));
+    request.onblocked = () => reject(new Error('database is blocked by another window'));
+  });
+}
+
+/**
+ * Resolves when a transaction completes.
+ * @private
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error || new Error('transaction failed'));
+    tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+  });
+}
+
+/**
+ * Wraps an open database as a ResponseCache.
+ * @private
+ */
+function createIndexedDbCache(db, maxEntries) {
+  return {
+    kind: 'indexeddb',
+    get(key) {
+      return new Promise((resolve, reject) => {
+        const request = db.transaction(STORE, 'readonly').objectStore(STORE).get(key);
+        request.onsuccess = () => resolve(request.result ? { text: request.result.text } : null);
+        request.onerror = () => reject(request.error || new Error('read failed'));
+      });
+    },
+    async set(key, text) {
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      store.put({ key, text, storedAt: Date.now() });
+      const count = store.count();
+      count.onsuccess = () => {
+        let excess = count.result - maxEntries;
+        if (excess <= 0) return;
+        const cursor = store.index('storedAt').openCursor();
+        cursor.onsuccess = () => {
+          if (!cursor.result || excess <= 0) return;
+          cursor.result.delete();
+          excess--;
+          cursor.result.continue();
+        };
+      };
+      await transactionDone(tx);
+    },
+    async clear() {
+      const tx = db.transaction(STORE, 'readwrite');
+      tx.objectStore(STORE).clear();
+      await transactionDone(tx);
+    },
+  };
+}
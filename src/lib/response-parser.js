@@ -8,6 +8,11 @@
  * Also provides a fallback classification prompt builder for cases where the LLM
  * doesn't follow the delimiter format.
  *
+ * Structured mode replaces the delimiters with a JSON object
+ * `{ amendment, comments: [{ quote, text }], rationale }`. The schema is sent as
+ * a response_format (guided decoding on vLLM/Ollama) and the reply is validated
+ * here, falling back to the delimiter parser when it is not valid JSON.
+ *
  * @module response-parser
  */
 
@@ -77,3 +82,183 @@ export function buildFallbackClassificationPrompt(rawResponse, originalSelection
         }
     ];
 }
+
+/**
+ * JSON schema for structured merged responses. Every property is required and
+ * extra properties are rejected so the schema is valid for strict guided decoding.
+ * @type {Object}
+ */
+export const STRUCTURED_RESPONSE_SCHEMA = Object.freeze({
+    type: 'object',
+    properties: {
+        amendment: { type: 'string' },
+        comments: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    quote: { type: 'string' },
+                    text: { type: 'string' }
+                },
+                required: ['quote', 'text'],
+                additionalProperties: false
+            }
+        },
+        rationale: { type: 'string' }
+    },
+    required: ['amendment', 'comments', 'rationale'],
+    additionalProperties: false
+});
+
+/**
+ * Response format option for sendMessages/sendPrompt in structured mode.
+ * @type {{name: string, schema: Object}}
+ */
+export const STRUCTURED_RESPONSE_FORMAT = Object.freeze({
+    name: 'amendment_with_comments',
+    schema: STRUCTURED_RESPONSE_SCHEMA
+});
+
+/**
+ * Builds the prompt instructions that ask for a structured JSON response.
+ * Appended to the amendment prompt in place of the delimiter instructions.
+ *
+ * @param {string} commentInstructions - The user's comment instructions
+ * @returns {string}
+ */
+export function formatStructuredOutputInstructions(commentInstructions) {
+    return `Additionally, provide comments on this text based on these instructions: ${commentInstructions.trim()}
+
+RESPOND WITH A SINGLE JSON OBJECT AND NOTHING ELSE, in this shape:
+{"amendment": "<your amended version of the text>", "comments": [{"quote": "<exact passage from the original text the comment refers to>", "text": "<your comment>"}], "rationale": "<one or two sentences on what you changed and why>"}
+
+Use an empty "comments" array if you have no comments. "quote" must be copied verbatim from the original text, or be empty if the comment applies to the whole text.`;
+}
+
+/**
+ * Extracts the JSON object text from a reply, tolerating markdown code fences
+ * and leading/trailing prose around the object.
+ *
+ * @param {string} responseText
+ * @returns {string|null} The candidate JSON text, or null if there is no object
+ */
+export function extractJsonObject(responseText) {
+    const trimmed = responseText.trim();
+    const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+    if (fenced) {
+        return fenced[1];
+    }
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        return null;
+    }
+    return trimmed.substring(start, end + 1);
+}
+
+/**
+ * Checks a parsed value against STRUCTURED_RESPONSE_SCHEMA. Missing comments and
+ * rationale are tolerated (not every backend enforces the schema).
+ *
+ * @param {*} value
+ * @returns {string|null} A description of the first problem, or null if valid
+ * @private
+ */
+function validateStructuredResponse(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'not a JSON object';
+    }
+    if (typeof value.amendment !== 'string' && value.amendment !== null) {
+        return '"amendment" is not a string';
+    }
+    if (value.comments !== undefined && !Array.isArray(value.comments)) {
+        return '"comments" is not an array';
+    }
+    for (const comment of value.comments || []) {
+        if (!comment || typeof comment.text !== 'string') {
+            return 'a comment has no "text" string';
+        }
+        if (comment.quote !== undefined && comment.quote !== null && typeof comment.quote !== 'string') {
+            return 'a comment "quote" is not a string';
+        }
+    }
+    if (value.rationale !== undefined && value.rationale !== null && typeof value.rationale !== 'string') {
+        return '"rationale" is not a string';
+    }
+    return null;
+}
+
+/**
+ * Formats structured comments as a single comment body. Quoted comments are
+ * prefixed with their quote so they stay readable when inserted on a whole
+ * chunk or selection.
+ *
+ * @param {Array<{quote: string, text: string}>} comments
+ * @returns {string|null} Null when there are no comments
+ */
+export function formatStructuredComments(comments) {
+    const parts = (comments || []).map(c => (c.quote ? `"${c.quote}": ${c.text}` : c.text));
+    return parts.length > 0 ? parts.join('\n\n') : null;
+}
+
+/**
+ * Parses a structured (JSON) merged response.
+ *
+ * Falls back to parseDelimitedResponse when the reply is not a valid structured
+ * object; `structured` is then false and `error` says why.
+ *
+ * @param {string} responseText - The raw LLM response
+ * @returns {{
+ *   amendment: string|null,
+ *   comment: string|null,
+ *   comments: Array<{quote: string, text: string}>,
+ *   rationale: string|null,
+ *   structured: boolean,
+ *   error: string|null,
+ *   raw: string
+ * }} comment is the comments formatted as one body (see formatStructuredComments)
+ */
+export function parseStructuredResponse(responseText) {
+    const raw = responseText;
+    let error;
+
+    const jsonText = extractJsonObject(responseText);
+    if (jsonText === null) {
+        error = 'no JSON object found';
+    } else {
+        let value;
+        try {
+            value = JSON.parse(jsonText);
+        } catch (e) {
+            error = `invalid JSON (${e.message})`;
+        }
+        if (!error) {
+            error = validateStructuredResponse(value);
+        }
+        if (!error) {
+            const comments = (value.comments || [])
+                .map(c => ({ quote: (c.quote || '').trim(), text: c.text.trim() }))
+                .filter(c => c.text);
+            return {
+                amendment: value.amendment ? value.amendment.trim() || null : null,
+                comment: formatStructuredComments(comments),
+                comments,
+                rationale: value.rationale ? value.rationale.trim() || null : null,
+                structured: true,
+                error: null,
+                raw
+            };
+        }
+    }
+
+    const delimited = parseDelimitedResponse(responseText);
+    return {
+        amendment: delimited.amendment,
+        comment: delimited.comment,
+        comments: delimited.comment ? [{ quote: '', text: delimited.comment }] : [],
+        rationale: null,
+        structured: false,
+        error,
+        raw
+    };
+}
@@ -0,0 +1,509 @@
+/**
+ * Revision Review Module
+ *
+ * Review of the counterparty's tracked changes. Takes the revisions found
+ * by extractTrackedChanges() (comment-extractor.js), keeps those by the
+ * chosen authors within a date range, and sends each one, with the clause it
+ * sits in, to the LLM for either:
+ *
+ * - a risk analysis, inserted by the taskpane as a comment on the revised
+ *   text (reviewRevisions)
+ * - a recommendation to accept, reject or counter-propose, with a reason and
+ *   the counter wording, listed in the taskpane's revision panel where each
+ *   can be acted on (recommendRevisions)
+ *
+ * Revisions are located among Word's tracked changes by type, author and
+ * text (matchTrackedChanges / matchRevisionParts).
+ *
+ * Pure JavaScript -- no Word API dependency.
+ *
+ * @module revision-review
+ */
+
+import { sendMessages as defaultSendMessages } from './llm-client.js';
+import { formatContextPrefix as defaultFormatContextPrefix } from './context-extractor.js';
+import { extractJsonObject } from './response-parser.js';
+
+/**
+ * @typedef {import('./context-extractor.js').DocumentContext} DocumentContext
+ * @typedef {import('./llm-client.js').TokenUsage} TokenUsage
+ */
+
+/**
+ * @typedef {Object} Revision
+ * @property {string} type - 'Added'|'Deleted'|'Replaced'|'Moved (from)'|'Moved (to)'
+ * @property {string} text - Inserted text (Added, Replaced, Moved (to)) or removed text
+ * @property {string} [beforeText] - Replaced: the deleted text
+ * @property {string} [afterText] - Replaced: the inserted text
+ * @property {string|null} author
+ * @property {string|null} date - ISO timestamp
+ * @property {string} paragraphText - The clause as it reads with the change
+ */
+
+/**
+ * @typedef {Object} RevisionAnalysis
+ * @property {Revision} revision
+ * @property {'High'|'Medium'|'Low'|null} risk - null when the reply gave no rating
+ * @property {string|null} analysis
+ * @property {string|null} error - Error message when the request failed
+ * @property {TokenUsage|null} usage
+ */
+
+/**
+ * @typedef {Object} RevisionRecommendation
+ * @property {Revision} revision
+ * @property {'accept'|'reject'|'counter'|null} action - null when the request failed
+ * @property {string|null} reason
+ * @property {string|null} counterText - For 'counter': wording to stand in place of the
+ *   inserted text, or to reinstate at a deletion
+ * @property {string|null} error
+ * @property {TokenUsage|null} usage
+ */
+
+/** Risk ratings, highest first. */
+export const RISK_LEVELS = ['High', 'Medium', 'Low'];
+
+/** Longest clause text sent with a revision (characters). */
+const MAX_CLAUSE_LENGTH = 3000;
+
+/** Token budget for the definitions/outline prefix sent with each revision. */
+const CONTEXT_PREFIX_TOKENS = 1500;
+
+const SYSTEM_PROMPT = `You are a lawyer reviewing the other side's tracked changes to a contract.
+For the change shown, explain what it does to the clause and the risk it creates for our client: shifted obligations or liability, narrowed rights, changed amounts, periods or thresholds, new conditions, and ambiguity. Suggest a response (accept, reject, or a counter-proposal) in one sentence.
+
+Start your reply with a line of the form
+RISK: High|Medium|Low
+followed by the analysis in at most 120 words of plain text (no markdown).`;
+
+/** Recommended responses to a revision. */
+export const RECOMMENDATION_ACTIONS = ['accept', 'reject', 'counter'];
+
+/** JSON schema requested from backends that support guided decoding. */
+export const RECOMMENDATION_RESPONSE_FORMAT = Object.freeze({
+  name: 'revision_recommendation',
+  schema: {
+    type: 'object',
+    properties: {
+      recommendation: { type: 'string', enum: RECOMMENDATION_ACTIONS },
+      reason: { type: 'string' },
+      counterText: { type: 'string' },
+    },
+    required: ['recommendation', 'reason'],
+    additionalProperties: false,
+  },
+});
+
+const RECOMMENDATION_PROMPT = `You are a lawyer deciding how to respond to the other side's tracked changes to a contract.
+For the change shown, recommend one of:
+- "accept": the change is acceptable to our client
+- "reject": the original wording should stand
+- "counter": neither; propose compromise wording
+
+RESPOND WITH A SINGLE JSON OBJECT AND NOTHING ELSE, in this shape:
+{"recommendation": "accept" | "reject" | "counter", "reason": "<one or two sentences>", "counterText": "<only for counter>"}
+
+counterText is the exact wording to stand in place of the inserted text (for an insertion or replacement) or to reinstate where the text was deleted (for a deletion). It replaces only that text, not the whole clause.`;
+
+/**
+ * Distinct revision authors with their number of changes, most changes first.
+ *
+ * @param {Revision[]} revisions
+ * @returns {Array<{author: string, count: number}>} Revisions without an author count as 'Unknown'
+ */
+export function listRevisionAuthors(revisions) {
+  const counts = new Map();
+  for (const revision of revisions) {
+    const author = revision.author || 'Unknown';
+    counts.set(author, (counts.get(author) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([author, count]) => ({ author, count }))
+    .sort((a, b) => b.count - a.count || a.author.localeCompare(b.author));
+}
+
+/**
+ * Parses a date filter bound. Date-only `to` bounds include the whole day.
+ * @private
+ */
+function parseBound(value, endOfDay) {
+  if (!value) return null;
+  if (value instanceof Date) return value.getTime();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(dateOnly ? `${value}T00:00:00` : value);
+  if (Number.isNaN(time)) return null;
+  return dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+/** Revision types that change the wording, and so are reviewed. */
+const TEXT_REVISION_TYPES = new Set(['Added', 'Deleted', 'Replaced', 'Moved (to)']);
+
+/**
+ * Keeps text revisions by the given authors within a date range. Moves are
+ * reviewed at their destination only ('Moved (from)' is dropped), and
+ * formatting and table-structure revisions are left out (the wording of an
+ * inserted or deleted row is reported as text revisions too).
+ *
+ * @param {Revision[]} revisions
+ * @param {Object} [filter]
+ * @param {string[]} [filter.authors=[]] - Authors to keep (case-insensitive); empty = all
+ * @param {string|Date} [filter.from] - Earliest date (inclusive); 'YYYY-MM-DD' is local midnight
+ * @param {string|Date} [filter.to] - Latest date (inclusive); 'YYYY-MM-DD' includes the whole day
+ * @returns {Revision[]} Revisions without a date are dropped when a date bound is set
+ */
+export function filterRevisions(revisions, filter = {}) {
+  const authors = new Set((filter.authors || []).map((a) => a.trim().toLowerCase()).filter(Boolean));
+  const from = parseBound(filter.from, false);
+  const to = parseBound(filter.to, true);
+
+  return revisions.filter((revision) => {
+    if (!TEXT_REVISION_TYPES.has(revision.type)) return false;
+    if (authors.size > 0 && !authors.has((revision.author || '').toLowerCase())) return false;
+    if (from === null && to === null) return true;
+    const time = revision.date ? Date.parse(revision.date) : NaN;
+    if (Number.isNaN(time)) return false;
+    return (from === null || time >= from) && (to === null || time <= to);
+  });
+}
+
+/**
+ * Describes the change itself, e.g. `Replaced "30 days" with "60 days"`.
+ *
+ * @param {Revision} revision
+ * @returns {string}
+ */
+export function describeRevision(revision) {
+  switch (revision.type) {
+    case 'Replaced':
+      return `Replaced "${revision.beforeText}" with "${revision.afterText}"`;
+    case 'Deleted':
+      return `Deleted "${revision.text}"`;
+    case 'Moved (to)':
+      return `Moved "${revision.text}" here`;
+    default:
+      return `Inserted "${revision.text}"`;
+  }
+}
+
+/**
+ * Builds the messages asking for a revision's risk analysis.
+ *
+ * @param {Revision} revision
+ * @param {Object} [options]
+ * @param {string} [options.contextPrompt=''] - The user's Context prompt (e.g. which party we act for)
+ * @param {string} [options.contextPrefix=''] - Document definitions/outline (formatContextPrefix)
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function buildRevisionMessages(revision, options = {}) {
+  return composeRevisionMessages(SYSTEM_PROMPT, revision, options);
+}
+
+/**
+ * Builds the messages asking whether to accept, reject or counter a revision.
+ *
+ * @param {Revision} revision
+ * @param {Object} [options] - As for buildRevisionMessages()
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function buildRecommendationMessages(revision, options = {}) {
+  return composeRevisionMessages(RECOMMENDATION_PROMPT, revision, options);
+}
+
+/**
+ * System prompt around the instructions, and the change and clause as the user message.
+ * @private
+ */
+function composeRevisionMessages(instructions, revision, options) {
+  const { contextPrompt = '', contextPrefix = '' } = options;
+  const system = [contextPrompt, instructions, contextPrefix].filter(Boolean).join('\n\n');
+  let clause = revision.paragraphText || '';
+  if (clause.length > MAX_CLAUSE_LENGTH) {
+    clause = clause.substring(0, MAX_CLAUSE_LENGTH) + '...';
+  }
+
+  const lines = [`CHANGE: ${describeRevision(revision)}`];
+  if (revision.author) lines.push(`AUTHOR: ${revision.author}`);
+  if (revision.date) lines.push(`DATE: ${revision.date}`);
+  lines.push('', `CLAUSE (as it reads with the change):\n${clause || '(empty)'}`);
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: lines.join('\n') },
+  ];
+}
+
+/**
+ * Splits a reply into its risk rating and analysis. A reply without a
+ * RISK line is kept whole as the analysis.
+ *
+ * @param {string} text
+ * @returns {{risk: 'High'|'Medium'|'Low'|null, analysis: string}}
+ */
+export function parseRevisionAnalysis(text) {
+  const trimmed = (text || '').trim();
+  const match = trimmed.match(/^\**\s*risk\s*(?:level)?\s*[:-]\s*\**\s*(high|medium|low)\b\**\s*/i);
+  if (!match) {
+    return { risk: null, analysis: trimmed };
+  }
+  const risk = RISK_LEVELS.find((level) => level.toLowerCase() === match[1].toLowerCase());
+  return { risk, analysis: trimmed.substring(match[0].length).trim() };
+}
+
+/**
+ * Comment text for an analysis.
+ *
+ * @param {RevisionAnalysis} result
+ * @returns {string}
+ */
+export function formatRevisionComment(result) {
+  const heading = result.risk ? `Risk review (${result.risk})` : 'Risk review';
+  return `${heading}: ${result.analysis}`;
+}
+
+/**
+ * Parses a recommendation reply.
+ *
+ * @param {string} text
+ * @returns {{action: 'accept'|'reject'|'counter', reason: string, counterText: string|null}}
+ * @throws {Error} When the reply is not a JSON object with a known recommendation, or
+ *   a counter-proposal has no wording
+ */
+export function parseRecommendation(text) {
+  const jsonText = extractJsonObject(text || '');
+  if (jsonText === null) {
+    throw new Error('no JSON object found');
+  }
+  let value;
+  try {
+    value = JSON.parse(jsonText);
+  } catch (e) {
+    throw new Error(`invalid JSON (${e.message})`);
+  }
+  const action = typeof value?.recommendation === 'string' ? value.recommendation.trim().toLowerCase() : '';
+  if (!RECOMMENDATION_ACTIONS.includes(action)) {
+    throw new Error(`unknown recommendation "${value?.recommendation}"`);
+  }
+  const counterText = typeof value.counterText === 'string' && value.counterText.trim()
+    ? value.counterText.trim()
+    : null;
+  if (action === 'counter' && !counterText) {
+    throw new Error('counter-proposal without counterText');
+  }
+  return {
+    action,
+    reason: typeof value.reason === 'string' ? value.reason.trim() : '',
+    counterText: action === 'counter' ? counterText : null,
+  };
+}
+
+/**
+ * Counts recommendations by action.
+ *
+ * @param {RevisionRecommendation[]} results
+ * @returns {{accept: number, reject: number, counter: number, failed: number}}
+ */
+export function countRecommendations(results) {
+  const counts = { accept: 0, reject: 0, counter: 0, failed: 0 };
+  for (const result of results) {
+    counts[result.error ? 'failed' : result.action]++;
+  }
+  return counts;
+}
+
+/**
+ * Requests a risk analysis for each revision, a few at a time. Failed
+ * requests are returned with their error; a cancellation stops the
+ * remaining requests and is rethrown.
+ *
+ * @param {Revision[]} revisions - From filterRevisions()
+ * @param {Object} options
+ * @param {Object} options.config - Backend config for sendMessages
+ * @param {string} [options.contextPrompt='']
+ * @param {DocumentContext|null} [options.documentContext=null] - Adds relevant definitions to each request
+ * @param {function} [options.log] - Logging callback (message, type)
+ * @param {function} [options.onProgress] - Called with (done, total) as requests settle
+ * @param {AbortSignal} [options.signal]
+ * @param {number} [options.concurrency=4]
+ * @param {number} [options.timeoutMs=120000]
+ * @param {function} [options.sendMessagesFn] - Injectable sendMessages (for testing)
+ * @param {function} [options.formatContextPrefixFn] - Injectable formatContextPrefix (for testing)
+ * @returns {Promise<RevisionAnalysis[]>} In revision order
+ */
+export async function reviewRevisions(revisions, options) {
+  return forEachRevision(revisions, options, async (revision, send) => {
+    const reply = await send(buildRevisionMessages(revision, send.messageOptions), {});
+    const { risk, analysis } = parseRevisionAnalysis(reply.text);
+    return { risk, analysis };
+  }, { risk: null, analysis: null });
+}
+
+/**
+ * Requests an accept/reject/counter recommendation for each revision, a few
+ * at a time. Failed requests and unusable replies are returned with their
+ * error; a cancellation stops the remaining requests and is rethrown.
+ *
+ * @param {Revision[]} revisions - From filterRevisions()
+ * @param {Object} options - As for reviewRevisions()
+ * @returns {Promise<RevisionRecommendation[]>} In revision order
+ */
+export async function recommendRevisions(revisions, options) {
+  return forEachRevision(revisions, options, async (revision, send) => {
+    const reply = await send(buildRecommendationMessages(revision, send.messageOptions),
+      { responseFormat: RECOMMENDATION_RESPONSE_FORMAT });
+    return parseRecommendation(reply.text);
+  }, { action: null, reason: null, counterText: null });
+}
+
+/**
+ * Runs one request per revision on a small worker pool and collects
+ * `{revision, ...fields, error, usage}` results in revision order.
+ * @private
+ * @param {Revision[]} revisions
+ * @param {Object} options - reviewRevisions() options
+ * @param {function(Revision, function): Promise<Object>} request - Given the revision and a
+ *   send(messages, sendOptions) function (with send.messageOptions for the message builders);
+ *   resolves to the result fields
+ * @param {Object} emptyFields - Result fields of a failed request
+ * @returns {Promise<Object[]>}
+ */
+async function forEachRevision(revisions, options, request, emptyFields) {
+  const {
+    config,
+    contextPrompt = '',
+    documentContext = null,
+    onProgress,
+    signal,
+    concurrency = 4,
+    timeoutMs = 120000,
+    sendMessagesFn = defaultSendMessages,
+    formatContextPrefixFn = defaultFormatContextPrefix,
+  } = options;
+  const log = options.log || (() => {});
+
+  const results = new Array(revisions.length);
+  let next = 0;
+  let done = 0;
+
+  async function run(index) {
+    const revision = revisions[index];
+    let usage = null;
+    const send = async (messages, sendOptions) => {
+      const reply = await sendMessagesFn(config, messages, log, signal, timeoutMs, { includeUsage: true, ...sendOptions });
+      if (typeof reply === 'string') return { text: reply, usage: null };
+      usage = reply.usage || null;
+      return { text: reply.text, usage };
+    };
+    send.messageOptions = {
+      contextPrompt,
+      contextPrefix: documentContext
+        ? formatContextPrefixFn(documentContext, revision.paragraphText || '', CONTEXT_PREFIX_TOKENS)
+        : '',
+    };
+    try {
+      results[index] = { revision, ...(await request(revision, send)), error: null, usage };
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      results[index] = { revision, ...emptyFields, error: err.message, usage };
+    }
+    done++;
+    if (onProgress) onProgress(done, revisions.length);
+  }
+
+  async function worker() {
+    while (next < revisions.length) {
+      if (signal && signal.aborted) {
+        throw new DOMException('The operation was aborted.', 'AbortError');
+      }
+      await run(next++);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, revisions.length) }, () => worker()));
+  return results;
+}
+
+/**
+ * Word TrackedChange type a revision is anchored on: the inserted text for
+ * insertions, replacements and moves, the removed text for deletions.
+ * @private
+ */
+function anchorType(revision) {
+  return revision.type === 'Deleted' || revision.type === 'Moved (from)' ? 'Deleted' : 'Added';
+}
+
+/**
+ * Normalises text for matching OOXML revisions to Word's tracked changes.
+ * @private
+ */
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Matches revisions to Word's tracked changes (body.getTrackedChanges(),
+ * in document order) by type, author and text, each tracked change used
+ * at most once.
+ *
+ * @param {Revision[]} revisions
+ * @param {Array<{type: string, author: string, text: string}>} trackedChanges
+ * @returns {number[]} Index into trackedChanges per revision, or -1 when none matches
+ */
+export function matchTrackedChanges(revisions, trackedChanges) {
+  const used = new Set();
+  return revisions.map((revision) => {
+    const type = anchorType(revision);
+    const text = normalizeText(type === 'Added' && revision.type === 'Replaced' ? revision.afterText : revision.text);
+    const index = trackedChanges.findIndex((change, i) => !used.has(i)
+      && change.type === type
+      && (!revision.author || change.author === revision.author)
+      && normalizeText(change.text) === text);
+    if (index >= 0) used.add(index);
+    return index;
+  });
+}
+
+/**
+ * Matches revisions to all the Word tracked changes that make them up, so
+ * a revision can be accepted or rejected as a whole: a replacement is a
+ * deletion plus an insertion, a move is its destination plus the deletion
+ * at its source; other revisions are a single tracked change. Each tracked
+ * change is used at most once.
+ *
+ * @param {Revision[]} revisions
+ * @param {Array<{type: string, author: string, text: string}>} trackedChanges
+ * @returns {number[][]} Indices into trackedChanges per revision (the anchor, as in
+ *   matchTrackedChanges(), first); empty when any part is missing
+ */
+export function matchRevisionParts(revisions, trackedChanges) {
+  const anchors = matchTrackedChanges(revisions, trackedChanges);
+  const used = new Set(anchors.filter((index) => index >= 0));
+
+  // The closest unused deletion by the revision's author with the given text
+  // among the tracked changes at `indices`
+  const findDeletion = (revision, text, indices) => indices.find((i) => {
+    const change = trackedChanges[i];
+    return !used.has(i) && change.type === 'Deleted'
+      && (!revision.author || change.author === revision.author)
+      && normalizeText(change.text) === text;
+  });
+
+  return revisions.map((revision, r) => {
+    const anchor = anchors[r];
+    if (anchor < 0) return [];
+    if (revision.type !== 'Replaced' && revision.type !== 'Moved (to)') return [anchor];
+
+    const indices = trackedChanges.map((_, i) => i);
+    let partner;
+    if (revision.type === 'Replaced') {
+      // The deletion comes just before the insertion
+      partner = findDeletion(revision, normalizeText(revision.beforeText), indices.slice(0, anchor).reverse());
+    } else {
+      // The source deletion can be anywhere in the document, nearest first
+      const byDistance = indices.filter((i) => i !== anchor)
+        .sort((a, b) => Math.abs(a - anchor) - Math.abs(b - anchor));
+      partner = findDeletion(revision, normalizeText(revision.text), byDistance);
+    }
+    if (partner === undefined) return [];
+    used.add(partner);
+    return [anchor, partner];
+  });
+}
@@ -0,0 +1,434 @@
+/**
+ * Run State Module
+ *
+ * Persists whole-document runs so they survive the taskpane being closed or
+ * reloaded mid-run. A run records everything needed to finish it later: the
+ * chunk boundaries and their bookmark names (the bookmarks themselves stay in
+ * the document), a snapshot of the prompts and options it was started with,
+ * and each chunk's result and whether its amendment/comment has been applied.
+ *
+ * The state is kept in the document's add-in settings
+ * (Office.context.document.settings), so it travels with the document.
+ * Saves are coalesced: while one save is in flight, further updates mark the
+ * state dirty and are written by a single follow-up save. The settings have a
+ * size limit, so chunks are stored as paragraph index ranges plus a hash of
+ * their text rather than the text itself, and the document context is not
+ * stored at all: both are rebuilt from the document on resume.
+ *
+ * On resume, fulfilled chunks are applied from their stored results without
+ * another LLM call, already-applied parts are skipped, and only chunks that
+ * never completed are requested again. Chunks whose text no longer matches
+ * its hash (the document was edited in between) are left out.
+ *
+ * Pure JavaScript -- no Word API dependency (the settings object is injected).
+ *
+ * @module run-state
+ */
+
+/**
+ * @typedef {import('./document-chunker.js').DocumentChunk} DocumentChunk
+ * @typedef {import('./document-parser.js').DocumentModel} DocumentModel
+ * @typedef {import('./orchestrator.js').ChunkResult} ChunkResult
+ */
+
+import { hashText } from './text-hash.js';
+
+/** Document settings key holding the run state. */
+export const RUN_STATE_KEY = 'wordAI.run';
+
+/** Bumped when the stored shape changes; older states are ignored. */
+export const RUN_STATE_VERSION = 2;
+
+/** Prompt categories a whole-document run reads. */
+const SNAPSHOT_CATEGORIES = ['context', 'amendment', 'comment'];
+
+/**
+ * @typedef {Object} ChunkBoundary
+ * @property {string} id - Chunk id
+ * @property {number} startIndex - First paragraph index in document
+ * @property {number} endIndex - Last paragraph index in document
+ * @property {string} hash - hashText() of the chunk's paragraph text
+ * @property {boolean} overlapBefore - Whether the chunk had context before it
+ * @property {boolean} overlapAfter - Whether the chunk had context after it
+ */
+
+/**
+ * @typedef {Object} ChunkRecord
+ * @property {'fulfilled'|'rejected'|'cancelled'} status
+ * @property {string|null} amendment
+ * @property {string|null} comment
+ * @property {Array<{quote: string, text: string}>|null} comments
+ * @property {string|null} rationale
+ * @property {string|null} error
+ * @property {{amendment: boolean, comment: boolean}} applied - Parts already written to the document
+ */
+
+/**
+ * @typedef {Object} RunState
+ * @property {number} version - RUN_STATE_VERSION
+ * @property {string} startedAt - ISO timestamp
+ * @property {string} mode - 'amendment'|'comment'|'both'
+ * @property {Object<string, {name: string, template: string}|null>} prompts - Active prompts at start
+ * @property {string} commentInstructions
+ * @property {string} backend - Profile id the run was sent to
+ * @property {string} model
+ * @property {Object} generation - Effective GenerationParams
+ * @property {Object} options - { structuredOutput, classifyFallback, consistencyCheck, adaptiveConcurrency, contextPrefixTokens, commentGranularity }
+ * @property {ChunkBoundary[]} chunks
+ * @property {Object<string, string>} bookmarks - chunkId -> bookmark name
+ * @property {Object<string, ChunkRecord>} results - chunkId -> record (chunks not yet settled are absent)
+ */
+
+/**
+ * Creates the state for a new run.
+ *
+ * @param {Object} run
+ * @param {DocumentChunk[]} run.chunks
+ * @param {Map<string, string>} run.bookmarkMap - From bookmarkChunkRanges()
+ * @param {Object} run.promptManager - PromptManager (active prompts are snapshotted)
+ * @param {string} [run.commentInstructions='']
+ * @param {string} run.backend - Profile id
+ * @param {string} run.model
+ * @param {Object} [run.generation={}]
+ * @param {Object} [run.options={}]
+ * @returns {RunState}
+ */
+export function createRunState({
+  chunks,
+  bookmarkMap,
+  promptManager,
+  commentInstructions = '',
+  backend,
+  model,
+  generation = {},
+  options = {},
+}) {
+  const prompts = {};
+  for (const category of SNAPSHOT_CATEGORIES) {
+    const prompt = promptManager.getActivePrompt(category);
+    prompts[category] = prompt ? { name: prompt.name, template: prompt.template } : null;
+  }
+
+  return {
+    version: RUN_STATE_VERSION,
+    startedAt: new Date().toISOString(),
+    mode: promptManager.getActiveMode(),
+    prompts,
+    commentInstructions,
+    backend,
+    model,
+    generation,
+    options,
+    chunks: chunks.map((chunk) => ({
+      id: chunk.id,
+      startIndex: chunk.startIndex,
+      endIndex: chunk.endIndex,
+      hash: chunkHash(chunk.paragraphs),
+      overlapBefore: !!chunk.overlapBefore,
+      overlapAfter: !!chunk.overlapAfter,
+    })),
+    bookmarks: Object.fromEntries(bookmarkMap),
+    results: {},
+  };
+}
+
+/**
+ * Hash identifying a chunk's text.
+ * @private
+ * @param {Array<{text: string}>} paragraphs
+ * @returns {string}
+ */
+function chunkHash(paragraphs) {
+  return hashText(paragraphs.map((p) => p.text).join('\n'));
+}
+
+/**
+ * Stores a settled chunk result. A new result for a chunk replaces the old
+ * one, including its applied flags.
+ *
+ * @param {RunState} state - Mutated
+ * @param {ChunkResult} result
+ */
+export function recordChunkResult(state, result) {
+  state.results[result.chunkId] = {
+    status: result.status,
+    amendment: result.amendment || null,
+    comment: result.comment || null,
+    comments: result.comments || null,
+    rationale: result.rationale || null,
+    error: result.error || null,
+    applied: { amendment: false, comment: false },
+  };
+}
+
+/**
+ * Marks part of a chunk's result as written to the document.
+ *
+ * @param {RunState} state - Mutated
+ * @param {string} chunkId
+ * @param {'amendment'|'comment'} part
+ */
+export function markChunkApplied(state, chunkId, part) {
+  const record = state.results[chunkId];
+  if (record) {
+    record.applied[part] = true;
+  }
+}
+
+/**
+ * Rebuilds a run's chunks from the document as it is now. A chunk is left
+ * out (listed in `changed`) when its paragraphs no longer hash to the stored
+ * text -- unless its amendment was already applied, which is expected to
+ * have changed them.
+ *
+ * @param {RunState} state
+ * @param {DocumentModel} docModel - parseDocument() result of the current document
+ * @returns {{chunks: DocumentChunk[], changed: string[]}} changed: ids of chunks left out
+ */
+export function restoreChunks(state, docModel) {
+  const { paragraphs } = docModel;
+  const chunks = [];
+  const changed = [];
+
+  for (const boundary of state.chunks) {
+    const first = paragraphs.findIndex((p) => p.index >= boundary.startIndex);
+    let last = first;
+    while (last + 1 < paragraphs.length && paragraphs[last + 1].index <= boundary.endIndex) {
+      last++;
+    }
+    const chunkParas = first === -1 || paragraphs[first].index > boundary.endIndex
+      ? []
+      : paragraphs.slice(first, last + 1);
+    const record = state.results[boundary.id];
+    const amended = !!record && record.applied.amendment;
+    if (chunkParas.length === 0 || (!amended && chunkHash(chunkParas) !== boundary.hash)) {
+      changed.push(boundary.id);
+      continue;
+    }
+
+    const headingPara = chunkParas.find((p) => p.headingLevel > 0);
+    chunks.push({
+      id: boundary.id,
+      paragraphs: chunkParas,
+      startIndex: boundary.startIndex,
+      endIndex: boundary.endIndex,
+      tokenCount: chunkParas.reduce((sum, p) => sum + (p.tokenEstimate || 0), 0),
+      sectionTitle: headingPara ? headingPara.text : '',
+      overlapBefore: boundary.overlapBefore && first > 0 ? paragraphs[first - 1].text : '',
+      overlapAfter: boundary.overlapAfter && last + 1 < paragraphs.length ? paragraphs[last + 1].text : '',
+    });
+  }
+
+  return { chunks, changed };
+}
+
+/**
+ * Works out what is left of an interrupted run.
+ *
+ * @param {RunState} state
+ * @param {Array<DocumentChunk|ChunkBoundary>} [chunks=state.chunks] - Chunks from
+ *   restoreChunks() (the stored boundaries are enough to count what is left)
+ * @returns {{toApply: ChunkResult[], toRequest: DocumentChunk[], done: number}}
+ *   toApply: fulfilled results with only their unapplied parts set;
+ *   toRequest: chunks without a fulfilled result; done: chunks fully applied
+ */
+export function planResume(state, chunks = state.chunks) {
+  const toApply = [];
+  const toRequest = [];
+  let done = 0;
+
+  chunks.forEach((chunk) => {
+    const chunkIndex = state.chunks.findIndex((c) => c.id === chunk.id);
+    const record = state.results[chunk.id];
+    if (!record || record.status !== 'fulfilled') {
+      toRequest.push(chunk);
+      return;
+    }
+    const amendment = record.applied.amendment ? null : record.amendment;
+    const comment = record.applied.comment ? null : record.comment;
+    if (!amendment && !comment) {
+      done++;
+      return;
+    }
+    toApply.push({
+      chunkId: chunk.id,
+      chunkIndex,
+      status: 'fulfilled',
+      amendment,
+      comment,
+      comments: record.comments,
+      rationale: record.rationale,
+      error: null,
+      usage: null,
+      estimatedPromptTokens: null,
+      chunk,
+    });
+  });
+
+  return { toApply, toRequest, done };
+}
+
+/**
+ * Rebuilds the chunkId -> bookmark name map used by the reassembler.
+ *
+ * @param {RunState} state
+ * @returns {Map<string, string>}
+ */
+export function restoreBookmarkMap(state) {
+  return new Map(Object.entries(state.bookmarks));
+}
+
+/**
+ * A read-only stand-in for PromptManager that serves the prompts snapshotted
+ * when the run started, so a resumed run uses the same prompts even if the
+ * active ones have changed since.
+ *
+ * @param {RunState} state
+ * @returns {{getActiveMode: function(): string, getActivePrompt: function(string): (Object|null)}}
+ */
+export function snapshotPromptManager(state) {
+  return {
+    getActiveMode: () => state.mode,
+    getActivePrompt: (category) => state.prompts[category] || null,
+  };
+}
+
+/**
+ * Whether a stored value is a run state this version can resume.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isResumableRunState(value) {
+  return !!value &&
+    typeof value === 'object' &&
+    value.version === RUN_STATE_VERSION &&
+    Array.isArray(value.chunks) &&
+    value.chunks.length > 0 &&
+    !!value.bookmarks &&
+    !!value.results;
+}
+
+/**
+ * Wraps Office document settings as a promise-based run state store.
+ *
+ * @param {Object} settings - Office.context.document.settings (get/set/remove/saveAsync)
+ * @returns {{load: function(): (RunState|null), save: function(RunState): Promise<void>, clear: function(): Promise<void>}}
+ */
+export function createSettingsStore(settings) {
+  function persist() {
+    return new Promise((resolve, reject) => {
+      settings.saveAsync((result) => {
+        if (result && result.status === 'failed') {
+          reject(new Error(result.error?.message || 'settings save failed'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  return {
+    load() {
+      const value = settings.get(RUN_STATE_KEY);
+      return isResumableRunState(value) ? value : null;
+    },
+    save(state) {
+      settings.set(RUN_STATE_KEY, state);
+      return persist();
+    },
+    clear() {
+      settings.remove(RUN_STATE_KEY);
+      return persist();
+    },
+  };
+}
+
+/**
+ * Keeps a run's stored state in step with its progress.
+ */
+export class RunRecorder {
+  /**
+   * @param {{save: function(RunState): Promise<void>, clear: function(): Promise<void>}} store
+   * @param {RunState} state
+   * @param {function} [log] - Logging callback (message, type)
+   */
+  constructor(store, state, log) {
+    this.state = state;
+    this._store = store;
+    this._log = log || (() => {});
+    this._dirty = false;
+    this._saving = null;
+    this._discarded = false;
+    this._warned = false;
+  }
+
+  /**
+   * Saves the state as it is now (e.g. right after the run starts).
+   */
+  save() {
+    this._scheduleSave();
+  }
+
+  /**
+   * Records a settled chunk result and saves.
+   * @param {ChunkResult} result
+   */
+  recordResult(result) {
+    recordChunkResult(this.state, result);
+    this._scheduleSave();
+  }
+
+  /**
+   * Records that part of a chunk's result was written to the document and saves.
+   * @param {string} chunkId
+   * @param {'amendment'|'comment'} part
+   */
+  markApplied(chunkId, part) {
+    markChunkApplied(this.state, chunkId, part);
+    this._scheduleSave();
+  }
+
+  /**
+   * Resolves once every scheduled save has finished.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this._saving || Promise.resolve();
+  }
+
+  /**
+   * Stops saving and removes the stored state (the run is finished).
+   * @returns {Promise<void>}
+   */
+  async discard() {
+    this._discarded = true;
+    await this.flush();
+    await this._store.clear();
+  }
+
+  _scheduleSave() {
+    if (this._discarded) return;
+    this._dirty = true;
+    if (!this._saving) {
+      this._saving = this._drain();
+    }
+  }
+
+  async _drain() {
+    while (this._dirty && !this._discarded) {
+      this._dirty = false;
+      try {
+        await this._store.save(this.state);
+      } catch (err) {
+        // Typically the settings size limit on very large documents
+        if (!this._warned) {
+          this._warned = true;
+          this._log(`Could not save run progress in the document (${err.message}) -- ` +
+            'this run cannot be resumed if the taskpane is closed before it finishes', 'warning');
+        }
+      }
+    }
+    this._saving = null;
+  }
+}
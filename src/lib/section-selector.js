@@ -0,0 +1,155 @@
+/**
+ * Section Selector Module
+ *
+ * Turns the document outline (from extractContext) into selectable sections
+ * and the selection into paragraph ranges for chunkDocument, so a
+ * whole-document run can be restricted to e.g. Clauses 8-14 and Schedule 3,
+ * or skip the definitions and signature blocks. Context extraction still
+ * reads the whole document.
+ *
+ * A section runs from its heading to the next heading of the same or a
+ * higher level, so it contains its subsections. Each paragraph belongs to
+ * exactly one section -- the one opened by the nearest heading above it --
+ * and is processed when that section is selected. Text before the first
+ * heading forms a preamble section.
+ *
+ * Selections are stored as excluded section keys, so sections added to the
+ * document after the selection was made are included.
+ *
+ * Pure JavaScript -- no Word API dependency.
+ *
+ * @module section-selector
+ */
+
+/**
+ * @typedef {import('./context-extractor.js').DocumentContext} DocumentContext
+ */
+
+/**
+ * @typedef {Object} OutlineSection
+ * @property {string} key - Identifies the section across outline reloads (heading index and text)
+ * @property {number} level - Heading level (0 for the preamble)
+ * @property {string} title
+ * @property {number} startIndex - Heading paragraph index
+ * @property {number} endIndex - Last paragraph of the section, subsections included
+ * @property {number} ownEndIndex - Last paragraph before the next heading of any level
+ */
+
+/** Key of the section holding the text before the first heading. */
+export const PREAMBLE_KEY = 'preamble';
+
+/**
+ * One past the last paragraph index of a parsed document. Parsed paragraphs
+ * keep their Word paragraph index and blank paragraphs are skipped, so this
+ * is usually more than docModel.paragraphs.length.
+ *
+ * @param {import('./document-parser.js').DocumentModel} docModel
+ * @returns {number}
+ */
+export function paragraphIndexEnd(docModel) {
+  const { paragraphs } = docModel;
+  return paragraphs.length > 0 ? paragraphs[paragraphs.length - 1].index + 1 : 0;
+}
+
+/**
+ * Builds the section list from a document outline.
+ *
+ * @param {DocumentContext['outline']} outline - Headings in document order
+ * @param {number} paragraphEnd - One past the last paragraph index (paragraphIndexEnd())
+ * @returns {OutlineSection[]} In document order
+ */
+export function buildSections(outline, paragraphEnd) {
+  const sections = [];
+  const lastIndex = paragraphEnd - 1;
+
+  const firstHeading = outline.length > 0 ? outline[0].paragraphIndex : paragraphEnd;
+  if (firstHeading > 0 && paragraphEnd > 0) {
+    sections.push({
+      key: PREAMBLE_KEY,
+      level: 0,
+      title: '(Before first heading)',
+      startIndex: 0,
+      endIndex: firstHeading - 1,
+      ownEndIndex: firstHeading - 1,
+    });
+  }
+
+  outline.forEach((heading, i) => {
+    const next = outline[i + 1];
+    const closing = outline.slice(i + 1).find((h) => h.level <= heading.level);
+    sections.push({
+      key: `${heading.paragraphIndex}:${heading.text}`,
+      level: heading.level,
+      title: heading.text,
+      startIndex: heading.paragraphIndex,
+      endIndex: closing ? closing.paragraphIndex - 1 : lastIndex,
+      ownEndIndex: next ? next.paragraphIndex - 1 : lastIndex,
+    });
+  });
+
+  return sections;
+}
+
+/**
+ * Keys of a section and all of its subsections (for ticking or unticking a
+ * whole branch of the outline at once).
+ *
+ * @param {OutlineSection[]} sections
+ * @param {string} key
+ * @returns {string[]}
+ */
+export function sectionBranchKeys(sections, key) {
+  const section = sections.find((s) => s.key === key);
+  if (!section) return [];
+  return sections
+    .filter((s) => s.startIndex >= section.startIndex && s.startIndex <= section.endIndex)
+    .map((s) => s.key);
+}
+
+/**
+ * Paragraph ranges covered by the selected (not excluded) sections, with
+ * adjacent ranges merged.
+ *
+ * @param {OutlineSection[]} sections
+ * @param {Set<string>} excludedKeys
+ * @returns {Array<{startIndex: number, endIndex: number}>}
+ */
+export function selectedRanges(sections, excludedKeys) {
+  const ranges = [];
+  for (const section of sections) {
+    if (excludedKeys.has(section.key)) continue;
+    const last = ranges[ranges.length - 1];
+    if (last && last.endIndex + 1 === section.startIndex) {
+      last.endIndex = section.ownEndIndex;
+    } else {
+      ranges.push({ startIndex: section.startIndex, endIndex: section.ownEndIndex });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Excluded keys that no longer match a section (the headings were edited or
+ * moved since the selection was made).
+ *
+ * @param {OutlineSection[]} sections
+ * @param {Set<string>} excludedKeys
+ * @returns {string[]}
+ */
+export function staleSectionKeys(sections, excludedKeys) {
+  const keys = new Set(sections.map((s) => s.key));
+  return [...excludedKeys].filter((key) => !keys.has(key));
+}
+
+/**
+ * Short description of a selection, e.g. "All sections" or "5 of 12 sections".
+ *
+ * @param {OutlineSection[]} sections
+ * @param {Set<string>} excludedKeys
+ * @returns {string}
+ */
+export function describeSelection(sections, excludedKeys) {
+  const selected = sections.filter((s) => !excludedKeys.has(s.key)).length;
+  if (selected === sections.length) return 'All sections';
+  return `${selected} of ${sections.length} sections`;
+}
@@ -0,0 +1,251 @@
+/**
+ * Term Validator Module
+ *
+ * Checks how a document uses its defined terms and abbreviations, using the
+ * definitions found by context-extractor.js. Reports:
+ *
+ * - defined terms that are never used outside their definition
+ * - capitalised terms used but never defined
+ * - terms defined more than once with different wording
+ * - abbreviations used before the paragraph that expands them
+ *
+ * Each finding names the paragraph it concerns, so the taskpane can anchor
+ * it as a comment. The undefined-term check is a heuristic: runs of
+ * capitalised words (not counting a sentence-initial word) outside headings
+ * that are not defined terms, abbreviations or heading titles, used at least
+ * twice.
+ *
+ * Pure JavaScript -- no Word API dependency.
+ *
+ * @module term-validator
+ */
+
+import { findDefinedTerms } from './context-extractor.js';
+
+/**
+ * @typedef {import('./document-parser.js').DocumentModel} DocumentModel
+ * @typedef {import('./context-extractor.js').DocumentContext} DocumentContext
+ */
+
+/**
+ * @typedef {Object} TermFinding
+ * @property {'unused-definition'|'undefined-term'|'duplicate-definition'|'abbreviation-before-expansion'} type
+ * @property {string} term
+ * @property {number} paragraphIndex - Paragraph to anchor the finding on
+ * @property {string} message
+ */
+
+/** Capitalised words that are not terms: structure words and calendar names. */
+const COMMON_CAPITALISED = new Set([
+  'Clause', 'Clauses', 'Schedule', 'Schedules', 'Section', 'Sections', 'Article', 'Articles',
+  'Part', 'Parts', 'Annex', 'Appendix', 'Exhibit', 'Paragraph', 'Recital', 'Recitals',
+  'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+]);
+
+/** Leading words dropped from a capitalised run ("The Supplier" -> "Supplier"). */
+const LEADING_WORDS = new Set(['The', 'A', 'An', 'This', 'That', 'These', 'Those', 'Each', 'Any', 'All', 'Such', 'No']);
+
+/** Runs of up to four capitalised words. */
+const CAPITALISED_RUN = /[A-Z][a-z][\w'’-]*(?:\s+[A-Z][a-z][\w'’-]*){0,3}/g;
+
+/**
+ * Escapes a string for use in a RegExp.
+ * @private
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Matches a term or its plural as a whole word, case-sensitively.
+ * @private
+ */
+function usagePattern(term) {
+  const stem = /[^aeiou]y$/.test(term)
+    ? `${escapeRegExp(term.slice(0, -1))}(?:y|ies)`
+    : `${escapeRegExp(term)}(?:s|es)?`;
+  return new RegExp(`(?<![\\p{L}\\p{N}])${stem}(?![\\p{L}\\p{N}])`, 'u');
+}
+
+/**
+ * Whether the text before a match ends a sentence (or is empty), so the
+ * match's first word is capitalised for grammar, not as a term.
+ * @private
+ */
+function atSentenceStart(text, index) {
+  const before = text.slice(0, index).trimEnd();
+  return before === '' || /[.!?:;]["'”’)]*$/.test(before) || /^[(\[]?[\divxlc]+[.)\]]?$/i.test(before);
+}
+
+/**
+ * Normalises definition wording for comparison.
+ * @private
+ */
+function normalizeWording(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').replace(/[.;,\s]+$/, '').trim();
+}
+
+/**
+ * Finds defined terms that are never used outside their definition.
+ * @private
+ */
+function findUnusedDefinitions(paragraphs, definitions) {
+  return definitions
+    .filter(({ term, paragraphIndex }) => {
+      const pattern = usagePattern(term);
+      return !paragraphs.some((p) => p.index !== paragraphIndex && pattern.test(p.text || ''));
+    })
+    .map(({ term, paragraphIndex }) => ({
+      type: 'unused-definition',
+      term,
+      paragraphIndex,
+      message: `"${term}" is defined but never used`,
+    }));
+}
+
+/**
+ * Finds terms defined in more than one paragraph with different wording.
+ * @private
+ */
+function findDuplicateDefinitions(paragraphs) {
+  const byTerm = new Map();
+  for (const para of paragraphs) {
+    for (const term of new Set(findDefinedTerms(para.text || ''))) {
+      const key = term.toLowerCase();
+      if (!byTerm.has(key)) byTerm.set(key, []);
+      byTerm.get(key).push({ term, para });
+    }
+  }
+
+  const findings = [];
+  for (const entries of byTerm.values()) {
+    const wordings = new Set(entries.map(({ para }) => normalizeWording(para.text)));
+    if (entries.length < 2 || wordings.size < 2) continue;
+    const first = entries[0];
+    for (const { term, para } of entries.slice(1)) {
+      findings.push({
+        type: 'duplicate-definition',
+        term,
+        paragraphIndex: para.index,
+        message: `"${term}" is defined again with different wording (first defined in paragraph ${first.para.index + 1})`,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Finds abbreviations used before the paragraph (or the position within
+ * it) where they are expanded.
+ * @private
+ */
+function findEarlyAbbreviations(paragraphs, abbreviations) {
+  const findings = [];
+  for (const { abbreviation, paragraphIndex } of abbreviations) {
+    const pattern = new RegExp(`(?<![\\w(])${escapeRegExp(abbreviation)}(?![\\w)])`);
+    const early = paragraphs.find((p) => {
+      if (p.index > paragraphIndex) return false;
+      const text = p.text || '';
+      const match = pattern.exec(text);
+      if (!match) return false;
+      return p.index < paragraphIndex || match.index < text.indexOf(`(${abbreviation})`);
+    });
+    if (early) {
+      findings.push({
+        type: 'abbreviation-before-expansion',
+        term: abbreviation,
+        paragraphIndex: early.index,
+        message: `"${abbreviation}" is used before it is expanded (paragraph ${paragraphIndex + 1})`,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Finds capitalised terms that are used but never defined.
+ * @private
+ */
+function findUndefinedTerms(paragraphs, context, minOccurrences, ignore) {
+  const known = [
+    ...context.definitions.map((d) => d.term),
+    ...context.abbreviations.map((a) => a.abbreviation),
+    ...context.abbreviations.map((a) => a.expansion),
+    ...context.outline.map((h) => h.text),
+    ...ignore,
+  ];
+  const knownPatterns = known.filter(Boolean).map(usagePattern);
+  const isKnown = (candidate) => knownPatterns.some((pattern) => {
+    const match = pattern.exec(candidate);
+    return match && match[0].length === candidate.length;
+  });
+
+  const candidates = new Map();
+  for (const para of paragraphs) {
+    if (para.headingLevel > 0) continue;
+    const text = para.text || '';
+    CAPITALISED_RUN.lastIndex = 0;
+    let match;
+    while ((match = CAPITALISED_RUN.exec(text)) !== null) {
+      if (isKnown(match[0])) continue;
+      let words = match[0].split(/\s+/);
+      // The first word may be capitalised for grammar, not as part of a term
+      if (atSentenceStart(text, match.index) || LEADING_WORDS.has(words[0])) {
+        words = words.slice(1);
+      }
+      const candidate = words.join(' ');
+      if (!candidate || words.every((w) => COMMON_CAPITALISED.has(w)) || isKnown(candidate)) continue;
+
+      if (!candidates.has(candidate)) {
+        candidates.set(candidate, { count: 0, paragraphIndex: para.index });
+      }
+      candidates.get(candidate).count++;
+    }
+  }
+
+  return [...candidates.entries()]
+    .filter(([, { count }]) => count >= minOccurrences)
+    .map(([term, { paragraphIndex }]) => ({
+      type: 'undefined-term',
+      term,
+      paragraphIndex,
+      message: `"${term}" is capitalised like a defined term but is not defined`,
+    }));
+}
+
+/**
+ * Runs all term checks.
+ *
+ * @param {DocumentModel} docModel - From parseDocument()
+ * @param {DocumentContext} context - From extractContext(docModel)
+ * @param {Object} [options]
+ * @param {number} [options.minOccurrences=2] - Uses before an undefined term is reported
+ * @param {string[]} [options.ignore=[]] - Capitalised terms never reported as undefined
+ * @returns {TermFinding[]} In document order
+ */
+export function validateTerms(docModel, context, options = {}) {
+  const { minOccurrences = 2, ignore = [] } = options;
+  const paragraphs = docModel.paragraphs || [];
+  return [
+    ...findUnusedDefinitions(paragraphs, context.definitions),
+    ...findUndefinedTerms(paragraphs, context, minOccurrences, ignore),
+    ...findDuplicateDefinitions(paragraphs),
+    ...findEarlyAbbreviations(paragraphs, context.abbreviations),
+  ].sort((a, b) => a.paragraphIndex - b.paragraphIndex);
+}
+
+/**
+ * Counts findings per type, for the summary log line.
+ *
+ * @param {TermFinding[]} findings
+ * @returns {Object<string, number>}
+ */
+export function countFindings(findings) {
+  const counts = {};
+  for (const finding of findings) {
+    counts[finding.type] = (counts[finding.type] || 0) + 1;
+  }
+  return counts;
+}
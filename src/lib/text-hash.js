@@ -0,0 +1,30 @@
+/**
+ * Text Hash Module
+ *
+ * Small, fast, non-cryptographic hash (32-bit FNV-1a over UTF-16 code units)
+ * for recognising text that has not changed, e.g. cache keys. Not suitable
+ * where collisions matter for security.
+ *
+ * Pure JavaScript -- no Word API dependency.
+ *
+ * @module text-hash
+ */
+
+const FNV_OFFSET_BASIS = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+/**
+ * Hashes text to 8 hex characters.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashText(text) {
+  let hash = FNV_OFFSET_BASIS;
+  const str = text || '';
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, FNV_PRIME);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
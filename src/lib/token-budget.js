@@ -0,0 +1,171 @@
+/**
+ * Token Budget Module
+ *
+ * Derives whole-document processing limits from the selected model's context
+ * window and output budget: chunk size, document context prefix budget,
+ * concurrency threshold, the input budget used for overflow warnings and the
+ * response limit sent with each chunk request.
+ *
+ * When the context window is unknown, the legacy fixed values are returned
+ * (6000-token chunks, 4000-token context prefix, 8000-token large-chunk
+ * threshold) so behavior is unchanged for unconfigured models.
+ *
+ * Pure JavaScript -- no Word API dependency.
+ *
+ * @module token-budget
+ */
+
+/** Fraction of the context window held back for tokenizer estimate error. */
+const SAFETY_MARGIN_RATIO = 0.05;
+
+/** Tokens reserved for prompt instructions, output rules and overlap context. */
+const PROMPT_OVERHEAD_TOKENS = 1000;
+
+/** Upper bound for the document context prefix (the pre-budget default). */
+const MAX_CONTEXT_PREFIX_TOKENS = 4000;
+
+/** Share of the chunk cap above which a chunk counts as large. */
+const LARGE_CHUNK_RATIO = 0.75;
+
+/** Chunk size bounds (chunkDocument's own minTokens default and maxTokens default). */
+const MIN_CHUNK_TOKENS = 500;
+const MAX_CHUNK_TOKENS = 12000;
+
+/**
+ * @typedef {Object} ModelLimits
+ * @property {number|null} contextWindow - Total tokens (input + output) the model accepts
+ * @property {number|null} maxOutputTokens - Max tokens the model will generate
+ * @property {'manual'|'discovered'|null} source - Where contextWindow came from
+ */
+
+/**
+ * @typedef {Object} ChunkBudget
+ * @property {number} maxTokens - chunkDocument maxTokens
+ * @property {number} contextPrefixTokens - formatContextPrefix budget
+ * @property {number|null} inputBudget - Max prompt tokens before overflow (null if unknown)
+ * @property {number|null} outputBudget - Tokens reserved for the response (null if unknown)
+ * @property {number} largeChunkThreshold - Chunks above this run at reduced concurrency
+ */
+
+/**
+ * Legacy budget used when the model's context window is unknown.
+ * @type {ChunkBudget}
+ */
+export const LEGACY_BUDGET = Object.freeze({
+  maxTokens: 6000,
+  contextPrefixTokens: MAX_CONTEXT_PREFIX_TOKENS,
+  inputBudget: null,
+  outputBudget: null,
+  largeChunkThreshold: 8000,
+});
+
+/**
+ * Coerces a setting to a positive integer, or null when unset/invalid.
+ * @private
+ */
+function positiveInt(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : null;
+}
+
+/**
+ * Resolves the effective limits for a model. Manually entered values on the
+ * backend config win field by field over values discovered from the server.
+ *
+ * @param {{contextWindow?: number, maxOutputTokens?: number}} backendConfig - Manual settings
+ * @param {{contextWindow?: number, maxOutputTokens?: number}} [discovered] - From testConnection
+ * @returns {ModelLimits}
+ */
+export function resolveModelLimits(backendConfig, discovered) {
+  const manualWindow = positiveInt(backendConfig?.contextWindow);
+  const discoveredWindow = positiveInt(discovered?.contextWindow);
+  const contextWindow = manualWindow || discoveredWindow;
+
+  return {
+    contextWindow,
+    maxOutputTokens: positiveInt(backendConfig?.maxOutputTokens) || positiveInt(discovered?.maxOutputTokens),
+    source: manualWindow ? 'manual' : (discoveredWindow ? 'discovered' : null),
+  };
+}
+
+/**
+ * Derives chunking and prompt limits from model limits.
+ *
+ * The output budget is maxOutputTokens (capped at half the window), or a
+ * quarter of the window when unknown. Amendments echo the chunk back, so
+ * chunks are also capped at 90% of the output budget. Chunks above three
+ * quarters of that cap count as large.
+ *
+ * @param {ModelLimits|null} limits
+ * @returns {ChunkBudget}
+ */
+export function computeChunkBudget(limits) {
+  const contextWindow = positiveInt(limits?.contextWindow);
+  if (!contextWindow) {
+    return { ...LEGACY_BUDGET };
+  }
+
+  const maxOutputTokens = positiveInt(limits.maxOutputTokens);
+  const outputBudget = maxOutputTokens
+    ? Math.min(maxOutputTokens, Math.floor(contextWindow / 2))
+    : Math.floor(contextWindow / 4);
+  const inputBudget = contextWindow - outputBudget - Math.ceil(contextWindow * SAFETY_MARGIN_RATIO);
+
+  const contextPrefixTokens = Math.min(MAX_CONTEXT_PREFIX_TOKENS, Math.floor(inputBudget * 0.2));
+  const available = inputBudget - contextPrefixTokens - PROMPT_OVERHEAD_TOKENS;
+  const maxTokens = Math.max(
+    MIN_CHUNK_TOKENS,
+    Math.min(available, Math.floor(outputBudget * 0.9), MAX_CHUNK_TOKENS)
+  );
+
+  return {
+    maxTokens,
+    contextPrefixTokens,
+    inputBudget,
+    outputBudget,
+    largeChunkThreshold: Math.floor(maxTokens * LARGE_CHUNK_RATIO),
+  };
+}
+
+/**
+ * Sends the budget's reserved output as the response limit: returns the
+ * generation parameters with maxTokens set to the output budget, unless the
+ * profile or prompt already sets maxTokens.
+ *
+ * @param {Object} [generation={}] - GenerationParams
+ * @param {ChunkBudget} budget
+ * @returns {Object} New GenerationParams
+ */
+export function applyOutputBudget(generation = {}, budget) {
+  if (!budget?.outputBudget || generation.maxTokens) {
+    return { ...generation };
+  }
+  return { ...generation, maxTokens: budget.outputBudget };
+}
+
+/**
+ * Picks worker-pool concurrency: 4 when any chunk is large relative to the
+ * chunk cap (heavier KV-cache load per request), otherwise 6.
+ *
+ * @param {Array<{tokenCount: number}>} chunks
+ * @param {ChunkBudget} budget
+ * @returns {number}
+ */
+export function selectConcurrency(chunks, budget) {
+  return chunks.some((c) => c.tokenCount > budget.largeChunkThreshold) ? 4 : 6;
+}
+
+/**
+ * Checks whether a prompt of the given size fits the input budget.
+ *
+ * @param {number} promptTokens - Estimated prompt tokens
+ * @param {ChunkBudget} budget
+ * @returns {{fits: boolean, overflowBy: number}} Always fits when the budget is unknown
+ */
+export function checkPromptFits(promptTokens, budget) {
+  if (!budget || budget.inputBudget === null || budget.inputBudget === undefined) {
+    return { fits: true, overflowBy: 0 };
+  }
+  const overflowBy = Math.max(0, promptTokens - budget.inputBudget);
+  return { fits: overflowBy === 0, overflowBy };
+}
@@ -0,0 +1,218 @@
+/**
+ * Tokenizer Module
+ *
+ * Pluggable token counting behind estimateTokenCount (comment-extractor.js).
+ * One tokenizer is active at a time; the document parser, chunker, context
+ * prefix budget and live token estimate all count through it.
+ *
+ * Available tokenizers:
+ * - heuristic: ~4 characters per token (default and fallback)
+ * - cl100k / o200k: OpenAI BPE encodings (gpt-tokenizer, loaded on demand)
+ * - llama3: Llama 3 BPE, a close match for Llama and Qwen models (llama3-tokenizer-js)
+ * - vllm: the serving vLLM instance's /tokenize endpoint. Exact counts are
+ *   async; synchronous counts use a chars-per-token ratio calibrated from
+ *   the most recent exact counts.
+ *
+ * BPE encoders are loaded with dynamic import() so webpack splits their
+ * vocabularies into separate chunks that are only fetched when selected.
+ *
+ * @module tokenizer
+ */
+
+/** Characters per token assumed by the heuristic. */
+const HEURISTIC_CHARS_PER_TOKEN = 4;
+
+/** Minimum text length used to recalibrate the vLLM chars-per-token ratio. */
+const MIN_CALIBRATION_CHARS = 200;
+
+/**
+ * Tokenizer ids with display labels, in settings-menu order.
+ * @type {Object<string, string>}
+ */
+export const TOKENIZERS = {
+  heuristic: 'Heuristic (~4 chars/token)',
+  cl100k: 'cl100k_base (GPT-4, GPT-3.5)',
+  o200k: 'o200k_base (GPT-4o, o-series, gpt-oss)',
+  llama3: 'Llama 3 BPE (Llama, Qwen)',
+  vllm: 'vLLM /tokenize endpoint',
+};
+
+/**
+ * @typedef {Object} Tokenizer
+ * @property {string} id - Key in TOKENIZERS
+ * @property {function(string): number} count - Synchronous token count
+ * @property {function(string): Promise<number>} [countAsync] - Exact async count (vllm only)
+ */
+
+/**
+ * Default on-demand loaders for the bundled BPE encoders. Each resolves to a
+ * function(text) -> number. Overridable via loadTokenizer options (for testing).
+ * @private
+ */
+const DEFAULT_LOADERS = {
+  cl100k: async () => {
+    const { countTokens } = await import('gpt-tokenizer/encoding/cl100k_base');
+    return countTokens;
+  },
+  o200k: async () => {
+    const { countTokens } = await import('gpt-tokenizer/encoding/o200k_base');
+    return countTokens;
+  },
+  llama3: async () => {
+    const { default: llama3Tokenizer } = await import('llama3-tokenizer-js');
+    return (text) => llama3Tokenizer.encode(text, { bos: false, eos: false }).length;
+  },
+};
+
+/**
+ * Heuristic token count: ~4 characters per token.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function heuristicTokenCount(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / HEURISTIC_CHARS_PER_TOKEN);
+}
+
+const HEURISTIC_TOKENIZER = Object.freeze({ id: 'heuristic', count: heuristicTokenCount });
+
+let activeTokenizer = HEURISTIC_TOKENIZER;
+
+/**
+ * Picks a tokenizer for a model id when the user has not chosen one.
+ *
+ * @param {string} modelId
+ * @param {string} [backend] - Backend type; vLLM backends default to the server tokenizer
+ * @returns {string} Tokenizer id
+ */
+export function guessTokenizer(modelId, backend) {
+  const id = (modelId || '').toLowerCase();
+  if (backend === 'vllm') return 'vllm';
+  if (/gpt-4o|gpt-4\.1|gpt-5|gpt-oss|(^|[^a-z])o[134](-|$)/.test(id)) return 'o200k';
+  if (/gpt-4|gpt-3\.5/.test(id)) return 'cl100k';
+  if (/llama|qwen/.test(id)) return 'llama3';
+  return 'heuristic';
+}
+
+/**
+ * Creates a tokenizer backed by vLLM's /tokenize endpoint.
+ *
+ * @param {Object} config - Backend config { url, apiKey, model, headers? }
+ * @param {function} [fetchFn=fetch] - Injectable fetch (for testing)
+ * @returns {Tokenizer}
+ * @private
+ */
+function createVllmTokenizer(config, fetchFn) {
+  let charsPerToken = HEURISTIC_CHARS_PER_TOKEN;
+  const url = config.url.replace(/\/+$/, '') + '/tokenize';
+  const headers = { 'Content-Type': 'application/json', ...(config.headers || {}) };
+  if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  }
+
+  return {
+    id: 'vllm',
+    count(text) {
+      if (!text) return 0;
+      return Math.ceil(text.length / charsPerToken);
+    },
+    async countAsync(text) {
+      if (!text) return 0;
+      const response = await (fetchFn || fetch)(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model: config.model, prompt: text, add_special_tokens: false }),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const data = await response.json();
+      const count = typeof data.count === 'number' ? data.count : (data.tokens || []).length;
+      if (text.length >= MIN_CALIBRATION_CHARS && count > 0) {
+        charsPerToken = text.length / count;
+      }
+      return count;
+    },
+  };
+}
+
+/**
+ * Loads a tokenizer by id. Unknown ids resolve to the heuristic.
+ *
+ * @param {string} id - Key in TOKENIZERS
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Backend config, required for 'vllm'
+ * @param {function} [options.fetchFn] - Injectable fetch for 'vllm' (for testing)
+ * @param {Object<string, function>} [options.loaders] - Injectable BPE loaders (for testing)
+ * @returns {Promise<Tokenizer>}
+ * @throws {Error} When the encoder fails to load or vllm has no backend config
+ */
+export async function loadTokenizer(id, options = {}) {
+  if (id === 'vllm') {
+    if (!options.config) {
+      throw new Error('The vLLM tokenizer needs a backend config');
+    }
+    return createVllmTokenizer(options.config, options.fetchFn);
+  }
+
+  const loader = { ...DEFAULT_LOADERS, ...(options.loaders || {}) }[id];
+  if (!loader) {
+    return HEURISTIC_TOKENIZER;
+  }
+  const count = await loader();
+  return { id, count };
+}
+
+/**
+ * Makes a tokenizer the active one for countTokens/estimateTokenCount.
+ * Passing null restores the heuristic.
+ *
+ * @param {Tokenizer|null} tokenizer
+ */
+export function setActiveTokenizer(tokenizer) {
+  activeTokenizer = tokenizer || HEURISTIC_TOKENIZER;
+}
+
+/**
+ * @returns {Tokenizer} The active tokenizer
+ */
+export function getActiveTokenizer() {
+  return activeTokenizer;
+}
+
+/**
+ * Counts tokens synchronously with the active tokenizer, falling back to the
+ * heuristic if the tokenizer throws.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function countTokens(text) {
+  if (!text) return 0;
+  try {
+    return activeTokenizer.count(text);
+  } catch (e) {
+    return heuristicTokenCount(text);
+  }
+}
+
+/**
+ * Counts tokens exactly where the active tokenizer supports it (vLLM
+ * /tokenize); otherwise same as countTokens. Endpoint failures fall back to
+ * the synchronous count.
+ *
+ * @param {string} text
+ * @returns {Promise<number>}
+ */
+export async function countTokensExact(text) {
+  if (!text) return 0;
+  if (typeof activeTokenizer.countAsync === 'function') {
+    try {
+      return await activeTokenizer.countAsync(text);
+    } catch (e) {
+      return countTokens(text);
+    }
+  }
+  return countTokens(text);
+}
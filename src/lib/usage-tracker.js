@@ -0,0 +1,202 @@
+/**
+ * Usage Tracker Module
+ *
+ * Accumulates backend-reported token usage (see llm-client.js TokenUsage)
+ * across requests and prices it with an optional per-model price table.
+ * Also keeps the local prompt-token estimate next to the reported prompt
+ * tokens so the estimateTokenCount heuristic can be checked against reality.
+ *
+ * Pure JavaScript -- no Word API dependency.
+ *
+ * @module usage-tracker
+ */
+
+/**
+ * @typedef {import('./llm-client.js').TokenUsage} TokenUsage
+ */
+
+/**
+ * Per-model prices in USD per million tokens, keyed by model id.
+ * @typedef {Object<string, {input: number, output: number}>} PriceTable
+ */
+
+/**
+ * Returns a zeroed TokenUsage.
+ * @returns {TokenUsage}
+ */
+export function emptyUsage() {
+  return { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+}
+
+/**
+ * Adds two usage records. Null/undefined operands count as zero.
+ *
+ * @param {TokenUsage|null} a
+ * @param {TokenUsage|null} b
+ * @returns {TokenUsage} New object
+ */
+export function addUsage(a, b) {
+  const x = a || emptyUsage();
+  const y = b || emptyUsage();
+  return {
+    promptTokens: x.promptTokens + y.promptTokens,
+    completionTokens: x.completionTokens + y.completionTokens,
+    totalTokens: x.totalTokens + y.totalTokens,
+  };
+}
+
+/**
+ * Sums a list of usage records, skipping nulls.
+ *
+ * @param {Array<TokenUsage|null>} usages
+ * @returns {TokenUsage}
+ */
+export function sumUsage(usages) {
+  return usages.reduce((total, u) => addUsage(total, u), emptyUsage());
+}
+
+/**
+ * Prices a usage record for a model.
+ *
+ * @param {TokenUsage|null} usage
+ * @param {string} model - Model id to look up
+ * @param {PriceTable} [priceTable={}]
+ * @returns {number|null} Cost in USD, or null when the model has no price entry
+ */
+export function estimateCost(usage, model, priceTable = {}) {
+  const price = priceTable[model];
+  if (!usage || !price) return null;
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Parses the settings textarea format into a PriceTable. One model per line:
+ * `model-id: inputPrice, outputPrice` (USD per million tokens). Blank lines
+ * and lines starting with # are ignored; malformed lines are skipped.
+ *
+ * @param {string} text
+ * @returns {PriceTable}
+ */
+export function parsePriceTable(text) {
+  const table = {};
+  for (const rawLine of (text || '').split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    // Split on the last colon so model ids like "gpt-oss:20b" keep theirs
+    const sep = line.lastIndexOf(':');
+    if (sep <= 0) continue;
+    const model = line.substring(0, sep).trim();
+    const prices = line.substring(sep + 1).split(',').map((p) => parseFloat(p.trim()));
+    if (prices.length !== 2 || prices.some((p) => Number.isNaN(p) || p < 0)) continue;
+    table[model] = { input: prices[0], output: prices[1] };
+  }
+  return table;
+}
+
+/**
+ * Formats a PriceTable back into the settings textarea format.
+ *
+ * @param {PriceTable} table
+ * @returns {string}
+ */
+export function formatPriceTable(table) {
+  return Object.entries(table || {})
+    .map(([model, p]) => `${model}: ${p.input}, ${p.output}`)
+    .join('\n');
+}
+
+/**
+ * Formats usage for log lines, e.g. "1,234 tokens (1,000 in / 234 out)".
+ *
+ * @param {TokenUsage} usage
+ * @returns {string}
+ */
+export function formatUsage(usage) {
+  const n = (v) => v.toLocaleString('en-US');
+  return `${n(usage.totalTokens)} tokens (${n(usage.promptTokens)} in / ${n(usage.completionTokens)} out)`;
+}
+
+/**
+ * Running usage totals for a session, broken down by model.
+ */
+export class UsageTracker {
+  /**
+   * @param {PriceTable} [priceTable={}]
+   */
+  constructor(priceTable = {}) {
+    this._priceTable = priceTable;
+    this.reset();
+  }
+
+  /**
+   * Replaces the price table used for cost totals.
+   * @param {PriceTable} priceTable
+   */
+  setPriceTable(priceTable) {
+    this._priceTable = priceTable || {};
+  }
+
+  /**
+   * Clears all accumulated totals.
+   */
+  reset() {
+    this._byModel = {};
+    this._requests = 0;
+    this._unreported = 0;
+    this._estimatedPromptTokens = 0;
+    this._reportedPromptTokens = 0;
+  }
+
+  /**
+   * Records one completed request.
+   *
+   * @param {string} model - Model id the request was sent to
+   * @param {TokenUsage|null} usage - Backend-reported usage (null if not reported)
+   * @param {number} [estimatedPromptTokens] - Local estimate for the same prompt
+   */
+  record(model, usage, estimatedPromptTokens) {
+    this._requests++;
+    if (!usage) {
+      this._unreported++;
+      return;
+    }
+    this._byModel[model] = addUsage(this._byModel[model], usage);
+    if (typeof estimatedPromptTokens === 'number' && estimatedPromptTokens > 0) {
+      this._estimatedPromptTokens += estimatedPromptTokens;
+      this._reportedPromptTokens += usage.promptTokens;
+    }
+  }
+
+  /**
+   * Returns the session totals.
+   *
+   * @returns {{
+   *   requests: number,
+   *   unreported: number,
+   *   usage: TokenUsage,
+   *   cost: number|null,
+   *   byModel: Object<string, {usage: TokenUsage, cost: number|null}>,
+   *   estimateRatio: number|null
+   * }} cost is null when no model has a price entry; estimateRatio is
+   *   reported / estimated prompt tokens (null until an estimate was recorded)
+   */
+  getTotals() {
+    const byModel = {};
+    let cost = null;
+    for (const [model, usage] of Object.entries(this._byModel)) {
+      const modelCost = estimateCost(usage, model, this._priceTable);
+      byModel[model] = { usage, cost: modelCost };
+      if (modelCost !== null) cost = (cost || 0) + modelCost;
+    }
+    return {
+      requests: this._requests,
+      unreported: this._unreported,
+      usage: sumUsage(Object.values(this._byModel)),
+      cost,
+      byModel,
+      estimateRatio: this._estimatedPromptTokens > 0
+        ? this._reportedPromptTokens / this._estimatedPromptTokens
+        : null,
+    };
+  }
+}
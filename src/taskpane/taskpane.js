@@ -3,65 +3,295 @@
 // Import CSS for webpack to bundle
 import './taskpane.css';
 import { applyTokenMapStrategy, applySentenceDiffStrategy } from 'office-word-diff';
-import { sendPrompt, testConnection as llmTestConnection, stripMarkdown } from '../lib/llm-client.js';
+import { sendPrompt, testConnection as llmTestConnection, stripMarkdown, resolveGenerationParams } from '../lib/llm-client.js';
 import { PromptManager, CATEGORIES } from '../lib/prompt-manager.js';
 import { CommentQueue } from '../lib/comment-queue.js';
 import { fireCommentRequest } from '../lib/comment-request.js';
-import { extractAllComments, extractDocumentText, extractDocumentStructured, estimateTokenCount, extractTrackedChanges } from '../lib/comment-extractor.js';
-import { createSummaryDocument, buildSummaryHtml } from '../lib/document-generator.js';
-import { parseDelimitedResponse, buildFallbackClassificationPrompt } from '../lib/response-parser.js';
+import { extractAllComments, extractDocumentText, extractDocumentStructured, estimateTokenCount, extractTrackedChanges, formatTrackedChanges } from '../lib/comment-extractor.js';
+import { createSummaryDocument, buildSummaryHtml, buildRedlineReportHtml } from '../lib/document-generator.js';
+import {
+    parseDelimitedResponse,
+    parseStructuredResponse,
+    buildFallbackClassificationPrompt,
+    STRUCTURED_RESPONSE_FORMAT
+} from '../lib/response-parser.js';
 import { parseDocument } from '../lib/document-parser.js';
 import { chunkDocument } from '../lib/document-chunker.js';
-import { extractContext } from '../lib/context-extractor.js';
+import { extractContext, checkCrossReferences } from '../lib/context-extractor.js';
+import { extractDefinitionsWithLlm, createDefinitionCache } from '../lib/definition-extractor.js';
+import { validateTerms, countFindings } from '../lib/term-validator.js';
+import {
+    RISK_LEVELS,
+    listRevisionAuthors,
+    filterRevisions,
+    describeRevision,
+    formatRevisionComment,
+    reviewRevisions,
+    recommendRevisions,
+    countRecommendations,
+    matchRevisionParts,
+    matchTrackedChanges
+} from '../lib/revision-review.js';
+import {
+    buildSections,
+    paragraphIndexEnd,
+    sectionBranchKeys,
+    selectedRanges,
+    staleSectionKeys,
+    describeSelection
+} from '../lib/section-selector.js';
 import { processChunksParallel } from '../lib/orchestrator.js';
 import { bookmarkChunkRanges, applyChunkResults, cleanupBookmarks } from '../lib/reassembler.js';
+import {
+    createRunState,
+    planResume,
+    restoreChunks,
+    restoreBookmarkMap,
+    snapshotPromptManager,
+    createSettingsStore,
+    RunRecorder
+} from '../lib/run-state.js';
+import {
+    FINGERPRINT_PROPERTY,
+    fingerprintParagraphs,
+    encodeFingerprint,
+    decodeFingerprint,
+    diffParagraphs,
+    changedRanges,
+    intersectRanges,
+    locateChunkParagraphs
+} from '../lib/paragraph-fingerprint.js';
+import {
+    computeWordDiff,
+    countChangedWords,
+    renderSideBySideHtml,
+    createReviewItems,
+    editReviewItem,
+    summarizeReview,
+    approvedResults,
+    unappliedResults
+} from '../lib/redline-review.js';
+import { UsageTracker, parsePriceTable, formatPriceTable, formatUsage } from '../lib/usage-tracker.js';
+import {
+    resolveModelLimits,
+    computeChunkBudget,
+    selectConcurrency,
+    applyOutputBudget,
+    checkPromptFits
+} from '../lib/token-budget.js';
+import { DEFAULT_ADAPTIVE_LIMITS } from '../lib/adaptive-concurrency.js';
+import { openResponseCache } from '../lib/response-cache.js';
+import {
+    ROUTABLE_CATEGORIES,
+    BACKEND_TYPES,
+    resolveRoute,
+    buildBackendConfig,
+    normalizeRoute,
+    normalizeProfile,
+    createProfileId,
+    parseHeaderLines,
+    formatHeaderLines,
+    exportProfiles,
+    importProfiles
+} from '../lib/backend-config.js';
+import {
+    GENERATION_PARAMS,
+    normalizeGenerationParams,
+    formatGenerationParams,
+    parseStopSequences,
+    formatStopSequences
+} from '../lib/generation-params.js';
+import { TOKENIZERS, guessTokenizer, loadTokenizer, setActiveTokenizer, getActiveTokenizer, countTokensExact } from '../lib/tokenizer.js';
 
 // Global configuration (defaults from env, overridable via UI/localStorage)
 let config = {
     backend: 'ollama',
     trackChangesEnabled: true,
     lineDiffEnabled: false,
+    streamingEnabled: false,
+    structuredOutput: false,
+    fallbackClassification: true,
+    priceTable: {},
+    tokenizers: {},
+    routing: {},
+    retry: {
+        maxAttempts: 3,
+        baseDelayMs: 1000,
+        maxDelayMs: 30000
+    },
     docExtraction: {
         richness: 'structured'
     },
     trackedChangesExtraction: false,
     commentGranularity: 0,
+    reviewBeforeApply: true,
+    consistencyCheck: 'off',
+    llmDefinitions: false,
+    adaptiveConcurrency: false,
+    bypassResponseCache: false,
+    reviewChangesOnly: false,
+    revisionAuthors: '',
+    revisionFrom: '',
+    revisionTo: '',
     backends: {
         ollama: {
             url: process.env.DEFAULT_OLLAMA_URL || '/ollama',
             apiKey: '',
-            model: process.env.DEFAULT_MODEL || 'gpt-oss:20b'
+            model: process.env.DEFAULT_MODEL || 'gpt-oss:20b',
+            contextWindow: null,
+            maxOutputTokens: null
         },
         vllm: {
             url: process.env.DEFAULT_VLLM_URL || '/vllm',
             apiKey: '',
-            model: process.env.DEFAULT_VLLM_MODEL || 'qwen3.5-35b-a3b'
+            model: process.env.DEFAULT_VLLM_MODEL || 'qwen3.5-35b-a3b',
+            contextWindow: null,
+            maxOutputTokens: null
+        },
+        anthropic: {
+            provider: 'anthropic',
+            url: process.env.DEFAULT_ANTHROPIC_URL || 'https://api.anthropic.com',
+            apiKey: '',
+            model: process.env.DEFAULT_ANTHROPIC_MODEL || '',
+            contextWindow: null,
+            maxOutputTokens: null
+        },
+        gemini: {
+            provider: 'gemini',
+            url: process.env.DEFAULT_GEMINI_URL || 'https://generativelanguage.googleapis.com',
+            apiKey: '',
+            model: process.env.DEFAULT_GEMINI_MODEL || '',
+            contextWindow: null,
+            maxOutputTokens: null
         }
     }
 };
 
 /**
- * Returns the config object for the currently selected backend.
- * @returns {{ url: string, apiKey: string, model: string }}
+ * Returns the effective context window and output budget for a model:
+ * manual settings first, then server-reported limits.
+ * @param {Object} [backendConfig] - Resolved backend config (defaults to the active backend)
+ * @returns {import('../lib/token-budget.js').ModelLimits}
+ */
+function getModelLimits(backendConfig = getActiveBackendConfig()) {
+    return resolveModelLimits(backendConfig, discoveredModelLimits[backendConfig.model]);
+}
+
+/**
+ * Display name for a backend profile.
+ * @param {string} id - Key in config.backends
+ * @returns {string}
+ */
+function backendLabel(id) {
+    return config.backends[id]?.name || id;
+}
+
+/**
+ * Whether the active profile is a vLLM server. A vLLM server usually serves
+ * the one model it was launched with, in which case the model dropdown is
+ * pinned to it once the connection test has listed the models.
+ * @returns {boolean}
+ */
+function isVllmBackend() {
+    return config.backends[config.backend].type === 'vllm';
+}
+
+/**
+ * Returns the config object for the currently selected backend, with the
+ * shared retry policy attached. Backends without a provider field use the
+ * OpenAI-compatible adapter.
+ *
+ * With a category, the category's routing and its active prompt's route
+ * override are applied (see backend-config.js), so e.g. summaries can use a
+ * larger model than clause amendments.
+ *
+ * @param {string} [category] - 'amendment', 'comment' or 'summary'
+ * @returns {{ url: string, apiKey: string, model: string, provider?: string, retry: Object }}
+ */
+function getActiveBackendConfig(category) {
+    if (!category) {
+        return { ...config.backends[config.backend], retry: config.retry };
+    }
+    const prompt = promptManager.getActivePrompt(category);
+    return buildBackendConfig(config, resolveRoute(config, category, prompt), prompt);
+}
+
+/**
+ * Reads a set of generation parameter fields (profile settings or the save
+ * prompt modal). Blank and invalid fields are left unset.
+ *
+ * @param {string} prefix - Element id prefix ('profileGen' or 'promptGen')
+ * @returns {Object} GenerationParams
+ */
+function readGenerationFields(prefix) {
+    const params = {};
+    GENERATION_PARAMS.forEach(({ key }) => {
+        const value = document.getElementById(`${prefix}-${key}`).value;
+        params[key] = key === 'stop' ? parseStopSequences(value) : value.trim();
+    });
+    return normalizeGenerationParams(params);
+}
+
+/**
+ * Fills a set of generation parameter fields.
+ *
+ * @param {string} prefix - Element id prefix ('profileGen' or 'promptGen')
+ * @param {Object} [params] - GenerationParams
+ */
+function fillGenerationFields(prefix, params = {}) {
+    GENERATION_PARAMS.forEach(({ key }) => {
+        document.getElementById(`${prefix}-${key}`).value =
+            key === 'stop' ? formatStopSequences(params.stop) : (params[key] ?? '');
+    });
+}
+
+/**
+ * Logs the generation parameters a request will use (profile, prompt and
+ * per-call values merged), and any the provider does not support.
+ *
+ * @param {Object} backendConfig - Resolved backend config
+ * @param {Object} [overrides] - Per-call GenerationParams
  */
-function getActiveBackendConfig() {
-    return config.backends[config.backend];
+function logGenerationParams(backendConfig, overrides) {
+    const { params, ignored } = resolveGenerationParams(backendConfig, overrides);
+    addLog(`Generation: ${formatGenerationParams(params)}`, 'info');
+    if (ignored.length > 0) {
+        addLog(`Not supported by ${BACKEND_TYPES[backendConfig.type].label}, not sent: ${ignored.join(', ')}`, 'warning');
+    }
 }
 
 const promptManager = new PromptManager();
+const usageTracker = new UsageTracker();
+
+// Model limits reported by the server (e.g. vLLM max_model_len), keyed by model id
+const discoveredModelLimits = {};
 let currentTab = 'context';
+let editingPromptId = null;  // Prompt updated by the save prompt modal (null = create a new one)
 const unsavedText = { context: '', amendment: '', comment: '', summary: '' };
 let isProcessing = false;
 let isProcessingDoc = false;
 let processDocController = null; // AbortController for cancellation
+let runStore = null;  // Whole-document run state in the document settings (see run-state.js)
+let interruptedRun = null;  // RunState of an unfinished run found at startup
+let revisionReviewController = null;  // AbortController while counterparty changes are reviewed
+let revisionRecommendController = null;  // AbortController while recommendations are requested
+let revisionRecommendations = [];  // Items shown in the revision panel
+let responseCachePromise = null;  // Opened on the first whole-document run (see response-cache.js)
+let activeReview = null;  // { items, finish } while the review panel is open
+let documentSections = [];  // Outline sections last loaded into the section picker
+const excludedSections = new Set();  // Section keys left out of whole-document runs
 let supportsComments = false;  // Set during initialize() via WordApi 1.4 check
 const commentQueue = new CommentQueue(addLog);
 
 // Token estimate cache -- avoids repeated Word API calls
-let _tokenEstimateCache = { docCharCount: null, commentCount: null };
+let _tokenEstimateCache = { docCharCount: null, docTokenCount: null, commentCount: null };
 let _tokenEstimateDirty = true;  // Set true to trigger Word API re-read
 let _tokenEstimateTimer = null;  // Debounce timer
 
+// Tokenizer loaded for the active model -- reloaded only when the model changes
+let _tokenizerKey = null;  // Tokenizer id (plus server and model for vLLM) last loaded
+let _tokenizerTimer = null;  // Debounce timer for reloads from settings edits
+
 Office.onReady((info) => {
     if (info.host === Office.HostType.Word) {
         initialize();
@@ -77,7 +307,24 @@ function initialize() {
 
     // Setup event listeners -- general
     document.getElementById("reviewBtn").onclick = handleReviewSelection;
-    document.getElementById("processDocBtn").onclick = handleProcessDocument;
+    document.getElementById("processDocBtn").onclick = () => handleProcessDocument();
+    document.getElementById("resumeRunBtn").onclick = handleResumeRun;
+    document.getElementById("discardRunBtn").onclick = async () => {
+        await discardInterruptedRun();
+        addLog('Interrupted run discarded', 'info');
+    };
+    document.getElementById("checkTermsBtn").onclick = handleCheckTerms;
+    document.getElementById("reviewRevisionsBtn").onclick = handleReviewRevisions;
+    document.getElementById("recommendRevisionsBtn").onclick = handleRecommendRevisions;
+    document.getElementById("revisionPanelCloseBtn").onclick = closeRevisionPanel;
+    document.getElementById("sectionPickerBtn").onclick = toggleSectionPicker;
+    document.getElementById("sectionSelectAllBtn").onclick = () => setAllSections(true);
+    document.getElementById("sectionSelectNoneBtn").onclick = () => setAllSections(false);
+    document.getElementById("sectionReloadBtn").onclick = loadSectionOutline;
+    document.getElementById("reviewAcceptAllBtn").onclick = () => setAllReviewDecisions('accepted');
+    document.getElementById("reviewRejectAllBtn").onclick = () => setAllReviewDecisions('rejected');
+    document.getElementById("reviewApplyBtn").onclick = () => activeReview?.finish(true);
+    document.getElementById("reviewDiscardBtn").onclick = () => activeReview?.finish(false);
     document.getElementById("clearLogsBtn").onclick = clearLogs;
     document.getElementById("settingsToggle").onclick = toggleSettings;
     document.getElementById("runVerificationBtn").onclick = runVerification;
@@ -85,14 +332,47 @@ function initialize() {
 
     // Auto-save settings on every change (no Save button needed)
     document.getElementById("backendSelect").addEventListener('change', saveSettings);
+    document.getElementById("profileName").addEventListener('change', saveSettings);
+    document.getElementById("profileType").addEventListener('change', saveSettings);
+    GENERATION_PARAMS.forEach(({ key }) => {
+        document.getElementById(`profileGen-${key}`).addEventListener('change', saveSettings);
+    });
+    document.getElementById("profileTimeout").addEventListener('change', saveSettings);
+    document.getElementById("profileHeaders").addEventListener('change', saveSettings);
+    document.getElementById("newProfileBtn").onclick = handleNewProfile;
+    document.getElementById("deleteProfileBtn").onclick = handleDeleteProfile;
+    document.getElementById("exportProfilesBtn").onclick = handleExportProfiles;
+    document.getElementById("importProfilesBtn").onclick = handleImportProfiles;
     document.getElementById("modelSelect").addEventListener('change', saveSettings);
     document.getElementById("endpointUrl").addEventListener('input', saveSettings);
     document.getElementById("apiKey").addEventListener('input', saveSettings);
+    document.getElementById("contextWindowInput").addEventListener('change', saveSettings);
+    document.getElementById("maxOutputTokensInput").addEventListener('change', saveSettings);
     document.getElementById("trackChangesCheckbox").addEventListener('change', saveSettings);
     document.getElementById("lineDiffCheckbox").addEventListener('change', saveSettings);
+    document.getElementById("streamingCheckbox").addEventListener('change', saveSettings);
+    document.getElementById("structuredOutputCheckbox").addEventListener('change', saveSettings);
+    document.getElementById("fallbackClassificationCheckbox").addEventListener('change', saveSettings);
+    ROUTABLE_CATEGORIES.forEach(category => {
+        document.getElementById(`routeBackend-${category}`).addEventListener('change', saveSettings);
+        document.getElementById(`routeModel-${category}`).addEventListener('change', saveSettings);
+    });
+    document.getElementById("retryAttempts").addEventListener('change', saveSettings);
+    document.getElementById("priceTable").addEventListener('change', saveSettings);
+    document.getElementById("tokenizerSelect").addEventListener('change', saveSettings);
+    document.getElementById("resetUsageBtn").onclick = resetSessionUsage;
     document.getElementById("docRichnessSelect").addEventListener('change', saveSettings);
     document.getElementById("trackedChangesExtraction").addEventListener('change', saveSettings);
     document.getElementById("commentGranularity").addEventListener('change', saveSettings);
+    document.getElementById("reviewBeforeApplyCheckbox").addEventListener('change', saveSettings);
+    document.getElementById("consistencyCheck").addEventListener('change', saveSettings);
+    document.getElementById("llmDefinitionsCheckbox").addEventListener('change', saveSettings);
+    document.getElementById("adaptiveConcurrencyCheckbox").addEventListener('change', saveSettings);
+    document.getElementById("bypassResponseCacheCheckbox").addEventListener('change', saveSettings);
+    document.getElementById("reviewChangesOnlyCheckbox").addEventListener('change', saveSettings);
+    document.getElementById("revisionAuthorsInput").addEventListener('change', saveSettings);
+    document.getElementById("revisionFromInput").addEventListener('change', saveSettings);
+    document.getElementById("revisionToInput").addEventListener('change', saveSettings);
 
     // Tab bar -- click and keyboard navigation
     for (const category of CATEGORIES) {
@@ -117,7 +397,10 @@ function initialize() {
                 return;
             }
 
-            if (selectedValue && selectedValue !== '__new__') {
+            if (selectedValue && selectedValue !== '__new__' && ROUTABLE_CATEGORIES.includes(category)) {
+                // Existing routed prompt -- update it with its route and generation from the modal
+                showSavePromptModal(category, promptManager.getPrompt(category, selectedValue));
+            } else if (selectedValue && selectedValue !== '__new__') {
                 // Existing prompt selected -- update in-place
                 const updates = { template };
                 // Capture commentInstructions for amendment prompts
@@ -149,7 +432,11 @@ function initialize() {
     document.getElementById('commentInstructions').addEventListener('input', updateReviewButton);
 
     // Initial UI state
+    renderTokenizerOptions();
+    renderBackendOptions();
+    renderRoutingOptions();
     updateUIFromConfig();
+    applyTokenizer();
 
     // Render prompt UI from PromptManager state
     renderAllDropdowns();
@@ -159,6 +446,10 @@ function initialize() {
     updateTabDisabledState();
     updateTokenEstimate();
 
+    // Offer to resume a whole-document run cut short by a taskpane reload
+    runStore = createSettingsStore(Office.context.document.settings);
+    checkInterruptedRun();
+
     // Detect and log supported Word API version (diagnostics only)
     const apiVersions = ['1.8', '1.7', '1.6', '1.5', '1.4', '1.3', '1.2', '1.1'];
     let detectedVersion = 'unknown';
@@ -237,8 +528,17 @@ function loadSettings() {
                 // Save migrated config immediately so migration only runs once
                 localStorage.setItem('wordAI.config', JSON.stringify(config));
             } else {
-                // New nested format -- merge normally
+                // New nested format -- merge normally. Named profiles are the
+                // complete list (deleted profiles stay deleted); configs saved
+                // before profiles had names keep defaults for backends added since
+                const defaultBackends = config.backends;
+                const savedBackends = parsed.backends || {};
+                const hasNamedProfiles = Object.values(savedBackends).some(b => b && b.name);
                 config = { ...config, ...parsed };
+                config.backends = hasNamedProfiles ? savedBackends : { ...defaultBackends, ...savedBackends };
+                if (!config.backends[config.backend]) {
+                    config.backend = Object.keys(config.backends)[0];
+                }
             }
 
             // Ensure docExtraction defaults exist (for configs saved before this feature)
@@ -259,10 +559,35 @@ function loadSettings() {
             if (config.commentGranularity === undefined) {
                 config.commentGranularity = 0;
             }
+
+            // Ensure retry defaults (for configs saved before this feature)
+            if (!config.retry) {
+                config.retry = { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 30000 };
+            }
+
+            // Ensure priceTable default (for configs saved before this feature)
+            if (!config.priceTable) {
+                config.priceTable = {};
+            }
+
+            // Ensure per-model tokenizer map (for configs saved before this feature)
+            if (!config.tokenizers) {
+                config.tokenizers = {};
+            }
+
+            // Ensure per-category routing map (for configs saved before this feature)
+            if (!config.routing) {
+                config.routing = {};
+            }
         }
     } catch (e) {
         console.error("Failed to load settings:", e);
     }
+    // Fill in profile fields (name, type, generation, timeout, headers)
+    Object.keys(config.backends).forEach(id => {
+        config.backends[id] = normalizeProfile(id, config.backends[id]);
+    });
+    usageTracker.setPriceTable(config.priceTable);
 }
 
 function saveSettings() {
@@ -272,21 +597,72 @@ function saveSettings() {
     const trackChanges = document.getElementById("trackChangesCheckbox").checked;
     const lineDiff = document.getElementById("lineDiffCheckbox").checked;
     const selectedModel = document.getElementById("modelSelect").value;
+    const previousModel = config.backends[config.backend].model;
 
     config.backend = backend;
-    config.backends[backend].url = endpointUrl || config.backends[backend].url;
-    config.backends[backend].apiKey = apiKey;
-    // Only update model for Ollama -- vLLM model is read-only
-    if (backend === 'ollama') {
-        config.backends[backend].model = selectedModel || config.backends[backend].model;
-    }
+    const profile = config.backends[backend];
+    const previousName = profile.name;
+    const previousType = profile.type;
+    profile.name = document.getElementById("profileName").value.trim() || profile.name;
+    profile.type = document.getElementById("profileType").value;
+    profile.provider = BACKEND_TYPES[profile.type].provider;
+    profile.url = endpointUrl || profile.url;
+    profile.apiKey = apiKey;
+    profile.contextWindow = parseInt(document.getElementById("contextWindowInput").value, 10) || null;
+    profile.maxOutputTokens = parseInt(document.getElementById("maxOutputTokensInput").value, 10) || null;
+    profile.generation = readGenerationFields('profileGen');
+    const timeoutSeconds = parseInt(document.getElementById("profileTimeout").value, 10);
+    profile.timeoutMs = timeoutSeconds > 0 ? timeoutSeconds * 1000 : null;
+    profile.headers = parseHeaderLines(document.getElementById("profileHeaders").value);
+    profile.model = selectedModel || profile.model;
     config.trackChangesEnabled = trackChanges;
     config.lineDiffEnabled = lineDiff;
+    config.streamingEnabled = document.getElementById("streamingCheckbox").checked;
+    config.structuredOutput = document.getElementById("structuredOutputCheckbox").checked;
+    config.fallbackClassification = document.getElementById("fallbackClassificationCheckbox").checked;
+    const retryAttempts = parseInt(document.getElementById("retryAttempts").value || '1', 10);
+    config.retry = { ...config.retry, maxAttempts: Math.min(Math.max(retryAttempts, 1), 10) };
+    config.priceTable = parsePriceTable(document.getElementById("priceTable").value);
+    // Tokenizer choice is per model; after a model switch the dropdown still
+    // shows the previous model's choice, so only store it when the model is unchanged
+    const activeModel = config.backends[backend].model;
+    const tokenizerSelect = document.getElementById("tokenizerSelect");
+    if (activeModel === previousModel) {
+        if (tokenizerSelect.value === 'auto') {
+            delete config.tokenizers[activeModel];
+        } else {
+            config.tokenizers[activeModel] = tokenizerSelect.value;
+        }
+    } else {
+        tokenizerSelect.value = config.tokenizers[activeModel] || 'auto';
+    }
+    usageTracker.setPriceTable(config.priceTable);
+    updateSessionUsageDisplay();
+    ROUTABLE_CATEGORIES.forEach(category => {
+        const route = normalizeRoute({
+            backend: document.getElementById(`routeBackend-${category}`).value,
+            model: document.getElementById(`routeModel-${category}`).value
+        });
+        if (route) {
+            config.routing[category] = route;
+        } else {
+            delete config.routing[category];
+        }
+    });
     config.docExtraction = {
         richness: document.getElementById('docRichnessSelect').value
     };
     config.trackedChangesExtraction = document.getElementById('trackedChangesExtraction').checked;
     config.commentGranularity = parseInt(document.getElementById('commentGranularity').value || '0', 10);
+    config.reviewBeforeApply = document.getElementById("reviewBeforeApplyCheckbox").checked;
+    config.consistencyCheck = document.getElementById("consistencyCheck").value;
+    config.llmDefinitions = document.getElementById("llmDefinitionsCheckbox").checked;
+    config.adaptiveConcurrency = document.getElementById("adaptiveConcurrencyCheckbox").checked;
+    config.bypassResponseCache = document.getElementById("bypassResponseCacheCheckbox").checked;
+    config.reviewChangesOnly = document.getElementById("reviewChangesOnlyCheckbox").checked;
+    config.revisionAuthors = document.getElementById("revisionAuthorsInput").value.trim();
+    config.revisionFrom = document.getElementById("revisionFromInput").value;
+    config.revisionTo = document.getElementById("revisionToInput").value;
 
     try {
         localStorage.setItem('wordAI.config', JSON.stringify(config));
@@ -294,8 +670,16 @@ function saveSettings() {
         invalidateTokenEstimateCache();
         updateTokenEstimate();
 
+        if (profile.name !== previousName) {
+            refreshProfileLists();
+        }
+        if (profile.type !== previousType) {
+            updateUIFromConfig();
+        }
+
         // Re-test connection with new settings
         testConnectionUI();
+        scheduleTokenizerReload();
     } catch (e) {
         addLog(`Failed to save settings: ${e.message}`, "error");
     }
@@ -306,23 +690,49 @@ function updateUIFromConfig() {
     const modelSelect = document.getElementById("modelSelect");
 
     document.getElementById("backendSelect").value = config.backend;
+    document.getElementById("profileName").value = backendConfig.name;
+    document.getElementById("profileType").value = backendConfig.type;
     document.getElementById("endpointUrl").value = backendConfig.url;
     document.getElementById("apiKey").value = backendConfig.apiKey;
+    fillGenerationFields('profileGen', backendConfig.generation);
+    document.getElementById("profileTimeout").value = backendConfig.timeoutMs ? String(backendConfig.timeoutMs / 1000) : '';
+    document.getElementById("profileHeaders").value = formatHeaderLines(backendConfig.headers);
+    document.getElementById("contextWindowInput").value = backendConfig.contextWindow || '';
+    document.getElementById("maxOutputTokensInput").value = backendConfig.maxOutputTokens || '';
+    updateModelLimitsHint();
     document.getElementById("trackChangesCheckbox").checked = config.trackChangesEnabled;
     document.getElementById("lineDiffCheckbox").checked = config.lineDiffEnabled;
+    document.getElementById("streamingCheckbox").checked = !!config.streamingEnabled;
+    document.getElementById("structuredOutputCheckbox").checked = !!config.structuredOutput;
+    document.getElementById("fallbackClassificationCheckbox").checked = config.fallbackClassification !== false;
+    document.getElementById("reviewBeforeApplyCheckbox").checked = config.reviewBeforeApply !== false;
+    document.getElementById("consistencyCheck").value = config.consistencyCheck || 'off';
+    document.getElementById("llmDefinitionsCheckbox").checked = !!config.llmDefinitions;
+    document.getElementById("adaptiveConcurrencyCheckbox").checked = !!config.adaptiveConcurrency;
+    document.getElementById("bypassResponseCacheCheckbox").checked = !!config.bypassResponseCache;
+    document.getElementById("reviewChangesOnlyCheckbox").checked = !!config.reviewChangesOnly;
+    document.getElementById("revisionAuthorsInput").value = config.revisionAuthors || '';
+    document.getElementById("revisionFromInput").value = config.revisionFrom || '';
+    document.getElementById("revisionToInput").value = config.revisionTo || '';
+    document.getElementById("retryAttempts").value = String(config.retry.maxAttempts);
+    document.getElementById("priceTable").value = formatPriceTable(config.priceTable);
+    document.getElementById("tokenizerSelect").value = config.tokenizers[backendConfig.model] || 'auto';
+    ROUTABLE_CATEGORIES.forEach(category => {
+        const route = config.routing[category] || {};
+        document.getElementById(`routeBackend-${category}`).value = route.backend || '';
+        document.getElementById(`routeModel-${category}`).value = route.model || '';
+    });
 
-    if (config.backend === 'vllm') {
-        // vLLM: show configured model as read-only (disabled dropdown)
+    // Show the profile's model until testConnectionUI lists the server's models
+    if (backendConfig.model && !Array.from(modelSelect.options).some(o => o.value === backendConfig.model)) {
         modelSelect.innerHTML = '';
         const option = document.createElement('option');
         option.value = backendConfig.model;
         option.textContent = backendConfig.model;
         modelSelect.appendChild(option);
-        modelSelect.disabled = true;
-    } else {
-        // Ollama: enable dropdown (models populated by testConnectionUI)
-        modelSelect.disabled = false;
     }
+    modelSelect.value = backendConfig.model;
+    modelSelect.disabled = false;
 
     const richnessSelect = document.getElementById('docRichnessSelect');
     if (richnessSelect && config.docExtraction) {
@@ -340,6 +750,252 @@ function updateUIFromConfig() {
     }
 }
 
+/**
+ * Fills a backend dropdown used for routing: an inherit option followed by
+ * every configured backend.
+ *
+ * @param {HTMLSelectElement} select
+ * @param {string} inheritLabel - Label for the blank (inherit) option
+ */
+function renderRouteBackendOptions(select, inheritLabel) {
+    select.innerHTML = '';
+    const inherit = document.createElement('option');
+    inherit.value = '';
+    inherit.textContent = inheritLabel;
+    select.appendChild(inherit);
+    Object.keys(config.backends).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = backendLabel(key);
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Fills the backend profile dropdown and the profile type dropdown.
+ */
+function renderBackendOptions() {
+    const select = document.getElementById("backendSelect");
+    select.innerHTML = '';
+    Object.keys(config.backends).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = backendLabel(key);
+        select.appendChild(option);
+    });
+    select.value = config.backend;
+
+    const typeSelect = document.getElementById("profileType");
+    if (typeSelect.options.length === 0) {
+        Object.entries(BACKEND_TYPES).forEach(([type, { label }]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = label;
+            typeSelect.appendChild(option);
+        });
+    }
+}
+
+/**
+ * Re-renders every dropdown that lists profiles (after a profile is added,
+ * renamed, deleted or imported) and restores the selections from config.
+ */
+function refreshProfileLists() {
+    renderBackendOptions();
+    renderRoutingOptions();
+    ROUTABLE_CATEGORIES.forEach(category => {
+        const route = config.routing[category] || {};
+        document.getElementById(`routeBackend-${category}`).value = route.backend || '';
+    });
+}
+
+/**
+ * Stores config and reconnects after the profile list changed. Unlike
+ * saveSettings this does not read the form: the model dropdown still lists
+ * the previous profile's models until the connection test repopulates it.
+ */
+function persistProfileChange() {
+    try {
+        localStorage.setItem('wordAI.config', JSON.stringify(config));
+    } catch (e) {
+        addLog(`Failed to save settings: ${e.message}`, "error");
+    }
+    invalidateTokenEstimateCache();
+    testConnectionUI();
+    applyTokenizer();
+}
+
+/**
+ * Adds a profile copied from the active one and switches to it, so a new
+ * endpoint starts from working settings. The copy is renamed in the form.
+ */
+function handleNewProfile() {
+    const source = config.backends[config.backend];
+    const name = `${source.name} copy`;
+    const id = createProfileId(name, Object.keys(config.backends));
+    config.backends[id] = normalizeProfile(id, { ...source, name, headers: { ...source.headers } });
+    config.backend = id;
+    refreshProfileLists();
+    updateUIFromConfig();
+    persistProfileChange();
+    addLog(`Profile added: ${name} -- rename it and set its endpoint above`, 'success');
+}
+
+/**
+ * Deletes the active profile (the last profile cannot be deleted) and drops
+ * any routes that pointed at it.
+ */
+function handleDeleteProfile() {
+    const ids = Object.keys(config.backends);
+    if (ids.length <= 1) {
+        addLog('Cannot delete the only backend profile', 'warning');
+        return;
+    }
+    const id = config.backend;
+    const name = backendLabel(id);
+    delete config.backends[id];
+    Object.keys(config.routing).forEach(category => {
+        if (config.routing[category].backend === id) {
+            delete config.routing[category];
+        }
+    });
+    config.backend = Object.keys(config.backends)[0];
+    refreshProfileLists();
+    updateUIFromConfig();
+    persistProfileChange();
+    addLog(`Profile deleted: ${name}`, 'success');
+}
+
+/**
+ * Writes all profiles as JSON into the transfer box (and the clipboard where
+ * available) for sharing. API keys are included only when ticked.
+ */
+function handleExportProfiles() {
+    const includeApiKeys = document.getElementById("includeApiKeysCheckbox").checked;
+    const json = exportProfiles(config.backends, { includeApiKeys });
+    const transfer = document.getElementById("profileTransfer");
+    transfer.value = json;
+    transfer.select();
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(json).catch(() => { /* box still holds the JSON */ });
+    }
+    addLog(`Exported ${Object.keys(config.backends).length} profile(s)${includeApiKeys ? ' with API keys and headers' : ' (API keys and header values omitted)'}`, 'success');
+}
+
+/**
+ * Imports profiles from JSON pasted into the transfer box.
+ */
+function handleImportProfiles() {
+    const json = document.getElementById("profileTransfer").value.trim();
+    if (!json) {
+        addLog('Paste exported profile JSON into the box first', 'warning');
+        return;
+    }
+    try {
+        const { backends, imported, errors } = importProfiles(json, config.backends);
+        errors.forEach(error => addLog(`Import skipped: ${error}`, 'warning'));
+        if (imported.length === 0) {
+            addLog('No profiles imported', 'warning');
+            return;
+        }
+        config.backends = backends;
+        refreshProfileLists();
+        updateUIFromConfig();
+        persistProfileChange();
+        addLog(`Imported ${imported.length} profile(s): ${imported.map(backendLabel).join(', ')}`, 'success');
+    } catch (e) {
+        addLog(`Profile import failed: ${e.message}`, 'error');
+    }
+}
+
+/**
+ * Fills the routing dropdowns in settings and in the save prompt modal.
+ */
+function renderRoutingOptions() {
+    ROUTABLE_CATEGORIES.forEach(category => {
+        renderRouteBackendOptions(document.getElementById(`routeBackend-${category}`), 'Active backend');
+    });
+    renderRouteBackendOptions(document.getElementById('promptRouteBackend'), 'Category default');
+}
+
+/**
+ * Fills the tokenizer dropdown: "Auto" plus every registered tokenizer.
+ */
+function renderTokenizerOptions() {
+    const select = document.getElementById("tokenizerSelect");
+    select.innerHTML = '';
+    const auto = document.createElement('option');
+    auto.value = 'auto';
+    auto.textContent = 'Auto (by model name)';
+    select.appendChild(auto);
+    Object.entries(TOKENIZERS).forEach(([id, label]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Loads and activates the tokenizer for a model: the user's choice for that
+ * model, or a guess from the model name. Falls back to the heuristic if the
+ * encoder fails to load. Nothing is reloaded when the same tokenizer is
+ * already active (for vLLM: the same server and model). Refreshes the token
+ * estimate afterwards.
+ *
+ * @param {Object} [backendConfig] - Resolved backend config (default: the active profile)
+ */
+async function applyTokenizer(backendConfig = getActiveBackendConfig()) {
+    const choice = config.tokenizers[backendConfig.model];
+    const id = choice || guessTokenizer(backendConfig.model, backendConfig.type);
+    const key = id === 'vllm'
+        ? [id, backendConfig.url, backendConfig.apiKey, backendConfig.model].join('\n')
+        : id;
+
+    if (key !== _tokenizerKey) {
+        _tokenizerKey = key;
+        try {
+            setActiveTokenizer(await loadTokenizer(id, { config: backendConfig }));
+            addLog(`Token counting: ${TOKENIZERS[id] || id}${choice ? '' : ' (auto)'}`, 'info');
+        } catch (error) {
+            _tokenizerKey = null;
+            setActiveTokenizer(null);
+            addLog(`Could not load ${TOKENIZERS[id] || id} tokenizer (${error.message}); using heuristic`, 'warning');
+        }
+    }
+
+    invalidateTokenEstimateCache();
+    updateTokenEstimate();
+}
+
+/**
+ * Reloads the tokenizer once settings stop changing (the endpoint and API
+ * key fields save on every keystroke).
+ */
+function scheduleTokenizerReload() {
+    clearTimeout(_tokenizerTimer);
+    _tokenizerTimer = setTimeout(() => {
+        _tokenizerTimer = null;
+        applyTokenizer();
+    }, 500);
+}
+
+/**
+ * Shows server-reported limits as placeholders for the context window and
+ * max output inputs, so blank fields show what will be used.
+ */
+function updateModelLimitsHint() {
+    const discovered = discoveredModelLimits[config.backends[config.backend].model] || {};
+    const windowInput = document.getElementById("contextWindowInput");
+    const outputInput = document.getElementById("maxOutputTokensInput");
+    windowInput.placeholder = discovered.contextWindow
+        ? `Auto (${discovered.contextWindow} from server)`
+        : 'Unknown -- enter to size chunks';
+    outputInput.placeholder = discovered.maxOutputTokens
+        ? `Auto (${discovered.maxOutputTokens} from server)`
+        : 'Auto (quarter of context window)';
+}
+
 /**
  * Handles switching between backends in the UI.
  * Restores the selected backend's saved settings and triggers a connection test.
@@ -671,6 +1327,7 @@ async function getDocumentMetrics({ needDocText, needComments }) {
 
             if (needDocText) {
                 _tokenEstimateCache.docCharCount = (body.text || '').length;
+                _tokenEstimateCache.docTokenCount = estimateTokenCount(body.text || '');
             }
             if (needComments && supportsComments && commentCollection) {
                 _tokenEstimateCache.commentCount = commentCollection.items.length;
@@ -693,7 +1350,7 @@ async function getDocumentMetrics({ needDocText, needComments }) {
  * Shows estimated total tokens across: active context prompt + active
  * category prompt (amendment/comment/summary) + document text + comments.
  *
- * Uses estimateTokenCount (Math.ceil(text.length / 4)) heuristic.
+ * Uses estimateTokenCount with the active tokenizer (heuristic by default).
  * Informational only -- helps users gauge LLM context window fit.
  *
  * Async: callers fire-and-forget. DOM is updated when data is ready.
@@ -772,7 +1429,7 @@ async function updateTokenEstimate() {
         const metrics = await getDocumentMetrics({ needDocText, needComments });
 
         if (needDocText && metrics.docCharCount !== null) {
-            const docTokens = Math.ceil(metrics.docCharCount / 4);
+            const docTokens = metrics.docTokenCount;
             totalTokens += docTokens;
             parts.push(`doc:~${docTokens.toLocaleString()}`);
         } else if (needDocText) {
@@ -809,16 +1466,30 @@ async function updateTokenEstimate() {
 }
 
 /**
- * Opens the save prompt modal with category context.
+ * Opens the save prompt modal with category context. Given a prompt, the
+ * modal updates it instead, starting from its description, route and
+ * generation parameters (the name cannot be changed).
  *
  * @param {string} category - The category being saved to
+ * @param {Object} [prompt] - Existing prompt to update
  */
-function showSavePromptModal(category) {
+function showSavePromptModal(category, prompt = null) {
+    editingPromptId = prompt ? prompt.id : null;
     document.getElementById('savePromptModal').classList.add('active');
-    document.getElementById('savePromptCategory').textContent = `Saving to: ${capitalize(category)}`;
-    document.getElementById('promptName').value = '';
-    document.getElementById('promptDescription').value = '';
-    document.getElementById('promptName').focus();
+    document.getElementById('savePromptCategory').textContent =
+        `${prompt ? 'Updating in' : 'Saving to'}: ${capitalize(category)}`;
+    const nameField = document.getElementById('promptName');
+    nameField.value = prompt ? prompt.name : '';
+    nameField.disabled = !!prompt;
+    document.getElementById('promptDescription').value = prompt?.description || '';
+    document.getElementById('promptRouteBackend').value = prompt?.route?.backend || '';
+    document.getElementById('promptRouteModel').value = prompt?.route?.model || '';
+    document.getElementById('promptRouteGroup').style.display =
+        ROUTABLE_CATEGORIES.includes(category) ? '' : 'none';
+    fillGenerationFields('promptGen', prompt?.generation);
+    document.getElementById('promptGenerationGroup').style.display =
+        ROUTABLE_CATEGORIES.includes(category) ? '' : 'none';
+    (prompt ? document.getElementById('promptDescription') : nameField).focus();
 }
 
 /**
@@ -830,14 +1501,15 @@ function hideSavePromptModal() {
 
 /**
  * Handles the Save button in the save prompt modal.
- * Creates a new prompt in the current tab's category and auto-selects it.
+ * Creates a new prompt in the current tab's category and auto-selects it,
+ * or updates the prompt the modal was opened for.
  */
 function handleSavePromptConfirm() {
     const name = document.getElementById('promptName').value.trim();
     const description = document.getElementById('promptDescription').value.trim();
     const template = document.getElementById(`promptTextarea-${currentTab}`).value.trim();
 
-    if (!name) {
+    if (!name && !editingPromptId) {
         addLog('Please enter a prompt name', "warning");
         return;
     }
@@ -853,6 +1525,22 @@ function handleSavePromptConfirm() {
         const commentField = document.getElementById('commentInstructions');
         promptData.commentInstructions = commentField ? commentField.value.trim() : '';
     }
+    if (ROUTABLE_CATEGORIES.includes(currentTab)) {
+        promptData.route = {
+            backend: document.getElementById('promptRouteBackend').value,
+            model: document.getElementById('promptRouteModel').value
+        };
+        promptData.generation = readGenerationFields('promptGen');
+    }
+    if (editingPromptId) {
+        promptManager.updatePrompt(currentTab, editingPromptId, promptData);
+        unsavedText[currentTab] = template;
+        addLog(`Prompt updated: ${promptManager.getPrompt(currentTab, editingPromptId).name} (${currentTab})`, 'success');
+        renderCategoryDropdown(currentTab);
+        document.getElementById(`promptSelect-${currentTab}`).value = editingPromptId;
+        hideSavePromptModal();
+        return;
+    }
     const prompt = promptManager.addPrompt(currentTab, promptData);
     addLog(`Prompt saved: ${name} (${currentTab})`, "success");
 
@@ -953,7 +1641,7 @@ async function testConnectionUI() {
     const indicator = document.getElementById("statusIndicator");
     const statusText = document.getElementById("statusText");
     const backendConfig = getActiveBackendConfig();
-    const backendLabel = config.backend === 'vllm' ? 'vLLM' : 'Ollama';
+    const label = backendLabel(config.backend);
 
     indicator.className = "status-indicator";
     statusText.textContent = "Connecting...";
@@ -962,32 +1650,32 @@ async function testConnectionUI() {
         const result = await llmTestConnection(backendConfig);
 
         indicator.classList.add("connected");
-        statusText.textContent = `${backendLabel}: Connected`;
-        addLog(`Connected to ${backendLabel}! Found ${result.models.length} model(s).`, "success");
+        statusText.textContent = `${label}: Connected`;
+        addLog(`Connected to ${label}! Found ${result.models.length} model(s).`, "success");
+
+        // Remember server-reported model limits for chunk sizing
+        result.models.forEach(m => {
+            if (m.contextWindow || m.maxOutputTokens) {
+                discoveredModelLimits[m.id] = { contextWindow: m.contextWindow, maxOutputTokens: m.maxOutputTokens };
+            }
+        });
 
         // Populate model dropdown
         populateModels(result.models);
+        updateModelLimitsHint();
 
-        if (config.backend === 'vllm') {
-            // vLLM: set model to configured value as read-only
-            const modelSelect = document.getElementById("modelSelect");
-            modelSelect.innerHTML = '';
-            const option = document.createElement('option');
-            option.value = backendConfig.model;
-            option.textContent = backendConfig.model;
-            modelSelect.appendChild(option);
-            modelSelect.disabled = true;
-        }
+        // A vLLM server serving a single model leaves nothing to choose
+        document.getElementById("modelSelect").disabled = isVllmBackend() && result.models.length === 1;
     } catch (error) {
         indicator.classList.add("error");
 
         // Handle auth-specific errors
         if (error.message && (error.message.includes('401') || error.message.includes('403'))) {
-            statusText.textContent = `${backendLabel}: API key required`;
-            addLog(`${backendLabel} authentication failed: ${error.message}`, "error");
+            statusText.textContent = `${label}: API key required`;
+            addLog(`${label} authentication failed: ${error.message}`, "error");
         } else {
-            statusText.textContent = `${backendLabel}: Connection Error`;
-            addLog(`${backendLabel} connection failed: ${error.message}`, "error");
+            statusText.textContent = `${label}: Connection Error`;
+            addLog(`${label} connection failed: ${error.message}`, "error");
         }
 
         console.error("Connection error:", error);
@@ -995,8 +1683,8 @@ async function testConnectionUI() {
 }
 
 /**
- * Populates the model dropdown from the /v1/models response.
- * Models use OpenAI format: { id: "model-name" }.
+ * Populates the model dropdown from the backend's model listing.
+ * llm-client normalizes every provider to { id: "model-name" }.
  */
 function populateModels(models) {
     const select = document.getElementById("modelSelect");
@@ -1071,42 +1759,9 @@ async function handleSummaryGeneration() {
             const tcResult = await extractTrackedChanges();
             addLog(`Tracked changes extracted (${tcResult.changes.length} change(s))`, 'info');
 
-            // Format tracked changes for the prompt -- show before/after with author prominently
-            let tcText = '';
-            if (tcResult.changes.length > 0) {
-                tcText = tcResult.changes.map((c, i) => {
-                    const num = i + 1;
-                    const author = c.author || 'Unknown';
-                    const date = c.date || '';
-                    const dateStr = date ? ` on ${date}` : '';
-
-                    if (c.type === 'Replaced') {
-                        return `[Change ${num}] REPLACED by ${author}${dateStr}:\n` +
-                               `  BEFORE: "${c.beforeText}"\n` +
-                               `  AFTER:  "${c.afterText}"` +
-                               (c.paragraphText ? `\n  IN CLAUSE: "${c.paragraphText}"` : '');
-                    } else if (c.type === 'Deleted') {
-                        return `[Change ${num}] DELETED by ${author}${dateStr}:\n` +
-                               `  REMOVED: "${c.text}"` +
-                               (c.paragraphText ? `\n  IN CLAUSE: "${c.paragraphText}"` : '');
-                    } else if (c.type === 'Added') {
-                        return `[Change ${num}] ADDED by ${author}${dateStr}:\n` +
-                               `  INSERTED: "${c.text}"` +
-                               (c.paragraphText ? `\n  IN CLAUSE: "${c.paragraphText}"` : '');
-                    } else if (c.type.startsWith('Moved')) {
-                        return `[Change ${num}] ${c.type.toUpperCase()} by ${author}${dateStr}:\n` +
-                               `  TEXT: "${c.text}"` +
-                               (c.paragraphText ? `\n  IN CLAUSE: "${c.paragraphText}"` : '');
-                    }
-                    return `[Change ${num}] ${c.type} by ${author}${dateStr}: "${c.text}"`;
-                }).join('\n\n');
-            }
-
-            if (tcText) {
-                summaryOpts.trackedChangesText = tcText;
-            } else if (tcResult.changes.length === 0) {
-                summaryOpts.trackedChangesText = '(No tracked changes found in document)';
-            }
+            summaryOpts.trackedChangesText = tcResult.changes.length > 0
+                ? formatTrackedChanges(tcResult.changes)
+                : '(No tracked changes found in document)';
         }
 
         // 4. Compose messages using PromptManager
@@ -1118,7 +1773,7 @@ async function handleSummaryGeneration() {
         }
 
         // 4. Send to LLM (flatten messages to single prompt for sendPrompt compatibility)
-        const backendConfig = getActiveBackendConfig();
+        const backendConfig = getActiveBackendConfig('summary');
         let fullPrompt;
         if (messages.length >= 2 && messages[0].role === 'system') {
             fullPrompt = messages[0].content + '\n\n' + messages.slice(1).map(m => m.content).join('\n\n');
@@ -1126,24 +1781,13 @@ async function handleSummaryGeneration() {
             fullPrompt = messages.map(m => m.content).join('\n\n');
         }
 
-        const llmResponse = await sendPrompt(backendConfig, fullPrompt, addLog);
+        const llmResponse = await sendTrackedPrompt(backendConfig, fullPrompt, addLog);
         addLog(`Summary received (${llmResponse.length} chars). Creating document...`, 'info');
 
         // 5. Build HTML and create document
         // Get document title for the summary doc
-        let docTitle = 'Comment Summary';
-        try {
-            await Word.run(async (context) => {
-                const props = context.document.properties;
-                props.load('title');
-                await context.sync();
-                if (props.title) {
-                    docTitle = `Comment Summary - ${props.title}`;
-                }
-            });
-        } catch (e) {
-            // Title lookup failed -- use default
-        }
+        const sourceTitle = await getDocumentTitle();
+        const docTitle = sourceTitle ? `Comment Summary - ${sourceTitle}` : 'Comment Summary';
 
         const html = buildSummaryHtml(llmResponse, comments, docTitle);
         await createSummaryDocument(html, docTitle, addLog);
@@ -1159,6 +1803,46 @@ async function handleSummaryGeneration() {
     }
 }
 
+/**
+ * Reads the document's title property.
+ * @returns {Promise<string>} '' when unset or the lookup fails
+ */
+async function getDocumentTitle() {
+    try {
+        let title = '';
+        await Word.run(async (context) => {
+            const props = context.document.properties;
+            props.load('title');
+            await context.sync();
+            title = props.title || '';
+        });
+        return title;
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Whether the dry-run toggle is on: requests run as usual, but the proposed
+ * changes go to a new redline report document instead of this one.
+ */
+function isDryRun() {
+    return !!document.getElementById('dryRunCheckbox')?.checked;
+}
+
+/**
+ * Opens a new document with a redline report of proposed changes.
+ *
+ * @param {Array} sections - { title, original, amendment, comment }
+ * @param {Object} [options] - { unchanged, failed } (see buildRedlineReportHtml)
+ */
+async function createRedlineReport(sections, options = {}) {
+    const sourceTitle = await getDocumentTitle();
+    const title = sourceTitle ? `Redline Report - ${sourceTitle}` : 'Redline Report';
+    addLog('Dry run: creating redline report (document unchanged)...', 'info');
+    await createSummaryDocument(buildRedlineReportHtml(sections, { ...options, title }), title, addLog);
+}
+
 async function handleReviewSelection() {
     // Summary mode uses a separate workflow
     if (promptManager.getActiveMode() === 'summary') {
@@ -1178,10 +1862,11 @@ async function handleReviewSelection() {
 
     const btn = document.getElementById("reviewBtn");
     const activeMode = promptManager.getActiveMode();
+    const dryRun = isDryRun();
 
-    // Only block UI for amendment (synchronous) operations
-    // Comment-only mode is non-blocking (fire-and-forget)
-    const needsBlocking = (activeMode === 'amendment');
+    // Only block UI for amendment (synchronous) operations and dry runs
+    // Comment-only mode is otherwise non-blocking (fire-and-forget)
+    const needsBlocking = (activeMode === 'amendment') || dryRun;
 
     try {
         if (needsBlocking) {
@@ -1202,31 +1887,35 @@ async function handleReviewSelection() {
             selectionText = selection.text;
         });
 
-        const activeBackend = getActiveBackendConfig();
+        const activeBackend = getActiveBackendConfig(activeMode === 'comment' ? 'comment' : 'amendment');
         addLog(`Processing selection (${selectionText.length} chars) via ${activeBackend.model}...`, "info");
 
         // 2. Amendment execution
+        let proposal = null;
         if (activeMode === 'amendment') {
             const commentInstructions = document.getElementById('commentInstructions').value.trim();
 
             if (commentInstructions) {
                 // Merged amendment + comment in single LLM call
-                await handleMergedAmendmentComment(selectionText, commentInstructions, activeBackend);
+                proposal = await handleMergedAmendmentComment(selectionText, commentInstructions, activeBackend, { dryRun });
             } else {
                 // Amendment-only (existing synchronous workflow)
-                await handleAmendmentOnly(selectionText, activeBackend);
+                proposal = await handleAmendmentOnly(selectionText, activeBackend, { dryRun });
             }
         }
 
         // 3. Comment-only execution -- fire-and-forget via comment queue
-        if (activeMode === 'comment') {
+        // (a dry run waits for the comment instead)
+        if (activeMode === 'comment' && dryRun) {
+            proposal = { amendment: null, comment: await requestSelectionComment(selectionText) };
+        } else if (activeMode === 'comment') {
             if (!supportsComments) {
                 addLog("Comment features require Word API 1.4", "warning");
             } else {
-                const backendConfig = getActiveBackendConfig();
+                const backendConfig = getActiveBackendConfig('comment');
                 fireCommentRequest(selectionText, {
                     config: backendConfig,
-                    sendPromptFn: sendPrompt,
+                    sendPromptFn: sendTrackedPrompt,
                     promptManager: promptManager,
                     commentQueue: commentQueue,
                     log: addLog,
@@ -1236,9 +1925,19 @@ async function handleReviewSelection() {
             }
         }
 
+        // 4. Dry run -- report instead of applying
+        if (dryRun && proposal) {
+            const proposes = proposal.amendment || proposal.comment;
+            await createRedlineReport(
+                proposes ? [{ title: 'Selection', original: selectionText, ...proposal }] : [],
+                { unchanged: proposes ? 0 : 1 }
+            );
+        }
+
     } catch (error) {
         addLog(`Error: ${error.message}`, "error");
     } finally {
+        hideStreamPreview();
         if (needsBlocking) {
             isProcessing = false;
             btn.classList.remove("loading");
@@ -1248,55 +1947,192 @@ async function handleReviewSelection() {
 }
 
 /**
- * Handles amendment-only submission (no comment instructions).
- * Sends amendment prompt to LLM and applies diff as tracked changes.
+ * sendPrompt wrapper that records backend-reported token usage in the
+ * session totals. Same signature and return value as sendPrompt.
+ *
+ * @param {object} backendConfig - Backend configuration
+ * @param {string} promptText - The prompt text to send
+ * @param {function} [log] - Logging callback
+ * @param {object} [options] - sendPrompt options (e.g. onDelta, generation)
+ * @returns {Promise<string>} Cleaned LLM response text
  */
-async function handleAmendmentOnly(selectionText, activeBackend) {
-    const messages = promptManager.composeMessages(selectionText, 'amendment');
-
-    let fullPrompt;
-    if (messages.length === 2) {
-        fullPrompt = messages[0].content + '\n\n' + messages[1].content;
-    } else if (messages.length === 1) {
-        fullPrompt = messages[0].content;
-    } else {
-        throw new Error("No prompt composed -- check active prompts");
+async function sendTrackedPrompt(backendConfig, promptText, log, options = {}) {
+    const estimatedTokens = estimateTokenCount(promptText);
+    const { fits, overflowBy } = checkPromptFits(estimatedTokens, computeChunkBudget(getModelLimits(backendConfig)));
+    if (!fits) {
+        addLog(`Prompt is ~${estimatedTokens} tokens, ~${overflowBy} over the model's input budget -- ` +
+            'the response may be truncated or rejected', 'warning');
     }
+    logGenerationParams(backendConfig, options.generation);
+    const { text, usage } = await sendPrompt(backendConfig, promptText, log, { ...options, includeUsage: true });
+    usageTracker.record(backendConfig.model, usage, estimatedTokens);
+    updateSessionUsageDisplay();
+    return text;
+}
 
-    const backendConfig = getActiveBackendConfig();
-    const rawResponse = await sendPrompt(backendConfig, fullPrompt, addLog);
-    const response = stripMarkdown(rawResponse, addLog);
+/**
+ * Records per-chunk usage from a whole-document run in the session totals.
+ *
+ * @param {Array} results - ChunkResult array from processChunksParallel
+ * @param {string} model - Model the chunks were sent to
+ */
+function recordChunkUsage(results, model) {
+    results
+        .filter(r => r.status === 'fulfilled' && !r.cached)
+        .forEach(r => usageTracker.record(model, r.usage, r.estimatedPromptTokens));
+    updateSessionUsageDisplay();
+}
 
-    addLog(`LLM Response received [${backendConfig.model}]`, "success");
-    addLog(`Response: ${response.substring(0, 100)}${response.length > 100 ? '...' : ''}`, "info");
+/**
+ * Updates the session usage line: reported tokens, cost (when the price
+ * table covers the models used) and the reported/estimated prompt ratio.
+ */
+function updateSessionUsageDisplay() {
+    const container = document.getElementById('sessionUsage');
+    const valueEl = document.getElementById('sessionUsageValue');
+    const detailEl = document.getElementById('sessionUsageDetail');
+    if (!container || !valueEl) return;
 
-    addLog("Applying changes...", "info");
+    const totals = usageTracker.getTotals();
+    if (totals.requests === 0) {
+        container.style.display = 'none';
+        return;
+    }
 
-    await Word.run(async (context) => {
-        const selection = context.document.getSelection();
-        if (Word.ChangeTrackingMode) {
-            context.document.changeTrackingMode = config.trackChangesEnabled
-                ? Word.ChangeTrackingMode.trackAll
-                : Word.ChangeTrackingMode.off;
-        }
-        if (config.lineDiffEnabled) {
-            await applySentenceDiffStrategy(context, selection, selectionText, response, addLog);
-        } else {
-            await applyTokenMapStrategy(context, selection, selectionText, response, addLog);
-        }
-    });
+    container.style.display = 'flex';
+    valueEl.textContent = formatUsage(totals.usage);
 
-    addLog("Changes applied successfully", "success");
+    const details = [];
+    if (totals.cost !== null) {
+        details.push(`$${totals.cost.toFixed(4)}`);
+    }
+    if (totals.estimateRatio !== null) {
+        details.push(`actual/estimate ${totals.estimateRatio.toFixed(2)}x`);
+    }
+    if (totals.unreported > 0) {
+        details.push(`${totals.unreported} request(s) without usage data`);
+    }
+    if (detailEl) detailEl.textContent = details.join(' · ');
 }
 
 /**
- * Handles merged amendment + comment submission.
+ * Clears the session usage totals.
+ */
+function resetSessionUsage() {
+    usageTracker.reset();
+    updateSessionUsageDisplay();
+    addLog('Session usage reset.', 'info');
+}
+
+/**
+ * Returns sendPrompt/sendMessages options for the current streaming setting.
+ * When streaming is enabled, partial response text is shown in the preview box.
+ *
+ * @param {string} [label] - Preview heading (defaults to "Receiving response...")
+ * @returns {{ onDelta?: function }}
+ */
+function getStreamOptions(label) {
+    if (!config.streamingEnabled) return {};
+    return {
+        onDelta: (text) => showStreamPreview(label || 'Receiving response...', text)
+    };
+}
+
+/**
+ * Shows the streaming preview box with the latest partial response text.
+ * Keeps the view scrolled to the newest output.
+ *
+ * @param {string} label - Heading shown above the text
+ * @param {string} text - Displayable partial response text
+ */
+function showStreamPreview(label, text) {
+    const container = document.getElementById('streamPreview');
+    const labelEl = document.getElementById('streamPreviewLabel');
+    const textEl = document.getElementById('streamPreviewText');
+    if (!container || !textEl) return;
+
+    container.style.display = 'flex';
+    if (labelEl) labelEl.textContent = label;
+    textEl.textContent = text;
+    textEl.scrollTop = textEl.scrollHeight;
+}
+
+/**
+ * Hides and clears the streaming preview box.
+ */
+function hideStreamPreview() {
+    const container = document.getElementById('streamPreview');
+    const textEl = document.getElementById('streamPreviewText');
+    if (container) container.style.display = 'none';
+    if (textEl) textEl.textContent = '';
+}
+
+/**
+ * Handles amendment-only submission (no comment instructions).
+ * Sends amendment prompt to LLM and applies diff as tracked changes.
+ * In a dry run nothing is applied; the proposal is returned instead.
+ *
+ * @returns {Promise<{amendment: string, comment: null}|undefined>} The proposal (dry run only)
+ */
+async function handleAmendmentOnly(selectionText, activeBackend, { dryRun = false } = {}) {
+    const messages = promptManager.composeMessages(selectionText, 'amendment');
+
+    let fullPrompt;
+    if (messages.length === 2) {
+        fullPrompt = messages[0].content + '\n\n' + messages[1].content;
+    } else if (messages.length === 1) {
+        fullPrompt = messages[0].content;
+    } else {
+        throw new Error("No prompt composed -- check active prompts");
+    }
+
+    const backendConfig = getActiveBackendConfig('amendment');
+    const rawResponse = await sendTrackedPrompt(backendConfig, fullPrompt, addLog, getStreamOptions());
+    const response = stripMarkdown(rawResponse, addLog);
+
+    addLog(`LLM Response received [${backendConfig.model}]`, "success");
+    addLog(`Response: ${response.substring(0, 100)}${response.length > 100 ? '...' : ''}`, "info");
+
+    if (dryRun) {
+        return { amendment: response, comment: null };
+    }
+
+    addLog("Applying changes...", "info");
+
+    await Word.run(async (context) => {
+        const selection = context.document.getSelection();
+        if (Word.ChangeTrackingMode) {
+            context.document.changeTrackingMode = config.trackChangesEnabled
+                ? Word.ChangeTrackingMode.trackAll
+                : Word.ChangeTrackingMode.off;
+        }
+        if (config.lineDiffEnabled) {
+            await applySentenceDiffStrategy(context, selection, selectionText, response, addLog);
+        } else {
+            await applyTokenMapStrategy(context, selection, selectionText, response, addLog);
+        }
+    });
+
+    addLog("Changes applied successfully", "success");
+}
+
+/**
+ * Handles merged amendment + comment submission.
  * Sends a single merged prompt to LLM, parses delimited response,
  * applies amendment as tracked changes and inserts comment on selection.
- * Falls back to a second LLM call if delimiters are missing.
+ * Falls back to a second LLM call if delimiters are missing (unless disabled
+ * in settings, in which case the whole response is used as the amendment).
+ *
+ * With structured output enabled the reply is a JSON object; each comment is
+ * anchored on its quoted passage, and invalid JSON is parsed as delimited text.
+ *
+ * In a dry run nothing is applied; the parsed proposal is returned instead.
+ *
+ * @returns {Promise<{amendment: string|null, comment: string|null}|undefined>} The proposal (dry run only)
  */
-async function handleMergedAmendmentComment(selectionText, commentInstructions, activeBackend) {
-    const messages = promptManager.composeMergedMessages(selectionText, commentInstructions);
+async function handleMergedAmendmentComment(selectionText, commentInstructions, activeBackend, { dryRun = false } = {}) {
+    const structured = !!config.structuredOutput;
+    const messages = promptManager.composeMergedMessages(selectionText, commentInstructions, { structured });
 
     let fullPrompt;
     if (messages.length === 2) {
@@ -1307,30 +2143,44 @@ async function handleMergedAmendmentComment(selectionText, commentInstructions,
         throw new Error("No prompt composed -- check active prompts");
     }
 
-    const backendConfig = getActiveBackendConfig();
+    const backendConfig = getActiveBackendConfig('amendment');
     addLog(`Sending merged amendment + comment request [${backendConfig.model}]...`, "info");
-    const response = await sendPrompt(backendConfig, fullPrompt, addLog);
+    const sendOptions = structured
+        ? { ...getStreamOptions(), responseFormat: STRUCTURED_RESPONSE_FORMAT }
+        : getStreamOptions();
+    const response = await sendTrackedPrompt(backendConfig, fullPrompt, addLog, sendOptions);
 
     addLog(`LLM Response received [${backendConfig.model}]`, "success");
     addLog(`Response: ${response.substring(0, 100)}${response.length > 100 ? '...' : ''}`, "info");
 
-    // Parse delimited response
-    let parsed = parseDelimitedResponse(response);
+    // Parse structured or delimited response
+    let parsed = structured ? parseStructuredResponse(response) : parseDelimitedResponse(response);
+    if (structured && !parsed.structured) {
+        addLog(`Structured response rejected (${parsed.error}); parsing as delimited text`, "warning");
+    }
+    if (parsed.rationale) {
+        addLog(`Rationale: ${parsed.rationale}`, "info");
+    }
 
     // Fallback: if delimiters not found, try a second LLM call to classify
-    if (parsed.amendment === null) {
-        addLog("Response missing delimiters, attempting to classify...", "info");
+    if (parsed.amendment === null && !parsed.structured && config.fallbackClassification === false) {
+        addLog("Response missing delimiters; fallback classification is off, using the whole response as the amendment", "warning");
+        parsed = { amendment: response.trim(), comment: null, raw: response };
+    } else if (parsed.amendment === null && !parsed.structured) {
+        addLog("Response missing delimiters; running fallback classification...", "info");
         const fallbackMessages = buildFallbackClassificationPrompt(response, selectionText);
         const fallbackPrompt = fallbackMessages[0].content + '\n\n' + fallbackMessages[1].content;
 
         try {
-            const fallbackResponse = await sendPrompt(backendConfig, fallbackPrompt, addLog);
+            const fallbackResponse = await sendTrackedPrompt(backendConfig, fallbackPrompt, addLog);
             parsed = parseDelimitedResponse(fallbackResponse);
 
-            if (parsed.amendment === null) {
+            if (parsed.amendment === null && parsed.comment === null) {
                 // Still no delimiters -- treat entire original response as amendment (best-effort)
                 addLog("Could not split response into amendment and comment", "warning");
                 parsed = { amendment: response.trim(), comment: null, raw: response };
+            } else {
+                addLog("Fallback classification split the response", "info");
             }
         } catch (fallbackError) {
             // Fallback call failed -- use original response as amendment
@@ -1339,9 +2189,17 @@ async function handleMergedAmendmentComment(selectionText, commentInstructions,
         }
     }
 
-    // Apply amendment as tracked changes (strip markdown artifacts first)
+    // Strip markdown artifacts from the amendment
     if (parsed.amendment) {
         parsed.amendment = stripMarkdown(parsed.amendment, addLog);
+    }
+
+    if (dryRun) {
+        return { amendment: parsed.amendment, comment: parsed.comment };
+    }
+
+    // Apply amendment as tracked changes
+    if (parsed.amendment) {
         addLog("Applying amendment changes...", "info");
 
         await Word.run(async (context) => {
@@ -1362,7 +2220,16 @@ async function handleMergedAmendmentComment(selectionText, commentInstructions,
     }
 
     // Insert comment on selection if available and supported
-    if (parsed.comment && supportsComments) {
+    if (parsed.structured && parsed.comments.length > 0 && supportsComments) {
+        addLog(`Inserting ${parsed.comments.length} comment(s)...`, "info");
+
+        try {
+            const anchored = await insertQuotedComments(parsed.comments);
+            addLog(`Comments inserted (${anchored} anchored on quoted text)`, "success");
+        } catch (commentError) {
+            addLog(`Comment insertion failed: ${commentError.message}. Comment text: "${parsed.comment}"`, "warning");
+        }
+    } else if (parsed.comment && supportsComments) {
         addLog("Inserting comment...", "info");
 
         try {
@@ -1387,6 +2254,548 @@ async function handleMergedAmendmentComment(selectionText, commentInstructions,
     }
 }
 
+/**
+ * Requests a comment on the selection and waits for it (dry runs; the normal
+ * comment workflow is fire-and-forget via fireCommentRequest).
+ *
+ * @param {string} selectionText
+ * @returns {Promise<string|null>} Comment text, or null when the reply was empty
+ */
+async function requestSelectionComment(selectionText) {
+    const messages = promptManager.composeMessages(selectionText, 'comment');
+    if (messages.length === 0) {
+        throw new Error("No prompt composed -- check active prompts");
+    }
+    const fullPrompt = messages.map(m => m.content).join('\n\n');
+    const backendConfig = getActiveBackendConfig('comment');
+    const response = await sendTrackedPrompt(backendConfig, fullPrompt, addLog, getStreamOptions());
+    addLog(`LLM Response received [${backendConfig.model}]`, "success");
+    return response.trim() || null;
+}
+
+/**
+ * Inserts structured comments within the current selection. Each comment is
+ * placed on the first match of its quote inside the selection; comments
+ * without a quote, or whose quote is not found (or is too long for Word's
+ * 255-character search), go on the whole selection.
+ *
+ * @param {Array<{quote: string, text: string}>} comments
+ * @returns {Promise<number>} Number of comments anchored on their quote
+ */
+async function insertQuotedComments(comments) {
+    let anchored = 0;
+    await Word.run(async (context) => {
+        const selection = context.document.getSelection();
+        const searches = comments.map(c => {
+            if (!c.quote || c.quote.length > 255) return null;
+            const found = selection.search(c.quote, { matchCase: true });
+            found.load('items');
+            return found;
+        });
+        await context.sync();
+
+        comments.forEach((c, i) => {
+            const match = searches[i] && searches[i].items.length > 0 ? searches[i].items[0] : null;
+            if (match) anchored++;
+            (match || selection.getRange()).insertComment(c.text);
+        });
+        await context.sync();
+    });
+    return anchored;
+}
+
+// ============================================================================
+// DEFINED-TERM CHECK
+// ============================================================================
+
+const TERM_FINDING_LABELS = {
+    'unused-definition': 'unused definitions',
+    'undefined-term': 'undefined terms',
+    'duplicate-definition': 'conflicting definitions',
+    'abbreviation-before-expansion': 'early abbreviations'
+};
+
+/**
+ * Checks the document's defined terms and abbreviations and logs the
+ * findings. When comments are supported, offers to insert them as comments
+ * on the paragraphs concerned.
+ */
+async function handleCheckTerms() {
+    const btn = document.getElementById('checkTermsBtn');
+    btn.disabled = true;
+    try {
+        addLog('Checking defined terms...', 'info');
+        const docModel = await parseDocument();
+        const documentContext = extractContext(docModel);
+        const findings = validateTerms(docModel, documentContext);
+
+        if (findings.length === 0) {
+            addLog(`No term issues found (${documentContext.definitions.length} definitions, ` +
+                `${documentContext.abbreviations.length} abbreviations checked)`, 'success');
+            return;
+        }
+
+        const counts = Object.entries(countFindings(findings))
+            .map(([type, count]) => `${count} ${TERM_FINDING_LABELS[type]}`);
+        findings.forEach(finding => {
+            addLog(`Paragraph ${finding.paragraphIndex + 1}: ${finding.message}`, 'warning');
+        });
+        const summary = `Term check: ${findings.length} issue(s) -- ${counts.join(', ')}`;
+        if (supportsComments) {
+            addLogWithRetry(summary, 'warning', () => insertTermComments(findings), 'Insert as comments');
+        } else {
+            addLog(summary, 'warning');
+        }
+    } catch (error) {
+        addLog(`Term check failed: ${error.message}`, 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+/**
+ * Inserts term findings as comments on the paragraphs concerned.
+ *
+ * @param {Array} findings - TermFinding[] from validateTerms()
+ */
+async function insertTermComments(findings) {
+    try {
+        const { inserted, anchored } = await insertParagraphComments(findings.map(finding => ({
+            paragraphIndex: finding.paragraphIndex,
+            anchor: finding.term,
+            text: `Term check: ${finding.message}.`
+        })));
+        addLog(`Inserted ${inserted} term comment(s) (${anchored} anchored on the term)`, 'success');
+    } catch (error) {
+        addLog(`Failed to insert term comments: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Inserts comments on document paragraphs, each anchored on the first
+ * whole-word match of its anchor text within the paragraph (or the whole
+ * paragraph when there is no match).
+ *
+ * @param {Array<{paragraphIndex: number, anchor: string, text: string}>} comments
+ * @returns {Promise<{inserted: number, anchored: number}>}
+ */
+async function insertParagraphComments(comments) {
+    let inserted = 0;
+    let anchored = 0;
+    await Word.run(async (context) => {
+        const paragraphs = context.document.body.paragraphs;
+        paragraphs.load('items');
+        await context.sync();
+
+        const targets = comments.map(comment => {
+            const paragraph = paragraphs.items[comment.paragraphIndex];
+            if (!paragraph) return null;
+            const found = comment.anchor && comment.anchor.length <= 255
+                ? paragraph.search(comment.anchor, { matchCase: true, matchWholeWord: true })
+                : null;
+            if (found) found.load('items');
+            return { comment, paragraph, found };
+        });
+        await context.sync();
+
+        targets.filter(Boolean).forEach(({ comment, paragraph, found }) => {
+            const match = found && found.items.length > 0 ? found.items[0] : null;
+            if (match) anchored++;
+            inserted++;
+            (match || paragraph.getRange()).insertComment(comment.text);
+        });
+        await context.sync();
+    });
+    return { inserted, anchored };
+}
+
+// ============================================================================
+// COUNTERPARTY CHANGE REVIEW
+// ============================================================================
+
+/**
+ * Sends the counterparty's tracked changes (filtered by the author and date
+ * settings) to the LLM one by one for a risk analysis, and inserts each
+ * analysis as a comment on the revised text. Clicking again cancels.
+ */
+async function handleReviewRevisions() {
+    if (revisionReviewController) {
+        revisionReviewController.abort();
+        addLog('Cancelling counterparty change review...', 'warning');
+        return;
+    }
+    if (!supportsComments) {
+        addLog('Counterparty change review inserts comments, which need WordApi 1.4', 'warning');
+        return;
+    }
+
+    const btn = document.getElementById('reviewRevisionsBtn');
+    const label = btn.textContent;
+    revisionReviewController = new AbortController();
+    btn.textContent = 'Cancel';
+    try {
+        const revisions = await readCounterpartyRevisions('Reviewing');
+        if (!revisions) return;
+
+        const backendConfig = getActiveBackendConfig('comment');
+        const documentContext = extractContext(await parseDocument());
+        const results = await reviewRevisions(revisions, {
+            config: backendConfig,
+            contextPrompt: promptManager.getActivePrompt('context')?.template || '',
+            documentContext,
+            log: addLog,
+            signal: revisionReviewController.signal,
+            timeoutMs: backendConfig.timeoutMs || 120000,
+            onProgress: (done, total) => { btn.textContent = `Cancel (${done}/${total})`; }
+        });
+        results.filter(r => r.usage).forEach(r => usageTracker.record(backendConfig.model, r.usage, null));
+        updateSessionUsageDisplay();
+
+        const failed = results.filter(r => r.error);
+        failed.forEach(r => addLog(`Could not review: ${describeRevision(r.revision)} -- ${r.error}`, 'warning'));
+        const { inserted, anchored } = await insertRevisionComments(results.filter(r => !r.error));
+        const risks = RISK_LEVELS
+            .map(level => [level, results.filter(r => r.risk === level).length])
+            .filter(([, count]) => count > 0)
+            .map(([level, count]) => `${count} ${level.toLowerCase()}`);
+        addLog(`Counterparty change review: ${inserted} comment(s) inserted (${anchored} on the revised text)` +
+            (risks.length > 0 ? `; risk ${risks.join(', ')}` : '') +
+            (failed.length > 0 ? `; ${failed.length} change(s) could not be reviewed` : ''),
+            failed.length > 0 ? 'warning' : 'success');
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            addLog('Counterparty change review cancelled', 'warning');
+        } else {
+            addLog(`Counterparty change review failed: ${error.message}`, 'error');
+        }
+    } finally {
+        revisionReviewController = null;
+        btn.textContent = label;
+    }
+}
+
+/**
+ * Reads the document's tracked changes and keeps those matching the author
+ * and date settings, logging why when none are left.
+ *
+ * @param {string} verb - Start of the progress log line (e.g. "Reviewing")
+ * @returns {Promise<Array|null>} Revision[], or null when there is nothing to do
+ */
+async function readCounterpartyRevisions(verb) {
+    addLog('Reading tracked changes...', 'info');
+    const { changes } = await extractTrackedChanges();
+    if (changes.length === 0) {
+        addLog('No tracked changes in the document', 'info');
+        return null;
+    }
+    const revisions = filterRevisions(changes, {
+        authors: (config.revisionAuthors || '').split(','),
+        from: config.revisionFrom,
+        to: config.revisionTo
+    });
+    if (revisions.length === 0) {
+        const authors = listRevisionAuthors(changes).map(a => `${a.author} (${a.count})`).join(', ');
+        addLog(`No tracked changes match the author/date filter -- changes are by: ${authors}`, 'warning');
+        return null;
+    }
+    addLog(`${verb} ${revisions.length} of ${changes.length} tracked change(s)...`, 'info');
+    return revisions;
+}
+
+/**
+ * Inserts risk analyses as comments on the revised text. The revised range
+ * comes from Word's tracked changes (WordApi 1.6); without them, or when a
+ * revision has no match, the comment goes on the start of its clause.
+ *
+ * @param {Array} results - RevisionAnalysis[] without errors
+ * @returns {Promise<{inserted: number, anchored: number}>} anchored = on the revised range
+ */
+async function insertRevisionComments(results) {
+    let inserted = 0;
+    let anchored = 0;
+    await Word.run(async (context) => {
+        const body = context.document.body;
+        let trackedChanges = null;
+        if (Office.context.requirements.isSetSupported('WordApi', '1.6')) {
+            trackedChanges = body.getTrackedChanges();
+            trackedChanges.load('items/type,items/author,items/text');
+            await context.sync();
+        }
+        const matches = trackedChanges
+            ? matchTrackedChanges(results.map(r => r.revision), trackedChanges.items)
+            : results.map(() => -1);
+
+        // Search strings are limited to 255 characters
+        const clauseSearches = results.map((result, i) => {
+            const clause = (result.revision.paragraphText || '').substring(0, 255).trim();
+            if (matches[i] >= 0 || !clause) return null;
+            const found = body.search(clause, { matchCase: true });
+            found.load('items');
+            return found;
+        });
+        await context.sync();
+
+        results.forEach((result, i) => {
+            const text = formatRevisionComment(result);
+            if (matches[i] >= 0) {
+                trackedChanges.items[matches[i]].getRange().insertComment(text);
+                anchored++;
+                inserted++;
+            } else if (clauseSearches[i] && clauseSearches[i].items.length > 0) {
+                clauseSearches[i].items[0].insertComment(text);
+                inserted++;
+            } else {
+                addLog(`No place found for the review of: ${describeRevision(result.revision)}`, 'warning');
+            }
+        });
+        await context.sync();
+    });
+    return { inserted, anchored };
+}
+
+const RECOMMENDATION_LABELS = { accept: 'accept', reject: 'reject', counter: 'counter-propose' };
+const REVISION_ACTION_DONE = { accept: 'Accepted', reject: 'Rejected', counter: 'Counter-proposed' };
+
+/**
+ * Asks the LLM whether to accept, reject or counter each of the
+ * counterparty's tracked changes (filtered by the author and date settings)
+ * and lists the recommendations in the revision panel, where each can be
+ * acted on. Clicking again cancels.
+ */
+async function handleRecommendRevisions() {
+    if (revisionRecommendController) {
+        revisionRecommendController.abort();
+        addLog('Cancelling accept/reject recommendations...', 'warning');
+        return;
+    }
+
+    const btn = document.getElementById('recommendRevisionsBtn');
+    const label = btn.textContent;
+    revisionRecommendController = new AbortController();
+    btn.textContent = 'Cancel';
+    try {
+        const revisions = await readCounterpartyRevisions('Recommending on');
+        if (!revisions) return;
+
+        const backendConfig = getActiveBackendConfig('comment');
+        const documentContext = extractContext(await parseDocument());
+        const results = await recommendRevisions(revisions, {
+            config: backendConfig,
+            contextPrompt: promptManager.getActivePrompt('context')?.template || '',
+            documentContext,
+            log: addLog,
+            signal: revisionRecommendController.signal,
+            timeoutMs: backendConfig.timeoutMs || 120000,
+            onProgress: (done, total) => { btn.textContent = `Cancel (${done}/${total})`; }
+        });
+        results.filter(r => r.usage).forEach(r => usageTracker.record(backendConfig.model, r.usage, null));
+        updateSessionUsageDisplay();
+
+        results.filter(r => r.error).forEach(r =>
+            addLog(`No recommendation for: ${describeRevision(r.revision)} -- ${r.error}`, 'warning'));
+        const counts = countRecommendations(results);
+        addLog(`Recommendations: ${counts.accept} accept, ${counts.reject} reject, ${counts.counter} counter-propose` +
+            (counts.failed > 0 ? `; ${counts.failed} change(s) could not be assessed` : ''),
+            counts.failed > 0 ? 'warning' : 'success');
+        showRevisionPanel(results);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            addLog('Accept/reject recommendations cancelled', 'warning');
+        } else {
+            addLog(`Accept/reject recommendations failed: ${error.message}`, 'error');
+        }
+    } finally {
+        revisionRecommendController = null;
+        btn.textContent = label;
+    }
+}
+
+/**
+ * Lists recommendations in the revision panel, replacing any shown before.
+ *
+ * @param {Array} results - RevisionRecommendation[] from recommendRevisions()
+ */
+function showRevisionPanel(results) {
+    revisionRecommendations = results.map(result => ({
+        ...result,
+        counterText: result.counterText || '',
+        status: 'pending'  // 'pending' | 'accepted' | 'rejected' | 'countered'
+    }));
+    const list = document.getElementById('revisionList');
+    list.innerHTML = '';
+    revisionRecommendations.forEach(item => list.appendChild(renderRevisionItem(item)));
+    updateRevisionSummary();
+    document.getElementById('revisionPanel').style.display = 'block';
+}
+
+function closeRevisionPanel() {
+    revisionRecommendations = [];
+    document.getElementById('revisionList').innerHTML = '';
+    document.getElementById('revisionPanel').style.display = 'none';
+}
+
+function updateRevisionSummary() {
+    const done = revisionRecommendations.filter(item => item.status !== 'pending').length;
+    document.getElementById('revisionSummary').textContent =
+        `${done} of ${revisionRecommendations.length} change(s) resolved`;
+}
+
+/**
+ * Builds the card for one revision: the change and its author, the model's
+ * recommendation and reason, the editable counter-proposal wording and the
+ * accept/reject/counter buttons. Once acted on, the card shows the outcome.
+ */
+function renderRevisionItem(item) {
+    const card = document.createElement('div');
+    const decision = { accepted: 'accepted', countered: 'accepted', rejected: 'rejected' }[item.status] || 'pending';
+    card.className = `review-item review-${decision}`;
+
+    const header = document.createElement('div');
+    header.className = 'review-item-header';
+    const title = document.createElement('span');
+    title.className = 'review-item-title';
+    title.textContent = describeRevision(item.revision);
+    header.appendChild(title);
+    const author = document.createElement('span');
+    author.className = 'review-item-stats';
+    author.textContent = item.revision.author || 'Unknown';
+    header.appendChild(author);
+    card.appendChild(header);
+
+    const recommendation = document.createElement('div');
+    recommendation.className = 'review-comment';
+    recommendation.textContent = item.error
+        ? `No recommendation: ${item.error}`
+        : `Recommended: ${RECOMMENDATION_LABELS[item.action]} -- ${item.reason}`;
+    card.appendChild(recommendation);
+
+    if (item.status !== 'pending') {
+        const outcome = document.createElement('div');
+        outcome.className = 'revision-outcome';
+        outcome.textContent = {
+            accepted: 'Revision accepted',
+            rejected: 'Revision rejected',
+            countered: `Counter-proposal inserted: "${item.counterText}"`
+        }[item.status];
+        card.appendChild(outcome);
+        return card;
+    }
+
+    const counter = document.createElement('textarea');
+    counter.className = 'form-control revision-counter';
+    counter.rows = 2;
+    counter.placeholder = 'Counter-proposal wording';
+    counter.value = item.counterText;
+    counter.oninput = () => { item.counterText = counter.value; };
+    card.appendChild(counter);
+
+    const actions = document.createElement('div');
+    actions.className = 'review-item-actions';
+    const addButton = (label, action) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn-link';
+        btn.textContent = item.action === action ? `${label} (recommended)` : label;
+        btn.onclick = async () => {
+            actions.querySelectorAll('button').forEach(b => { b.disabled = true; });
+            if (await applyRevisionAction(item, action)) {
+                card.replaceWith(renderRevisionItem(item));
+                updateRevisionSummary();
+            } else {
+                actions.querySelectorAll('button').forEach(b => { b.disabled = false; });
+            }
+        };
+        actions.appendChild(btn);
+    };
+    addButton('Accept', 'accept');
+    addButton('Reject', 'reject');
+    addButton('Counter-propose', 'counter');
+    card.appendChild(actions);
+    return card;
+}
+
+/**
+ * Acts on a revision in the document. Accept and reject apply to all of the
+ * revision's tracked changes (both halves of a replacement or a move), found
+ * again by type, author and text since earlier actions shift the list; they need
+ * WordApi 1.6. A counter-proposal is inserted as a new tracked change, with
+ * track changes switched on for the edit: it replaces the inserted text, or
+ * goes after deleted text. Without WordApi 1.6 the inserted text is located
+ * by search, so deletions cannot be countered.
+ *
+ * @param {Object} item - Revision panel item
+ * @param {'accept'|'reject'|'counter'} action
+ * @returns {Promise<boolean>} Whether the document was changed
+ */
+async function applyRevisionAction(item, action) {
+    const { revision } = item;
+    const counterText = item.counterText.trim();
+    if (action === 'counter' && !counterText) {
+        addLog('Enter the counter-proposal wording first', 'warning');
+        return false;
+    }
+    const hasTrackedChangesApi = Office.context.requirements.isSetSupported('WordApi', '1.6');
+    if (action !== 'counter' && !hasTrackedChangesApi) {
+        addLog('Accepting or rejecting a single revision needs WordApi 1.6 -- use the Review tab in Word', 'warning');
+        return false;
+    }
+    if (revision.type === 'Deleted' && !hasTrackedChangesApi) {
+        addLog('Countering a deletion needs WordApi 1.6 -- add the wording with track changes on', 'warning');
+        return false;
+    }
+
+    try {
+        const applied = await Word.run(async (context) => {
+            const body = context.document.body;
+            let target = null;
+            if (hasTrackedChangesApi) {
+                const trackedChanges = body.getTrackedChanges();
+                trackedChanges.load('items/type,items/author,items/text');
+                await context.sync();
+                const parts = matchRevisionParts([revision], trackedChanges.items)[0];
+                if (parts.length === 0) return false;
+                if (action !== 'counter') {
+                    parts.forEach(i => trackedChanges.items[i][action]());
+                    await context.sync();
+                    return true;
+                }
+                target = trackedChanges.items[parts[0]].getRange();
+            } else {
+                // Search strings are limited to 255 characters
+                const found = body.search((revision.afterText || revision.text).substring(0, 255), { matchCase: true });
+                found.load('items');
+                await context.sync();
+                if (found.items.length === 0) return false;
+                target = found.items[0];
+            }
+
+            let previousMode = null;
+            if (Word.ChangeTrackingMode) {
+                context.document.load('changeTrackingMode');
+                await context.sync();
+                previousMode = context.document.changeTrackingMode;
+                context.document.changeTrackingMode = Word.ChangeTrackingMode.trackAll;
+            }
+            target.insertText(revision.type === 'Deleted' ? ` ${counterText}` : counterText,
+                revision.type === 'Deleted' ? 'After' : 'Replace');
+            if (previousMode !== null) {
+                context.document.changeTrackingMode = previousMode;
+            }
+            await context.sync();
+            return true;
+        });
+        if (!applied) {
+            addLog(`Revision no longer found in the document: ${describeRevision(revision)}`, 'warning');
+            return false;
+        }
+        item.status = { accept: 'accepted', reject: 'rejected', counter: 'countered' }[action];
+        addLog(`${REVISION_ACTION_DONE[action]}: ${describeRevision(revision)}`, 'success');
+        return true;
+    } catch (error) {
+        addLog(`Could not ${RECOMMENDATION_LABELS[action]} the revision: ${error.message}`, 'error');
+        return false;
+    }
+}
+
 // ============================================================================
 // WHOLE-DOCUMENT PROCESSING
 // ============================================================================
@@ -1453,8 +2862,17 @@ function updateProcessDocButton() {
  * @param {number} progress.total - Total chunks
  * @param {number} progress.percentComplete - Percentage complete
  * @param {number} progress.estimatedSecondsRemaining - ETA in seconds
+ * @param {object} [progress.partial] - Streaming preview { chunkId, sectionTitle, text }
+ * @param {number} [progress.concurrency] - Requests currently allowed in flight
+ * @param {number} [progress.cacheHits] - Chunks answered from the response cache
  */
 function updateProcessProgress(progress) {
+    // Streaming partial update: refresh the live preview only
+    if (progress.partial) {
+        const { chunkId, sectionTitle, text } = progress.partial;
+        showStreamPreview(`${chunkId}${sectionTitle ? ` (${sectionTitle})` : ''}`, text);
+    }
+
     const fill = document.getElementById('progressFill');
     const text = document.getElementById('progressText');
     if (fill) fill.style.width = `${progress.percentComplete}%`;
@@ -1463,6 +2881,12 @@ function updateProcessProgress(progress) {
         if (progress.estimatedSecondsRemaining > 0) {
             text.textContent += ` (~${progress.estimatedSecondsRemaining}s remaining)`;
         }
+        if (progress.cacheHits > 0) {
+            text.textContent += `, ${progress.cacheHits} from cache`;
+        }
+        if (config.adaptiveConcurrency && progress.concurrency) {
+            text.textContent += ` -- ${progress.concurrency} in parallel`;
+        }
     }
 }
 
@@ -1471,23 +2895,27 @@ function updateProcessProgress(progress) {
  * Parses document, chunks it, extracts context, processes chunks in parallel,
  * applies results as tracked changes/comments, and shows summary.
  * Double-click acts as cancel.
+ *
+ * Progress is recorded in the document (see run-state.js) so a run cut short
+ * by closing the taskpane can be resumed; pass the stored state to resume.
+ *
+ * @param {Object} [resumeState] - RunState of an interrupted run to finish
  */
-async function handleProcessDocument() {
-    // If already processing, this is a cancel action
+async function handleProcessDocument(resumeState = null) {
     if (isProcessingDoc && processDocController) {
         processDocController.abort();
         addLog('Cancelling document processing...', 'warning');
         return;
     }
 
-    if (!promptManager.canSubmit()) {
-        addLog('Please select an Amendment or Comment prompt', 'warning');
-        return;
+    if (!resumeState) {
+        if (!promptManager.canSubmit()) {
+            addLog('Please select an Amendment or Comment prompt', 'warning');
+            return;
+        }
+        if (promptManager.getActiveMode() === 'summary') return; // Should not happen (button hidden)
     }
 
-    const activeMode = promptManager.getActiveMode();
-    if (activeMode === 'summary') return; // Should not happen (button hidden)
-
     // Block all buttons
     isProcessingDoc = true;
     processDocController = new AbortController();
@@ -1496,6 +2924,7 @@ async function handleProcessDocument() {
     processBtn.textContent = 'Cancel';
     processBtn.classList.add('cancel-mode');
     reviewBtn.disabled = true;
+    hideResumeRunBar();
 
     // Show progress bar, hide comment status bar
     const progressBar = document.getElementById('processProgressBar');
@@ -1504,91 +2933,842 @@ async function handleProcessDocument() {
     commentBar.style.display = 'none';
 
     try {
-        // Step 1: Parse document
-        addLog('Parsing document...', 'info');
+        if (resumeState) {
+            await resumeDocumentRun(resumeState);
+        } else {
+            await startDocumentRun(promptManager.getActiveMode());
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            addLog('Document processing cancelled. Already-applied changes remain in the document.', 'warning');
+        } else {
+            addLog(`Document processing failed: ${error.message}`, 'error');
+            console.error('Process document error:', error);
+            // Progress recorded so far can still be resumed
+            checkInterruptedRun();
+        }
+    } finally {
+        isProcessingDoc = false;
+        processDocController = null;
+        progressBar.style.display = 'none';
+        hideStreamPreview();
+        commentBar.style.display = commentQueue.count > 0 ? 'flex' : 'none';
+        updateReviewButton();
+        updateProcessDocButton();
+    }
+}
+
+/**
+ * Starts a new whole-document run: parse, chunk, bookmark, record, then
+ * request and apply every chunk. A dry run parses, chunks and requests the
+ * same way but writes nothing to the document: no bookmarks, no stored run
+ * state, and the results go to a redline report.
+ *
+ * @param {string} activeMode - 'amendment'|'comment'|'both'
+ */
+async function startDocumentRun(activeMode) {
+    const dryRun = isDryRun();
+
+    // A new run replaces any interrupted one (and its bookmarks)
+    if (interruptedRun && !dryRun) {
+        addLog('Discarding the interrupted previous run', 'info');
+        await discardInterruptedRun();
+    }
+
+    // Count tokens with the tokenizer of the model the chunks are routed to
+    const category = activeMode === 'comment' ? 'comment' : 'amendment';
+    const route = resolveRoute(config, category, promptManager.getActivePrompt(category));
+    const backendConfig = getActiveBackendConfig(category);
+    await applyTokenizer(backendConfig);
+
+    // Step 1: Parse document
+    addLog('Parsing document...', 'info');
+    const docModel = await parseDocument();
+    await recountWithExactTokenizer(docModel);
+    addLog(`Found ${docModel.paragraphs.length} paragraphs (~${docModel.totalTokens} tokens)`, 'info');
+
+    // Step 2: Extract context (always from the whole document), optionally
+    // with the definitions section read by the LLM
+    let documentContext = extractContext(docModel);
+    if (config.llmDefinitions) {
+        documentContext = await refineDefinitions(docModel, documentContext, backendConfig);
+    }
+    addLog(`Extracted ${documentContext.definitions.length} definitions, ${documentContext.outline.length} headings`, 'info');
+
+    // Step 3: Chunk the selected sections (chunk size derived from the model's context window)
+    const limits = getModelLimits(backendConfig);
+    const budget = computeChunkBudget(limits);
+    // Replies are capped at the output the chunks were sized for
+    backendConfig.generation = applyOutputBudget(backendConfig.generation, budget);
+    if (limits.contextWindow) {
+        addLog(`Context window ${limits.contextWindow} tokens (${limits.source}): ` +
+            `${budget.maxTokens}-token chunks, ${budget.contextPrefixTokens}-token context prefix`, 'info');
+    } else {
+        addLog(`Model context window unknown -- using default ${budget.maxTokens}-token chunks. ` +
+            'Set it in Settings to size chunks for this model.', 'info');
+    }
+    let ranges = resolveSectionRanges(docModel, documentContext);
+    if (config.reviewChangesOnly) {
+        const changed = await changedSinceLastRun(docModel);
+        if (changed) {
+            ranges = intersectRanges(changed, ranges);
+            if (ranges.length === 0) {
+                addLog('Nothing to review: no paragraphs' + (excludedSections.size > 0 ? ' in the selected sections' : '') +
+                    ' changed since the last run', 'info');
+                return;
+            }
+        }
+    }
+    const chunks = chunkDocument(docModel, { maxTokens: budget.maxTokens, ranges });
+    if (chunks.length === 0) {
+        throw new Error('No sections selected -- choose at least one section to process');
+    }
+    addLog(`Split into ${chunks.length} chunks`, 'info');
+
+    if (dryRun) {
+        await dryRunDocument(chunks, documentContext, backendConfig, budget);
+        return;
+    }
+
+    // Step 4: Bookmark chunk ranges and record the run for resume
+    const bookmarkMap = await bookmarkChunkRanges(chunks);
+    const recorder = new RunRecorder(runStore, createRunState({
+        chunks,
+        bookmarkMap,
+        promptManager,
+        commentInstructions: document.getElementById('commentInstructions')?.value?.trim() || '',
+        backend: route.backend,
+        model: backendConfig.model,
+        generation: backendConfig.generation,
+        options: {
+            structuredOutput: !!config.structuredOutput,
+            classifyFallback: config.fallbackClassification !== false,
+            consistencyCheck: config.consistencyCheck || 'off',
+            adaptiveConcurrency: !!config.adaptiveConcurrency,
+            contextPrefixTokens: budget.contextPrefixTokens,
+            commentGranularity: parseInt(document.getElementById('commentGranularity')?.value || '0', 10)
+        }
+    }), addLog);
+    recorder.save();
+
+    // Steps 5-10
+    await completeDocumentRun(recorder, chunks, [], backendConfig, {
+        promptSource: promptManager,
+        documentContext,
+        concurrency: selectConcurrency(chunks, budget),
+        inputBudget: budget.inputBudget
+    });
+}
+
+/**
+ * Replaces the pattern-matched definitions with those the LLM reads from the
+ * definitions section (cached in the document until that section changes).
+ *
+ * @param {Object} docModel - From parseDocument()
+ * @param {Object} documentContext - From extractContext()
+ * @param {object} backendConfig - Resolved backend config
+ * @returns {Promise<Object>} The context with merged definitions
+ */
+async function refineDefinitions(docModel, documentContext, backendConfig) {
+    addLog('Extracting definitions with the LLM...', 'info');
+    const { context, source, usage } = await extractDefinitionsWithLlm(docModel, documentContext, {
+        config: backendConfig,
+        cache: createDefinitionCache(Office.context.document.settings),
+        log: addLog,
+        signal: processDocController?.signal
+    });
+    if (usage) {
+        usageTracker.record(backendConfig.model, usage, null);
+        updateSessionUsageDisplay();
+    }
+    if (source !== 'regex') {
+        addLog(`Definitions ${source === 'cache' ? 'loaded from cache' : 'extracted by the LLM'}: ` +
+            `${context.definitions.length} (${documentContext.definitions.length} pattern-matched)`, 'info');
+    }
+    return context;
+}
+
+/**
+ * Paragraph ranges of the sections chosen in the section picker, resolved
+ * against the current outline.
+ *
+ * @returns {Array<{startIndex: number, endIndex: number}>|null} null when every section is selected
+ */
+function resolveSectionRanges(docModel, documentContext) {
+    if (excludedSections.size === 0) return null;
+    const sections = buildSections(documentContext.outline, paragraphIndexEnd(docModel));
+    const stale = staleSectionKeys(sections, excludedSections);
+    if (stale.length > 0) {
+        addLog(`${stale.length} excluded section(s) no longer match a heading and are ignored -- ` +
+            'check the section selection', 'warning');
+    }
+    addLog(`Processing ${describeSelection(sections, excludedSections)}`, 'info');
+    return selectedRanges(sections, excludedSections);
+}
+
+/**
+ * Diffs the document against the paragraph fingerprints recorded by the
+ * last run and returns the ranges of changed or inserted paragraphs.
+ *
+ * @param {Object} docModel - From parseDocument()
+ * @returns {Promise<Array<{startIndex: number, endIndex: number}>|null>} null when no run was recorded
+ */
+async function changedSinceLastRun(docModel) {
+    const fingerprint = await readParagraphFingerprint();
+    if (!fingerprint) {
+        addLog('No earlier run recorded in this document -- reviewing all selected paragraphs', 'warning');
+        return null;
+    }
+    const diff = diffParagraphs(fingerprint.tokens, docModel);
+    const since = fingerprint.recordedAt ? ` since the run of ${new Date(fingerprint.recordedAt).toLocaleString()}` : '';
+    addLog(`Changes${since}: ${diff.changed.length} paragraph(s) changed or inserted, ` +
+        `${diff.deleted} deleted, ${diff.unchanged} unchanged`, 'info');
+    if (diff.approximate) {
+        addLog('Document too large to align paragraph by paragraph -- moved paragraphs count as unchanged', 'warning');
+    }
+    return changedRanges(docModel, diff.changed);
+}
+
+/**
+ * Reads the paragraph fingerprints from the document's custom properties.
+ *
+ * @returns {Promise<Object|null>} Fingerprint, or null when none (or unreadable)
+ */
+async function readParagraphFingerprint() {
+    try {
+        return await Word.run(async (context) => {
+            const properties = context.document.properties.customProperties;
+            properties.load('items/key,items/value');
+            await context.sync();
+            const values = {};
+            for (const item of properties.items) {
+                if (item.key.startsWith(FINGERPRINT_PROPERTY)) values[item.key] = item.value;
+            }
+            return decodeFingerprint(values);
+        });
+    } catch (error) {
+        addLog(`Could not read the last run's paragraph fingerprints: ${error.message}`, 'warning');
+        return null;
+    }
+}
+
+/**
+ * Chunks a run leaves unreviewed -- failed, cancelled, or with proposals that
+ * were not applied -- which the next change review must send again.
+ *
+ * @param {Array} results - ChunkResult[] the run produced
+ * @param {Array} applied - ChunkResult[] that were applied
+ * @returns {Array} DocumentChunk[]
+ */
+function unreviewedChunks(results, applied) {
+    return unappliedResults(results, applied).filter(r => r.chunk).map(r => r.chunk);
+}
+
+/**
+ * Re-reads the document and replaces the paragraph fingerprints in its
+ * custom properties, for "Review changes since last run".
+ *
+ * @param {Array} [unreviewed=[]] - DocumentChunk[] whose paragraphs to leave out (unreviewedChunks())
+ */
+async function recordParagraphFingerprint(unreviewed = []) {
+    try {
         const docModel = await parseDocument();
-        addLog(`Found ${docModel.paragraphs.length} paragraphs (~${docModel.totalTokens} tokens)`, 'info');
+        const unreviewedIndices = locateChunkParagraphs(docModel, unreviewed);
+        const entries = encodeFingerprint(fingerprintParagraphs(docModel, unreviewedIndices));
+        await Word.run(async (context) => {
+            const properties = context.document.properties.customProperties;
+            properties.load('items/key');
+            await context.sync();
+            // add() overwrites existing keys; parts left from a longer document are deleted
+            const names = new Set(entries.map(e => e.name));
+            properties.items
+                .filter(item => item.key.startsWith(FINGERPRINT_PROPERTY) && !names.has(item.key))
+                .forEach(item => item.delete());
+            entries.forEach(({ name, value }) => properties.add(name, value));
+            await context.sync();
+        });
+    } catch (error) {
+        addLog(`Could not record paragraph fingerprints for the next change review: ${error.message}`, 'warning');
+    }
+}
 
-        // Step 2: Chunk document
-        const chunks = chunkDocument(docModel, { maxTokens: 6000 });
-        addLog(`Split into ${chunks.length} chunks`, 'info');
+async function toggleSectionPicker() {
+    const picker = document.getElementById('sectionPicker');
+    if (picker.style.display === 'block') {
+        picker.style.display = 'none';
+        return;
+    }
+    picker.style.display = 'block';
+    await loadSectionOutline();
+}
 
-        // Step 3: Extract context
-        const documentContext = extractContext(docModel);
-        addLog(`Extracted ${documentContext.definitions.length} definitions, ${documentContext.outline.length} headings`, 'info');
+/**
+ * Reads the document outline into the section picker.
+ */
+async function loadSectionOutline() {
+    try {
+        const docModel = await parseDocument();
+        const { outline } = extractContext(docModel);
+        documentSections = buildSections(outline, paragraphIndexEnd(docModel));
+        renderSectionList();
+    } catch (error) {
+        addLog(`Could not read the document outline: ${error.message}`, 'error');
+    }
+}
 
-        // Step 4: Bookmark chunk ranges
-        const bookmarkMap = await bookmarkChunkRanges(chunks);
+function renderSectionList() {
+    const list = document.getElementById('sectionList');
+    list.innerHTML = '';
+    if (documentSections.length === 0) {
+        list.textContent = 'The document is empty.';
+    }
+    documentSections.forEach(section => {
+        const label = document.createElement('label');
+        label.className = 'section-item';
+        label.style.paddingLeft = `${Math.max(0, section.level - 1) * 12}px`;
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !excludedSections.has(section.key);
+        // Ticking or unticking a heading applies to its subsections too
+        checkbox.onchange = () => {
+            sectionBranchKeys(documentSections, section.key).forEach(key => {
+                if (checkbox.checked) {
+                    excludedSections.delete(key);
+                } else {
+                    excludedSections.add(key);
+                }
+            });
+            renderSectionList();
+        };
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(section.title));
+        list.appendChild(label);
+    });
+    document.getElementById('sectionScopeText').textContent = describeSelection(documentSections, excludedSections);
+}
 
-        // Step 5: Process chunks in parallel
-        const backendConfig = getActiveBackendConfig();
-        const concurrency = chunks.some(c => c.tokenCount > 8000) ? 4 : 6;
-        const commentInstructions = document.getElementById('commentInstructions')?.value?.trim() || '';
+function setAllSections(selected) {
+    excludedSections.clear();
+    if (!selected) {
+        documentSections.forEach(section => excludedSections.add(section.key));
+    }
+    renderSectionList();
+}
+
+/**
+ * Opens the response cache once per session.
+ *
+ * @returns {Promise<Object|null>} ResponseCache, or null when caching is unavailable
+ */
+function getResponseCache() {
+    if (!responseCachePromise) {
+        responseCachePromise = openResponseCache({ log: addLog });
+    }
+    return responseCachePromise;
+}
+
+/**
+ * Concurrency options for processChunksParallel: the fixed worker count, or
+ * in adaptive mode a limit that starts at one request and grows up to
+ * DEFAULT_ADAPTIVE_LIMITS.max while the backend keeps up.
+ *
+ * @param {boolean} adaptive
+ * @param {number} fixedConcurrency - From selectConcurrency()
+ * @returns {{concurrency: number, adaptiveConcurrency: boolean}}
+ */
+function concurrencyOptions(adaptive, fixedConcurrency) {
+    return adaptive
+        ? { concurrency: DEFAULT_ADAPTIVE_LIMITS.max, adaptiveConcurrency: true }
+        : { concurrency: fixedConcurrency, adaptiveConcurrency: false };
+}
+
+/**
+ * Steps 5-8 of a dry run: requests every chunk, then reports the proposed
+ * changes in a new document instead of applying them.
+ *
+ * @param {Array} chunks - DocumentChunk[]
+ * @param {Object} documentContext - From extractContext()
+ * @param {object} backendConfig - Resolved backend config
+ * @param {Object} budget - From computeChunkBudget()
+ */
+async function dryRunDocument(chunks, documentContext, backendConfig, budget) {
+    logGenerationParams(backendConfig);
+    const results = await processChunksParallel(chunks, {
+        config: backendConfig,
+        promptManager,
+        documentContext,
+        log: addLog,
+        onProgress: updateProcessProgress,
+        signal: processDocController.signal,
+        ...concurrencyOptions(!!config.adaptiveConcurrency, selectConcurrency(chunks, budget)),
+        responseCache: await getResponseCache(),
+        bypassCache: !!config.bypassResponseCache,
+        timeoutMs: backendConfig.timeoutMs || 300000,
+        commentInstructions: document.getElementById('commentInstructions')?.value?.trim() || '',
+        stream: !!config.streamingEnabled,
+        structuredOutput: !!config.structuredOutput,
+        classifyFallback: config.fallbackClassification !== false,
+        consistencyCheck: config.consistencyCheck || 'off',
+        contextPrefixTokens: budget.contextPrefixTokens,
+        inputBudget: budget.inputBudget
+    });
+    hideStreamPreview();
+    recordChunkUsage(results, backendConfig.model);
+
+    const sections = createReviewItems(results).map(item => ({
+        title: item.sectionTitle || item.chunkId,
+        original: item.original,
+        amendment: item.amendment,
+        comment: item.comment
+    }));
+    const failed = results
+        .filter(r => r.status !== 'fulfilled')
+        .map(r => ({
+            title: r.chunk?.sectionTitle || r.chunkId,
+            error: r.status === 'cancelled' ? 'cancelled' : (r.error || 'request failed')
+        }));
+    await createRedlineReport(sections, {
+        unchanged: results.length - sections.length - failed.length,
+        failed
+    });
+}
 
-        const results = await processChunksParallel(chunks, {
+/**
+ * Finishes an interrupted run: applies stored results that were not yet
+ * written to the document and requests only the chunks that never completed,
+ * using the prompts and options the run was started with. The chunks and
+ * document context are rebuilt from the document as it is now; chunks edited
+ * since the run was interrupted are skipped.
+ *
+ * @param {Object} state - RunState from the document settings
+ */
+async function resumeDocumentRun(state) {
+    let backendConfig;
+    if (config.backends[state.backend]) {
+        backendConfig = {
+            ...buildBackendConfig(config, { backend: state.backend, model: state.model }),
+            generation: state.generation
+        };
+    } else {
+        addLog(`Backend profile "${state.backend}" no longer exists -- resuming with the active backend`, 'warning');
+        backendConfig = getActiveBackendConfig(state.mode === 'comment' ? 'comment' : 'amendment');
+    }
+    await applyTokenizer(backendConfig);
+
+    const docModel = await parseDocument();
+    const { chunks, changed } = restoreChunks(state, docModel);
+    if (changed.length > 0) {
+        addLog(`${changed.length} chunk(s) were edited since the run was interrupted and are skipped`, 'warning');
+    }
+    const { toApply, toRequest, done } = planResume(state, chunks);
+    addLog(`Resuming run started ${new Date(state.startedAt).toLocaleString()}: ` +
+        `${done} chunk(s) already applied, ${toApply.length} to apply, ${toRequest.length} to request`, 'info');
+
+    const budget = computeChunkBudget(getModelLimits(backendConfig));
+    backendConfig.generation = applyOutputBudget(backendConfig.generation, budget);
+    let documentContext = extractContext(docModel);
+    if (config.llmDefinitions && toRequest.length > 0) {
+        documentContext = await refineDefinitions(docModel, documentContext, backendConfig);
+    }
+
+    await completeDocumentRun(new RunRecorder(runStore, state, addLog), toRequest, toApply, backendConfig, {
+        promptSource: snapshotPromptManager(state),
+        documentContext,
+        concurrency: selectConcurrency(toRequest, budget),
+        inputBudget: budget.inputBudget
+    });
+}
+
+/**
+ * Steps 5-10 of a whole-document run: requests chunks in parallel, applies
+ * their results together with any already-fulfilled ones, removes the chunk
+ * bookmarks and stored run state, flags cross-references the amendments
+ * broke, records paragraph fingerprints for the next change review, and logs
+ * the summary.
+ *
+ * @param {RunRecorder} recorder - Records results and applied parts as they happen
+ * @param {Array} chunksToRequest - DocumentChunk[] to send to the LLM
+ * @param {Array} fulfilledResults - ChunkResult[] from an earlier session, still to apply
+ * @param {object} backendConfig - Resolved backend config
+ * @param {Object} options
+ * @param {Object} options.promptSource - PromptManager, or a run's prompt snapshot
+ * @param {Object} options.documentContext - extractContext() result from before the chunks are applied
+ * @param {number} options.concurrency - Fixed worker count (unused in adaptive mode)
+ * @param {number|null} options.inputBudget
+ */
+async function completeDocumentRun(recorder, chunksToRequest, fulfilledResults, backendConfig, options) {
+    const { state } = recorder;
+    const bookmarkMap = restoreBookmarkMap(state);
+
+    // Step 5: Process chunks in parallel
+    let results = [];
+    if (chunksToRequest.length > 0) {
+        logGenerationParams(backendConfig);
+        results = await processChunksParallel(chunksToRequest, {
             config: backendConfig,
-            promptManager: promptManager,
-            documentContext: documentContext,
+            promptManager: options.promptSource,
+            documentContext: options.documentContext,
             log: addLog,
             onProgress: updateProcessProgress,
+            onResult: result => recorder.recordResult(result),
             signal: processDocController.signal,
-            concurrency: concurrency,
-            timeoutMs: 300000,
-            commentInstructions: commentInstructions
+            ...concurrencyOptions(!!state.options.adaptiveConcurrency, options.concurrency),
+            responseCache: await getResponseCache(),
+            bypassCache: !!config.bypassResponseCache,
+            timeoutMs: backendConfig.timeoutMs || 300000,
+            commentInstructions: state.commentInstructions,
+            stream: !!config.streamingEnabled,
+            structuredOutput: state.options.structuredOutput,
+            classifyFallback: state.options.classifyFallback,
+            // On resume this covers only the chunks requested in this session
+            consistencyCheck: state.options.consistencyCheck || 'off',
+            contextPrefixTokens: state.options.contextPrefixTokens,
+            inputBudget: options.inputBudget
         });
+        hideStreamPreview();
+        recordChunkUsage(results, backendConfig.model);
+    }
 
-        // Step 6: Apply results to document
-        addLog('Applying changes to document...', 'info');
-        const granularity = parseInt(document.getElementById('commentGranularity')?.value || '0', 10);
-        const applicationResult = await applyChunkResults(results, bookmarkMap, {
-            trackChangesEnabled: config.trackChangesEnabled,
-            lineDiffEnabled: config.lineDiffEnabled,
-            log: addLog,
-            commentGranularity: granularity
-        });
+    // Step 6: Review proposed changes, then apply the approved ones
+    const settled = [...fulfilledResults, ...results];
+    let toApply = settled;
+    if (config.reviewBeforeApply !== false) {
+        toApply = await reviewChunkResults(settled, processDocController.signal);
+    }
+    addLog('Applying changes to document...', 'info');
+    const applicationResult = await applyChunkResults(toApply, bookmarkMap, {
+        trackChangesEnabled: config.trackChangesEnabled,
+        lineDiffEnabled: config.lineDiffEnabled,
+        log: addLog,
+        commentGranularity: state.options.commentGranularity,
+        onApplied: (chunkId, part) => recorder.markApplied(chunkId, part)
+    });
 
-        // Step 7: Cleanup
-        await cleanupBookmarks(bookmarkMap);
+    // Step 7: Cleanup
+    await cleanupBookmarks(bookmarkMap);
+    await recorder.discard();
 
-        // Step 8: Summary log
-        const failed = results.filter(r => r.status === 'rejected').length;
-        const cancelled = results.filter(r => r.status === 'cancelled').length;
-        addLog(
-            `Document processed: ${chunks.length} chunks, ` +
-            `${applicationResult.amendmentsApplied} amendments applied, ` +
-            `${applicationResult.commentsInserted} comments inserted` +
-            (failed > 0 ? `, ${failed} chunks failed` : '') +
-            (cancelled > 0 ? `, ${cancelled} chunks cancelled` : ''),
-            failed > 0 ? 'warning' : 'success'
+    // Step 8: Flag cross-references broken by the applied amendments
+    if (applicationResult.amendmentsApplied > 0) {
+        await flagBrokenCrossReferences(options.documentContext);
+    }
+
+    // Step 9: Fingerprint the paragraphs as this run leaves them, except
+    // those of chunks that failed, were cancelled or were not applied
+    await recordParagraphFingerprint(unreviewedChunks(settled, toApply));
+
+    // Step 10: Summary log
+    const failed = results.filter(r => r.status === 'rejected').length;
+    const cancelled = results.filter(r => r.status === 'cancelled').length;
+    addLog(
+        `Document processed: ${state.chunks.length} chunks, ` +
+        `${applicationResult.amendmentsApplied} amendments applied, ` +
+        `${applicationResult.commentsInserted} comments inserted` +
+        (failed > 0 ? `, ${failed} chunks failed` : '') +
+        (cancelled > 0 ? `, ${cancelled} chunks cancelled` : ''),
+        failed > 0 ? 'warning' : 'success'
+    );
+
+    // Show "Retry All Failed" link if failures exist
+    if (failed > 0) {
+        const failedChunks = results.filter(r => r.status === 'rejected');
+        addLogWithRetry(
+            `${failed} chunk(s) failed. Click to retry failed chunks.`,
+            'warning',
+            () => retryFailedChunks(failedChunks, bookmarkMap, backendConfig,
+                unreviewedChunks(settled.filter(r => r.status !== 'rejected'), toApply))
         );
+    }
+}
 
-        // Show "Retry All Failed" link if failures exist
-        if (failed > 0) {
-            const failedChunks = results.filter(r => r.status === 'rejected');
-            addLogWithRetry(
-                `${failed} chunk(s) failed. Click to retry failed chunks.`,
-                'warning',
-                () => retryFailedChunks(failedChunks, bookmarkMap, backendConfig)
-            );
-        }
+/**
+ * Re-reads the document after amendments were applied and reports the
+ * cross-references they broke (deleted or renumbered targets), as log
+ * warnings and, where supported, comments on the referring paragraphs.
+ *
+ * @param {Object} documentContext - extractContext() result from before the run
+ */
+async function flagBrokenCrossReferences(documentContext) {
+    try {
+        const docModel = await parseDocument();
+        const issues = checkCrossReferences(documentContext, extractContext(docModel));
+        if (issues.length === 0) return;
 
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            addLog('Document processing cancelled. Already-applied changes remain in the document.', 'warning');
-        } else {
-            addLog(`Document processing failed: ${error.message}`, 'error');
-            console.error('Process document error:', error);
+        issues.forEach(issue => {
+            addLog(`Paragraph ${issue.reference.paragraphIndex + 1}: ${issue.message}`, 'warning');
+        });
+        if (supportsComments) {
+            await insertParagraphComments(issues.map(issue => ({
+                paragraphIndex: issue.reference.paragraphIndex,
+                anchor: issue.reference.text,
+                text: `Cross-reference check: ${issue.message}.`
+            })));
         }
-    } finally {
-        isProcessingDoc = false;
-        processDocController = null;
-        progressBar.style.display = 'none';
-        commentBar.style.display = commentQueue.count > 0 ? 'flex' : 'none';
-        updateReviewButton();
-        updateProcessDocButton();
+        addLog(`${issues.length} cross-reference(s) broken by the amendments` +
+            (supportsComments ? ' -- flagged with comments' : ''), 'warning');
+    } catch (error) {
+        addLog(`Could not check cross-references: ${error.message}`, 'warning');
     }
 }
 
+/**
+ * Opens the review panel for a run's results and waits for the user to apply
+ * or discard them. Cancelling the run while the panel is open discards.
+ *
+ * @param {Array} results - ChunkResult[] from the orchestrator
+ * @param {AbortSignal} signal
+ * @returns {Promise<Array>} Approved ChunkResult[] (empty when discarded)
+ */
+function reviewChunkResults(results, signal) {
+    const items = createReviewItems(results);
+    if (items.length === 0) return Promise.resolve([]);
+
+    return new Promise(resolve => {
+        const panel = document.getElementById('reviewPanel');
+        const onAbort = () => {
+            addLog('Review cancelled -- no changes applied', 'warning');
+            finish(false);
+        };
+        const finish = (apply) => {
+            signal.removeEventListener('abort', onAbort);
+            activeReview = null;
+            panel.style.display = 'none';
+            document.getElementById('reviewList').innerHTML = '';
+            if (!apply) {
+                resolve([]);
+                return;
+            }
+            const { pending } = summarizeReview(items);
+            if (pending > 0) {
+                addLog(`${pending} chunk(s) left undecided were not applied`, 'warning');
+            }
+            resolve(approvedResults(results, items));
+        };
+        signal.addEventListener('abort', onAbort);
+
+        activeReview = { items, finish };
+        renderReviewList();
+        panel.style.display = 'block';
+        addLog(`Review ${items.length} proposed change(s), then click "Apply accepted"`, 'info');
+    });
+}
+
+function renderReviewList() {
+    const list = document.getElementById('reviewList');
+    list.innerHTML = '';
+    activeReview.items.forEach(item => list.appendChild(renderReviewItem(item)));
+    updateReviewSummary();
+}
+
+function updateReviewSummary() {
+    const { pending, accepted, rejected } = summarizeReview(activeReview.items);
+    document.getElementById('reviewSummary').textContent =
+        `${accepted} accepted, ${rejected} rejected, ${pending} pending`;
+}
+
+function setAllReviewDecisions(decision) {
+    if (!activeReview) return;
+    activeReview.items.forEach(item => { item.decision = decision; });
+    renderReviewList();
+}
+
+/**
+ * Builds the card for one review item: section title, side-by-side word
+ * diff, proposed comment and the accept/reject/edit buttons.
+ */
+function renderReviewItem(item) {
+    const card = document.createElement('div');
+    card.className = `review-item review-${item.decision}`;
+
+    const rerender = () => {
+        card.replaceWith(renderReviewItem(item));
+        updateReviewSummary();
+    };
+
+    const header = document.createElement('div');
+    header.className = 'review-item-header';
+    const title = document.createElement('span');
+    title.className = 'review-item-title';
+    title.textContent = item.sectionTitle || item.chunkId;
+    header.appendChild(title);
+
+    const ops = item.amendment ? computeWordDiff(item.original, item.amendment) : null;
+    const stats = document.createElement('span');
+    stats.className = 'review-item-stats';
+    if (ops) {
+        const { inserted, deleted } = countChangedWords(ops);
+        stats.textContent = `+${inserted} / -${deleted} words`;
+    } else {
+        stats.textContent = 'comment only';
+    }
+    if (item.edited) stats.textContent += ' (edited)';
+    header.appendChild(stats);
+    card.appendChild(header);
+
+    if (ops) {
+        const { original, amended } = renderSideBySideHtml(ops);
+        const diff = document.createElement('div');
+        diff.className = 'review-diff';
+        [original, amended].forEach(html => {
+            const side = document.createElement('div');
+            side.className = 'review-diff-side';
+            side.innerHTML = html;  // escaped by renderSideBySideHtml
+            diff.appendChild(side);
+        });
+        card.appendChild(diff);
+    }
+
+    if (item.comment) {
+        const comment = document.createElement('div');
+        comment.className = 'review-comment';
+        comment.textContent = item.comment;
+        card.appendChild(comment);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'review-item-actions';
+    const addButton = (label, onClick) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn-link';
+        btn.textContent = label;
+        btn.onclick = onClick;
+        actions.appendChild(btn);
+    };
+    addButton(item.decision === 'accepted' ? 'Accepted' : 'Accept', () => {
+        item.decision = 'accepted';
+        rerender();
+    });
+    addButton(item.decision === 'rejected' ? 'Rejected' : 'Reject', () => {
+        item.decision = 'rejected';
+        rerender();
+    });
+    addButton('Edit', () => {
+        card.replaceWith(renderReviewEditor(item));
+    });
+    card.appendChild(actions);
+
+    return card;
+}
+
+/**
+ * Builds the edit form for a review item. Saving accepts the edited item.
+ */
+function renderReviewEditor(item) {
+    const card = document.createElement('div');
+    card.className = 'review-item review-editing';
+
+    const title = document.createElement('div');
+    title.className = 'review-item-title';
+    title.textContent = item.sectionTitle || item.chunkId;
+    card.appendChild(title);
+
+    const fields = {};
+    [['amendment', 'Amendment'], ['comment', 'Comment']].forEach(([part, label]) => {
+        const labelEl = document.createElement('label');
+        labelEl.textContent = `${label}:`;
+        const textarea = document.createElement('textarea');
+        textarea.className = 'form-control';
+        textarea.rows = part === 'amendment' ? 6 : 3;
+        textarea.value = item[part] || '';
+        card.appendChild(labelEl);
+        card.appendChild(textarea);
+        fields[part] = textarea;
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'review-item-actions';
+    const save = document.createElement('button');
+    save.className = 'btn-link';
+    save.textContent = 'Save';
+    save.onclick = () => {
+        editReviewItem(item, { amendment: fields.amendment.value, comment: fields.comment.value });
+        item.decision = 'accepted';
+        card.replaceWith(renderReviewItem(item));
+        updateReviewSummary();
+    };
+    const cancel = document.createElement('button');
+    cancel.className = 'btn-link';
+    cancel.textContent = 'Cancel';
+    cancel.onclick = () => card.replaceWith(renderReviewItem(item));
+    actions.appendChild(save);
+    actions.appendChild(cancel);
+    card.appendChild(actions);
+
+    return card;
+}
+
+/**
+ * Shows the "Resume previous run" bar when the document holds the state of
+ * a run that did not finish (e.g. the taskpane was closed mid-run).
+ */
+function checkInterruptedRun() {
+    try {
+        interruptedRun = runStore.load();
+    } catch (e) {
+        console.error('Failed to read stored run state:', e);
+        interruptedRun = null;
+    }
+    if (!interruptedRun) return;
+
+    const { toApply, toRequest, done } = planResume(interruptedRun);
+    document.getElementById('resumeRunText').textContent =
+        `A whole-document run was interrupted (${done}/${interruptedRun.chunks.length} chunks applied, ` +
+        `${toApply.length} ready, ${toRequest.length} to request).`;
+    document.getElementById('resumeRunBar').style.display = 'flex';
+}
+
+function hideResumeRunBar() {
+    document.getElementById('resumeRunBar').style.display = 'none';
+}
+
+/**
+ * Resumes the interrupted run shown in the resume bar.
+ */
+function handleResumeRun() {
+    if (isProcessingDoc || !interruptedRun) return;
+    const state = interruptedRun;
+    interruptedRun = null;
+    handleProcessDocument(state);
+}
+
+/**
+ * Discards the interrupted run: removes its bookmarks and stored state.
+ * Changes it already applied stay in the document.
+ */
+async function discardInterruptedRun() {
+    const state = interruptedRun;
+    interruptedRun = null;
+    hideResumeRunBar();
+    if (!state) return;
+    try {
+        await cleanupBookmarks(restoreBookmarkMap(state));
+        await runStore.clear();
+    } catch (e) {
+        addLog(`Failed to discard the interrupted run: ${e.message}`, 'warning');
+    }
+}
+
+/**
+ * When the active tokenizer counts exactly only via a server call (vLLM
+ * /tokenize), sends one document sample to calibrate it and re-estimates the
+ * parsed paragraphs, so chunk sizes reflect the model's real tokenizer.
+ *
+ * @param {{paragraphs: Array<{text: string, tokenEstimate: number}>, totalTokens: number}} docModel
+ */
+async function recountWithExactTokenizer(docModel) {
+    if (typeof getActiveTokenizer().countAsync !== 'function') return;
+
+    const sample = docModel.paragraphs.map(p => p.text).join('\n').substring(0, 20000);
+    await countTokensExact(sample);
+
+    let total = 0;
+    for (const para of docModel.paragraphs) {
+        para.tokenEstimate = estimateTokenCount(para.text);
+        total += para.tokenEstimate;
+    }
+    docModel.totalTokens = total;
+}
+
 /**
  * Retries processing only the failed chunks.
  * Re-runs the orchestrator on the failed chunk subset and applies results.
@@ -1596,8 +3776,10 @@ async function handleProcessDocument() {
  * @param {Array} failedResults - Array of ChunkResult objects with status 'rejected'
  * @param {Map} bookmarkMap - Original chunkId -> bookmarkName map
  * @param {object} backendConfig - Backend configuration
+ * @param {Array} [otherUnreviewed=[]] - The run's other unreviewed chunks (cancelled or not
+ *   applied), kept out of the fingerprint recorded afterwards
  */
-async function retryFailedChunks(failedResults, bookmarkMap, backendConfig) {
+async function retryFailedChunks(failedResults, bookmarkMap, backendConfig, otherUnreviewed = []) {
     addLog(`Retrying ${failedResults.length} failed chunk(s)...`, 'info');
 
     isProcessingDoc = true;
@@ -1610,15 +3792,10 @@ async function retryFailedChunks(failedResults, bookmarkMap, backendConfig) {
     progressBar.style.display = 'flex';
 
     try {
-        // Reconstruct chunks from failed results for re-processing
-        const retryChunks = failedResults.map(r => ({
-            id: r.chunkId,
-            text: r.originalText || '',
-            tokenCount: r.originalText ? Math.ceil(r.originalText.length / 4) : 0,
-            overlapText: ''
-        }));
+        const retryChunks = failedResults.map(r => r.chunk);
 
         const commentInstructions = document.getElementById('commentInstructions')?.value?.trim() || '';
+        const budget = computeChunkBudget(getModelLimits(backendConfig));
 
         const results = await processChunksParallel(retryChunks, {
             config: backendConfig,
@@ -1628,18 +3805,30 @@ async function retryFailedChunks(failedResults, bookmarkMap, backendConfig) {
             onProgress: updateProcessProgress,
             signal: processDocController.signal,
             concurrency: 4,
-            timeoutMs: 300000,
-            commentInstructions: commentInstructions
+            timeoutMs: backendConfig.timeoutMs || 300000,
+            commentInstructions: commentInstructions,
+            stream: !!config.streamingEnabled,
+            structuredOutput: !!config.structuredOutput,
+            classifyFallback: config.fallbackClassification !== false,
+            contextPrefixTokens: budget.contextPrefixTokens,
+            inputBudget: budget.inputBudget
         });
+        hideStreamPreview();
+        recordChunkUsage(results, backendConfig.model);
 
         const granularity = parseInt(document.getElementById('commentGranularity')?.value || '0', 10);
-        const applicationResult = await applyChunkResults(results, bookmarkMap, {
+        const toApply = config.reviewBeforeApply !== false
+            ? await reviewChunkResults(results, processDocController.signal)
+            : results;
+        const applicationResult = await applyChunkResults(toApply, bookmarkMap, {
             trackChangesEnabled: config.trackChangesEnabled,
             lineDiffEnabled: config.lineDiffEnabled,
             log: addLog,
             commentGranularity: granularity
         });
 
+        await recordParagraphFingerprint([...otherUnreviewed, ...unreviewedChunks(results, toApply)]);
+
         const stillFailed = results.filter(r => r.status === 'rejected').length;
         addLog(
             `Retry complete: ${applicationResult.amendmentsApplied} amendments, ` +
@@ -1658,6 +3847,7 @@ async function retryFailedChunks(failedResults, bookmarkMap, backendConfig) {
         isProcessingDoc = false;
         processDocController = null;
         progressBar.style.display = 'none';
+        hideStreamPreview();
         updateReviewButton();
         updateProcessDocButton();
     }
@@ -1719,8 +3909,9 @@ function addLog(message, type = "info") {
  * @param {string} message - The log message text
  * @param {string} type - Log type: "info", "success", "warning", "error"
  * @param {Function} retryCallback - Function to call when Retry is clicked
+ * @param {string} [actionLabel="Retry"] - Link text, for actions other than retrying
  */
-function addLogWithRetry(message, type, retryCallback) {
+function addLogWithRetry(message, type, retryCallback, actionLabel = "Retry") {
     const logsDiv = document.getElementById("logs");
     const entry = document.createElement("div");
     const timestamp = new Date().toLocaleTimeString();
@@ -1732,7 +3923,7 @@ function addLogWithRetry(message, type, retryCallback) {
 
     if (retryCallback) {
         const retryLink = document.createElement("a");
-        retryLink.textContent = "Retry";
+        retryLink.textContent = actionLabel;
         retryLink.href = "#";
         retryLink.className = "retry-link";
         retryLink.onclick = (e) => {
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for src/lib/adaptive-concurrency.js
+ * Tests additive increase while latency is stable, holding when it rises,
+ * multiplicative decrease on overload and the once-per-burst rule.
+ */
+import { AdaptiveConcurrency, isOverloadError } from '../src/lib/adaptive-concurrency.js';
+
+function fakeClock(start = 1000) {
+  const clock = { time: start, now: () => clock.time };
+  return clock;
+}
+
+describe('AdaptiveConcurrency', () => {
+  it('starts at the initial limit within min and max', () => {
+    expect(new AdaptiveConcurrency().limit).toBe(1);
+    expect(new AdaptiveConcurrency({ initial: 10, max: 4 }).limit).toBe(4);
+    expect(new AdaptiveConcurrency({ initial: 0, min: 2 }).limit).toBe(2);
+  });
+
+  it('grows by about one per window of successes while latency is stable', () => {
+    const limiter = new AdaptiveConcurrency({ max: 8 });
+    const grew = [];
+    for (let i = 0; i < 6; i++) {
+      grew.push(limiter.recordSuccess(1000, 100));
+    }
+    // 1 -> 2 after one success, 2 -> 3 after two more, 3 -> 4 after three more
+    expect(grew).toEqual([true, false, true, false, false, true]);
+    expect(limiter.limit).toBe(4);
+  });
+
+  it('stops at max', () => {
+    const limiter = new AdaptiveConcurrency({ max: 3 });
+    for (let i = 0; i < 50; i++) limiter.recordSuccess(1000);
+    expect(limiter.limit).toBe(3);
+  });
+
+  it('holds while latency per unit is rising, but not for larger requests', () => {
+    const limiter = new AdaptiveConcurrency({ initial: 4, max: 16 });
+    limiter.recordSuccess(1000, 100);
+    const before = limiter.limit;
+    for (let i = 0; i < 10; i++) limiter.recordSuccess(4000, 100);
+    expect(limiter.limit).toBe(before);
+
+    const sized = new AdaptiveConcurrency({ initial: 4, max: 16 });
+    sized.recordSuccess(1000, 100);
+    for (let i = 0; i < 10; i++) sized.recordSuccess(4000, 400);
+    expect(sized.limit).toBeGreaterThan(before);
+  });
+
+  it('halves on overload, once per burst of requests already in flight', () => {
+    const clock = fakeClock();
+    const limiter = new AdaptiveConcurrency({ initial: 8, max: 16, now: clock.now });
+    const sentBeforeCut = clock.time;
+    clock.time += 500;
+
+    expect(limiter.recordOverload(sentBeforeCut)).toBe(true);
+    expect(limiter.limit).toBe(4);
+    expect(limiter.recordOverload(sentBeforeCut)).toBe(false);
+    expect(limiter.limit).toBe(4);
+
+    clock.time += 500;
+    expect(limiter.recordOverload(clock.time - 100)).toBe(true);
+    expect(limiter.limit).toBe(2);
+  });
+
+  it('does not go below min', () => {
+    const limiter = new AdaptiveConcurrency({ initial: 1, min: 1 });
+    expect(limiter.recordOverload(Date.now())).toBe(false);
+    expect(limiter.limit).toBe(1);
+  });
+});
+
+describe('isOverloadError', () => {
+  it('treats timeouts and 429/503 responses as overload', () => {
+    expect(isOverloadError(Object.assign(new Error('timed out'), { name: 'TimeoutError' }))).toBe(true);
+    expect(isOverloadError(Object.assign(new Error('busy'), { status: 429 }))).toBe(true);
+    expect(isOverloadError(Object.assign(new Error('busy'), { status: 503 }))).toBe(true);
+    expect(isOverloadError(Object.assign(new Error('bad request'), { status: 400 }))).toBe(false);
+    expect(isOverloadError(new DOMException('aborted', 'AbortError'))).toBe(false);
+  });
+});
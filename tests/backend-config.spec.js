@@ -0,0 +1,264 @@
+/**
+ * Unit tests for src/lib/backend-config.js
+ * Tests backend profile normalization and import/export, route resolution
+ * precedence (prompt > category > active backend) and construction of the
+ * llm-client config for a route.
+ */
+import {
+  ROUTABLE_CATEGORIES,
+  PROFILE_EXPORT_FORMAT,
+  resolveRoute,
+  buildBackendConfig,
+  normalizeRoute,
+  normalizeProfile,
+  createProfileId,
+  parseHeaderLines,
+  formatHeaderLines,
+  exportProfiles,
+  importProfiles,
+} from '../src/lib/backend-config.js';
+
+function makeConfig(routing = {}) {
+  return {
+    backend: 'ollama',
+    backends: {
+      ollama: { url: '/ollama', apiKey: '', model: 'llama3:8b' },
+      vllm: { url: '/vllm', apiKey: 'k', model: 'qwen-72b' },
+    },
+    retry: { maxAttempts: 3 },
+    routing,
+  };
+}
+
+describe('resolveRoute', () => {
+  test('uses the active backend and model without routing', () => {
+    expect(resolveRoute(makeConfig(), 'summary', null)).toEqual({
+      backend: 'ollama',
+      model: 'llama3:8b',
+      source: 'default',
+    });
+    expect(resolveRoute(makeConfig()).source).toBe('default');
+  });
+
+  test('applies the category route', () => {
+    const config = makeConfig({ summary: { backend: 'vllm' } });
+
+    expect(resolveRoute(config, 'summary')).toEqual({ backend: 'vllm', model: 'qwen-72b', source: 'category' });
+    expect(resolveRoute(config, 'amendment').backend).toBe('ollama');
+  });
+
+  test('a model-only route keeps the inherited backend', () => {
+    const config = makeConfig({ comment: { model: 'llama3:70b' } });
+
+    expect(resolveRoute(config, 'comment')).toEqual({ backend: 'ollama', model: 'llama3:70b', source: 'category' });
+  });
+
+  test('a prompt route overrides the category route', () => {
+    const config = makeConfig({ summary: { backend: 'vllm', model: 'qwen-72b' } });
+    const prompt = { route: { backend: 'ollama' } };
+
+    // Switching backend resets the model to that backend's own
+    expect(resolveRoute(config, 'summary', prompt)).toEqual({ backend: 'ollama', model: 'llama3:8b', source: 'prompt' });
+  });
+
+  test('a prompt model applies on top of the category backend', () => {
+    const config = makeConfig({ summary: { backend: 'vllm' } });
+
+    expect(resolveRoute(config, 'summary', { route: { model: 'qwen-32b' } }))
+      .toEqual({ backend: 'vllm', model: 'qwen-32b', source: 'prompt' });
+  });
+
+  test('ignores routes naming an unknown backend', () => {
+    const config = makeConfig({ summary: { backend: 'removed' } });
+
+    expect(resolveRoute(config, 'summary')).toEqual({ backend: 'ollama', model: 'llama3:8b', source: 'default' });
+  });
+
+  test('tolerates configs saved before routing existed', () => {
+    const config = makeConfig();
+    delete config.routing;
+
+    expect(resolveRoute(config, 'comment').backend).toBe('ollama');
+  });
+});
+
+describe('buildBackendConfig', () => {
+  test('combines backend settings, routed model and retry policy', () => {
+    const config = makeConfig();
+
+    expect(buildBackendConfig(config, { backend: 'vllm', model: 'other' })).toEqual({
+      url: '/vllm',
+      apiKey: 'k',
+      model: 'other',
+      retry: { maxAttempts: 3 },
+      generation: {},
+    });
+    expect(config.backends.vllm.model).toBe('qwen-72b');
+  });
+
+  test("merges the prompt's generation parameters over the profile's", () => {
+    const config = makeConfig();
+    config.backends.vllm.generation = { temperature: 0.7, seed: 1 };
+    const prompt = { generation: { temperature: 0, stop: ['END'] } };
+
+    expect(buildBackendConfig(config, { backend: 'vllm', model: 'm' }, prompt).generation)
+      .toEqual({ temperature: 0, seed: 1, stop: ['END'] });
+    expect(config.backends.vllm.generation).toEqual({ temperature: 0.7, seed: 1 });
+  });
+});
+
+describe('normalizeRoute', () => {
+  test('trims fields and drops blanks', () => {
+    expect(normalizeRoute({ backend: ' vllm ', model: '' })).toEqual({ backend: 'vllm' });
+    expect(normalizeRoute({ backend: '', model: ' m ' })).toEqual({ model: 'm' });
+  });
+
+  test('returns null when nothing is set', () => {
+    expect(normalizeRoute({ backend: '', model: '  ' })).toBeNull();
+    expect(normalizeRoute(null)).toBeNull();
+    expect(normalizeRoute(undefined)).toBeNull();
+  });
+
+  test('context is not routable', () => {
+    expect(ROUTABLE_CATEGORIES).toEqual(['amendment', 'comment', 'summary']);
+  });
+});
+
+// ============================================================================
+// Profiles
+// ============================================================================
+
+describe('normalizeProfile', () => {
+  test('derives type and name for the legacy fixed backends', () => {
+    expect(normalizeProfile('vllm', { url: '/vllm', apiKey: '', model: 'q' })).toEqual({
+      name: 'vLLM',
+      type: 'vllm',
+      provider: 'openai',
+      url: '/vllm',
+      apiKey: '',
+      model: 'q',
+      contextWindow: null,
+      maxOutputTokens: null,
+      generation: {},
+      timeoutMs: null,
+      headers: {},
+    });
+    expect(normalizeProfile('anthropic', { provider: 'anthropic', url: 'u' }).type).toBe('anthropic');
+  });
+
+  test('falls back to the provider, then to OpenAI-compatible, for custom ids', () => {
+    expect(normalizeProfile('claude-eu', { provider: 'anthropic', url: 'u' }).type).toBe('anthropic');
+    expect(normalizeProfile('gateway', { url: 'u' })).toMatchObject({ type: 'openai', provider: 'openai' });
+  });
+
+  test('keeps explicit fields and derives the provider from the type', () => {
+    const profile = normalizeProfile('fast', {
+      name: ' Fast 8B ', type: 'gemini', provider: 'openai', url: 'u', timeoutMs: '60000',
+      generation: { temperature: 0, seed: '7', topP: 5 },
+      headers: { 'X-Tenant': 'legal', ' ': 'x', Bad: 5 },
+    });
+
+    expect(profile).toMatchObject({
+      name: 'Fast 8B', type: 'gemini', provider: 'gemini', timeoutMs: 60000,
+      generation: { temperature: 0, seed: 7 },
+      headers: { 'X-Tenant': 'legal' },
+    });
+  });
+
+  test('moves a top-level temperature into generation', () => {
+    const profile = normalizeProfile('ollama', { url: 'u', temperature: 0.2 });
+
+    expect(profile.generation).toEqual({ temperature: 0.2 });
+    expect(profile).not.toHaveProperty('temperature');
+  });
+});
+
+describe('createProfileId', () => {
+  test('slugifies the name and avoids collisions', () => {
+    expect(createProfileId('Staging vLLM', [])).toBe('staging-vllm');
+    expect(createProfileId('Staging vLLM', ['staging-vllm', 'staging-vllm-2'])).toBe('staging-vllm-3');
+    expect(createProfileId('!!!', [])).toBe('profile');
+  });
+});
+
+describe('header lines', () => {
+  test('parse and format round-trip', () => {
+    const headers = parseHeaderLines('X-Tenant: legal\nbroken line\n\nAuthorization: Basic a:b');
+
+    expect(headers).toEqual({ 'X-Tenant': 'legal', Authorization: 'Basic a:b' });
+    expect(parseHeaderLines(formatHeaderLines(headers))).toEqual(headers);
+  });
+});
+
+describe('profile export and import', () => {
+  const backends = {
+    fast: normalizeProfile('fast', { name: 'Fast 8B', type: 'ollama', url: '/ollama', apiKey: 'secret', model: 'llama3:8b' }),
+  };
+
+  test('export omits API keys unless asked', () => {
+    const data = JSON.parse(exportProfiles(backends));
+
+    expect(data.format).toBe(PROFILE_EXPORT_FORMAT);
+    expect(data.profiles).toEqual([{ id: 'fast', ...backends.fast, apiKey: '' }]);
+    expect(JSON.parse(exportProfiles(backends, { includeApiKeys: true })).profiles[0].apiKey).toBe('secret');
+  });
+
+  test('import adds new profiles and replaces same-id ones, keeping existing keys', () => {
+    const json = JSON.stringify({
+      format: PROFILE_EXPORT_FORMAT,
+      version: 1,
+      profiles: [
+        { id: 'fast', name: 'Fast 8B (team)', type: 'ollama', url: '/ollama', apiKey: '', model: 'llama3.1:8b' },
+        { id: 'slow', name: 'Slow 70B', type: 'vllm', url: '/vllm-70b', model: 'llama3-70b' },
+      ],
+    });
+
+    const { backends: merged, imported, errors } = importProfiles(json, backends);
+
+    expect(imported).toEqual(['fast', 'slow']);
+    expect(errors).toEqual([]);
+    expect(merged.fast).toMatchObject({ name: 'Fast 8B (team)', model: 'llama3.1:8b', apiKey: 'secret' });
+    expect(merged.slow).toMatchObject({ type: 'vllm', url: '/vllm-70b' });
+    expect(backends.fast.name).toBe('Fast 8B');
+  });
+
+  test('export blanks header values unless API keys are included, and import keeps existing ones', () => {
+    const withHeaders = {
+      gw: normalizeProfile('gw', { name: 'Gateway', url: '/gw', headers: { Authorization: 'Bearer gw-token', 'X-Tenant': 'legal' } }),
+    };
+
+    const json = exportProfiles(withHeaders);
+    const data = JSON.parse(json);
+
+    expect(data.profiles[0].headers).toEqual({ Authorization: '', 'X-Tenant': '' });
+    expect(json).not.toContain('gw-token');
+    expect(json).not.toContain('legal');
+    expect(JSON.parse(exportProfiles(withHeaders, { includeApiKeys: true })).profiles[0].headers)
+      .toEqual({ Authorization: 'Bearer gw-token', 'X-Tenant': 'legal' });
+
+    expect(importProfiles(json, withHeaders).backends.gw.headers)
+      .toEqual({ Authorization: 'Bearer gw-token', 'X-Tenant': 'legal' });
+    expect(importProfiles(json, {}).backends.gw.headers).toEqual({});
+  });
+
+  test('import skips invalid entries and reports them', () => {
+    const json = JSON.stringify({
+      format: PROFILE_EXPORT_FORMAT,
+      profiles: [{ name: 'No id', url: 'u' }, { id: 'x', name: 'No URL' }, { id: 'y', url: 'u', type: 'cohere' }],
+    });
+
+    const { imported, errors } = importProfiles(json, {});
+
+    expect(imported).toEqual([]);
+    expect(errors).toEqual([
+      'Profile "No id": missing id',
+      'Profile "No URL": missing url',
+      'Profile #3: unknown type "cohere"',
+    ]);
+  });
+
+  test('import rejects text that is not a profile export', () => {
+    expect(() => importProfiles('not json', {})).toThrow('Not valid JSON');
+    expect(() => importProfiles('{"profiles": []}', {})).toThrow('Not a backend profile export');
+  });
+});
@@ -1,9 +1,10 @@
 /**
  * Unit tests for src/lib/comment-extractor.js
- * Tests extractAllComments function with mocked Word API.
+ * Tests extractAllComments function with mocked Word API, and tracked-change
+ * extraction from OOXML.
  */
 const { JSDOM } = require('jsdom');
-const { extractAllComments, extractDocumentText, extractDocumentStructured, estimateTokenCount, extractTrackedChanges } = require('../src/lib/comment-extractor.js');
+const { extractAllComments, extractDocumentText, extractDocumentStructured, estimateTokenCount, extractTrackedChanges, formatTrackedChanges } = require('../src/lib/comment-extractor.js');
 
 // Provide DOMParser for OOXML tests (node test environment lacks it)
 if (typeof globalThis.DOMParser === 'undefined') {
@@ -54,7 +55,7 @@ afterEach(() => {
 });
 
 // Helper: create a mock comment object
-function createMockComment({ content, authorName, creationDate, resolved, id, rangeText }) {
+function createMockComment({ content, authorName, creationDate, resolved, id, rangeText, replies = [] }) {
     const range = { text: rangeText, load: jest.fn() };
     mockRanges.push(range);
 
@@ -64,6 +65,7 @@ function createMockComment({ content, authorName, creationDate, resolved, id, ra
         creationDate,
         resolved,
         id,
+        replies: { items: replies, load: jest.fn() },
         load: jest.fn(),
         getRange: jest.fn(() => range)
     };
@@ -103,10 +105,36 @@ describe('extractAllComments', () => {
             author: 'Alice',
             date: '2026-03-10T10:00:00Z',
             resolved: false,
-            id: 'comment-001'
+            id: 'comment-001',
+            replies: []
         });
     });
 
+    test('includes the reply thread of each comment', async () => {
+        mockCommentItems = [
+            createMockComment({
+                content: 'Why 60 days?',
+                authorName: 'Alice',
+                creationDate: '2026-03-10',
+                resolved: false,
+                id: 'c1',
+                rangeText: 'within 60 days',
+                replies: [
+                    { content: 'Client cash flow.', authorName: 'Bob', creationDate: '2026-03-11', id: 'r1' },
+                    { content: 'Can we do 45?', authorName: 'Alice', creationDate: '2026-03-12', id: 'r2' }
+                ]
+            })
+        ];
+
+        const result = await extractAllComments();
+
+        expect(mockCommentItems[0].replies.load).toHaveBeenCalledWith('items/content,items/authorName,items/creationDate,items/id');
+        expect(result[0].replies).toEqual([
+            { replyText: 'Client cash flow.', author: 'Bob', date: '2026-03-11', id: 'r1' },
+            { replyText: 'Can we do 45?', author: 'Alice', date: '2026-03-12', id: 'r2' }
+        ]);
+    });
+
     test('index is 1-based (first comment is index 1)', async () => {
         mockCommentItems = [
             createMockComment({
@@ -949,8 +977,8 @@ describe('extractTrackedChanges', () => {
 
     // --- Table row marker tests ---
 
-    describe('table row markers', () => {
-        test('skips w:ins/w:del inside w:trPr (table row revision markers)', async () => {
+    describe('table structure', () => {
+        test('reports w:ins/w:del inside w:trPr as row revisions, not text changes', async () => {
             const bodyXml = `<w:tbl><w:tr>` +
                 `<w:trPr><w:del w:id="301" w:author="Alice" w:date="2026-01-01T00:00:00Z"/></w:trPr>` +
                 `<w:tc><w:p><w:r><w:t>Table cell text</w:t></w:r></w:p></w:tc>` +
@@ -959,7 +987,119 @@ describe('extractTrackedChanges', () => {
 
             const result = await extractTrackedChanges();
 
-            expect(result.changes).toHaveLength(0);
+            expect(result.changes).toEqual([{
+                type: 'Table row deleted', text: 'Table cell text', author: 'Alice',
+                date: '2026-01-01T00:00:00Z', paragraphText: ''
+            }]);
+        });
+
+        test('joins the cells of an inserted row, deleted text included for deleted rows', async () => {
+            const bodyXml = `<w:tbl>` +
+                `<w:tr><w:trPr><w:ins w:id="1" w:author="Bob" w:date="2026-01-02T00:00:00Z"/></w:trPr>` +
+                `<w:tc><w:p><w:ins w:id="2" w:author="Bob"><w:r><w:t>Fees</w:t></w:r></w:ins></w:p></w:tc>` +
+                `<w:tc><w:p><w:ins w:id="3" w:author="Bob"><w:r><w:t>100</w:t></w:r></w:ins></w:p></w:tc></w:tr>` +
+                `<w:tr><w:trPr><w:del w:id="4" w:author="Bob" w:date="2026-01-02T00:00:00Z"/></w:trPr>` +
+                `<w:tc><w:p><w:del w:id="5" w:author="Bob"><w:r><w:delText>Costs</w:delText></w:r></w:del></w:p></w:tc>` +
+                `<w:tc><w:p><w:del w:id="6" w:author="Bob"><w:r><w:delText>50</w:delText></w:r></w:del></w:p></w:tc></w:tr>` +
+                `</w:tbl>`;
+            setupOoxmlMock(wrapInPkgPackage(bodyXml));
+
+            const result = await extractTrackedChanges();
+            const rows = result.changes.filter(c => c.type.startsWith('Table row'));
+
+            expect(rows.map(c => [c.type, c.text])).toEqual([
+                ['Table row inserted', 'Fees | 100'],
+                ['Table row deleted', 'Costs | 50']
+            ]);
+        });
+
+        test('reports w:cellIns and w:cellDel as cell revisions', async () => {
+            const bodyXml = `<w:tbl><w:tr>` +
+                `<w:tc><w:tcPr><w:cellIns w:id="1" w:author="Bob" w:date="2026-01-02T00:00:00Z"/></w:tcPr>` +
+                `<w:p><w:r><w:t>New cell</w:t></w:r></w:p></w:tc>` +
+                `<w:tc><w:tcPr><w:cellDel w:id="2" w:author="Bob" w:date="2026-01-02T00:00:00Z"/></w:tcPr>` +
+                `<w:p><w:r><w:t>Old cell</w:t></w:r></w:p></w:tc>` +
+                `</w:tr></w:tbl>`;
+            setupOoxmlMock(wrapInPkgPackage(bodyXml));
+
+            const result = await extractTrackedChanges();
+
+            expect(result.changes.map(c => [c.type, c.text, c.author])).toEqual([
+                ['Table cell inserted', 'New cell', 'Bob'],
+                ['Table cell deleted', 'Old cell', 'Bob']
+            ]);
+        });
+    });
+
+    // --- Formatting revision tests ---
+
+    describe('formatting changes', () => {
+        test('w:rPrChange returns Formatted with the properties that changed', async () => {
+            const bodyXml = `<w:p><w:r><w:t xml:space="preserve">Pay within </w:t></w:r>` +
+                `<w:r><w:rPr><w:b/><w:sz w:val="24"/>` +
+                `<w:rPrChange w:id="1" w:author="Bob" w:date="2026-03-10T10:00:00Z"><w:rPr><w:sz w:val="22"/></w:rPr></w:rPrChange>` +
+                `</w:rPr><w:t>60 days</w:t></w:r></w:p>`;
+            setupOoxmlMock(wrapInPkgPackage(bodyXml));
+
+            const result = await extractTrackedChanges();
+
+            expect(result.changes).toEqual([{
+                type: 'Formatted', text: '60 days', formatting: 'bold: off -> on; size: 11pt -> 12pt',
+                author: 'Bob', date: '2026-03-10T10:00:00Z', paragraphText: 'Pay within 60 days'
+            }]);
+        });
+
+        test('merges adjacent runs with the same formatting change', async () => {
+            const run = (text) => `<w:r><w:rPr><w:i/>` +
+                `<w:rPrChange w:id="1" w:author="Bob" w:date="2026-03-10T10:00:00Z"><w:rPr/></w:rPrChange>` +
+                `</w:rPr><w:t xml:space="preserve">${text}</w:t></w:r>`;
+            setupOoxmlMock(wrapInPkgPackage(`<w:p>${run('time is ')}${run('of the essence')}</w:p>`));
+
+            const result = await extractTrackedChanges();
+
+            expect(result.changes).toHaveLength(1);
+            expect(result.changes[0].text).toBe('time is of the essence');
+            expect(result.changes[0].formatting).toBe('italic: off -> on');
+        });
+
+        test('ignores formatting changes of the paragraph mark', async () => {
+            const bodyXml = `<w:p><w:pPr><w:rPr><w:b/>` +
+                `<w:rPrChange w:id="1" w:author="Bob"><w:rPr/></w:rPrChange></w:rPr></w:pPr>` +
+                `<w:r><w:t>Text</w:t></w:r></w:p>`;
+            setupOoxmlMock(wrapInPkgPackage(bodyXml));
+
+            const result = await extractTrackedChanges();
+
+            expect(result.changes).toEqual([]);
+        });
+
+        test('w:pPrChange returns Paragraph formatted with the paragraph text', async () => {
+            const bodyXml = `<w:p><w:pPr><w:pStyle w:val="Heading2"/><w:jc w:val="center"/>` +
+                `<w:pPrChange w:id="1" w:author="Bob" w:date="2026-03-10T10:00:00Z"><w:pPr><w:pStyle w:val="Normal"/></w:pPr></w:pPrChange>` +
+                `</w:pPr><w:r><w:t>Payment Terms</w:t></w:r></w:p>`;
+            setupOoxmlMock(wrapInPkgPackage(bodyXml));
+
+            const result = await extractTrackedChanges();
+
+            expect(result.changes).toEqual([{
+                type: 'Paragraph formatted', text: 'Payment Terms',
+                formatting: 'style: Normal -> Heading2; alignment: none -> center',
+                author: 'Bob', date: '2026-03-10T10:00:00Z', paragraphText: 'Payment Terms'
+            }]);
+        });
+
+        test('w:numberingChange returns Numbering changed once per paragraph', async () => {
+            const numbered = `<w:rPr><w:numberingChange w:id="1" w:author="Bob" w:date="2026-03-10T10:00:00Z" w:original="%1."/></w:rPr>`;
+            const bodyXml = `<w:p><w:pPr>${numbered}</w:pPr>` +
+                `<w:r>${numbered}<w:t>First clause</w:t></w:r></w:p>`;
+            setupOoxmlMock(wrapInPkgPackage(bodyXml));
+
+            const result = await extractTrackedChanges();
+
+            expect(result.changes).toEqual([{
+                type: 'Numbering changed', text: 'First clause', formatting: 'numbering was "%1."',
+                author: 'Bob', date: '2026-03-10T10:00:00Z', paragraphText: 'First clause'
+            }]);
         });
     });
 
@@ -1071,3 +1211,25 @@ describe('extractTrackedChanges', () => {
         });
     });
 });
+
+// ============================================================================
+// formatTrackedChanges Tests
+// ============================================================================
+
+describe('formatTrackedChanges', () => {
+    test('formats text, formatting and table revisions as numbered blocks', () => {
+        const text = formatTrackedChanges([
+            { type: 'Replaced', beforeText: '30', afterText: '60', text: '60', author: 'Bob', date: '2026-03-10', paragraphText: 'Pay within 60 days' },
+            { type: 'Formatted', text: '60 days', formatting: 'bold: off -> on', author: 'Bob', date: null, paragraphText: 'Pay within 60 days' },
+            { type: 'Paragraph formatted', text: 'Payment Terms', formatting: 'style: Normal -> Heading2', author: null, date: null, paragraphText: 'Payment Terms' },
+            { type: 'Table row deleted', text: 'Costs | 50', author: 'Bob', date: null, paragraphText: '' }
+        ]);
+
+        expect(text).toBe(
+            '[Change 1] REPLACED by Bob on 2026-03-10:\n  BEFORE: "30"\n  AFTER:  "60"\n  IN CLAUSE: "Pay within 60 days"\n\n' +
+            '[Change 2] FORMATTED by Bob:\n  TEXT: "60 days"\n  FORMATTING: bold: off -> on\n  IN CLAUSE: "Pay within 60 days"\n\n' +
+            '[Change 3] PARAGRAPH FORMATTED by Unknown:\n  TEXT: "Payment Terms"\n  FORMATTING: style: Normal -> Heading2\n\n' +
+            '[Change 4] TABLE ROW DELETED by Bob:\n  ROW: "Costs | 50"'
+        );
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for src/lib/consistency-checker.js
+ * Tests detection of defined-term and value changes across chunks, the
+ * re-request notes and flagging conflicts as comments.
+ */
+import {
+  checkConsistency,
+  consistencyNotes,
+  flagConsistencyIssues,
+} from '../src/lib/consistency-checker.js';
+
+const definitions = [
+  { term: 'Supplier', definition: '"Supplier" means ACME Ltd', paragraphIndex: 0 },
+  { term: 'Effective Date', definition: '"Effective Date" means 1 May', paragraphIndex: 1 },
+];
+
+function result(chunkId, original, amendment = null, overrides = {}) {
+  return {
+    chunkId,
+    chunkIndex: 0,
+    status: 'fulfilled',
+    amendment,
+    comment: null,
+    comments: null,
+    rationale: null,
+    error: null,
+    chunk: { id: chunkId, paragraphs: [{ index: 0, text: original, headingLevel: 0 }] },
+    ...overrides,
+  };
+}
+
+describe('checkConsistency', () => {
+  it('reports a renamed defined term still used in other chunks', () => {
+    const issues = checkConsistency([
+      result('chunk-0', 'The Supplier shall deliver.', 'The Vendor shall deliver.'),
+      result('chunk-1', 'The Supplier shall invoice.'),
+      result('chunk-2', 'Payment is due monthly.'),
+    ], definitions);
+
+    expect(issues).toEqual([{
+      type: 'term',
+      from: 'Supplier',
+      to: ['Vendor'],
+      changedIn: ['chunk-0'],
+      unchangedIn: ['chunk-1'],
+      description: 'Defined term "Supplier" changed to "Vendor" (chunk-0) but unchanged in chunk-1',
+    }]);
+  });
+
+  it('matches multi-word terms and ignores lower-case usage', () => {
+    const issues = checkConsistency([
+      result('chunk-0', 'The Supplier acts from the Effective Date.', 'The Vendor acts from the Commencement Date.'),
+      result('chunk-1', 'Any supplier may apply after the Effective Date.'),
+    ], definitions);
+
+    expect(issues.map((i) => [i.from, i.to, i.unchangedIn])).toEqual([
+      ['Effective Date', ['Commencement Date'], ['chunk-1']],
+    ]);
+  });
+
+  it('ignores a term removed along with its sentence', () => {
+    const issues = checkConsistency([
+      result('chunk-0', 'Goods are delivered. The Supplier shall insure them.', 'Goods are delivered.'),
+      result('chunk-1', 'The Supplier shall invoice.'),
+    ], definitions);
+
+    expect(issues).toEqual([]);
+  });
+
+  it('reports a term changed in every chunk but in different ways', () => {
+    const [issue] = checkConsistency([
+      result('chunk-0', 'The Supplier shall deliver.', 'The Vendor shall deliver.'),
+      result('chunk-1', 'The Supplier shall invoice.', 'The Provider shall invoice.'),
+    ], definitions);
+
+    expect(issue.to).toEqual(['Vendor', 'Provider']);
+    expect(issue.unchangedIn).toEqual([]);
+    expect(issue.description).toBe('Defined term "Supplier" changed inconsistently: "Vendor" (chunk-0), "Provider" (chunk-1)');
+  });
+
+  it('reports a changed value still stated elsewhere', () => {
+    const issues = checkConsistency([
+      result('chunk-0', 'Liability is capped at £1,000,000 in total.', 'Liability is capped at £2,000,000 in total.'),
+      result('chunk-1', 'Subject to the £1,000,000 cap in clause 9.'),
+      result('chunk-2', 'A fee of £11,000,000 applies.'),
+    ], definitions);
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+      type: 'value',
+      from: '£1,000,000',
+      to: ['£2,000,000'],
+      changedIn: ['chunk-0'],
+      unchangedIn: ['chunk-1'],
+    });
+  });
+
+  it('ignores single-digit values and consistent changes', () => {
+    const issues = checkConsistency([
+      result('chunk-0', 'See clause 4. Notice of 30 days.', 'See clause 5. Notice of 45 days.'),
+      result('chunk-1', 'Clause 4 applies within 45 days.'),
+    ], definitions);
+
+    expect(issues).toEqual([]);
+  });
+
+  it('ignores results that are not fulfilled', () => {
+    const issues = checkConsistency([
+      result('chunk-0', 'The Supplier shall deliver.', 'The Vendor shall deliver.'),
+      result('chunk-1', 'The Supplier shall invoice.', null, { status: 'rejected' }),
+      undefined,
+    ], definitions);
+
+    expect(issues).toEqual([]);
+  });
+});
+
+describe('consistencyNotes', () => {
+  it('lists the changes each chunk missed', () => {
+    const issues = checkConsistency([
+      result('chunk-0', 'The Supplier pays 30 days after delivery.', 'The Vendor pays 60 days after delivery.'),
+      result('chunk-1', 'The Supplier has 30 days.'),
+    ], definitions);
+
+    const notes = consistencyNotes(issues);
+    expect([...notes.keys()]).toEqual(['chunk-1']);
+    expect(notes.get('chunk-1')).toBe(
+      'CONSISTENCY NOTE: other parts of this document were amended as follows. ' +
+      'Make the same changes in this text wherever it refers to the same thing:\n' +
+      '- The defined term "Supplier" was changed to "Vendor".\n' +
+      '- The value "30" was changed to "60".'
+    );
+  });
+
+  it('leaves out inconsistent changes', () => {
+    const issues = checkConsistency([
+      result('chunk-0', 'The Supplier shall deliver.', 'The Vendor shall deliver.'),
+      result('chunk-1', 'The Supplier shall invoice.', 'The Provider shall invoice.'),
+      result('chunk-2', 'The Supplier shall report.'),
+    ], definitions);
+
+    expect(consistencyNotes(issues).size).toBe(0);
+  });
+});
+
+describe('flagConsistencyIssues', () => {
+  it('appends warnings to the comments of the affected chunks', () => {
+    const results = [
+      result('chunk-0', 'The Supplier shall deliver.', 'The Vendor shall deliver.'),
+      result('chunk-1', 'The Supplier shall invoice.', null, { comment: 'Check the invoicing period.' }),
+    ];
+
+    const flagged = flagConsistencyIssues(results, checkConsistency(results, definitions));
+
+    expect(flagged).toEqual([results[1]]);
+    expect(results[1].comment).toBe(
+      'Check the invoicing period.\n\n' +
+      'Consistency check: elsewhere in the document the defined term "Supplier" was changed to "Vendor", but not here.'
+    );
+    expect(results[0].comment).toBeNull();
+  });
+
+  it('flags every chunk of an inconsistent change', () => {
+    const results = [
+      result('chunk-0', 'The Supplier shall deliver.', 'The Vendor shall deliver.'),
+      result('chunk-1', 'The Supplier shall invoice.', 'The Provider shall invoice.'),
+    ];
+
+    flagConsistencyIssues(results, checkConsistency(results, definitions));
+
+    for (const r of results) {
+      expect(r.comment).toBe(
+        'Consistency check: the defined term "Supplier" was changed to "Vendor" or "Provider" in different parts of the document.'
+      );
+    }
+  });
+});
@@ -1,14 +1,17 @@
 /**
  * Unit tests for src/lib/context-extractor.js
- * Tests extractContext() and formatContextPrefix() exports.
+ * Tests extractContext(), findDefinedTerms(), formatContextPrefix() and
+ * checkCrossReferences() exports.
  *
  * Covers:
  * - CTX-01: Definition extraction from common legal patterns
  * - CTX-02: Document outline built from heading paragraphs
  * - Abbreviation extraction from parenthetical notation
+ * - Clause numbering and cross-reference resolution
  * - formatContextPrefix with relevant-term filtering and token budget
+ * - Cross-references broken by deleted or renumbered clauses
  */
-const { extractContext, formatContextPrefix } = require('../src/lib/context-extractor.js');
+const { extractContext, findDefinedTerms, formatContextPrefix, checkCrossReferences } = require('../src/lib/context-extractor.js');
 
 // Helper to build a minimal ParsedParagraph
 function makePara(overrides) {
@@ -32,6 +35,18 @@ function makeDocModel(paragraphs) {
   return { paragraphs, totalTokens };
 }
 
+// Helper to build a numbered contract: strings are body text, [listString, text]
+// pairs are list items, and { heading } objects are headings
+function makeContract(items) {
+  return makeDocModel(items.map((item, index) => {
+    if (typeof item === 'string') return makePara({ index, text: item });
+    if (Array.isArray(item)) {
+      return makePara({ index, text: item[1], isListItem: true, listString: item[0] });
+    }
+    return makePara({ index, text: item.heading, headingLevel: 1 });
+  }));
+}
+
 // ============================================================================
 // extractContext -- definitions
 // ============================================================================
@@ -155,6 +170,22 @@ describe('extractContext - definitions', () => {
   });
 });
 
+// ============================================================================
+// findDefinedTerms
+// ============================================================================
+
+describe('findDefinedTerms', () => {
+  test('returns every term a paragraph defines, repeats included', () => {
+    expect(findDefinedTerms('The seller (the "Seller") and the buyer (the "Buyer") agree; the Seller (the "Seller") warrants.'))
+      .toEqual(['Seller', 'Buyer', 'Seller']);
+  });
+
+  test('skips excluded colon-format words', () => {
+    expect(findDefinedTerms('Note: this clause survives termination.')).toEqual([]);
+    expect(findDefinedTerms('Accounts Date: the date of the audited accounts.')).toEqual(['Accounts Date']);
+  });
+});
+
 // ============================================================================
 // extractContext -- abbreviations
 // ============================================================================
@@ -247,6 +278,67 @@ describe('extractContext - outline', () => {
   });
 });
 
+// ============================================================================
+// extractContext -- numbering and cross-references
+// ============================================================================
+
+describe('extractContext - cross-references', () => {
+  const contract = makeContract([
+    { heading: 'PAYMENT' },
+    ['12.', 'The Customer shall pay the Fees.'],
+    ['12.2', 'Late payment incurs interest under Clause 12.3.'],
+    ['12.3', 'Interest accrues daily at 4%.'],
+    ['(a)', 'Interest is compounded monthly.'],
+    ['12.4', 'Disputes follow Clauses 12.2 and 12.3(a), Schedule 2 and clause 5 of the Supply Agreement.'],
+    { heading: 'SCHEDULE 2' },
+    'The Services are described here.',
+  ]);
+
+  test('numbers list items, sub-paragraphs and labelled headings', () => {
+    const ctx = extractContext(contract);
+    expect(ctx.numbering.map((n) => [n.kind, n.label, n.paragraphIndex])).toEqual([
+      ['clause', '12', 1],
+      ['clause', '12.2', 2],
+      ['clause', '12.3', 3],
+      ['clause', '12.3(a)', 4],
+      ['clause', '12.4', 5],
+      ['schedule', '2', 6],
+    ]);
+  });
+
+  test('resolves references, including lists, and skips other documents', () => {
+    const ctx = extractContext(contract);
+    expect(ctx.crossReferences.map((r) => [r.text, r.paragraphIndex, r.targetIndex])).toEqual([
+      ['Clause 12.3', 2, 3],
+      ['Clause 12.2', 5, 2],
+      ['Clause 12.3(a)', 5, 4],
+      ['Schedule 2', 5, 6],
+    ]);
+  });
+
+  test('includes the text after a referenced heading', () => {
+    const ref = extractContext(contract).crossReferences.find((r) => r.text === 'Schedule 2');
+    expect(ref.targetText).toBe('SCHEDULE 2\nThe Services are described here.');
+  });
+
+  test('leaves references to missing clauses unresolved', () => {
+    const ctx = extractContext(makeContract([
+      ['1.', 'Subject to Section 9, the Supplier shall deliver.'],
+    ]));
+    expect(ctx.crossReferences).toEqual([
+      { text: 'Section 9', kind: 'clause', label: '9', paragraphIndex: 0, targetIndex: null, targetText: '' },
+    ]);
+  });
+
+  test('uses numbers typed at the start of a paragraph', () => {
+    const ctx = extractContext(makeContract([
+      '7.1 The term is two years.',
+      'Clause 7.1 survives termination.',
+    ]));
+    expect(ctx.crossReferences[0].targetIndex).toBe(0);
+  });
+});
+
 // ============================================================================
 // extractContext -- empty / minimal document
 // ============================================================================
@@ -258,6 +350,8 @@ describe('extractContext - empty/minimal document', () => {
     expect(ctx.definitions).toEqual([]);
     expect(ctx.abbreviations).toEqual([]);
     expect(ctx.outline).toEqual([]);
+    expect(ctx.numbering).toEqual([]);
+    expect(ctx.crossReferences).toEqual([]);
   });
 
   test('returns empty arrays when no definitions/abbreviations/headings found', () => {
@@ -357,6 +451,24 @@ describe('formatContextPrefix', () => {
     expect(result).toContain('Acme Business Corporation');
   });
 
+  test('includes the text of clauses the chunk refers to', () => {
+    const ctx = extractContext(makeContract([
+      ['1.', 'Interest accrues daily at 4%.'],
+      ['2.', 'Late payment incurs interest under Clause 1.'],
+    ]));
+    const result = formatContextPrefix(ctx, 'Late payment incurs interest under Clause 1.');
+    expect(result).toContain('CROSS-REFERENCED CLAUSES:\n- Clause 1: Interest accrues daily at 4%.');
+  });
+
+  test('omits referenced clauses that are part of the chunk', () => {
+    const ctx = extractContext(makeContract([
+      ['1.', 'Interest accrues daily at 4%.'],
+      ['2.', 'Late payment incurs interest under Clause 1.'],
+    ]));
+    const result = formatContextPrefix(ctx, 'Interest accrues daily at 4%.\nLate payment incurs interest under Clause 1.');
+    expect(result).not.toContain('CROSS-REFERENCED');
+  });
+
   test('returns empty string when context has no relevant content for chunk', () => {
     const emptyContext = {
       definitions: [],
@@ -367,3 +479,62 @@ describe('formatContextPrefix', () => {
     expect(result).toBe('');
   });
 });
+
+// ============================================================================
+// checkCrossReferences
+// ============================================================================
+
+describe('checkCrossReferences', () => {
+  const before = extractContext(makeContract([
+    ['1.', 'Subject to Clause 3, the Supplier shall deliver the Goods.'],
+    ['2.', 'Risk passes on delivery.'],
+    ['3.', 'Title passes when the Customer has paid in full.'],
+    ['4.', 'Clause 2 does not apply to Section 8.'],
+  ]));
+
+  test('reports nothing when references still resolve to the same text', () => {
+    const after = extractContext(makeContract([
+      ['1.', 'Subject to Clause 3, the Supplier shall promptly deliver the Goods.'],
+      ['2.', 'Risk passes on delivery.'],
+      ['3.', 'Title passes when the Customer has paid the price in full.'],
+      ['4.', 'Clause 2 does not apply to Section 8.'],
+    ]));
+    expect(checkCrossReferences(before, after)).toEqual([]);
+  });
+
+  test('reports a reference whose clause was renumbered', () => {
+    // Clause 2 deleted; list numbering moves clause 3 up
+    const after = extractContext(makeContract([
+      ['1.', 'Subject to Clause 3, the Supplier shall deliver the Goods.'],
+      ['2.', 'Title passes when the Customer has paid in full.'],
+      ['3.', 'Clause 2 does not apply to Section 8.'],
+    ]));
+    const issues = checkCrossReferences(before, after);
+    expect(issues.map((i) => [i.reason, i.reference.paragraphIndex, i.message])).toEqual([
+      ['renumbered', 0, 'Clause 3 now refers to different text; what it referred to is now Clause 2'],
+      ['retargeted', 2, 'Clause 2 now refers to different text ("Title passes when the Customer has paid in full."); ' +
+        'what it referred to may have been deleted'],
+    ]);
+  });
+
+  test('reports references that no longer resolve or were added unresolved', () => {
+    const after = extractContext(makeContract([
+      ['1.', 'Subject to Clause 3 and Clause 6, the Supplier shall deliver the Goods.'],
+      ['2.', 'Risk passes on delivery.'],
+    ]));
+    expect(checkCrossReferences(before, after).map((i) => [i.reason, i.message])).toEqual([
+      ['unresolved', 'Clause 3 no longer exists (deleted or renumbered)'],
+      ['unresolved', 'Clause 6 does not exist in the document'],
+    ]);
+  });
+
+  test('ignores references that were already unresolved', () => {
+    const after = extractContext(makeContract([
+      ['1.', 'Subject to Clause 3, the Supplier shall deliver the Goods.'],
+      ['2.', 'Risk passes on delivery.'],
+      ['3.', 'Title passes when the Customer has paid in full.'],
+      ['4.', 'Clause 2 does not apply to Section 8 or Section 8.'],
+    ]));
+    expect(checkCrossReferences(before, after)).toEqual([]);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Unit tests for src/lib/definition-extractor.js
+ * Tests definitions section detection, reply parsing, merging with the
+ * regex definitions, the document settings cache and the fallbacks.
+ */
+import { extractContext } from '../src/lib/context-extractor.js';
+import {
+  findDefinitionsSection,
+  parseDefinitionResponse,
+  mergeDefinitions,
+  createDefinitionCache,
+  extractDefinitionsWithLlm,
+  DEFINITION_CACHE_KEY,
+} from '../src/lib/definition-extractor.js';
+
+function makeDocModel(items) {
+  const paragraphs = items.map((item, index) => (typeof item === 'string'
+    ? { index, text: item, headingLevel: 0 }
+    : { index, text: item.heading, headingLevel: item.level || 1 }));
+  return { paragraphs, totalTokens: 0 };
+}
+
+const contract = makeDocModel([
+  { heading: 'Parties' },
+  'This agreement is made between Acme Ltd (the "Supplier") and Beta plc.',
+  { heading: '1. Definitions and Interpretation' },
+  '"Fees" means the charges set out in Schedule 1.',
+  'Business Day',
+  'a day other than a Saturday, Sunday or public holiday in England.',
+  { heading: '1.1 Interpretation', level: 2 },
+  'Headings do not affect interpretation.',
+  { heading: '2. Services' },
+  'The Supplier shall provide the Services for the Fees.',
+]);
+
+function mockSettings() {
+  const values = {};
+  return {
+    values,
+    get: (key) => values[key],
+    set: jest.fn((key, value) => { values[key] = value; }),
+    saveAsync: jest.fn((callback) => callback({ status: 'succeeded' })),
+  };
+}
+
+const REPLY = JSON.stringify({
+  definitions: [
+    { term: 'Fees', definition: 'the charges set out in Schedule 1' },
+    { term: '"Business Day"', definition: 'a day other than a Saturday, Sunday or public holiday in England' },
+  ],
+});
+
+describe('findDefinitionsSection', () => {
+  it('finds the section by its heading, subsections included', () => {
+    const section = findDefinitionsSection(contract, extractContext(contract).outline);
+    expect(section.startIndex).toBe(2);
+    expect(section.endIndex).toBe(7);
+    expect(section.paragraphs.map((p) => p.index)).toEqual([2, 3, 4, 5, 6, 7]);
+    expect(section.truncated).toBe(false);
+  });
+
+  it('recognises headings in other languages', () => {
+    const doc = makeDocModel([{ heading: 'Begriffsbestimmungen' }, '„Entgelt" bezeichnet die Vergütung.']);
+    expect(findDefinitionsSection(doc, extractContext(doc).outline)).not.toBeNull();
+  });
+
+  it('returns null without a definitions heading', () => {
+    const doc = makeDocModel([{ heading: 'Services' }, 'Text.']);
+    expect(findDefinitionsSection(doc, extractContext(doc).outline)).toBeNull();
+  });
+
+  it('drops paragraphs beyond the token budget', () => {
+    const doc = makeDocModel([{ heading: 'Definitions' }, 'x '.repeat(400), 'y '.repeat(400)]);
+    const section = findDefinitionsSection(doc, extractContext(doc).outline, 300);
+    expect(section.truncated).toBe(true);
+    expect(section.paragraphs.length).toBeLessThan(3);
+  });
+});
+
+describe('parseDefinitionResponse', () => {
+  it('cleans terms and drops invalid or repeated entries', () => {
+    const reply = '```json\n' + JSON.stringify({
+      definitions: [
+        { term: '“Fees”', definition: '  the  charges ' },
+        { term: 'fees', definition: 'repeat' },
+        { term: 'X', definition: 'too short a term' },
+        { term: 'Empty', definition: '' },
+        { definition: 'no term' },
+      ],
+    }) + '\n```';
+    expect(parseDefinitionResponse(reply)).toEqual([{ term: 'Fees', definition: 'the charges' }]);
+  });
+
+  it('throws on replies without a definitions array', () => {
+    expect(() => parseDefinitionResponse('No definitions here.')).toThrow('no JSON object found');
+    expect(() => parseDefinitionResponse('{"terms": []}')).toThrow('"definitions" is not an array');
+  });
+});
+
+describe('mergeDefinitions', () => {
+  it('replaces regex definition text and adds terms the patterns missed', () => {
+    const context = extractContext(contract);
+    const section = findDefinitionsSection(contract, context.outline);
+    const merged = mergeDefinitions(context.definitions, parseDefinitionResponse(REPLY), section);
+    expect(merged).toEqual([
+      expect.objectContaining({ term: 'Supplier', paragraphIndex: 1 }),
+      { term: 'Fees', definition: 'the charges set out in Schedule 1', paragraphIndex: 3 },
+      {
+        term: 'Business Day',
+        definition: 'a day other than a Saturday, Sunday or public holiday in England',
+        paragraphIndex: 4,
+      },
+    ]);
+    expect(context.definitions.find((d) => d.term === 'Fees').definition).toContain('"Fees" means');
+  });
+});
+
+describe('extractDefinitionsWithLlm', () => {
+  const config = { model: 'test-model' };
+
+  it('merges the LLM definitions and caches them in the document', async () => {
+    const settings = mockSettings();
+    const sendMessagesFn = jest.fn(async () => ({ text: REPLY, usage: { promptTokens: 10, completionTokens: 5 } }));
+    const context = extractContext(contract);
+
+    const first = await extractDefinitionsWithLlm(contract, context, {
+      config, cache: createDefinitionCache(settings), sendMessagesFn,
+    });
+    expect(first.source).toBe('llm');
+    expect(first.usage).toEqual({ promptTokens: 10, completionTokens: 5 });
+    expect(first.context.definitions.map((d) => d.term)).toEqual(['Supplier', 'Fees', 'Business Day']);
+    expect(first.context.outline).toBe(context.outline);
+    expect(settings.values[DEFINITION_CACHE_KEY].definitions).toHaveLength(2);
+
+    const second = await extractDefinitionsWithLlm(contract, context, {
+      config, cache: createDefinitionCache(settings), sendMessagesFn,
+    });
+    expect(second.source).toBe('cache');
+    expect(second.context.definitions).toEqual(first.context.definitions);
+    expect(sendMessagesFn).toHaveBeenCalledTimes(1);
+  });
+
+  it('asks again when the model or the section text changes', async () => {
+    const settings = mockSettings();
+    const sendMessagesFn = jest.fn(async () => ({ text: REPLY, usage: null }));
+    const run = (doc, model) => extractDefinitionsWithLlm(doc, extractContext(doc), {
+      config: { model }, cache: createDefinitionCache(settings), sendMessagesFn,
+    });
+    await run(contract, 'a');
+    await run(contract, 'b');
+    const edited = makeDocModel([{ heading: 'Definitions' }, '"Fees" means the charges in Schedule 2.']);
+    await run(edited, 'b');
+    expect(sendMessagesFn).toHaveBeenCalledTimes(3);
+  });
+
+  it('falls back to the regex definitions when the reply is invalid', async () => {
+    const log = jest.fn();
+    const context = extractContext(contract);
+    const result = await extractDefinitionsWithLlm(contract, context, {
+      config, log, sendMessagesFn: async () => ({ text: 'Sorry, I cannot help.', usage: null }),
+    });
+    expect(result.source).toBe('regex');
+    expect(result.context).toBe(context);
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('Definition extraction failed'), 'warning');
+  });
+
+  it('skips the request when there is no definitions section', async () => {
+    const doc = makeDocModel([{ heading: 'Services' }, 'Text.']);
+    const sendMessagesFn = jest.fn();
+    const result = await extractDefinitionsWithLlm(doc, extractContext(doc), { config, sendMessagesFn });
+    expect(result.source).toBe('regex');
+    expect(sendMessagesFn).not.toHaveBeenCalled();
+  });
+
+  it('rethrows cancellation', async () => {
+    const abort = Object.assign(new Error('aborted'), { name: 'AbortError' });
+    await expect(extractDefinitionsWithLlm(contract, extractContext(contract), {
+      config, sendMessagesFn: async () => { throw abort; },
+    })).rejects.toBe(abort);
+  });
+});
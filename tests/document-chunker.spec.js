@@ -8,6 +8,7 @@
  * - CHUNK-03: Overlap context between adjacent chunks
  * - Table paragraph atomicity (consecutive inTable paragraphs kept together)
  * - No-heading fallback (token-count-based splitting)
+ * - Restriction to paragraph ranges (selected sections)
  */
 const { chunkDocument } = require('../src/lib/document-chunker.js');
 
@@ -483,4 +484,90 @@ describe('chunkDocument', () => {
             }
         });
     });
+
+    // --- Paragraph ranges (selected sections) ---
+
+    describe('ranges', () => {
+        const paras = [
+            makePara({ index: 0, text: 'Definitions', headingLevel: 1, tokenEstimate: 100 }),
+            makePara({ index: 1, text: 'Defined terms.', tokenEstimate: 100 }),
+            makePara({ index: 2, text: 'Payment', headingLevel: 1, tokenEstimate: 100 }),
+            makePara({ index: 3, text: 'Payment terms.', tokenEstimate: 100 }),
+            makePara({ index: 4, text: 'Term', headingLevel: 1, tokenEstimate: 100 }),
+            makePara({ index: 5, text: 'Term body.', tokenEstimate: 100 }),
+            makePara({ index: 6, text: 'Signatures', headingLevel: 1, tokenEstimate: 100 }),
+            makePara({ index: 7, text: 'Signed.', tokenEstimate: 100 })
+        ];
+
+        test('only chunks paragraphs inside the ranges', () => {
+            const chunks = chunkDocument(makeDocModel(paras), {
+                maxTokens: 12000,
+                minTokens: 100,
+                ranges: [{ startIndex: 2, endIndex: 5 }]
+            });
+
+            expect(chunks.map(c => [c.startIndex, c.endIndex])).toEqual([[2, 3], [4, 5]]);
+        });
+
+        test('never merges chunks across a gap between ranges', () => {
+            const chunks = chunkDocument(makeDocModel(paras), {
+                maxTokens: 12000,
+                minTokens: 1000,
+                ranges: [{ startIndex: 0, endIndex: 1 }, { startIndex: 4, endIndex: 5 }]
+            });
+
+            expect(chunks.map(c => [c.startIndex, c.endIndex])).toEqual([[0, 1], [4, 5]]);
+            expect(chunks.map(c => c.id)).toEqual(['chunk-0', 'chunk-1']);
+        });
+
+        test('takes overlap from the document text before a range', () => {
+            const chunks = chunkDocument(makeDocModel(paras), {
+                maxTokens: 12000,
+                minTokens: 100,
+                ranges: [{ startIndex: 4, endIndex: 7 }]
+            });
+
+            expect(chunks[0].overlapBefore).toBe('Payment terms.');
+            expect(chunks[1].overlapBefore).toBe('Term body.');
+        });
+
+        test('takes trailing overlap from the document text after a range', () => {
+            const chunks = chunkDocument(makeDocModel(paras), {
+                maxTokens: 12000,
+                minTokens: 100,
+                ranges: [{ startIndex: 1, endIndex: 1 }, { startIndex: 4, endIndex: 7 }]
+            });
+
+            expect(chunks[0].overlapBefore).toBe('Definitions');
+            expect(chunks[0].overlapAfter).toBe('Payment');
+            // Followed by the next chunk, and by the end of the document
+            expect(chunks[1].overlapAfter).toBe('');
+            expect(chunks[2].overlapAfter).toBe('');
+        });
+
+        test('has no trailing overlap without ranges', () => {
+            const chunks = chunkDocument(makeDocModel(paras), { maxTokens: 12000, minTokens: 100 });
+            expect(chunks.every(c => c.overlapAfter === '')).toBe(true);
+        });
+
+        test('treats chunks separated only by blank paragraphs as adjacent', () => {
+            // The parser skips blank paragraphs but keeps Word's indices
+            const gapped = paras.map((p, i) => ({ ...p, index: i * 2 }));
+
+            const whole = chunkDocument(makeDocModel(gapped), { maxTokens: 12000, minTokens: 100 });
+            expect(whole.map(c => c.overlapBefore)).toEqual(['', 'Defined terms.', 'Payment terms.', 'Term body.']);
+
+            const ranged = chunkDocument(makeDocModel(gapped), {
+                maxTokens: 12000,
+                minTokens: 100,
+                ranges: [{ startIndex: 0, endIndex: 14 }]
+            });
+            expect(ranged.map(c => c.overlapBefore)).toEqual(['', 'Defined terms.', 'Payment terms.', 'Term body.']);
+            expect(ranged.every(c => c.overlapAfter === '')).toBe(true);
+        });
+
+        test('empty ranges produce no chunks', () => {
+            expect(chunkDocument(makeDocModel(paras), { ranges: [] })).toEqual([]);
+        });
+    });
 });
@@ -1,8 +1,9 @@
 /**
  * Unit tests for src/lib/document-generator.js
- * Tests buildSummaryHtml (pure function) and createSummaryDocument (Word API).
+ * Tests buildSummaryHtml and buildRedlineReportHtml (pure functions) and
+ * createSummaryDocument (Word API).
  */
-const { buildSummaryHtml, createSummaryDocument } = require('../src/lib/document-generator.js');
+const { buildSummaryHtml, buildRedlineReportHtml, createSummaryDocument } = require('../src/lib/document-generator.js');
 
 // ============================================================================
 // buildSummaryHtml Tests (pure function, no Word API mock needed)
@@ -79,6 +80,18 @@ describe('buildSummaryHtml', () => {
         expect(html).toContain('<p><strong>Comment:</strong> &quot;Consider restructuring this paragraph&quot;</p>');
     });
 
+    test('annex entries list replies after the comment', () => {
+        const html = buildSummaryHtml('<p>Summary</p>', [{
+            ...sampleComments[0],
+            replies: [{ replyText: 'Added in v2 & v3', author: 'Bob', date: '2026-03-02', id: 'r1' }]
+        }]);
+
+        expect(html).toContain(
+            '<p><strong>Comment:</strong> &quot;This section needs more detail&quot;</p>' +
+            '<p><strong>Reply (Bob):</strong> &quot;Added in v2 &amp; v3&quot;</p>'
+        );
+    });
+
     test('HTML-escapes special characters in comment text and associated text', () => {
         const specialComments = [
             {
@@ -179,6 +192,65 @@ describe('buildSummaryHtml markdown conversion', () => {
     });
 });
 
+// ============================================================================
+// buildRedlineReportHtml Tests (dry-run report)
+// ============================================================================
+
+describe('buildRedlineReportHtml', () => {
+    const sections = [
+        {
+            title: 'Payment',
+            original: 'Payment is due within 30 days.',
+            amendment: 'Payment is due within 45 days.',
+            comment: 'Extended to match the supply terms.'
+        },
+        {
+            title: 'Notices',
+            original: 'Notices must be in writing.',
+            amendment: null,
+            comment: 'Consider allowing email.'
+        }
+    ];
+
+    test('uses the title and summarises the section counts', () => {
+        const html = buildRedlineReportHtml(sections, { title: 'Redline Report - MSA', unchanged: 3 });
+        expect(html).toContain('<h1>Redline Report - MSA</h1>');
+        expect(html).toContain('2 section(s) with proposed changes, 3 unchanged.');
+        expect(html).toContain('source document was not modified');
+    });
+
+    test('shows original and proposed text side by side with inline redline styling', () => {
+        const html = buildRedlineReportHtml(sections);
+        expect(html).toContain('<h2>Payment</h2>');
+        expect(html).toMatch(/<th[^>]*>Original<\/th><th[^>]*>Proposed<\/th>/);
+        expect(html).toContain('<span style="color: #c00000; text-decoration: line-through;">30</span>');
+        expect(html).toContain('<span style="color: #0070c0; text-decoration: underline;">45</span>');
+        expect(html).toContain('<p><strong>Comment:</strong> Extended to match the supply terms.</p>');
+    });
+
+    test('shows the original text for comment-only sections', () => {
+        const html = buildRedlineReportHtml(sections);
+        expect(html).toContain('<p><strong>Original:</strong> Notices must be in writing.</p>');
+        expect(html).toContain('No amendment proposed.');
+    });
+
+    test('escapes HTML in section text', () => {
+        const html = buildRedlineReportHtml([
+            { title: 'A & B', original: '<x>', amendment: '<y>', comment: null }
+        ]);
+        expect(html).toContain('<h2>A &amp; B</h2>');
+        expect(html).not.toContain('<x>');
+        expect(html).not.toContain('<y>');
+    });
+
+    test('lists failed sections', () => {
+        const html = buildRedlineReportHtml([], { failed: [{ title: 'Term', error: 'timeout' }] });
+        expect(html).toContain('0 section(s) with proposed changes, 1 failed.');
+        expect(html).toContain('<h1>Not Processed</h1>');
+        expect(html).toContain('<p><strong>Term:</strong> timeout</p>');
+    });
+});
+
 // ============================================================================
 // createSummaryDocument Tests (mock Word API)
 // ============================================================================
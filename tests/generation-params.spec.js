@@ -0,0 +1,68 @@
+/**
+ * Unit tests for src/lib/generation-params.js
+ * Tests parameter validation, layer merge order and the log/field formats.
+ */
+import {
+  normalizeGenerationParams,
+  mergeGenerationParams,
+  formatGenerationParams,
+  parseStopSequences,
+  formatStopSequences,
+} from '../src/lib/generation-params.js';
+
+describe('normalizeGenerationParams', () => {
+  test('keeps valid parameters and coerces numeric strings', () => {
+    expect(normalizeGenerationParams({
+      temperature: '0', topP: 0.95, maxTokens: '1024', seed: -3, stop: ['END', ''], repetitionPenalty: 1.05,
+    })).toEqual({ temperature: 0, topP: 0.95, maxTokens: 1024, seed: -3, stop: ['END'], repetitionPenalty: 1.05 });
+  });
+
+  test('drops blank and out-of-range values', () => {
+    expect(normalizeGenerationParams({
+      temperature: -1, topP: 0, maxTokens: 10.5, seed: 'x', stop: [], repetitionPenalty: 0,
+    })).toEqual({});
+    expect(normalizeGenerationParams({ temperature: '', topP: null, maxTokens: undefined })).toEqual({});
+  });
+
+  test('accepts a single stop string and ignores non-objects', () => {
+    expect(normalizeGenerationParams({ stop: '\n\n' })).toEqual({ stop: ['\n\n'] });
+    expect(normalizeGenerationParams(null)).toEqual({});
+    expect(normalizeGenerationParams('temperature=0')).toEqual({});
+  });
+});
+
+describe('mergeGenerationParams', () => {
+  test('later layers win per parameter', () => {
+    const profile = { temperature: 0.7, seed: 1, maxTokens: 2048 };
+    const prompt = { temperature: 0.2, stop: ['END'] };
+    const call = { temperature: 0 };
+
+    expect(mergeGenerationParams(profile, prompt, call))
+      .toEqual({ temperature: 0, seed: 1, maxTokens: 2048, stop: ['END'] });
+  });
+
+  test('unset values in a later layer do not clear earlier ones', () => {
+    expect(mergeGenerationParams({ temperature: 0.5 }, { temperature: '' }, undefined))
+      .toEqual({ temperature: 0.5 });
+  });
+});
+
+describe('formatGenerationParams', () => {
+  test('lists set parameters with their API names', () => {
+    expect(formatGenerationParams({ seed: 42, temperature: 0, stop: ['\n\n'] }))
+      .toBe('temperature=0, seed=42, stop=["\\n\\n"]');
+  });
+
+  test('reports server defaults when nothing is set', () => {
+    expect(formatGenerationParams({})).toBe('server defaults');
+  });
+});
+
+describe('stop sequence field', () => {
+  test('parses one sequence per line with escapes, and round-trips', () => {
+    const stop = parseStopSequences('END\n\\n\\n\n\n</answer>');
+
+    expect(stop).toEqual(['END', '\n\n', '</answer>']);
+    expect(parseStopSequences(formatStopSequences(stop))).toEqual(stop);
+  });
+});
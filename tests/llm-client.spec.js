@@ -2,7 +2,32 @@
  * Unit tests for src/lib/llm-client.js
  * Tests stripThinkTags, sendPrompt, sendMessages, and testConnection exports.
  */
-const { stripThinkTags, stripChunkDelimiters, sendPrompt, sendMessages, testConnection } = require('../src/lib/llm-client.js');
+const { stripThinkTags, stripPartialThinkTags, stripChunkDelimiters, sendPrompt, sendMessages, testConnection, PROVIDERS, parseRetryAfter, resolveGenerationParams } = require('../src/lib/llm-client.js');
+
+/**
+ * Builds a mock fetch Response whose body streams the given SSE text pieces.
+ * @param {string[]} pieces - Raw text pieces delivered by successive reader.read() calls
+ */
+function mockStreamResponse(pieces) {
+  const encoder = new TextEncoder();
+  let i = 0;
+  return {
+    ok: true,
+    body: {
+      getReader: () => ({
+        read: async () => (i < pieces.length
+          ? { done: false, value: encoder.encode(pieces[i++]) }
+          : { done: true, value: undefined }),
+        cancel: async () => {}
+      })
+    },
+    json: async () => { throw new Error('json() should not be called when streaming'); }
+  };
+}
+
+function sseDelta(content) {
+  return `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+}
 
 // ============================================================================
 // stripThinkTags
@@ -82,6 +107,39 @@ describe('stripThinkTags', () => {
   });
 });
 
+// ============================================================================
+// stripPartialThinkTags
+// ============================================================================
+
+describe('stripPartialThinkTags', () => {
+  test('returns empty/null input unchanged', () => {
+    expect(stripPartialThinkTags('')).toBe('');
+    expect(stripPartialThinkTags(null)).toBe(null);
+  });
+
+  test('hides everything after an unclosed <think> tag', () => {
+    expect(stripPartialThinkTags('<think>still reasoning about')).toBe('');
+    expect(stripPartialThinkTags('Answer <think>hmm')).toBe('Answer ');
+  });
+
+  test('removes completed think blocks and shows text after them', () => {
+    expect(stripPartialThinkTags('<think>done</think>\nThe clause')).toBe('The clause');
+  });
+
+  test('holds back a trailing partial tag until it completes', () => {
+    expect(stripPartialThinkTags('The clause <thi')).toBe('The clause ');
+    expect(stripPartialThinkTags('<think>x</th')).toBe('');
+  });
+
+  test('removes orphaned closing tags', () => {
+    expect(stripPartialThinkTags('reasoning</think>Answer')).toBe('reasoningAnswer');
+  });
+
+  test('passes plain text through', () => {
+    expect(stripPartialThinkTags('Plain text so far')).toBe('Plain text so far');
+  });
+});
+
 // ============================================================================
 // stripChunkDelimiters
 // ============================================================================
@@ -390,6 +448,18 @@ describe('testConnection', () => {
     expect(result).toEqual({ connected: true, models: [] });
   });
 
+  test('includes contextWindow when vLLM reports max_model_len', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        data: [{ id: 'qwen', object: 'model', max_model_len: 32768 }]
+      })
+    });
+
+    const result = await testConnection({ url: '/vllm', apiKey: '' });
+    expect(result.models).toEqual([{ id: 'qwen', contextWindow: 32768 }]);
+  });
+
   test('handles missing data field gracefully', async () => {
     global.fetch.mockResolvedValue({
       ok: true,
@@ -610,3 +680,716 @@ describe('sendPrompt backward compatibility', () => {
     expect(body.messages).toEqual([{ role: 'user', content: 'Hello' }]);
   });
 });
+
+// ============================================================================
+// Streaming (SSE)
+// ============================================================================
+
+describe('streaming responses', () => {
+  let mockSignal;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    mockSignal = { aborted: false, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+    global.AbortController = jest.fn().mockImplementation(() => ({
+      signal: mockSignal,
+      abort: jest.fn()
+    }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('sendMessages requests stream: true when onDelta is provided', async () => {
+    global.fetch.mockResolvedValue(mockStreamResponse([sseDelta('Hi'), 'data: [DONE]\n\n']));
+
+    await sendMessages({ url: '/vllm', apiKey: '', model: 'test' }, [{ role: 'user', content: 'Hello' }],
+      null, undefined, 1000, { onDelta: jest.fn() });
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.stream).toBe(true);
+  });
+
+  test('sendMessages accumulates deltas and reports the rolling visible text', async () => {
+    global.fetch.mockResolvedValue(mockStreamResponse([
+      sseDelta('The '),
+      sseDelta('amended'),
+      sseDelta(' clause.'),
+      'data: [DONE]\n\n'
+    ]));
+    const onDelta = jest.fn();
+
+    const result = await sendMessages({ url: '/vllm', apiKey: '', model: 'test' },
+      [{ role: 'user', content: 'Hello' }], null, undefined, 1000, { onDelta });
+
+    expect(result).toBe('The amended clause.');
+    expect(onDelta.mock.calls.map((c) => c[0])).toEqual(['The ', 'The amended', 'The amended clause.']);
+  });
+
+  test('handles SSE events split across network reads', async () => {
+    const event = sseDelta('split event');
+    global.fetch.mockResolvedValue(mockStreamResponse([
+      event.substring(0, 12),
+      event.substring(12),
+      'data: [DONE]\n\n'
+    ]));
+    const onDelta = jest.fn();
+
+    const result = await sendMessages({ url: '/vllm', apiKey: '', model: 'test' },
+      [{ role: 'user', content: 'Hello' }], null, undefined, 1000, { onDelta });
+
+    expect(result).toBe('split event');
+    expect(onDelta).toHaveBeenCalledTimes(1);
+  });
+
+  test('hides streamed reasoning until the think block closes', async () => {
+    global.fetch.mockResolvedValue(mockStreamResponse([
+      sseDelta('<think>weighing'),
+      sseDelta(' options</think>'),
+      sseDelta('Final text'),
+      'data: [DONE]\n\n'
+    ]));
+    const onDelta = jest.fn();
+
+    const result = await sendMessages({ url: '/vllm', apiKey: '', model: 'test' },
+      [{ role: 'user', content: 'Hello' }], null, undefined, 1000, { onDelta });
+
+    expect(onDelta.mock.calls.map((c) => c[0])).toEqual(['', '', 'Final text']);
+    expect(result).toBe('Final text');
+  });
+
+  test('ignores non-data lines and malformed events', async () => {
+    global.fetch.mockResolvedValue(mockStreamResponse([
+      ': keep-alive\n\n',
+      'data: {not json}\n\n',
+      sseDelta('ok'),
+      'data: [DONE]\n\n'
+    ]));
+
+    const result = await sendMessages({ url: '/vllm', apiKey: '', model: 'test' },
+      [{ role: 'user', content: 'Hello' }], null, undefined, 1000, { onDelta: jest.fn() });
+    expect(result).toBe('ok');
+  });
+
+  test('sendPrompt streams when onDelta is provided', async () => {
+    global.fetch.mockResolvedValue(mockStreamResponse([sseDelta('Streamed'), 'data: [DONE]\n\n']));
+    const onDelta = jest.fn();
+
+    const result = await sendPrompt({ url: '/vllm', apiKey: '', model: 'test' }, 'Hello', null, { onDelta });
+
+    expect(result).toBe('Streamed');
+    expect(onDelta).toHaveBeenCalledWith('Streamed', 'Streamed');
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+  });
+});
+
+// ============================================================================
+// Provider adapters
+// ============================================================================
+
+describe('provider adapters', () => {
+  let mockSignal;
+
+  const messages = [
+    { role: 'system', content: 'You are a lawyer.' },
+    { role: 'system', content: 'Be concise.' },
+    { role: 'user', content: 'Review this clause.' }
+  ];
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    mockSignal = { aborted: false, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+    global.AbortController = jest.fn().mockImplementation(() => ({
+      signal: mockSignal,
+      abort: jest.fn()
+    }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('exports the supported provider identifiers', () => {
+    expect(PROVIDERS).toEqual(['openai', 'anthropic', 'gemini']);
+  });
+
+  test('rejects an unknown provider', async () => {
+    await expect(
+      sendMessages({ url: '/x', apiKey: '', model: 'm', provider: 'cohere' }, messages)
+    ).rejects.toThrow('Unknown LLM provider: cohere');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  describe('profile settings', () => {
+    test('sends extra headers with requests and model listings', async () => {
+      const config = { url: '/gw', apiKey: 'k', model: 'm', headers: { 'X-Tenant': 'legal' } };
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ choices: [{ message: { content: 'x' } }], data: [] }) });
+
+      await sendMessages(config, messages);
+      await testConnection(config);
+
+      expect(global.fetch.mock.calls[0][1].headers).toMatchObject({ 'X-Tenant': 'legal', Authorization: 'Bearer k' });
+      expect(global.fetch.mock.calls[1][1].headers).toMatchObject({ 'X-Tenant': 'legal' });
+    });
+
+  });
+
+  describe('generation parameters', () => {
+    const generation = {
+      temperature: 0, topP: 0.9, maxTokens: 512, seed: 42, stop: ['END'], repetitionPenalty: 1.1,
+    };
+
+    beforeEach(() => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ choices: [], content: [], candidates: [] }) });
+    });
+
+    function sentBody() {
+      return JSON.parse(global.fetch.mock.calls[0][1].body);
+    }
+
+    test('maps all parameters onto the OpenAI-compatible body', async () => {
+      await sendMessages({ url: '/o', model: 'm', generation }, messages);
+
+      expect(sentBody()).toMatchObject({
+        temperature: 0, top_p: 0.9, max_tokens: 512, seed: 42, stop: ['END'], repetition_penalty: 1.1,
+      });
+    });
+
+    test('maps supported parameters for Anthropic, overriding the default max_tokens', async () => {
+      await sendMessages({ url: '/a', model: 'm', provider: 'anthropic', maxOutputTokens: 8192, generation }, messages);
+
+      const body = sentBody();
+      expect(body).toMatchObject({ temperature: 0, top_p: 0.9, max_tokens: 512, stop_sequences: ['END'] });
+      expect(body).not.toHaveProperty('seed');
+      expect(body).not.toHaveProperty('repetition_penalty');
+    });
+
+    test('maps supported parameters into the Gemini generationConfig', async () => {
+      await sendMessages({ url: '/g', model: 'm', provider: 'gemini', generation }, messages);
+
+      expect(sentBody().generationConfig).toEqual({
+        temperature: 0, topP: 0.9, maxOutputTokens: 512, seed: 42, stopSequences: ['END'],
+      });
+    });
+
+    test('per-call parameters override config.generation', async () => {
+      await sendMessages({ url: '/o', model: 'm', generation: { temperature: 0.8, seed: 1 } }, messages,
+        undefined, undefined, 120000, { generation: { temperature: 0 } });
+
+      expect(sentBody()).toMatchObject({ temperature: 0, seed: 1 });
+    });
+
+    test('omits parameters that are not set', async () => {
+      await sendMessages({ url: '/o', model: 'm' }, messages);
+
+      const body = sentBody();
+      for (const field of ['temperature', 'top_p', 'max_tokens', 'seed', 'stop', 'repetition_penalty']) {
+        expect(body).not.toHaveProperty(field);
+      }
+    });
+
+    test('resolveGenerationParams reports parameters the provider cannot send', () => {
+      expect(resolveGenerationParams({ provider: 'anthropic', generation }, { seed: 3 })).toEqual({
+        params: { temperature: 0, topP: 0.9, maxTokens: 512, stop: ['END'] },
+        ignored: ['seed', 'repetitionPenalty'],
+      });
+      expect(resolveGenerationParams({ generation }).ignored).toEqual([]);
+    });
+  });
+
+  describe('response format', () => {
+    const responseFormat = { name: 'shape', schema: { type: 'object' } };
+
+    test('openai sends a strict json_schema response_format', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ choices: [{ message: { content: '{}' } }] }) });
+
+      await sendMessages({ url: '/vllm', apiKey: '', model: 'm' }, messages, undefined, undefined, 1000, { responseFormat });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.response_format).toEqual({
+        type: 'json_schema',
+        json_schema: { name: 'shape', schema: { type: 'object' }, strict: true }
+      });
+    });
+
+    test('gemini sends a JSON mime type and schema', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ candidates: [] }) });
+
+      await sendMessages({ url: '/g', apiKey: 'k', model: 'm', provider: 'gemini' }, messages, undefined, undefined, 1000, { responseFormat });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.generationConfig).toEqual({ responseMimeType: 'application/json', responseJsonSchema: { type: 'object' } });
+    });
+
+    test('anthropic ignores it', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ content: [] }) });
+
+      await sendMessages({ url: '/a', apiKey: 'k', model: 'm', provider: 'anthropic' }, messages, undefined, undefined, 1000, { responseFormat });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(Object.keys(body).sort()).toEqual(['max_tokens', 'messages', 'model', 'stream', 'system']);
+    });
+
+    test('is omitted when not requested', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ choices: [{ message: { content: 'x' } }] }) });
+
+      await sendMessages({ url: '/vllm', apiKey: '', model: 'm' }, messages);
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).response_format).toBeUndefined();
+    });
+  });
+
+  describe('anthropic', () => {
+    const config = { url: 'https://gw.example/', apiKey: 'sk-ant', model: 'claude-test', provider: 'anthropic' };
+
+    test('posts to /v1/messages with x-api-key and version headers', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ content: [] }) });
+
+      await sendMessages(config, messages);
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://gw.example/v1/messages');
+      expect(init.headers['x-api-key']).toBe('sk-ant');
+      expect(init.headers['anthropic-version']).toBe('2023-06-01');
+      expect(init.headers['Authorization']).toBeUndefined();
+    });
+
+    test('moves system messages into the top-level system field', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ content: [] }) });
+
+      await sendMessages(config, messages);
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body).toEqual({
+        model: 'claude-test',
+        max_tokens: 4096,
+        system: 'You are a lawyer.\n\nBe concise.',
+        messages: [{ role: 'user', content: 'Review this clause.' }],
+        stream: false
+      });
+    });
+
+    test('merges consecutive same-role turns', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ content: [] }) });
+
+      await sendMessages(config, [
+        { role: 'user', content: 'Part one.' },
+        { role: 'user', content: 'Part two.' }
+      ]);
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.messages).toEqual([{ role: 'user', content: 'Part one.\n\nPart two.' }]);
+      expect(body.system).toBeUndefined();
+    });
+
+    test('joins text content blocks from the response', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          content: [
+            { type: 'text', text: 'Amended ' },
+            { type: 'tool_use', id: 't1' },
+            { type: 'text', text: 'clause.' }
+          ]
+        })
+      });
+
+      const result = await sendMessages(config, messages);
+      expect(result).toBe('Amended clause.');
+    });
+
+    test('streams content_block_delta events', async () => {
+      const event = (e) => `event: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`;
+      global.fetch.mockResolvedValue(mockStreamResponse([
+        event({ type: 'message_start', message: {} }),
+        event({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hello' } }),
+        event({ type: 'content_block_delta', delta: { type: 'text_delta', text: ' world' } }),
+        event({ type: 'message_stop' })
+      ]));
+      const onDelta = jest.fn();
+
+      const result = await sendMessages(config, messages, null, undefined, 1000, { onDelta });
+
+      expect(result).toBe('Hello world');
+      expect(onDelta.mock.calls.map((c) => c[0])).toEqual(['Hello', 'Hello world']);
+    });
+
+    test('testConnection lists models from /v1/models', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ data: [{ id: 'claude-a', type: 'model' }] })
+      });
+
+      const result = await testConnection(config);
+
+      expect(global.fetch.mock.calls[0][0]).toBe('https://gw.example/v1/models');
+      expect(global.fetch.mock.calls[0][1].headers['x-api-key']).toBe('sk-ant');
+      expect(result).toEqual({ connected: true, models: [{ id: 'claude-a' }] });
+    });
+  });
+
+  describe('gemini', () => {
+    const config = { url: 'https://gw.example', apiKey: 'g-key', model: 'gemini-test', provider: 'gemini' };
+
+    test('posts to generateContent with x-goog-api-key header', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ candidates: [] }) });
+
+      await sendMessages(config, messages);
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://gw.example/v1beta/models/gemini-test:generateContent');
+      expect(init.headers['x-goog-api-key']).toBe('g-key');
+    });
+
+    test('maps messages to contents and system messages to systemInstruction', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ candidates: [] }) });
+
+      await sendMessages(config, [
+        ...messages,
+        { role: 'assistant', content: 'Which clause?' },
+        { role: 'user', content: 'Clause 4.' }
+      ]);
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body).toEqual({
+        systemInstruction: { parts: [{ text: 'You are a lawyer.\n\nBe concise.' }] },
+        contents: [
+          { role: 'user', parts: [{ text: 'Review this clause.' }] },
+          { role: 'model', parts: [{ text: 'Which clause?' }] },
+          { role: 'user', parts: [{ text: 'Clause 4.' }] }
+        ]
+      });
+    });
+
+    test('extracts text parts from the first candidate', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          candidates: [{ content: { parts: [{ text: '<think>x</think>Amended' }, { text: ' text' }] } }]
+        })
+      });
+
+      const result = await sendMessages(config, messages);
+      expect(result).toBe('Amended text');
+    });
+
+    test('uses streamGenerateContent with alt=sse when streaming', async () => {
+      const chunk = (text) => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\n\n`;
+      global.fetch.mockResolvedValue(mockStreamResponse([chunk('Par'), chunk('tial')]));
+      const onDelta = jest.fn();
+
+      const result = await sendMessages(config, messages, null, undefined, 1000, { onDelta });
+
+      expect(global.fetch.mock.calls[0][0])
+        .toBe('https://gw.example/v1beta/models/gemini-test:streamGenerateContent?alt=sse');
+      expect(result).toBe('Partial');
+      expect(onDelta.mock.calls.map((c) => c[0])).toEqual(['Par', 'Partial']);
+    });
+
+    test('testConnection reports token limits from the model listing', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ models: [{ name: 'models/gemini-a', inputTokenLimit: 1000000, outputTokenLimit: 8192 }] })
+      });
+
+      const result = await testConnection(config);
+      expect(result.models).toEqual([{ id: 'gemini-a', contextWindow: 1008192, maxOutputTokens: 8192 }]);
+    });
+
+    test('testConnection strips the models/ prefix from model names', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ models: [{ name: 'models/gemini-a' }, { name: 'models/gemini-b' }] })
+      });
+
+      const result = await testConnection(config);
+
+      expect(global.fetch.mock.calls[0][0]).toBe('https://gw.example/v1beta/models');
+      expect(result).toEqual({ connected: true, models: [{ id: 'gemini-a' }, { id: 'gemini-b' }] });
+    });
+  });
+});
+
+// ============================================================================
+// Retry policy
+// ============================================================================
+
+describe('parseRetryAfter', () => {
+  test('parses delay-seconds values', () => {
+    expect(parseRetryAfter('5')).toBe(5000);
+    expect(parseRetryAfter('0.5')).toBe(500);
+  });
+
+  test('parses HTTP-date values relative to now', () => {
+    const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:03 GMT', now)).toBe(3000);
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT', now)).toBe(0);
+  });
+
+  test('returns null for missing or unparseable values', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('retry policy', () => {
+  let mockSignal;
+  const retry = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5, jitter: 0 };
+  const config = { url: '/vllm', apiKey: '', model: 'test', retry };
+  const ok = (content) => ({ ok: true, json: async () => ({ choices: [{ message: { content } }] }) });
+  const fail = (status, retryAfter) => ({
+    ok: false,
+    status,
+    statusText: 'Error',
+    headers: { get: (name) => (name === 'Retry-After' ? retryAfter : null) }
+  });
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    mockSignal = { aborted: false, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+    global.AbortController = jest.fn().mockImplementation(() => ({
+      signal: mockSignal,
+      abort: jest.fn()
+    }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('does not retry by default', async () => {
+    global.fetch.mockResolvedValue(fail(503));
+
+    await expect(
+      sendMessages({ url: '/vllm', apiKey: '', model: 'test' }, [{ role: 'user', content: 'Hi' }])
+    ).rejects.toThrow('HTTP 503');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries 429 and 5xx responses until success and logs each retry', async () => {
+    global.fetch
+      .mockResolvedValueOnce(fail(429))
+      .mockResolvedValueOnce(fail(502))
+      .mockResolvedValueOnce(ok('recovered'));
+    const log = jest.fn();
+
+    const result = await sendMessages(config, [{ role: 'user', content: 'Hi' }], log);
+
+    expect(result).toBe('recovered');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    const warnings = log.mock.calls.filter((c) => c[1] === 'warning').map((c) => c[0]);
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toContain('HTTP 429');
+    expect(warnings[0]).toContain('attempt 2/3');
+    expect(warnings[1]).toContain('attempt 3/3');
+  });
+
+  test('throws the last error with its status once attempts are exhausted', async () => {
+    global.fetch.mockResolvedValue(fail(500));
+
+    const err = await sendMessages(config, [{ role: 'user', content: 'Hi' }]).catch((e) => e);
+
+    expect(err.message).toBe('HTTP 500: Error');
+    expect(err.status).toBe(500);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry other 4xx responses', async () => {
+    global.fetch.mockResolvedValue(fail(400));
+
+    await expect(sendMessages(config, [{ role: 'user', content: 'Hi' }])).rejects.toThrow('HTTP 400');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries network failures (TypeError from fetch)', async () => {
+    global.fetch
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(ok('back online'));
+
+    const result = await sendMessages(config, [{ role: 'user', content: 'Hi' }]);
+    expect(result).toBe('back online');
+  });
+
+  test('never retries after an AbortError', async () => {
+    global.fetch.mockRejectedValue(new DOMException('The operation was aborted.', 'AbortError'));
+
+    await expect(sendMessages(config, [{ role: 'user', content: 'Hi' }])).rejects.toThrow('aborted');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('honors Retry-After, capped at maxDelayMs', async () => {
+    jest.useFakeTimers();
+    try {
+      global.fetch
+        .mockResolvedValueOnce(fail(429, '2'))
+        .mockResolvedValueOnce(ok('done'));
+      const log = jest.fn();
+      const policy = { maxAttempts: 2, baseDelayMs: 10, maxDelayMs: 60000, jitter: 0 };
+
+      const promise = sendMessages({ ...config, retry: policy }, [{ role: 'user', content: 'Hi' }], log);
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1);
+      await expect(promise).resolves.toBe('done');
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('retrying in 2.0s'), 'warning');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('aborting during the backoff wait rejects with AbortError', async () => {
+    const listeners = [];
+    const signal = {
+      aborted: false,
+      addEventListener: jest.fn((type, fn) => listeners.push(fn)),
+      removeEventListener: jest.fn()
+    };
+    global.fetch.mockResolvedValue(fail(503));
+    const slow = { ...config, retry: { maxAttempts: 3, baseDelayMs: 60000, maxDelayMs: 60000, jitter: 0 } };
+
+    const promise = sendMessages(slow, [{ role: 'user', content: 'Hi' }], null, signal);
+    await new Promise((r) => setTimeout(r, 0));
+    listeners.forEach((fn) => fn());
+
+    await expect(promise).rejects.toThrow('aborted');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('sendPrompt uses the same retry policy', async () => {
+    global.fetch
+      .mockResolvedValueOnce(fail(503))
+      .mockResolvedValueOnce(ok('prompt ok'));
+
+    const result = await sendPrompt(config, 'Hello');
+    expect(result).toBe('prompt ok');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+// ============================================================================
+// Token usage
+// ============================================================================
+
+describe('token usage', () => {
+  let mockSignal;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    mockSignal = { aborted: false, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+    global.AbortController = jest.fn().mockImplementation(() => ({
+      signal: mockSignal,
+      abort: jest.fn()
+    }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  const hello = [{ role: 'user', content: 'Hello' }];
+
+  test('returns plain text unless includeUsage is set', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: 'Hi' } }], usage: { prompt_tokens: 3, completion_tokens: 1 } })
+    });
+
+    const result = await sendMessages({ url: '/vllm', apiKey: '', model: 'test' }, hello);
+    expect(result).toBe('Hi');
+  });
+
+  test('normalizes OpenAI-compatible usage', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        choices: [{ message: { content: '<think>x</think>Hi' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 }
+      })
+    });
+
+    const result = await sendMessages({ url: '/vllm', apiKey: '', model: 'test' }, hello,
+      null, undefined, 1000, { includeUsage: true });
+
+    expect(result).toEqual({ text: 'Hi', usage: { promptTokens: 12, completionTokens: 4, totalTokens: 16 } });
+  });
+
+  test('returns null usage when the backend omits it', async () => {
+    global.fetch.mockResolvedValue({ ok: true, json: async () => ({ choices: [{ message: { content: 'Hi' } }] }) });
+
+    const result = await sendPrompt({ url: '/vllm', apiKey: '', model: 'test' }, 'Hello', null, { includeUsage: true });
+    expect(result).toEqual({ text: 'Hi', usage: null });
+  });
+
+  test('requests and reads usage from the final OpenAI stream event', async () => {
+    global.fetch.mockResolvedValue(mockStreamResponse([
+      sseDelta('Hi'),
+      `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 5, completion_tokens: 1, total_tokens: 6 } })}\n\n`,
+      'data: [DONE]\n\n'
+    ]));
+
+    const result = await sendMessages({ url: '/vllm', apiKey: '', model: 'test' }, hello,
+      null, undefined, 1000, { onDelta: jest.fn(), includeUsage: true });
+
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream_options).toEqual({ include_usage: true });
+    expect(result.usage).toEqual({ promptTokens: 5, completionTokens: 1, totalTokens: 6 });
+  });
+
+  test('reads a final stream event that has no trailing newline', async () => {
+    global.fetch.mockResolvedValue(mockStreamResponse([
+      sseDelta('Hi'),
+      `data: ${JSON.stringify({ choices: [{ delta: { content: '!' } }], usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } })}`
+    ]));
+    const onDelta = jest.fn();
+
+    const result = await sendMessages({ url: '/vllm', apiKey: '', model: 'test' }, hello,
+      null, undefined, 1000, { onDelta, includeUsage: true });
+
+    expect(result.text).toBe('Hi!');
+    expect(result.usage).toEqual({ promptTokens: 5, completionTokens: 2, totalTokens: 7 });
+    expect(onDelta).toHaveBeenCalledTimes(2);
+  });
+
+  test('normalizes Anthropic usage and computes the total', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ content: [{ type: 'text', text: 'Hi' }], usage: { input_tokens: 20, output_tokens: 7 } })
+    });
+
+    const result = await sendMessages({ url: '/a', apiKey: '', model: 'c', provider: 'anthropic' }, hello,
+      null, undefined, 1000, { includeUsage: true });
+
+    expect(result.usage).toEqual({ promptTokens: 20, completionTokens: 7, totalTokens: 27 });
+  });
+
+  test('merges Anthropic streaming usage from message_start and message_delta', async () => {
+    const event = (e) => `event: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`;
+    global.fetch.mockResolvedValue(mockStreamResponse([
+      event({ type: 'message_start', message: { usage: { input_tokens: 30, output_tokens: 1 } } }),
+      event({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hi' } }),
+      event({ type: 'message_delta', usage: { output_tokens: 9 } }),
+      event({ type: 'message_stop' })
+    ]));
+
+    const result = await sendMessages({ url: '/a', apiKey: '', model: 'c', provider: 'anthropic' }, hello,
+      null, undefined, 1000, { onDelta: jest.fn(), includeUsage: true });
+
+    expect(result).toEqual({ text: 'Hi', usage: { promptTokens: 30, completionTokens: 9, totalTokens: 39 } });
+  });
+
+  test('normalizes Gemini usageMetadata', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        candidates: [{ content: { parts: [{ text: 'Hi' }] } }],
+        usageMetadata: { promptTokenCount: 8, candidatesTokenCount: 2, totalTokenCount: 10 }
+      })
+    });
+
+    const result = await sendMessages({ url: '/g', apiKey: '', model: 'g', provider: 'gemini' }, hello,
+      null, undefined, 1000, { includeUsage: true });
+
+    expect(result.usage).toEqual({ promptTokens: 8, completionTokens: 2, totalTokens: 10 });
+  });
+});
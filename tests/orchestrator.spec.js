@@ -6,11 +6,15 @@
  * - ORCH-01: Parallel dispatch with concurrency limit
  * - ORCH-02: Partial failure handling (Promise.allSettled semantics)
  * - ORCH-03: Cancellation via AbortController
- * - ORCH-04: Progress tracking with accurate counts
+ * - ORCH-04: Progress tracking with accurate counts, per-chunk result callback
  * - Prompt composition per chunk (amendment, comment, merged modes)
  * - Context prefix inclusion in system message
+ * - Cross-chunk consistency pass (flag / re-request)
+ * - Adaptive concurrency (ramp-up, back-off on timeouts)
+ * - Response cache (hits, changed chunks, bypass)
  */
 const { processChunksParallel } = require('../src/lib/orchestrator.js');
+const { createMemoryResponseCache } = require('../src/lib/response-cache.js');
 
 // --- Mock Helpers ---
 
@@ -23,6 +27,7 @@ function mockChunk(id, text, startIndex, endIndex, opts = {}) {
     tokenCount: Math.ceil(text.length / 4),
     sectionTitle: opts.sectionTitle || '',
     overlapBefore: opts.overlapBefore || '',
+    overlapAfter: opts.overlapAfter || '',
   };
 }
 
@@ -354,6 +359,31 @@ describe('processChunksParallel', () => {
       expect(last.failed).toBe(1);
       expect(last.total).toBe(3);
     });
+
+    test('onResult receives each settled ChunkResult, including failures', async () => {
+      const chunks = [
+        mockChunk('chunk-0', 'chunk-text-0 Party', 0, 2),
+        mockChunk('chunk-1', 'chunk-text-1 Party', 3, 5),
+      ];
+      const settled = [];
+
+      const results = await processChunksParallel(chunks, {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log,
+        sendMessagesFn: mockSendMessages({ response: 'Amended', failOnChunkIndex: new Set([1]) }),
+        formatContextPrefixFn: () => 'CONTEXT PREFIX',
+        concurrency: 1,
+        onResult: (result) => settled.push(result),
+      });
+
+      expect(settled.map((r) => [r.chunkId, r.status])).toEqual([
+        ['chunk-0', 'fulfilled'],
+        ['chunk-1', 'rejected'],
+      ]);
+      expect(settled[0]).toBe(results[0]);
+    });
   });
 
   describe('prompt composition per mode', () => {
@@ -554,6 +584,27 @@ describe('processChunksParallel', () => {
       expect(userMsg.content).toContain('[END TEXT]');
     });
 
+    test('trailing overlap follows the text to amend, in context markers', async () => {
+      const chunks = [
+        mockChunk('chunk-0', 'chunk-text-0 Party', 0, 2, { overlapAfter: 'Next paragraph text' }),
+      ];
+      let capturedMessages = null;
+
+      await processChunksParallel(chunks, {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log,
+        sendMessagesFn: async (config, messages) => {
+          capturedMessages = messages;
+          return 'Amended';
+        },
+      });
+
+      const userMsg = capturedMessages.find((m) => m.role === 'user');
+      expect(userMsg.content).toContain('[END TEXT]\n\n[CONTEXT - DO NOT AMEND]\nNext paragraph text\n[END CONTEXT]');
+    });
+
     test('chunk result includes reference to original chunk', async () => {
       const chunk = mockChunk('chunk-0', 'chunk-text-0 Party', 0, 2);
       const chunks = [chunk];
@@ -652,6 +703,658 @@ describe('processChunksParallel', () => {
     });
   });
 
+  describe('streaming', () => {
+    test('passes onDelta to sendMessages and reports partial text through onProgress', async () => {
+      const chunks = [mockChunk('chunk-0', 'original text', 0, 2, { sectionTitle: 'Definitions' })];
+      const progressCalls = [];
+
+      const results = await processChunksParallel(chunks, {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log,
+        stream: true,
+        onProgress: (p) => progressCalls.push(p),
+        sendMessagesFn: async (config, messages, logFn, signal, timeoutMs, options) => {
+          options.onDelta('Amen');
+          options.onDelta('Amended');
+          return 'Amended';
+        },
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(results[0].amendment).toBe('Amended');
+      const partials = progressCalls.filter((p) => p.partial);
+      expect(partials.map((p) => p.partial.text)).toEqual(['Amen', 'Amended']);
+      expect(partials[0].partial.chunkId).toBe('chunk-0');
+      expect(partials[0].partial.sectionTitle).toBe('Definitions');
+      expect(partials[0].completed).toBe(0);
+
+      // Final settled update carries no partial preview
+      expect(progressCalls[progressCalls.length - 1].partial).toBeUndefined();
+      expect(progressCalls[progressCalls.length - 1].completed).toBe(1);
+    });
+
+    test('does not request streaming by default', async () => {
+      const chunks = [mockChunk('chunk-0', 'original text', 0, 2)];
+      let receivedOptions = null;
+
+      await processChunksParallel(chunks, {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log,
+        sendMessagesFn: async (config, messages, logFn, signal, timeoutMs, options) => {
+          receivedOptions = options;
+          return 'Amended';
+        },
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(receivedOptions.onDelta).toBeUndefined();
+    });
+  });
+
+  describe('token usage', () => {
+    test('attaches usage and the prompt estimate to each fulfilled result', async () => {
+      const chunks = [mockChunk('chunk-0', 'original text', 0, 2)];
+      let receivedOptions = null;
+
+      const results = await processChunksParallel(chunks, {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log,
+        sendMessagesFn: async (config, messages, logFn, signal, timeoutMs, options) => {
+          receivedOptions = options;
+          return { text: 'Amended', usage: { promptTokens: 120, completionTokens: 8, totalTokens: 128 } };
+        },
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(receivedOptions.includeUsage).toBe(true);
+      expect(results[0].amendment).toBe('Amended');
+      expect(results[0].usage).toEqual({ promptTokens: 120, completionTokens: 8, totalTokens: 128 });
+      expect(results[0].estimatedPromptTokens).toBeGreaterThan(0);
+    });
+
+    test('accepts plain string replies and leaves usage null', async () => {
+      const chunks = [mockChunk('chunk-0', 'original text', 0, 2)];
+
+      const results = await processChunksParallel(chunks, {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log,
+        sendMessagesFn: mockSendMessages(),
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(results[0].status).toBe('fulfilled');
+      expect(results[0].usage).toBeNull();
+    });
+
+    test('logs the total usage across chunks', async () => {
+      const chunks = [
+        mockChunk('chunk-0', 'first', 0, 1),
+        mockChunk('chunk-1', 'second', 1, 2),
+      ];
+      const logFn = jest.fn();
+
+      await processChunksParallel(chunks, {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log: logFn,
+        sendMessagesFn: async () => ({
+          text: 'Amended',
+          usage: { promptTokens: 1000, completionTokens: 50, totalTokens: 1050 },
+        }),
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(logFn).toHaveBeenCalledWith(
+        expect.stringContaining('LLM usage: 2,100 tokens (2,000 in / 100 out) across 2 chunk(s)'),
+        'info'
+      );
+    });
+
+    test('does not log usage when no chunk reported it', async () => {
+      const logFn = jest.fn();
+
+      await processChunksParallel([mockChunk('chunk-0', 'text', 0, 1)], {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log: logFn,
+        sendMessagesFn: mockSendMessages(),
+        formatContextPrefixFn: () => '',
+      });
+
+      const usageLogs = logFn.mock.calls.filter((c) => String(c[0]).startsWith('LLM usage'));
+      expect(usageLogs).toHaveLength(0);
+    });
+  });
+
+  describe('token budget', () => {
+    test('passes contextPrefixTokens to formatContextPrefix', async () => {
+      const formatContextPrefixFn = jest.fn(() => '');
+
+      await processChunksParallel([mockChunk('chunk-0', 'text', 0, 1)], {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log,
+        contextPrefixTokens: 1234,
+        sendMessagesFn: mockSendMessages(),
+        formatContextPrefixFn,
+      });
+
+      expect(formatContextPrefixFn.mock.calls[0][2]).toBe(1234);
+    });
+
+    test('defaults the context prefix budget to 4000 tokens', async () => {
+      const formatContextPrefixFn = jest.fn(() => '');
+
+      await processChunksParallel([mockChunk('chunk-0', 'text', 0, 1)], {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log,
+        sendMessagesFn: mockSendMessages(),
+        formatContextPrefixFn,
+      });
+
+      expect(formatContextPrefixFn.mock.calls[0][2]).toBe(4000);
+    });
+
+    test('warns but still sends when the prompt exceeds the input budget', async () => {
+      const logFn = jest.fn();
+      const sendMessagesFn = mockSendMessages();
+
+      const results = await processChunksParallel([mockChunk('chunk-0', 'x'.repeat(4000), 0, 1)], {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log: logFn,
+        inputBudget: 500,
+        sendMessagesFn,
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(results[0].status).toBe('fulfilled');
+      expect(logFn).toHaveBeenCalledWith(expect.stringContaining('over the model\'s 500-token input budget'), 'warning');
+    });
+
+    test('does not warn when the prompt fits', async () => {
+      const logFn = jest.fn();
+
+      await processChunksParallel([mockChunk('chunk-0', 'short', 0, 1)], {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log: logFn,
+        inputBudget: 100000,
+        sendMessagesFn: mockSendMessages(),
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(logFn.mock.calls.filter((c) => c[1] === 'warning')).toHaveLength(0);
+    });
+  });
+
+  describe('structured output', () => {
+    const structuredReply = JSON.stringify({
+      amendment: 'Structured amendment',
+      comments: [{ quote: 'original', text: 'Check this' }],
+      rationale: 'Clarified wording',
+    });
+
+    test('requests the JSON schema and parses the structured reply', async () => {
+      let receivedMessages = null;
+      let receivedOptions = null;
+
+      const results = await processChunksParallel([mockChunk('chunk-0', 'original text', 0, 1)], {
+        config: defaultConfig,
+        promptManager: mockPromptManager('both'),
+        documentContext: mockDocumentContext(),
+        log,
+        commentInstructions: 'Flag risks',
+        structuredOutput: true,
+        sendMessagesFn: async (config, messages, logFn, signal, timeoutMs, options) => {
+          receivedMessages = messages;
+          receivedOptions = options;
+          return structuredReply;
+        },
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(receivedOptions.responseFormat.schema.required).toContain('amendment');
+      const userMsg = receivedMessages.find((m) => m.role === 'user');
+      expect(userMsg.content).toContain('Flag risks');
+      expect(userMsg.content).not.toContain('===AMENDMENT===');
+
+      expect(results[0].amendment).toBe('Structured amendment');
+      expect(results[0].comment).toBe('"original": Check this');
+      expect(results[0].comments).toEqual([{ quote: 'original', text: 'Check this' }]);
+      expect(results[0].rationale).toBe('Clarified wording');
+    });
+
+    test('falls back to delimiters and logs a warning for invalid JSON', async () => {
+      const logFn = jest.fn();
+
+      const results = await processChunksParallel([mockChunk('chunk-0', 'text', 0, 1)], {
+        config: defaultConfig,
+        promptManager: mockPromptManager('both'),
+        documentContext: mockDocumentContext(),
+        log: logFn,
+        commentInstructions: 'Flag risks',
+        structuredOutput: true,
+        sendMessagesFn: mockSendMessages({ response: '===AMENDMENT===\nRevised\n===COMMENT===\nNote' }),
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(results[0].amendment).toBe('Revised');
+      expect(results[0].comment).toBe('Note');
+      expect(logFn).toHaveBeenCalledWith(expect.stringContaining('structured response rejected'), 'warning');
+    });
+
+    test('is not used without comment instructions', async () => {
+      let receivedOptions = null;
+
+      await processChunksParallel([mockChunk('chunk-0', 'text', 0, 1)], {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log,
+        structuredOutput: true,
+        sendMessagesFn: async (config, messages, logFn, signal, timeoutMs, options) => {
+          receivedOptions = options;
+          return 'Amended';
+        },
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(receivedOptions.responseFormat).toBeUndefined();
+    });
+
+    test('logs when a merged reply has no sections at all', async () => {
+      const logFn = jest.fn();
+
+      const results = await processChunksParallel([mockChunk('chunk-0', 'text', 0, 1)], {
+        config: defaultConfig,
+        promptManager: mockPromptManager('both'),
+        documentContext: mockDocumentContext(),
+        log: logFn,
+        commentInstructions: 'Flag risks',
+        sendMessagesFn: mockSendMessages({ response: 'Just some text' }),
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(results[0].amendment).toBe('Just some text');
+      expect(logFn).toHaveBeenCalledWith(expect.stringContaining('no amendment/comment sections'), 'warning');
+    });
+  });
+
+  describe('fallback classification', () => {
+    function classifyingSend(classifyReply) {
+      const calls = [];
+      const fn = async (config, messages, logFn, signal, timeoutMs, options) => {
+        calls.push(messages);
+        if (calls.length === 1) {
+          return { text: 'Rewritten clause. I changed the wording.', usage: { promptTokens: 100, completionTokens: 10, totalTokens: 110 } };
+        }
+        if (classifyReply instanceof Error) throw classifyReply;
+        return { text: classifyReply, usage: { promptTokens: 50, completionTokens: 5, totalTokens: 55 } };
+      };
+      fn.calls = calls;
+      return fn;
+    }
+
+    test('splits an unsectioned merged reply with a second call', async () => {
+      const sendMessagesFn = classifyingSend('===AMENDMENT===\nRewritten clause.\n===COMMENT===\nI changed the wording.');
+      const logFn = jest.fn();
+
+      const results = await processChunksParallel([mockChunk('chunk-0', 'original clause', 0, 1)], {
+        config: defaultConfig,
+        promptManager: mockPromptManager('both'),
+        documentContext: mockDocumentContext(),
+        log: logFn,
+        commentInstructions: 'Explain changes',
+        classifyFallback: true,
+        sendMessagesFn,
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(sendMessagesFn.calls).toHaveLength(2);
+      expect(sendMessagesFn.calls[1][1].content).toContain('original clause');
+      expect(sendMessagesFn.calls[1][1].content).toContain('Rewritten clause. I changed the wording.');
+      expect(results[0].amendment).toBe('Rewritten clause.');
+      expect(results[0].comment).toBe('I changed the wording.');
+      expect(results[0].usage).toEqual({ promptTokens: 150, completionTokens: 15, totalTokens: 165 });
+      expect(logFn).toHaveBeenCalledWith(expect.stringContaining('running fallback classification'), 'info');
+    });
+
+    test('uses the whole reply as the amendment when classification fails', async () => {
+      const sendMessagesFn = classifyingSend(new Error('boom'));
+      const logFn = jest.fn();
+
+      const results = await processChunksParallel([mockChunk('chunk-0', 'original clause', 0, 1)], {
+        config: defaultConfig,
+        promptManager: mockPromptManager('both'),
+        documentContext: mockDocumentContext(),
+        log: logFn,
+        commentInstructions: 'Explain changes',
+        classifyFallback: true,
+        sendMessagesFn,
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(results[0].status).toBe('fulfilled');
+      expect(results[0].amendment).toBe('Rewritten clause. I changed the wording.');
+      expect(logFn).toHaveBeenCalledWith(expect.stringContaining('fallback classification failed -- boom'), 'warning');
+    });
+
+    test('is skipped when disabled or when the reply has sections', async () => {
+      const disabled = classifyingSend('unused');
+      await processChunksParallel([mockChunk('chunk-0', 'text', 0, 1)], {
+        config: defaultConfig,
+        promptManager: mockPromptManager('both'),
+        documentContext: mockDocumentContext(),
+        log,
+        commentInstructions: 'Explain changes',
+        sendMessagesFn: disabled,
+        formatContextPrefixFn: () => '',
+      });
+      expect(disabled.calls).toHaveLength(1);
+
+      const sectioned = jest.fn().mockResolvedValue('===AMENDMENT===\nA\n===COMMENT===\nC');
+      await processChunksParallel([mockChunk('chunk-0', 'text', 0, 1)], {
+        config: defaultConfig,
+        promptManager: mockPromptManager('both'),
+        documentContext: mockDocumentContext(),
+        log,
+        commentInstructions: 'Explain changes',
+        classifyFallback: true,
+        sendMessagesFn: sectioned,
+        formatContextPrefixFn: () => '',
+      });
+      expect(sectioned).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('consistency pass', () => {
+    const context = {
+      definitions: [{ term: 'Supplier', definition: '"Supplier" means ACME Ltd', paragraphIndex: 0 }],
+      abbreviations: [],
+      outline: [],
+    };
+    const chunks = () => [
+      mockChunk('chunk-0', 'The Supplier shall deliver the Goods.', 0, 0),
+      mockChunk('chunk-1', 'The Supplier shall invoice monthly.', 1, 1),
+    ];
+
+    // Renames the term in chunk-0 only, unless asked to carry changes over
+    function renamingResponse(calls) {
+      return (messages) => {
+        const user = messages.find((m) => m.role === 'user').content;
+        calls.push(user);
+        if (user.includes('deliver')) return 'The Vendor shall deliver the Goods.';
+        if (user.includes('CONSISTENCY NOTE')) return 'The Vendor shall invoice monthly.';
+        return 'The Supplier shall invoice monthly.';
+      };
+    }
+
+    test('is off by default', async () => {
+      const calls = [];
+      const results = await processChunksParallel(chunks(), {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: context,
+        log,
+        sendMessagesFn: mockSendMessages({ response: renamingResponse(calls) }),
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(calls).toHaveLength(2);
+      expect(results[1].comment).toBeNull();
+    });
+
+    test('flag mode logs the conflict and comments on the chunk that missed the change', async () => {
+      const calls = [];
+      const logs = [];
+      const onResult = jest.fn();
+      const results = await processChunksParallel(chunks(), {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: context,
+        log: (msg, type) => logs.push({ msg, type }),
+        onResult,
+        consistencyCheck: 'flag',
+        sendMessagesFn: mockSendMessages({ response: renamingResponse(calls) }),
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(calls).toHaveLength(2);
+      expect(logs).toContainEqual({
+        msg: 'Consistency: Defined term "Supplier" changed to "Vendor" (chunk-0) but unchanged in chunk-1',
+        type: 'warning',
+      });
+      expect(results[1].comment).toMatch(/^Consistency check: elsewhere in the document the defined term "Supplier"/);
+      expect(results[0].comment).toBeNull();
+      // Flagged result is reported again so run state sees the comment
+      expect(onResult).toHaveBeenLastCalledWith(results[1]);
+    });
+
+    test('reprompt mode re-requests the chunk with a note describing the change', async () => {
+      const calls = [];
+      const results = await processChunksParallel(chunks(), {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: context,
+        log,
+        consistencyCheck: 'reprompt',
+        sendMessagesFn: mockSendMessages({ response: renamingResponse(calls) }),
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(calls).toHaveLength(3);
+      expect(calls[2]).toContain('The Supplier shall invoice monthly.');
+      expect(calls[2]).toContain('- The defined term "Supplier" was changed to "Vendor".');
+      expect(results[1].amendment).toBe('The Vendor shall invoice monthly.');
+      expect(results[1].comment).toBeNull();
+    });
+
+    test('reprompt mode keeps the first result and flags it when the re-request fails', async () => {
+      const progress = [];
+      const results = await processChunksParallel(chunks(), {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: context,
+        log,
+        onProgress: (p) => progress.push(p),
+        consistencyCheck: 'reprompt',
+        sendMessagesFn: mockSendMessages({
+          response: (messages) => {
+            const user = messages.find((m) => m.role === 'user').content;
+            if (user.includes('CONSISTENCY NOTE')) throw new Error('server down');
+            return user.includes('deliver') ? 'The Vendor shall deliver the Goods.' : 'The Supplier shall invoice monthly.';
+          },
+        }),
+        formatContextPrefixFn: () => '',
+      });
+
+      expect(results[1].status).toBe('fulfilled');
+      expect(results[1].amendment).toBe('The Supplier shall invoice monthly.');
+      expect(results[1].comment).toMatch(/^Consistency check:/);
+      const last = progress[progress.length - 1];
+      expect(last.completed).toBe(2);
+      expect(last.failed).toBe(0);
+    });
+  });
+
+  describe('adaptive concurrency', () => {
+    function chunkList(count) {
+      return Array.from({ length: count }, (_, i) => mockChunk(`chunk-${i}`, `chunk-text-${i} Party`, i, i));
+    }
+
+    test('starts with one request and ramps up while latency is stable', async () => {
+      const tracker = { inFlight: 0, maxInFlight: 0 };
+      const inFlightAtCall = [];
+      const send = mockSendMessages({ delayMs: 10, tracker });
+      const progressEvents = [];
+
+      await processChunksParallel(chunkList(12), {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log,
+        onProgress: (p) => progressEvents.push(p.concurrency),
+        sendMessagesFn: (...args) => {
+          inFlightAtCall.push(tracker.inFlight + 1);
+          return send(...args);
+        },
+        concurrency: 8,
+        adaptiveConcurrency: true,
+      });
+
+      expect(inFlightAtCall[0]).toBe(1);
+      expect(inFlightAtCall[1]).toBe(1);
+      expect(tracker.maxInFlight).toBeGreaterThan(1);
+      expect(tracker.maxInFlight).toBeLessThanOrEqual(8);
+      expect(progressEvents[progressEvents.length - 1]).toBeGreaterThan(progressEvents[0] - 1);
+      expect(Math.max(...progressEvents)).toBeGreaterThan(1);
+    });
+
+    test('lowers the limit on timeouts and reports it through onProgress', async () => {
+      const logs = [];
+      const progressEvents = [];
+
+      const results = await processChunksParallel(chunkList(10), {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log: (message, type) => logs.push({ message, type }),
+        onProgress: (p) => progressEvents.push(p.concurrency),
+        sendMessagesFn: async (config, messages) => {
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          if (messages[messages.length - 1].content.includes('chunk-text-6 ')) {
+            throw Object.assign(new Error('Request timed out'), { name: 'TimeoutError' });
+          }
+          return 'Amended';
+        },
+        concurrency: 8,
+        adaptiveConcurrency: true,
+      });
+
+      expect(results.filter((r) => r.status === 'rejected').map((r) => r.chunkId)).toEqual(['chunk-6']);
+      expect(logs.some((l) => /concurrency lowered to \d/.test(l.message) && l.type === 'warning')).toBe(true);
+      const peak = progressEvents.indexOf(Math.max(...progressEvents));
+      expect(Math.min(...progressEvents.slice(peak))).toBeLessThan(progressEvents[peak]);
+    });
+
+    test('reports the fixed concurrency when not adaptive', async () => {
+      const progressEvents = [];
+      await processChunksParallel(chunkList(3), {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log,
+        onProgress: (p) => progressEvents.push(p.concurrency),
+        sendMessagesFn: mockSendMessages(),
+        concurrency: 3,
+      });
+      expect(progressEvents).toEqual([3, 3, 3]);
+    });
+  });
+
+  describe('response cache', () => {
+    const chunksFor = (texts) => texts.map((text, i) => mockChunk(`chunk-${i}`, text, i, i));
+
+    function run(chunks, responseCache, extra = {}) {
+      const send = jest.fn(async (config, messages) => ({
+        text: `Amended: ${messages[messages.length - 1].content.length}`,
+        usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+      }));
+      const progress = [];
+      const logs = [];
+      const promise = processChunksParallel(chunks, {
+        config: defaultConfig,
+        promptManager: mockPromptManager('amendment'),
+        documentContext: mockDocumentContext(),
+        log: (message, type) => logs.push({ message, type }),
+        onProgress: (p) => progress.push(p.cacheHits),
+        sendMessagesFn: send,
+        responseCache,
+        ...extra,
+      });
+      return promise.then((results) => ({ results, send, progress, logs }));
+    }
+
+    test('answers an unchanged re-run from the cache', async () => {
+      const cache = createMemoryResponseCache();
+      const texts = ['The Supplier shall deliver.', 'The Customer shall pay.', 'Notices in writing.'];
+      const first = await run(chunksFor(texts), cache);
+      expect(first.send).toHaveBeenCalledTimes(3);
+      expect(first.results.every((r) => !r.cached)).toBe(true);
+
+      const second = await run(chunksFor(texts), cache);
+      expect(second.send).not.toHaveBeenCalled();
+      expect(second.results.map((r) => r.amendment)).toEqual(first.results.map((r) => r.amendment));
+      expect(second.results.every((r) => r.cached && r.usage === null)).toBe(true);
+      expect(second.progress[second.progress.length - 1]).toBe(3);
+      expect(second.logs).toContainEqual({ message: 'Response cache: 3 of 3 chunk(s) answered from cache', type: 'info' });
+    });
+
+    test('sends only the chunks whose text changed', async () => {
+      const cache = createMemoryResponseCache();
+      await run(chunksFor(['The Supplier shall deliver.', 'The Customer shall pay.']), cache);
+      const second = await run(chunksFor(['The Supplier shall deliver.', 'The Customer shall pay promptly.']), cache);
+      expect(second.send).toHaveBeenCalledTimes(1);
+      expect(second.results.map((r) => r.cached)).toEqual([true, false]);
+    });
+
+    test('bypassCache sends every request but refreshes the cache', async () => {
+      const cache = createMemoryResponseCache();
+      const texts = ['The Supplier shall deliver.'];
+      await run(chunksFor(texts), cache);
+      const bypassed = await run(chunksFor(texts), cache, { bypassCache: true });
+      expect(bypassed.send).toHaveBeenCalledTimes(1);
+      expect(bypassed.results[0].cached).toBe(false);
+
+      const third = await run(chunksFor(texts), cache);
+      expect(third.send).not.toHaveBeenCalled();
+    });
+
+    test('cache hits do not raise the adaptive concurrency limit', async () => {
+      const cache = createMemoryResponseCache();
+      const texts = Array.from({ length: 12 }, (_, i) => `Clause ${i} of the agreement.`);
+      await run(chunksFor(texts), cache);
+
+      const limits = [];
+      const second = await run(chunksFor(texts), cache, {
+        concurrency: 16,
+        adaptiveConcurrency: true,
+        onProgress: (p) => limits.push(p.concurrency),
+      });
+
+      expect(second.send).not.toHaveBeenCalled();
+      expect(Math.max(...limits)).toBe(1);
+      expect(second.logs.some((l) => l.message.startsWith('Concurrency raised'))).toBe(false);
+    });
+
+    test('a failing cache lookup falls back to the LLM', async () => {
+      const cache = {
+        get: jest.fn().mockRejectedValue(new Error('read failed')),
+        set: jest.fn().mockResolvedValue(undefined),
+      };
+      const { results, send, logs } = await run(chunksFor(['The Supplier shall deliver.']), cache);
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(results[0].status).toBe('fulfilled');
+      expect(logs.some((l) => l.type === 'warning' && l.message.includes('response cache lookup failed'))).toBe(true);
+    });
+  });
+
   describe('edge cases', () => {
     test('empty chunks array returns empty results', async () => {
       const results = await processChunksParallel([], {
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for src/lib/paragraph-fingerprint.js
+ * Tests fingerprinting, the custom property encoding, the paragraph diff and
+ * the range helpers used for change-only re-review.
+ */
+import {
+  FINGERPRINT_PROPERTY,
+  fingerprintParagraphs,
+  encodeFingerprint,
+  decodeFingerprint,
+  diffParagraphs,
+  changedRanges,
+  intersectRanges,
+  locateChunkParagraphs,
+} from '../src/lib/paragraph-fingerprint.js';
+
+function makeDocModel(texts, { skip = [] } = {}) {
+  // Indices leave gaps for empty paragraphs the parser skipped
+  let index = 0;
+  const paragraphs = texts.map((text) => {
+    while (skip.includes(index)) index++;
+    return { index: index++, text, headingLevel: 0, tokenEstimate: 10 };
+  });
+  return { paragraphs, totalTokens: paragraphs.length * 10 };
+}
+
+const BASE = [
+  'Definitions',
+  '"Agreement" means this agreement.',
+  'Payment',
+  'The Customer shall pay within 30 days.',
+  'Term',
+  'This Agreement lasts two years.',
+];
+
+function toProperties(entries) {
+  return Object.fromEntries(entries.map(({ name, value }) => [name, value]));
+}
+
+describe('fingerprintParagraphs', () => {
+  it('gives each paragraph a 4-character token that ignores whitespace differences', () => {
+    const [a, b, c] = fingerprintParagraphs(makeDocModel(['The  Customer shall pay. ', 'The Customer shall pay.', 'The Supplier shall pay.']));
+    expect(a).toMatch(/^[A-Za-z0-9_-]{4}$/);
+    expect(a).toBe(b);
+    expect(c).not.toBe(a);
+  });
+
+  it('records unreviewed paragraphs so that the next diff sends them again', () => {
+    const tokens = fingerprintParagraphs(makeDocModel(BASE), [2]);
+    const decoded = decodeFingerprint(toProperties(encodeFingerprint(tokens, 'x')));
+
+    expect(decoded.tokens).toEqual(tokens);
+    expect(diffParagraphs(decoded.tokens, makeDocModel(BASE)).changed).toEqual([2]);
+  });
+
+  it('marks unreviewed paragraphs by index, not every paragraph with the same text', () => {
+    const docModel = makeDocModel(['Not used.', 'Payment', 'Not used.']);
+    const tokens = fingerprintParagraphs(docModel, [2]);
+
+    expect(diffParagraphs(tokens, docModel).changed).toEqual([2]);
+  });
+});
+
+describe('locateChunkParagraphs', () => {
+  const chunk = (startIndex, texts) => ({ startIndex, paragraphs: texts.map((text) => ({ text })) });
+
+  it('finds a chunk shifted by paragraphs inserted before it', () => {
+    const after = makeDocModel(['Definitions', 'Inserted.', ...BASE.slice(1)]);
+
+    expect(locateChunkParagraphs(after, [chunk(4, ['Term', BASE[5]])])).toEqual([5, 6]);
+  });
+
+  it('picks the occurrence nearest the chunk\'s old position', () => {
+    const docModel = makeDocModel(['Not used.', 'Payment', 'Not used.', 'Term']);
+
+    expect(locateChunkParagraphs(docModel, [chunk(2, ['Not used.'])])).toEqual([2]);
+    expect(locateChunkParagraphs(docModel, [chunk(0, ['Not used.'])])).toEqual([0]);
+  });
+
+  it('skips chunks whose text is no longer in the document', () => {
+    expect(locateChunkParagraphs(makeDocModel(BASE), [chunk(0, ['Gone.'])])).toEqual([]);
+  });
+});
+
+describe('encodeFingerprint / decodeFingerprint', () => {
+  it('round-trips through properties of at most 255 characters', () => {
+    const tokens = fingerprintParagraphs(makeDocModel(Array.from({ length: 130 }, (_, i) => `Paragraph ${i}.`)));
+    const entries = encodeFingerprint(tokens, '2026-10-18T09:00:00.000Z');
+
+    expect(entries[0].name).toBe(FINGERPRINT_PROPERTY);
+    expect(entries.map((e) => e.name)).toEqual([
+      FINGERPRINT_PROPERTY, `${FINGERPRINT_PROPERTY}.0`, `${FINGERPRINT_PROPERTY}.1`, `${FINGERPRINT_PROPERTY}.2`,
+    ]);
+    expect(entries.every((e) => e.value.length <= 255)).toBe(true);
+    expect(decodeFingerprint(toProperties(entries))).toEqual({ tokens, recordedAt: '2026-10-18T09:00:00.000Z' });
+  });
+
+  it('encodes an empty document', () => {
+    expect(decodeFingerprint(toProperties(encodeFingerprint([], 'x')))).toEqual({ tokens: [], recordedAt: 'x' });
+  });
+
+  it('returns null when missing, incomplete or from another version', () => {
+    const entries = encodeFingerprint(fingerprintParagraphs(makeDocModel(BASE)), 'x');
+    expect(decodeFingerprint({})).toBeNull();
+    expect(decodeFingerprint({ [FINGERPRINT_PROPERTY]: 'not json' })).toBeNull();
+    expect(decodeFingerprint(toProperties(entries.slice(0, 1)))).toBeNull();
+
+    const properties = toProperties(entries);
+    properties[FINGERPRINT_PROPERTY] = properties[FINGERPRINT_PROPERTY].replace('"v":1', '"v":0');
+    expect(decodeFingerprint(properties)).toBeNull();
+  });
+});
+
+describe('diffParagraphs', () => {
+  const previous = fingerprintParagraphs(makeDocModel(BASE));
+
+  it('reports nothing for an unchanged document', () => {
+    expect(diffParagraphs(previous, makeDocModel(BASE))).toEqual({ changed: [], deleted: 0, unchanged: 6, approximate: false });
+  });
+
+  it('reports edited and inserted paragraphs by their document index', () => {
+    const texts = [...BASE];
+    texts[3] = 'The Customer shall pay within 60 days.';
+    texts.splice(5, 0, 'Late payment bears interest.');
+    const diff = diffParagraphs(previous, makeDocModel(texts, { skip: [1] }));
+
+    // Paragraph indices skip 1 (an empty paragraph), so BASE[3] is at index 4
+    expect(diff.changed).toEqual([4, 6]);
+    expect(diff.deleted).toBe(1);
+    expect(diff.unchanged).toBe(5);
+  });
+
+  it('does not treat paragraphs after an insertion or deletion as changed', () => {
+    const inserted = ['New recital.', ...BASE];
+    expect(diffParagraphs(previous, makeDocModel(inserted)).changed).toEqual([0]);
+
+    const deleted = BASE.filter((t, i) => i !== 1);
+    expect(diffParagraphs(previous, makeDocModel(deleted))).toMatchObject({ changed: [], deleted: 1, unchanged: 5 });
+  });
+
+  it('treats moved paragraphs as changed where they no longer line up', () => {
+    const moved = [BASE[4], BASE[5], BASE[0], BASE[1], BASE[2], BASE[3]];
+    const diff = diffParagraphs(previous, makeDocModel(moved));
+    expect(diff.unchanged).toBe(4);
+    expect(diff.changed).toEqual([0, 1]);
+  });
+});
+
+describe('changedRanges', () => {
+  it('merges paragraphs adjacent in the model, across skipped empty paragraphs', () => {
+    const docModel = makeDocModel(BASE, { skip: [2] });
+    // Indices: 0, 1, 3, 4, 5, 6
+    expect(changedRanges(docModel, [1, 3, 5])).toEqual([
+      { startIndex: 1, endIndex: 3 },
+      { startIndex: 5, endIndex: 5 },
+    ]);
+    expect(changedRanges(docModel, [])).toEqual([]);
+  });
+});
+
+describe('intersectRanges', () => {
+  it('keeps the parts of ranges inside the selection', () => {
+    const ranges = [{ startIndex: 1, endIndex: 3 }, { startIndex: 8, endIndex: 9 }];
+    expect(intersectRanges(ranges, null)).toEqual(ranges);
+    expect(intersectRanges(ranges, [{ startIndex: 0, endIndex: 1 }, { startIndex: 3, endIndex: 8 }])).toEqual([
+      { startIndex: 1, endIndex: 1 },
+      { startIndex: 3, endIndex: 3 },
+      { startIndex: 8, endIndex: 8 },
+    ]);
+  });
+});
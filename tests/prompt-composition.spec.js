@@ -234,6 +234,22 @@ describe('SUMM-05: composeSummaryMessages', () => {
         );
     });
 
+    test('lists replies under their comment', () => {
+        const pm = new PromptManager();
+        pm.addPrompt('summary', { name: 'Exec Summary', template: '{comments}', description: 'Exec' });
+        pm.selectPrompt('summary', 'exec-summary');
+
+        const messages = pm.composeSummaryMessages([{
+            ...sampleComments[0],
+            replies: [{ replyText: 'Agreed, will clarify', author: 'John Smith', date: '2026-03-03', id: 'r1' }]
+        }]);
+
+        expect(messages[0].content).toBe(
+            '[Comment 1] by Jane Doe on "The party shall":\n"This clause is ambiguous"\n' +
+            '  [Reply] by John Smith:\n  "Agreed, will clarify"'
+        );
+    });
+
     test('returns empty array when no summary prompt is active', () => {
         const pm = new PromptManager();
 
@@ -339,6 +355,20 @@ describe('composeMergedMessages', () => {
         expect(messages).toEqual([]);
     });
 
+    test('with structured option, asks for JSON instead of delimiters', () => {
+        const pm = new PromptManager();
+        pm.addPrompt('amendment', { name: 'Amend', template: 'Fix this: {selection}', description: '' });
+        pm.selectPrompt('amendment', 'amend');
+
+        const messages = pm.composeMergedMessages('clause text', 'Check for legal issues', { structured: true });
+
+        const userMsg = messages.find(m => m.role === 'user');
+        expect(userMsg.content).toContain('Fix this: clause text');
+        expect(userMsg.content).toContain('Check for legal issues');
+        expect(userMsg.content).toContain('"comments"');
+        expect(userMsg.content).not.toContain('===AMENDMENT===');
+    });
+
     test('with falsy commentInstructions (null), delegates to amendment-only', () => {
         const pm = new PromptManager();
         pm.addPrompt('amendment', { name: 'Amend', template: '{selection}', description: '' });
@@ -485,6 +485,74 @@ describe('updatePrompt', () => {
     });
 });
 
+// ============================================================================
+// Backend routing per prompt
+// ============================================================================
+
+describe('prompt route', () => {
+    test('addPrompt stores a normalized route for routable categories', () => {
+        const pm = new PromptManager();
+        const prompt = pm.addPrompt('summary', {
+            name: 'Big Summary', template: 't', description: '', route: { backend: 'vllm', model: '  ' }
+        });
+
+        expect(prompt.route).toEqual({ backend: 'vllm' });
+    });
+
+    test('addPrompt omits blank routes and ignores routes on context prompts', () => {
+        const pm = new PromptManager();
+
+        expect(pm.addPrompt('comment', { name: 'A', template: 't', description: '', route: { backend: '', model: '' } }))
+            .not.toHaveProperty('route');
+        expect(pm.addPrompt('context', { name: 'B', template: 't', description: '', route: { model: 'm' } }))
+            .not.toHaveProperty('route');
+    });
+
+    test('updatePrompt sets and clears the route', () => {
+        const pm = new PromptManager();
+        pm.addPrompt('amendment', { name: 'Legal Review', template: 'Old', description: 'Desc' });
+
+        expect(pm.updatePrompt('amendment', 'legal-review', { route: { model: 'llama3:70b' } }).route)
+            .toEqual({ model: 'llama3:70b' });
+        expect(pm.updatePrompt('amendment', 'legal-review', { route: null })).not.toHaveProperty('route');
+    });
+
+    test('route survives persistence', () => {
+        const pm = new PromptManager();
+        pm.addPrompt('summary', { name: 'Big', template: 't', description: '', route: { backend: 'vllm', model: 'x' } });
+
+        const reloaded = new PromptManager();
+        reloaded.loadState();
+        expect(reloaded.getPrompt('summary', 'big').route).toEqual({ backend: 'vllm', model: 'x' });
+    });
+});
+
+describe('prompt generation parameters', () => {
+    test('addPrompt stores normalized parameters for routable categories only', () => {
+        const pm = new PromptManager();
+
+        expect(pm.addPrompt('amendment', {
+            name: 'Strict', template: 't', description: '', generation: { temperature: '0', seed: 7, topP: '' }
+        }).generation).toEqual({ temperature: 0, seed: 7 });
+        expect(pm.addPrompt('comment', { name: 'A', template: 't', description: '', generation: {} }))
+            .not.toHaveProperty('generation');
+        expect(pm.addPrompt('context', { name: 'B', template: 't', description: '', generation: { seed: 1 } }))
+            .not.toHaveProperty('generation');
+    });
+
+    test('updatePrompt sets and clears parameters, and they persist', () => {
+        const pm = new PromptManager();
+        pm.addPrompt('summary', { name: 'Big', template: 't', description: '' });
+
+        pm.updatePrompt('summary', 'big', { generation: { maxTokens: 4096, stop: ['END'] } });
+        const reloaded = new PromptManager();
+        reloaded.loadState();
+        expect(reloaded.getPrompt('summary', 'big').generation).toEqual({ maxTokens: 4096, stop: ['END'] });
+
+        expect(pm.updatePrompt('summary', 'big', { generation: {} })).not.toHaveProperty('generation');
+    });
+});
+
 // ============================================================================
 // SUMM-01: Summary category support
 // ============================================================================
@@ -518,6 +518,46 @@ describe('applyChunkResults', () => {
     expect(result.errors[0]).toContain('LLM error');
   });
 
+  test('reports each applied amendment and comment through onApplied', async () => {
+    const paragraphs = [
+      { text: 'Para 0' }, { text: 'Para 1' },
+      { text: 'Para 2' }, { text: 'Para 3' },
+    ];
+
+    const bookmarkRanges = {
+      '_wdpbm0': { text: 'Para 0\nPara 1' },
+      '_wdpbm1': { text: 'Para 2\nPara 3' },
+    };
+    const mock = createMockWordRun(paragraphs, bookmarkRanges);
+    global.Word.run = mock.wordRun;
+
+    const chunk0 = mockChunk('chunk-0', 0, 'Para 0\nPara 1', 0, 1);
+    const chunk1 = mockChunk('chunk-1', 1, 'Para 2\nPara 3', 2, 3);
+
+    const results = [
+      makeChunkResult('chunk-0', 0, 'fulfilled', { amendment: 'Amended 0', comment: 'Comment 0', chunk: chunk0 }),
+      makeChunkResult('chunk-1', 1, 'rejected', { error: 'LLM error', chunk: chunk1 }),
+    ];
+
+    const bookmarkMap = new Map([
+      ['chunk-0', '_wdpbm0'],
+      ['chunk-1', '_wdpbm1'],
+    ]);
+    const onApplied = jest.fn();
+
+    await applyChunkResults(results, bookmarkMap, {
+      trackChangesEnabled: true,
+      lineDiffEnabled: false,
+      log: jest.fn(),
+      onApplied,
+    });
+
+    expect(onApplied.mock.calls).toEqual([
+      ['chunk-0', 'amendment'],
+      ['chunk-0', 'comment'],
+    ]);
+  });
+
   test('handles chunks with only comments (no amendment)', async () => {
     const paragraphs = [{ text: 'Para 0' }];
 
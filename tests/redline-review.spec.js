@@ -0,0 +1,233 @@
+/**
+ * Unit tests for src/lib/redline-review.js
+ * Tests the word-level diff and its side-by-side rendering, review item
+ * creation and editing, and selection of the approved results.
+ */
+import {
+  computeWordDiff,
+  countChangedWords,
+  renderSideBySideHtml,
+  createReviewItems,
+  editReviewItem,
+  summarizeReview,
+  approvedResults,
+  unappliedResults,
+} from '../src/lib/redline-review.js';
+
+function mockChunk(id, startIndex, texts, sectionTitle = '') {
+  return {
+    id,
+    paragraphs: texts.map((text, i) => ({ index: startIndex + i, text, headingLevel: 0 })),
+    startIndex,
+    endIndex: startIndex + texts.length - 1,
+    tokenCount: 10,
+    sectionTitle,
+    overlapBefore: '',
+  };
+}
+
+function mockResult(chunk, overrides = {}) {
+  return {
+    chunkId: chunk.id,
+    chunkIndex: 0,
+    status: 'fulfilled',
+    amendment: null,
+    comment: null,
+    comments: null,
+    rationale: null,
+    error: null,
+    chunk,
+    ...overrides,
+  };
+}
+
+describe('computeWordDiff', () => {
+  it('returns a single equal op for identical text', () => {
+    expect(computeWordDiff('The seller shall deliver.', 'The seller shall deliver.')).toEqual([
+      { type: 'equal', text: 'The seller shall deliver.' },
+    ]);
+  });
+
+  it('marks whole words, not characters, as changed', () => {
+    const ops = computeWordDiff('The seller shall deliver.', 'The seller must deliver.');
+    expect(ops).toEqual([
+      { type: 'equal', text: 'The seller ' },
+      { type: 'delete', text: 'shall' },
+      { type: 'insert', text: 'must' },
+      { type: 'equal', text: ' deliver.' },
+    ]);
+  });
+
+  it('reconstructs both texts from the ops', () => {
+    const original = 'Payment is due within 30 days.\nLate fees apply.';
+    const amended = 'Payment is due within 45 days of invoice.\nLate fees apply.';
+    const ops = computeWordDiff(original, amended);
+    const side = (skip) => ops.filter((op) => op.type !== skip).map((op) => op.text).join('');
+    expect(side('insert')).toBe(original);
+    expect(side('delete')).toBe(amended);
+  });
+
+  it('handles empty input', () => {
+    expect(computeWordDiff('', 'New text')).toEqual([{ type: 'insert', text: 'New text' }]);
+    expect(computeWordDiff('Old text', '')).toEqual([{ type: 'delete', text: 'Old text' }]);
+  });
+});
+
+describe('countChangedWords', () => {
+  it('counts inserted and deleted words, ignoring whitespace and punctuation', () => {
+    const ops = [
+      { type: 'equal', text: 'The ' },
+      { type: 'delete', text: 'seller, ' },
+      { type: 'insert', text: 'buyer and seller, ' },
+    ];
+    expect(countChangedWords(ops)).toEqual({ inserted: 3, deleted: 1 });
+  });
+});
+
+describe('renderSideBySideHtml', () => {
+  it('marks deletions on the original side and insertions on the amended side', () => {
+    const { original, amended } = renderSideBySideHtml(computeWordDiff('a shall b', 'a must b'));
+    expect(original).toBe('a <del class="diff-del">shall</del> b');
+    expect(amended).toBe('a <ins class="diff-ins">must</ins> b');
+  });
+
+  it('escapes HTML and converts newlines', () => {
+    const { original, amended } = renderSideBySideHtml([
+      { type: 'equal', text: '<b>"x" & y</b>\n' },
+    ]);
+    expect(original).toBe('&lt;b&gt;&quot;x&quot; &amp; y&lt;/b&gt;<br>');
+    expect(amended).toBe(original);
+  });
+});
+
+describe('createReviewItems', () => {
+  it('keeps fulfilled results that propose something, in document order', () => {
+    const later = mockChunk('chunk-2', 10, ['Second.'], 'Payment');
+    const earlier = mockChunk('chunk-1', 0, ['First line.', 'Second line.']);
+    const items = createReviewItems([
+      mockResult(later, { comment: 'Check this.' }),
+      mockResult(earlier, { amendment: 'First line, amended.\nSecond line.' }),
+      mockResult(mockChunk('chunk-3', 20, ['x']), {}),
+      mockResult(mockChunk('chunk-4', 30, ['y']), { status: 'rejected', error: 'timeout' }),
+    ]);
+
+    expect(items.map((i) => i.chunkId)).toEqual(['chunk-1', 'chunk-2']);
+    expect(items[0]).toEqual({
+      chunkId: 'chunk-1',
+      sectionTitle: '',
+      original: 'First line.\nSecond line.',
+      amendment: 'First line, amended.\nSecond line.',
+      comment: null,
+      decision: 'pending',
+      edited: false,
+    });
+    expect(items[1].sectionTitle).toBe('Payment');
+  });
+});
+
+describe('editReviewItem', () => {
+  function item() {
+    return createReviewItems([
+      mockResult(mockChunk('chunk-1', 0, ['Text.']), { amendment: 'New text.', comment: 'Note.' }),
+    ])[0];
+  }
+
+  it('replaces the edited parts and flags the item', () => {
+    const reviewItem = item();
+    editReviewItem(reviewItem, { comment: 'Better note.' });
+    expect(reviewItem.comment).toBe('Better note.');
+    expect(reviewItem.amendment).toBe('New text.');
+    expect(reviewItem.edited).toBe(true);
+  });
+
+  it('removes a part edited to blank', () => {
+    const reviewItem = item();
+    editReviewItem(reviewItem, { amendment: '  ' });
+    expect(reviewItem.amendment).toBeNull();
+  });
+
+  it('does not flag unchanged text', () => {
+    const reviewItem = item();
+    editReviewItem(reviewItem, { amendment: 'New text.', comment: 'Note.' });
+    expect(reviewItem.edited).toBe(false);
+  });
+});
+
+describe('summarizeReview', () => {
+  it('counts decisions', () => {
+    expect(summarizeReview([
+      { decision: 'accepted' },
+      { decision: 'pending' },
+      { decision: 'accepted' },
+      { decision: 'rejected' },
+    ])).toEqual({ pending: 1, accepted: 2, rejected: 1 });
+  });
+});
+
+describe('approvedResults', () => {
+  const results = [
+    mockResult(mockChunk('chunk-1', 0, ['A.']), {
+      amendment: 'A2.',
+      comment: 'Note A.',
+      comments: [{ quote: 'A', text: 'Note A.' }],
+    }),
+    mockResult(mockChunk('chunk-2', 1, ['B.']), { amendment: 'B2.' }),
+    mockResult(mockChunk('chunk-3', 2, ['C.']), { comment: 'Note C.' }),
+    mockResult(mockChunk('chunk-4', 3, ['D.']), { status: 'rejected', error: 'boom' }),
+  ];
+
+  it('returns only accepted results', () => {
+    const items = createReviewItems(results);
+    items[0].decision = 'accepted';
+    items[1].decision = 'rejected';
+    // chunk-3 left pending
+
+    const approved = approvedResults(results, items);
+    expect(approved.map((r) => r.chunkId)).toEqual(['chunk-1']);
+    expect(approved[0].comments).toEqual([{ quote: 'A', text: 'Note A.' }]);
+    expect(approved[0]).not.toBe(results[0]);
+  });
+
+  it('carries edits and drops per-quote comments when the comment changed', () => {
+    const items = createReviewItems(results);
+    editReviewItem(items[0], { amendment: 'A3.', comment: 'Edited note.' });
+    items[0].decision = 'accepted';
+
+    const [approved] = approvedResults(results, items);
+    expect(approved.amendment).toBe('A3.');
+    expect(approved.comment).toBe('Edited note.');
+    expect(approved.comments).toBeNull();
+    expect(results[0].amendment).toBe('A2.');
+  });
+
+  it('skips accepted items whose edits removed everything', () => {
+    const items = createReviewItems(results);
+    editReviewItem(items[2], { comment: '' });
+    items[2].decision = 'accepted';
+    expect(approvedResults(results, items)).toEqual([]);
+  });
+});
+
+describe('unappliedResults', () => {
+  const results = [
+    mockResult(mockChunk('chunk-1', 0, ['A.']), { amendment: 'A2.' }),
+    mockResult(mockChunk('chunk-2', 1, ['B.']), { comment: 'Note B.' }),
+    mockResult(mockChunk('chunk-3', 2, ['C.'])),
+    mockResult(mockChunk('chunk-4', 3, ['D.']), { status: 'rejected', error: 'boom' }),
+    mockResult(mockChunk('chunk-5', 4, ['E.']), { status: 'cancelled' }),
+  ];
+
+  it('leaves out every proposal when the review is discarded', () => {
+    expect(unappliedResults(results, []).map((r) => r.chunkId))
+      .toEqual(['chunk-1', 'chunk-2', 'chunk-4', 'chunk-5']);
+  });
+
+  it('counts applied results and results that proposed nothing as reviewed', () => {
+    const items = createReviewItems(results);
+    items[0].decision = 'accepted';
+    items[1].decision = 'rejected';
+
+    expect(unappliedResults(results, approvedResults(results, items)).map((r) => r.chunkId))
+      .toEqual(['chunk-2', 'chunk-4', 'chunk-5']);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for src/lib/response-cache.js
+ * Tests cache keys, the in-memory cache and the fallbacks when IndexedDB is
+ * unavailable. (The IndexedDB store itself needs a browser.)
+ */
+import {
+  responseCacheKey,
+  createMemoryResponseCache,
+  openResponseCache,
+} from '../src/lib/response-cache.js';
+
+const config = { url: 'http://localhost:8000', model: 'qwen', generation: { temperature: 0.2 } };
+const messages = [
+  { role: 'system', content: 'You amend contracts.' },
+  { role: 'user', content: 'The Supplier shall deliver.' },
+];
+
+describe('responseCacheKey', () => {
+  it('is a stable SHA-256 hex digest', async () => {
+    const key = await responseCacheKey(config, messages);
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(await responseCacheKey({ ...config }, messages.map((m) => ({ ...m })))).toBe(key);
+  });
+
+  it('changes with the model, generation parameters, messages and response format', async () => {
+    const key = await responseCacheKey(config, messages);
+    const variants = await Promise.all([
+      responseCacheKey({ ...config, model: 'llama' }, messages),
+      responseCacheKey({ ...config, generation: { temperature: 0.7 } }, messages),
+      responseCacheKey(config, messages, { generation: { seed: 1 } }),
+      responseCacheKey(config, [messages[0], { role: 'user', content: 'The Supplier may deliver.' }]),
+      responseCacheKey(config, messages, { responseFormat: { name: 'x', schema: {} } }),
+      responseCacheKey({ ...config, url: 'http://other:8000' }, messages),
+    ]);
+    for (const variant of variants) {
+      expect(variant).not.toBe(key);
+    }
+  });
+
+  it('ignores generation parameter order and options that do not shape the reply', async () => {
+    const a = await responseCacheKey({ ...config, generation: { temperature: 0.2, seed: 7 } }, messages);
+    const b = await responseCacheKey({ ...config, generation: { seed: 7, temperature: 0.2 } }, messages,
+      { onDelta: () => {}, includeUsage: true });
+    expect(a).toBe(b);
+  });
+});
+
+describe('createMemoryResponseCache', () => {
+  it('stores and returns replies', async () => {
+    const cache = createMemoryResponseCache();
+    expect(await cache.get('k')).toBeNull();
+    await cache.set('k', 'Amended');
+    expect(await cache.get('k')).toEqual({ text: 'Amended' });
+    await cache.clear();
+    expect(await cache.get('k')).toBeNull();
+  });
+
+  it('evicts the oldest entries beyond maxEntries', async () => {
+    const cache = createMemoryResponseCache({ maxEntries: 2 });
+    await cache.set('a', '1');
+    await cache.set('b', '2');
+    await cache.set('a', '1 again');
+    await cache.set('c', '3');
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('a')).toEqual({ text: '1 again' });
+    expect(await cache.get('c')).toEqual({ text: '3' });
+  });
+});
+
+describe('openResponseCache', () => {
+  it('falls back to memory when IndexedDB is unavailable', async () => {
+    const log = jest.fn();
+    const cache = await openResponseCache({ indexedDB: null, log });
+    expect(cache.kind).toBe('memory');
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('this session only'), 'warning');
+  });
+
+  it('falls back to memory when the database fails to open', async () => {
+    const request = {};
+    const indexedDB = {
+      open: () => {
+        setTimeout(() => {
+          request.error = new Error('quota exceeded');
+          request.onerror();
+        }, 0);
+        return request;
+      },
+    };
+    const log = jest.fn();
+    const cache = await openResponseCache({ indexedDB, log });
+    expect(cache.kind).toBe('memory');
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('quota exceeded'), 'warning');
+  });
+});
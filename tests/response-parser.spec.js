@@ -1,8 +1,15 @@
 /**
  * Unit tests for response-parser.js
- * Tests delimiter parsing and fallback classification prompt building.
+ * Tests delimiter parsing, structured (JSON) parsing and fallback classification prompt building.
  */
-import { parseDelimitedResponse, buildFallbackClassificationPrompt } from '../src/lib/response-parser.js';
+import {
+    parseDelimitedResponse,
+    buildFallbackClassificationPrompt,
+    parseStructuredResponse,
+    formatStructuredComments,
+    formatStructuredOutputInstructions,
+    STRUCTURED_RESPONSE_SCHEMA
+} from '../src/lib/response-parser.js';
 
 // ============================================================================
 // parseDelimitedResponse
@@ -123,3 +130,121 @@ describe('buildFallbackClassificationPrompt', () => {
         });
     });
 });
+
+// ============================================================================
+// parseStructuredResponse
+// ============================================================================
+
+describe('parseStructuredResponse', () => {
+    const reply = (value) => JSON.stringify(value);
+
+    test('parses a valid structured object', () => {
+        const input = reply({
+            amendment: 'The Supplier shall deliver.',
+            comments: [{ quote: 'shall', text: 'Consider "must".' }, { quote: '', text: 'General note.' }],
+            rationale: 'Tightened the obligation.'
+        });
+        const result = parseStructuredResponse(input);
+
+        expect(result.structured).toBe(true);
+        expect(result.error).toBeNull();
+        expect(result.amendment).toBe('The Supplier shall deliver.');
+        expect(result.comments).toEqual([
+            { quote: 'shall', text: 'Consider "must".' },
+            { quote: '', text: 'General note.' }
+        ]);
+        expect(result.comment).toBe('"shall": Consider "must".\n\nGeneral note.');
+        expect(result.rationale).toBe('Tightened the obligation.');
+        expect(result.raw).toBe(input);
+    });
+
+    test('accepts objects wrapped in code fences or surrounding prose', () => {
+        const obj = { amendment: 'x', comments: [], rationale: '' };
+
+        expect(parseStructuredResponse('```json\n' + reply(obj) + '\n```').structured).toBe(true);
+        expect(parseStructuredResponse('Here you go: ' + reply(obj) + ' Done.').amendment).toBe('x');
+    });
+
+    test('treats an empty amendment and no comments as nulls', () => {
+        const result = parseStructuredResponse(reply({ amendment: '', comments: [], rationale: '' }));
+
+        expect(result.structured).toBe(true);
+        expect(result.amendment).toBeNull();
+        expect(result.comment).toBeNull();
+        expect(result.comments).toEqual([]);
+        expect(result.rationale).toBeNull();
+    });
+
+    test('tolerates missing comments and rationale', () => {
+        const result = parseStructuredResponse(reply({ amendment: 'x' }));
+
+        expect(result.structured).toBe(true);
+        expect(result.comments).toEqual([]);
+    });
+
+    test('drops comments with blank text', () => {
+        const result = parseStructuredResponse(reply({ amendment: 'x', comments: [{ quote: 'a', text: '  ' }] }));
+
+        expect(result.comments).toEqual([]);
+        expect(result.comment).toBeNull();
+    });
+
+    test('rejects schema violations with a reason', () => {
+        expect(parseStructuredResponse(reply({ amendment: 5 })).error).toContain('amendment');
+        expect(parseStructuredResponse(reply({ amendment: 'x', comments: 'no' })).error).toContain('comments');
+        expect(parseStructuredResponse(reply({ amendment: 'x', comments: [{ quote: 'q' }] })).error).toContain('text');
+        expect(parseStructuredResponse('[1, 2]').error).toBe('no JSON object found');
+    });
+
+    test('falls back to the delimiter parser for invalid JSON', () => {
+        const input = '===AMENDMENT===\namended\n===COMMENT===\nnote';
+        const result = parseStructuredResponse(input);
+
+        expect(result.structured).toBe(false);
+        expect(result.error).toBe('no JSON object found');
+        expect(result.amendment).toBe('amended');
+        expect(result.comment).toBe('note');
+        expect(result.comments).toEqual([{ quote: '', text: 'note' }]);
+    });
+
+    test('reports truncated JSON as invalid', () => {
+        const result = parseStructuredResponse('{"amendment": "cut off');
+
+        expect(result.structured).toBe(false);
+        expect(result.error).toBe('no JSON object found');
+        expect(result.amendment).toBeNull();
+    });
+
+    test('reports JSON syntax errors', () => {
+        const result = parseStructuredResponse('{"amendment": x}');
+
+        expect(result.structured).toBe(false);
+        expect(result.error).toMatch(/^invalid JSON/);
+    });
+});
+
+// ============================================================================
+// Structured output helpers
+// ============================================================================
+
+describe('structured output helpers', () => {
+    test('formatStructuredComments returns null for no comments', () => {
+        expect(formatStructuredComments([])).toBeNull();
+        expect(formatStructuredComments(undefined)).toBeNull();
+    });
+
+    test('instructions include the comment instructions and the JSON keys', () => {
+        const text = formatStructuredOutputInstructions('  Flag risks  ');
+
+        expect(text).toContain('Flag risks');
+        expect(text).toContain('"amendment"');
+        expect(text).toContain('"comments"');
+        expect(text).toContain('"rationale"');
+        expect(text).not.toContain('===AMENDMENT===');
+    });
+
+    test('schema requires every property for strict guided decoding', () => {
+        expect(STRUCTURED_RESPONSE_SCHEMA.required).toEqual(['amendment', 'comments', 'rationale']);
+        expect(STRUCTURED_RESPONSE_SCHEMA.properties.comments.items.required).toEqual(['quote', 'text']);
+    });
+});
@@ -0,0 +1,237 @@
+/**
+ * Unit tests for src/lib/revision-review.js
+ * Tests author/date filtering, prompt composition, reply parsing, the
+ * review and recommendation loops and matching revisions to Word's
+ * tracked changes.
+ */
+import {
+  listRevisionAuthors,
+  filterRevisions,
+  describeRevision,
+  buildRevisionMessages,
+  parseRevisionAnalysis,
+  formatRevisionComment,
+  reviewRevisions,
+  matchTrackedChanges,
+  buildRecommendationMessages,
+  parseRecommendation,
+  countRecommendations,
+  recommendRevisions,
+  matchRevisionParts,
+  RECOMMENDATION_RESPONSE_FORMAT,
+} from '../src/lib/revision-review.js';
+
+const CLAUSE = 'The Customer shall pay each invoice within 60 days of receipt.';
+
+const revisions = [
+  { type: 'Replaced', beforeText: '30', afterText: '60', text: '60', author: 'Counsel B', date: '2026-10-02T10:00:00Z', paragraphText: CLAUSE },
+  { type: 'Added', text: ' save for disputed amounts', author: 'Counsel B', date: '2026-10-05T16:30:00Z', paragraphText: 'Payment is due save for disputed amounts.' },
+  { type: 'Deleted', text: 'time is of the essence', author: 'Our Firm', date: '2026-09-20T09:00:00Z', paragraphText: 'Delivery dates are binding.' },
+  { type: 'Moved (from)', text: 'Notices clause', author: 'Counsel B', date: '2026-10-03T09:00:00Z', paragraphText: '' },
+  { type: 'Moved (to)', text: 'Notices clause', author: 'Counsel B', date: '2026-10-03T09:00:00Z', paragraphText: 'Notices clause' },
+  { type: 'Added', text: 'undated', author: 'counsel b', date: null, paragraphText: 'undated' },
+];
+
+describe('listRevisionAuthors', () => {
+  it('counts changes per author, most first', () => {
+    expect(listRevisionAuthors([...revisions, { type: 'Added', text: 'x', author: null }])).toEqual([
+      { author: 'Counsel B', count: 4 },
+      { author: 'counsel b', count: 1 },
+      { author: 'Our Firm', count: 1 },
+      { author: 'Unknown', count: 1 },
+    ]);
+  });
+});
+
+describe('filterRevisions', () => {
+  it('keeps the chosen authors, case-insensitively, and drops move sources', () => {
+    const kept = filterRevisions(revisions, { authors: ['counsel B'] });
+    expect(kept.map((r) => r.type)).toEqual(['Replaced', 'Added', 'Moved (to)', 'Added']);
+  });
+
+  it('drops formatting and table-structure revisions', () => {
+    const formatting = [
+      { type: 'Formatted', text: '60', formatting: 'bold: off -> on', author: 'Counsel B', date: null, paragraphText: CLAUSE },
+      { type: 'Table row deleted', text: 'Fees | 100', author: 'Counsel B', date: null, paragraphText: '' },
+    ];
+    expect(filterRevisions([...formatting, revisions[0]])).toEqual([revisions[0]]);
+  });
+
+  it('keeps everything but move sources without a filter', () => {
+    expect(filterRevisions(revisions)).toHaveLength(5);
+  });
+
+  it('filters by date range, the end date including its whole day', () => {
+    const kept = filterRevisions(revisions, { from: '2026-10-01', to: '2026-10-03' });
+    expect(kept.map((r) => r.type)).toEqual(['Replaced', 'Moved (to)']);
+  });
+
+  it('drops undated revisions only when a date bound is set', () => {
+    expect(filterRevisions(revisions, { authors: ['Counsel B'], from: '2026-01-01' })
+      .some((r) => r.text === 'undated')).toBe(false);
+  });
+});
+
+describe('buildRevisionMessages', () => {
+  it('describes the change, its author and date, and the clause', () => {
+    const [system, user] = buildRevisionMessages(revisions[0], { contextPrompt: 'We act for the Customer.', contextPrefix: 'DEFINITIONS: ...' });
+    expect(system.role).toBe('system');
+    expect(system.content.startsWith('We act for the Customer.')).toBe(true);
+    expect(system.content).toContain('RISK: High|Medium|Low');
+    expect(system.content.endsWith('DEFINITIONS: ...')).toBe(true);
+    expect(user.content).toContain('CHANGE: Replaced "30" with "60"');
+    expect(user.content).toContain('AUTHOR: Counsel B');
+    expect(user.content).toContain(CLAUSE);
+  });
+
+  it('describes each change type', () => {
+    expect(describeRevision(revisions[1])).toBe('Inserted " save for disputed amounts"');
+    expect(describeRevision(revisions[2])).toBe('Deleted "time is of the essence"');
+    expect(describeRevision(revisions[4])).toBe('Moved "Notices clause" here');
+  });
+});
+
+describe('parseRevisionAnalysis', () => {
+  it('splits the risk line from the analysis', () => {
+    expect(parseRevisionAnalysis('RISK: High\nDoubles the payment period.')).toEqual({ risk: 'High', analysis: 'Doubles the payment period.' });
+    expect(parseRevisionAnalysis('**Risk level: medium**\nSome text')).toEqual({ risk: 'Medium', analysis: 'Some text' });
+  });
+
+  it('keeps a reply without a risk line as the analysis', () => {
+    expect(parseRevisionAnalysis('This change is minor.')).toEqual({ risk: null, analysis: 'This change is minor.' });
+  });
+
+  it('formats comments with the rating', () => {
+    expect(formatRevisionComment({ risk: 'Low', analysis: 'Tidy-up.' })).toBe('Risk review (Low): Tidy-up.');
+    expect(formatRevisionComment({ risk: null, analysis: 'Unclear.' })).toBe('Risk review: Unclear.');
+  });
+});
+
+describe('reviewRevisions', () => {
+  const config = { url: 'http://localhost:8000', model: 'qwen' };
+
+  it('reviews every revision, keeping failures with their error', async () => {
+    const sendMessagesFn = jest.fn(async (cfg, messages) => {
+      if (messages[1].content.includes('essence')) throw new Error('HTTP 500');
+      return { text: 'RISK: Low\nFine.', usage: { promptTokens: 50, completionTokens: 5, totalTokens: 55 } };
+    });
+    const onProgress = jest.fn();
+    const results = await reviewRevisions(revisions.slice(0, 3), { config, sendMessagesFn, onProgress, concurrency: 2 });
+
+    expect(results.map((r) => [r.risk, r.error])).toEqual([['Low', null], ['Low', null], [null, 'HTTP 500']]);
+    expect(results[0].usage.totalTokens).toBe(55);
+    expect(onProgress).toHaveBeenLastCalledWith(3, 3);
+  });
+
+  it('adds the document context relevant to the clause', async () => {
+    const sendMessagesFn = jest.fn(async () => 'RISK: Low\nFine.');
+    const formatContextPrefixFn = jest.fn(() => 'DEFINED TERMS: Customer');
+    await reviewRevisions(revisions.slice(0, 1), {
+      config, sendMessagesFn, formatContextPrefixFn, documentContext: { definitions: [] },
+    });
+    expect(formatContextPrefixFn).toHaveBeenCalledWith({ definitions: [] }, CLAUSE, 1500);
+    expect(sendMessagesFn.mock.calls[0][1][0].content).toContain('DEFINED TERMS: Customer');
+  });
+
+  it('rethrows a cancellation', async () => {
+    const controller = new AbortController();
+    const sendMessagesFn = jest.fn(async () => {
+      controller.abort();
+      throw new DOMException('The operation was aborted.', 'AbortError');
+    });
+    await expect(reviewRevisions(revisions.slice(0, 3), { config, sendMessagesFn, signal: controller.signal, concurrency: 1 }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(sendMessagesFn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('parseRecommendation', () => {
+  it('reads the recommendation, reason and counter wording', () => {
+    expect(parseRecommendation('{"recommendation": "Reject", "reason": "Shifts risk to us.", "counterText": "ignored"}'))
+      .toEqual({ action: 'reject', reason: 'Shifts risk to us.', counterText: null });
+    expect(parseRecommendation('Here you go:\n```json\n{"recommendation": "counter", "reason": "Meet halfway.", "counterText": " 45 "}\n```'))
+      .toEqual({ action: 'counter', reason: 'Meet halfway.', counterText: '45' });
+  });
+
+  it('rejects unusable replies', () => {
+    expect(() => parseRecommendation('Accept it.')).toThrow('no JSON object found');
+    expect(() => parseRecommendation('{"recommendation": "maybe", "reason": ""}')).toThrow('unknown recommendation "maybe"');
+    expect(() => parseRecommendation('{"recommendation": "counter", "reason": "x"}')).toThrow('without counterText');
+  });
+});
+
+describe('recommendRevisions', () => {
+  const config = { url: 'http://localhost:8000', model: 'qwen' };
+
+  it('asks for a JSON recommendation per revision, keeping unusable replies as errors', async () => {
+    const sendMessagesFn = jest.fn(async (cfg, messages) => ({
+      text: messages[1].content.includes('essence')
+        ? 'I would accept this.'
+        : '{"recommendation": "counter", "reason": "Too long.", "counterText": "45"}',
+      usage: { promptTokens: 40, completionTokens: 10, totalTokens: 50 },
+    }));
+    const results = await recommendRevisions(revisions.slice(0, 3), { config, sendMessagesFn, contextPrompt: 'We act for the Customer.' });
+
+    expect(results.map((r) => [r.action, r.counterText, r.error])).toEqual([
+      ['counter', '45', null],
+      ['counter', '45', null],
+      [null, null, 'no JSON object found'],
+    ]);
+    expect(results[2].usage.totalTokens).toBe(50);
+    expect(sendMessagesFn.mock.calls[0][5]).toEqual({ includeUsage: true, responseFormat: RECOMMENDATION_RESPONSE_FORMAT });
+    expect(sendMessagesFn.mock.calls[0][1][0].content).toMatch(/^We act for the Customer\.[\s\S]*"counter"/);
+    expect(countRecommendations(results)).toEqual({ accept: 0, reject: 0, counter: 2, failed: 1 });
+  });
+
+  it('shares the revision description with the risk review', () => {
+    const [, user] = buildRecommendationMessages(revisions[0]);
+    expect(user.content).toEqual(buildRevisionMessages(revisions[0])[1].content);
+  });
+});
+
+describe('matchTrackedChanges', () => {
+  it('anchors insertions and replacements on the added text, deletions on the removed text', () => {
+    const tracked = [
+      { type: 'Deleted', author: 'Counsel B', text: '30' },
+      { type: 'Added', author: 'Counsel B', text: '60' },
+      { type: 'Added', author: 'Counsel B', text: 'save for disputed  amounts' },
+      { type: 'Deleted', author: 'Our Firm', text: 'time is of the essence' },
+    ];
+    expect(matchTrackedChanges(revisions.slice(0, 3), tracked)).toEqual([1, 2, 3]);
+  });
+
+  it('uses each tracked change once and reports unmatched revisions as -1', () => {
+    const same = { type: 'Added', text: 'and', author: 'A', date: null, paragraphText: '' };
+    const tracked = [{ type: 'Added', author: 'A', text: 'and' }];
+    expect(matchTrackedChanges([same, same], tracked)).toEqual([0, -1]);
+  });
+});
+
+describe('matchRevisionParts', () => {
+  it('pairs a replacement with the deletion before its insertion', () => {
+    const tracked = [
+      { type: 'Deleted', author: 'Counsel B', text: '30' },
+      { type: 'Added', author: 'Counsel B', text: '60' },
+      { type: 'Added', author: 'Counsel B', text: 'save for disputed amounts' },
+      { type: 'Deleted', author: 'Our Firm', text: 'time is of the essence' },
+    ];
+    expect(matchRevisionParts(revisions.slice(0, 3), tracked)).toEqual([[1, 0], [2], [3]]);
+  });
+
+  it('returns no parts when the deletion of a replacement is missing', () => {
+    const tracked = [{ type: 'Added', author: 'Counsel B', text: '60' }];
+    expect(matchRevisionParts(revisions.slice(0, 1), tracked)).toEqual([[]]);
+  });
+
+  it('pairs a move with the deletion at its source, before or after it', () => {
+    const move = { type: 'Moved (to)', text: 'Clause 9 applies.', author: 'Counsel B' };
+    const tracked = [
+      { type: 'Added', author: 'Counsel B', text: 'Clause 9 applies.' },
+      { type: 'Deleted', author: 'Our Firm', text: 'Clause 9 applies.' },
+      { type: 'Deleted', author: 'Counsel B', text: 'Clause 9 applies.' },
+    ];
+    expect(matchRevisionParts([move], tracked)).toEqual([[0, 2]]);
+    expect(matchRevisionParts([move], [tracked[2], tracked[0]])).toEqual([[1, 0]]);
+    expect(matchRevisionParts([move], tracked.slice(0, 2))).toEqual([[]]);
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * Unit tests for src/lib/run-state.js
+ * Tests run state creation, result/applied bookkeeping, resume planning,
+ * the document settings store and coalesced saving.
+ */
+import {
+  RUN_STATE_KEY,
+  createRunState,
+  recordChunkResult,
+  markChunkApplied,
+  planResume,
+  restoreChunks,
+  restoreBookmarkMap,
+  snapshotPromptManager,
+  isResumableRunState,
+  createSettingsStore,
+  RunRecorder,
+} from '../src/lib/run-state.js';
+
+function mockChunk(id, startIndex, endIndex) {
+  return {
+    id,
+    paragraphs: [{ index: startIndex, text: `${id} text`, headingLevel: 0 }],
+    startIndex,
+    endIndex,
+    tokenCount: 3,
+    sectionTitle: '',
+    overlapBefore: '',
+  };
+}
+
+function mockPromptManager() {
+  const prompts = {
+    context: { id: 'ctx', name: 'Context', template: 'You are a lawyer.', route: { model: 'x' } },
+    amendment: { id: 'amd', name: 'Tighten', template: 'Tighten: {selection}' },
+  };
+  return {
+    getActiveMode: () => 'amendment',
+    getActivePrompt: (category) => prompts[category] || null,
+  };
+}
+
+function makeState() {
+  const chunks = [mockChunk('chunk-0', 0, 2), mockChunk('chunk-1', 3, 5), mockChunk('chunk-2', 6, 8)];
+  return createRunState({
+    chunks,
+    bookmarkMap: new Map([['chunk-0', '_wdpa'], ['chunk-1', '_wdpb'], ['chunk-2', '_wdpc']]),
+    promptManager: mockPromptManager(),
+    commentInstructions: 'Flag risks',
+    backend: 'vllm',
+    model: 'qwen',
+    generation: { temperature: 0 },
+    options: { structuredOutput: false, classifyFallback: true, contextPrefixTokens: 4000, commentGranularity: 0 },
+  });
+}
+
+function mockDocModel(texts) {
+  return {
+    paragraphs: Object.entries(texts).map(([index, text]) => ({
+      index: Number(index), text, headingLevel: 0, tokenEstimate: 2,
+    })),
+  };
+}
+
+function fulfilled(chunkId, data = {}) {
+  return { chunkId, status: 'fulfilled', amendment: null, comment: null, ...data };
+}
+
+function mockSettings() {
+  const values = {};
+  return {
+    values,
+    get: (key) => values[key],
+    set: jest.fn((key, value) => { values[key] = value; }),
+    remove: jest.fn((key) => { delete values[key]; }),
+    saveAsync: jest.fn((callback) => callback({ status: 'succeeded' })),
+  };
+}
+
+// ============================================================================
+// State bookkeeping
+// ============================================================================
+
+describe('createRunState', () => {
+  test('snapshots prompts, options and bookmarks as plain data', () => {
+    const state = makeState();
+
+    expect(state.mode).toBe('amendment');
+    expect(state.prompts).toEqual({
+      context: { name: 'Context', template: 'You are a lawyer.' },
+      amendment: { name: 'Tighten', template: 'Tighten: {selection}' },
+      comment: null,
+    });
+    expect(state.bookmarks).toEqual({ 'chunk-0': '_wdpa', 'chunk-1': '_wdpb', 'chunk-2': '_wdpc' });
+    expect(JSON.parse(JSON.stringify(state))).toEqual(state);
+    expect(isResumableRunState(state)).toBe(true);
+  });
+
+  test('stores chunk boundaries and a text hash, not the paragraph text', () => {
+    const state = makeState();
+
+    expect(state.chunks[1]).toEqual({
+      id: 'chunk-1', startIndex: 3, endIndex: 5, hash: expect.any(String), overlapBefore: false, overlapAfter: false,
+    });
+    expect(JSON.stringify(state)).not.toContain('chunk-1 text');
+    expect(state).not.toHaveProperty('documentContext');
+  });
+
+  test('restoreBookmarkMap and snapshotPromptManager rebuild what the run needs', () => {
+    const state = makeState();
+
+    expect(restoreBookmarkMap(state).get('chunk-1')).toBe('_wdpb');
+    const pm = snapshotPromptManager(state);
+    expect(pm.getActiveMode()).toBe('amendment');
+    expect(pm.getActivePrompt('amendment').template).toBe('Tighten: {selection}');
+    expect(pm.getActivePrompt('comment')).toBeNull();
+  });
+});
+
+describe('planResume', () => {
+  test('applies stored results, skips applied parts and re-requests the rest', () => {
+    const state = makeState();
+    recordChunkResult(state, fulfilled('chunk-0', { amendment: 'A0', comment: 'C0' }));
+    recordChunkResult(state, fulfilled('chunk-1', { amendment: 'A1' }));
+    recordChunkResult(state, { chunkId: 'chunk-2', status: 'rejected', error: 'HTTP 500' });
+    markChunkApplied(state, 'chunk-0', 'amendment');
+    markChunkApplied(state, 'chunk-1', 'amendment');
+
+    const { toApply, toRequest, done } = planResume(state);
+
+    expect(done).toBe(1);
+    expect(toApply).toHaveLength(1);
+    expect(toApply[0]).toMatchObject({ chunkId: 'chunk-0', chunkIndex: 0, amendment: null, comment: 'C0' });
+    expect(toApply[0].chunk).toBe(state.chunks[0]);
+    expect(toRequest.map((c) => c.id)).toEqual(['chunk-2']);
+  });
+
+  test('requests every chunk of a run that recorded nothing', () => {
+    expect(planResume(makeState()).toRequest).toHaveLength(3);
+  });
+
+  test('a new result for a chunk resets its applied flags', () => {
+    const state = makeState();
+    recordChunkResult(state, fulfilled('chunk-0', { amendment: 'old' }));
+    markChunkApplied(state, 'chunk-0', 'amendment');
+    recordChunkResult(state, fulfilled('chunk-0', { amendment: 'new' }));
+
+    expect(state.results['chunk-0'].applied).toEqual({ amendment: false, comment: false });
+  });
+});
+
+describe('restoreChunks', () => {
+  test('rebuilds chunks from the current document, skipping paragraph index gaps', () => {
+    const state = makeState();
+    state.chunks[1].overlapBefore = true;
+    const docModel = mockDocModel({ 0: 'chunk-0 text', 3: 'chunk-1 text', 6: 'chunk-2 text' });
+
+    const { chunks, changed } = restoreChunks(state, docModel);
+
+    expect(changed).toEqual([]);
+    expect(chunks.map((c) => c.id)).toEqual(['chunk-0', 'chunk-1', 'chunk-2']);
+    expect(chunks[1]).toMatchObject({
+      startIndex: 3, endIndex: 5, tokenCount: 2, overlapBefore: 'chunk-0 text', overlapAfter: '',
+    });
+    expect(chunks[1].paragraphs.map((p) => p.text)).toEqual(['chunk-1 text']);
+  });
+
+  test('leaves out chunks edited since the run, unless their amendment was applied', () => {
+    const state = makeState();
+    recordChunkResult(state, fulfilled('chunk-0', { amendment: 'A0', comment: 'C0' }));
+    markChunkApplied(state, 'chunk-0', 'amendment');
+    const docModel = mockDocModel({ 0: 'amended', 3: 'edited by hand', 6: 'chunk-2 text' });
+
+    const { chunks, changed } = restoreChunks(state, docModel);
+
+    expect(changed).toEqual(['chunk-1']);
+    expect(chunks.map((c) => c.id)).toEqual(['chunk-0', 'chunk-2']);
+
+    const { toApply, toRequest } = planResume(state, chunks);
+    expect(toApply[0]).toMatchObject({ chunkId: 'chunk-0', chunkIndex: 0, comment: 'C0' });
+    expect(toApply[0].chunk.paragraphs[0].text).toBe('amended');
+    expect(toRequest.map((c) => c.id)).toEqual(['chunk-2']);
+  });
+
+  test('leaves out chunks whose paragraphs are gone', () => {
+    const { changed } = restoreChunks(makeState(), mockDocModel({ 0: 'chunk-0 text', 3: 'chunk-1 text' }));
+
+    expect(changed).toEqual(['chunk-2']);
+  });
+});
+
+describe('isResumableRunState', () => {
+  test('rejects missing, foreign and older states', () => {
+    expect(isResumableRunState(undefined)).toBe(false);
+    expect(isResumableRunState({ chunks: [] })).toBe(false);
+    expect(isResumableRunState({ ...makeState(), version: 0 })).toBe(false);
+    expect(isResumableRunState({ ...makeState(), chunks: [] })).toBe(false);
+  });
+});
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+describe('createSettingsStore', () => {
+  test('saves, loads and clears the state under the run key', async () => {
+    const settings = mockSettings();
+    const store = createSettingsStore(settings);
+    const state = makeState();
+
+    await store.save(state);
+    expect(settings.values[RUN_STATE_KEY]).toBe(state);
+    expect(store.load()).toBe(state);
+
+    await store.clear();
+    expect(store.load()).toBeNull();
+    expect(settings.saveAsync).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects when the settings save fails', async () => {
+    const settings = mockSettings();
+    settings.saveAsync = (callback) => callback({ status: 'failed', error: { message: 'too large' } });
+
+    await expect(createSettingsStore(settings).save(makeState())).rejects.toThrow('too large');
+  });
+});
+
+describe('RunRecorder', () => {
+  function deferredStore() {
+    const pending = [];
+    return {
+      pending,
+      saved: [],
+      save: jest.fn(function (state) {
+        this.saved.push(JSON.parse(JSON.stringify(state)));
+        return new Promise((resolve) => pending.push(resolve));
+      }),
+      clear: jest.fn(() => Promise.resolve()),
+    };
+  }
+
+  test('coalesces updates made while a save is in flight into one follow-up save', async () => {
+    const store = deferredStore();
+    const recorder = new RunRecorder(store, makeState());
+
+    recorder.recordResult(fulfilled('chunk-0', { amendment: 'A0' }));
+    recorder.recordResult(fulfilled('chunk-1', { amendment: 'A1' }));
+    recorder.markApplied('chunk-0', 'amendment');
+    expect(store.save).toHaveBeenCalledTimes(1);
+
+    store.pending.shift()();
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(store.save).toHaveBeenCalledTimes(2);
+    expect(store.saved[1].results['chunk-0'].applied.amendment).toBe(true);
+
+    store.pending.shift()();
+    await recorder.flush();
+    expect(store.save).toHaveBeenCalledTimes(2);
+  });
+
+  test('warns once when saving fails and keeps going', async () => {
+    const log = jest.fn();
+    const store = { save: jest.fn().mockRejectedValue(new Error('too large')), clear: jest.fn() };
+    const recorder = new RunRecorder(store, makeState(), log);
+
+    recorder.save();
+    await recorder.flush();
+    recorder.recordResult(fulfilled('chunk-0'));
+    await recorder.flush();
+
+    expect(store.save).toHaveBeenCalledTimes(2);
+    expect(log).toHaveBeenCalledTimes(1);
+    expect(log).toHaveBeenCalledWith('Could not save run progress in the document (too large) -- ' +
+      'this run cannot be resumed if the taskpane is closed before it finishes', 'warning');
+  });
+
+  test('discard waits for in-flight saves, clears the store and stops saving', async () => {
+    const store = deferredStore();
+    const recorder = new RunRecorder(store, makeState());
+
+    recorder.save();
+    const discarded = recorder.discard();
+    recorder.recordResult(fulfilled('chunk-0'));
+    store.pending.shift()();
+    await discarded;
+
+    expect(store.save).toHaveBeenCalledTimes(1);
+    expect(store.clear).toHaveBeenCalledTimes(1);
+  });
+});
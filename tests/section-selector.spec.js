@@ -0,0 +1,125 @@
+/**
+ * Unit tests for src/lib/section-selector.js
+ * Tests section building from the outline, branch selection, paragraph
+ * ranges for a selection, stale keys and the selection description.
+ */
+import {
+  PREAMBLE_KEY,
+  buildSections,
+  paragraphIndexEnd,
+  sectionBranchKeys,
+  selectedRanges,
+  staleSectionKeys,
+  describeSelection,
+} from '../src/lib/section-selector.js';
+
+// Paragraphs 0-1 preamble, then:
+//   2  Definitions (H1)
+//   5  Payment (H1)
+//   7    Invoicing (H2)
+//   9    Late payment (H2)
+//   11 Schedule 3 (H1), last paragraph 13
+const outline = [
+  { level: 1, text: 'Definitions', paragraphIndex: 2 },
+  { level: 1, text: 'Payment', paragraphIndex: 5 },
+  { level: 2, text: 'Invoicing', paragraphIndex: 7 },
+  { level: 2, text: 'Late payment', paragraphIndex: 9 },
+  { level: 1, text: 'Schedule 3', paragraphIndex: 11 },
+];
+const sections = buildSections(outline, 14);
+const keyOf = (title) => sections.find((s) => s.title === title).key;
+
+describe('buildSections', () => {
+  it('adds a preamble for text before the first heading', () => {
+    expect(sections[0]).toEqual({
+      key: PREAMBLE_KEY,
+      level: 0,
+      title: '(Before first heading)',
+      startIndex: 0,
+      endIndex: 1,
+      ownEndIndex: 1,
+    });
+  });
+
+  it('extends sections over their subsections', () => {
+    const payment = sections.find((s) => s.title === 'Payment');
+    expect(payment).toMatchObject({ key: '5:Payment', startIndex: 5, endIndex: 10, ownEndIndex: 6 });
+    expect(sections.find((s) => s.title === 'Late payment')).toMatchObject({ endIndex: 10, ownEndIndex: 10 });
+    expect(sections.find((s) => s.title === 'Schedule 3')).toMatchObject({ endIndex: 13, ownEndIndex: 13 });
+  });
+
+  it('has no preamble when the document starts with a heading', () => {
+    expect(buildSections([{ level: 1, text: 'A', paragraphIndex: 0 }], 3).map((s) => s.key)).toEqual(['0:A']);
+  });
+
+  it('treats a document without headings as one preamble section', () => {
+    expect(buildSections([], 4)).toEqual([expect.objectContaining({ key: PREAMBLE_KEY, startIndex: 0, endIndex: 3 })]);
+    expect(buildSections([], 0)).toEqual([]);
+  });
+});
+
+describe('paragraphIndexEnd', () => {
+  // Blank paragraphs 1, 4 and 6-7 are skipped by the parser but keep their indices
+  const docModel = {
+    paragraphs: [0, 2, 3, 5, 8, 9].map((index) => ({ index, text: `p${index}` })),
+  };
+  const gapOutline = [
+    { level: 1, text: 'Payment', paragraphIndex: 2 },
+    { level: 1, text: 'Schedule', paragraphIndex: 5 },
+  ];
+
+  it('is one past the last paragraph index, not the paragraph count', () => {
+    expect(paragraphIndexEnd(docModel)).toBe(10);
+    expect(paragraphIndexEnd({ paragraphs: [] })).toBe(0);
+  });
+
+  it('keeps the trailing paragraphs of the last section when others are excluded', () => {
+    const gapSections = buildSections(gapOutline, paragraphIndexEnd(docModel));
+
+    expect(gapSections.find((s) => s.title === 'Schedule')).toMatchObject({ startIndex: 5, endIndex: 9, ownEndIndex: 9 });
+    expect(selectedRanges(gapSections, new Set(['2:Payment']))).toEqual([
+      { startIndex: 0, endIndex: 1 },
+      { startIndex: 5, endIndex: 9 },
+    ]);
+  });
+});
+
+describe('sectionBranchKeys', () => {
+  it('returns a section and its subsections', () => {
+    expect(sectionBranchKeys(sections, keyOf('Payment'))).toEqual(['5:Payment', '7:Invoicing', '9:Late payment']);
+    expect(sectionBranchKeys(sections, keyOf('Invoicing'))).toEqual(['7:Invoicing']);
+    expect(sectionBranchKeys(sections, 'missing')).toEqual([]);
+  });
+});
+
+describe('selectedRanges', () => {
+  it('covers the whole document when nothing is excluded', () => {
+    expect(selectedRanges(sections, new Set())).toEqual([{ startIndex: 0, endIndex: 13 }]);
+  });
+
+  it('leaves out excluded sections and merges adjacent ones', () => {
+    const excluded = new Set([PREAMBLE_KEY, keyOf('Definitions'), keyOf('Invoicing')]);
+    expect(selectedRanges(sections, excluded)).toEqual([
+      { startIndex: 5, endIndex: 6 },
+      { startIndex: 9, endIndex: 13 },
+    ]);
+  });
+
+  it('keeps a selected subsection of an excluded parent', () => {
+    const excluded = new Set(sections.map((s) => s.key).filter((k) => k !== keyOf('Late payment')));
+    expect(selectedRanges(sections, excluded)).toEqual([{ startIndex: 9, endIndex: 10 }]);
+  });
+});
+
+describe('staleSectionKeys', () => {
+  it('lists excluded keys that match no section', () => {
+    expect(staleSectionKeys(sections, new Set([keyOf('Payment'), '4:Old heading']))).toEqual(['4:Old heading']);
+  });
+});
+
+describe('describeSelection', () => {
+  it('describes full and partial selections', () => {
+    expect(describeSelection(sections, new Set())).toBe('All sections');
+    expect(describeSelection(sections, new Set([keyOf('Payment')]))).toBe('5 of 6 sections');
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Unit tests for src/lib/term-validator.js
+ * Tests detection of unused definitions, undefined capitalised terms,
+ * conflicting definitions and abbreviations used before their expansion.
+ */
+import { extractContext } from '../src/lib/context-extractor.js';
+import { validateTerms, countFindings } from '../src/lib/term-validator.js';
+
+function makeDocModel(texts) {
+  const paragraphs = texts.map((text, index) => {
+    const heading = /^# /.test(text);
+    return {
+      index,
+      text: heading ? text.slice(2) : text,
+      headingLevel: heading ? 1 : 0,
+    };
+  });
+  return { paragraphs, totalTokens: 0 };
+}
+
+function validate(texts, options) {
+  const docModel = makeDocModel(texts);
+  return validateTerms(docModel, extractContext(docModel), options);
+}
+
+function ofType(findings, type) {
+  return findings.filter((f) => f.type === type);
+}
+
+describe('validateTerms - unused definitions', () => {
+  it('reports terms never used outside their definition', () => {
+    const findings = validate([
+      '"Supplier" means Acme Ltd.',
+      '"Services" means the services in the schedule.',
+      'The Supplier shall perform its obligations.',
+    ]);
+    expect(ofType(findings, 'unused-definition')).toEqual([{
+      type: 'unused-definition',
+      term: 'Services',
+      paragraphIndex: 1,
+      message: '"Services" is defined but never used',
+    }]);
+  });
+
+  it('counts plurals as uses', () => {
+    const findings = validate([
+      '"Party" means a party to this agreement.',
+      '"Deliverable" means an item delivered.',
+      'Both Parties shall co-operate on all Deliverables.',
+    ]);
+    expect(ofType(findings, 'unused-definition')).toEqual([]);
+  });
+
+  it('ignores lower-case ordinary usage', () => {
+    const findings = validate([
+      '"Supplier" means Acme Ltd.',
+      'Any supplier may tender.',
+    ]);
+    expect(ofType(findings, 'unused-definition').map((f) => f.term)).toEqual(['Supplier']);
+  });
+});
+
+describe('validateTerms - undefined terms', () => {
+  it('reports capitalised terms used repeatedly without a definition', () => {
+    const findings = validate([
+      '"Supplier" means Acme Ltd.',
+      'The Supplier shall deliver the Goods by the Delivery Date.',
+      'The Customer shall pay for the Goods on the Delivery Date.',
+    ]);
+    expect(ofType(findings, 'undefined-term').map((f) => [f.term, f.paragraphIndex])).toEqual([
+      ['Goods', 1],
+      ['Delivery Date', 1],
+    ]);
+  });
+
+  it('does not count sentence-initial words, headings or defined terms', () => {
+    const findings = validate([
+      '# Payment Terms',
+      '"Invoice" means a VAT invoice.',
+      'Payment is due on receipt of an Invoice. Payment shall be made in full.',
+      'Refer to Payment Terms for details of each Invoice.',
+    ]);
+    expect(ofType(findings, 'undefined-term')).toEqual([]);
+  });
+
+  it('honours minOccurrences and ignore', () => {
+    const texts = [
+      'The Licensee shall comply with the Data Protection Act.',
+      'The Licensee shall notify the Licensor.',
+    ];
+    expect(ofType(validate(texts), 'undefined-term').map((f) => f.term)).toEqual(['Licensee']);
+    expect(ofType(validate(texts, { minOccurrences: 1, ignore: ['Licensee'] }), 'undefined-term')
+      .map((f) => f.term)).toEqual(['Data Protection Act', 'Licensor']);
+  });
+});
+
+describe('validateTerms - duplicate definitions', () => {
+  it('reports a term defined again with different wording', () => {
+    const findings = validate([
+      '"Fees" means the charges in Schedule 1.',
+      'The Fees are payable monthly.',
+      '"Fees" means the charges in Schedule 2.',
+    ]);
+    expect(ofType(findings, 'duplicate-definition')).toEqual([{
+      type: 'duplicate-definition',
+      term: 'Fees',
+      paragraphIndex: 2,
+      message: '"Fees" is defined again with different wording (first defined in paragraph 1)',
+    }]);
+  });
+
+  it('ignores identical repeated definitions', () => {
+    const findings = validate([
+      '"Fees" means the charges in Schedule 1.',
+      '"Fees" means the charges in Schedule 1.',
+    ]);
+    expect(ofType(findings, 'duplicate-definition')).toEqual([]);
+  });
+});
+
+describe('validateTerms - abbreviations', () => {
+  it('reports an abbreviation used in an earlier paragraph', () => {
+    const findings = validate([
+      'Each party shall comply with the SLA.',
+      'The Service Level Agreement (SLA) is set out in Schedule 2.',
+    ]);
+    expect(ofType(findings, 'abbreviation-before-expansion')).toEqual([{
+      type: 'abbreviation-before-expansion',
+      term: 'SLA',
+      paragraphIndex: 0,
+      message: '"SLA" is used before it is expanded (paragraph 2)',
+    }]);
+  });
+
+  it('reports use earlier in the expanding paragraph, but not later use', () => {
+    expect(ofType(validate([
+      'The SLA applies. The Service Level Agreement (SLA) is in Schedule 2.',
+    ]), 'abbreviation-before-expansion')).toHaveLength(1);
+    expect(ofType(validate([
+      'The Service Level Agreement (SLA) is in Schedule 2. The SLA applies.',
+      'Breach of the SLA entitles the Customer to credits.',
+    ]), 'abbreviation-before-expansion')).toEqual([]);
+  });
+});
+
+describe('validateTerms - ordering', () => {
+  it('returns findings in document order', () => {
+    const findings = validate([
+      'Each party shall comply with the SLA.',
+      'The Service Level Agreement (SLA) is in Schedule 2.',
+      '"Term" means two years.',
+    ]);
+    expect(findings.map((f) => f.paragraphIndex)).toEqual([0, 2]);
+  });
+});
+
+describe('countFindings', () => {
+  it('counts findings per type', () => {
+    expect(countFindings([
+      { type: 'undefined-term' },
+      { type: 'unused-definition' },
+      { type: 'undefined-term' },
+    ])).toEqual({ 'undefined-term': 2, 'unused-definition': 1 });
+  });
+});
@@ -0,0 +1,17 @@
+/**
+ * Unit tests for src/lib/text-hash.js
+ */
+import { hashText } from '../src/lib/text-hash.js';
+
+describe('hashText', () => {
+  it('matches the FNV-1a reference values', () => {
+    expect(hashText('')).toBe('811c9dc5');
+    expect(hashText('a')).toBe('e40c292c');
+    expect(hashText('foobar')).toBe('bf9cf968');
+  });
+
+  it('distinguishes small changes and treats missing text as empty', () => {
+    expect(hashText('Clause 12.3')).not.toBe(hashText('Clause 12.4'));
+    expect(hashText(null)).toBe(hashText(''));
+  });
+});
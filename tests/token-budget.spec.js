@@ -0,0 +1,135 @@
+/**
+ * Unit tests for src/lib/token-budget.js
+ * Tests model limit resolution, chunk budget derivation, concurrency and overflow checks.
+ */
+import {
+  LEGACY_BUDGET,
+  resolveModelLimits,
+  computeChunkBudget,
+  selectConcurrency,
+  applyOutputBudget,
+  checkPromptFits,
+} from '../src/lib/token-budget.js';
+
+// ============================================================================
+// resolveModelLimits
+// ============================================================================
+
+describe('resolveModelLimits', () => {
+  test('prefers manual settings over discovered limits', () => {
+    const limits = resolveModelLimits(
+      { contextWindow: 16384, maxOutputTokens: 2048 },
+      { contextWindow: 32768, maxOutputTokens: 8192 }
+    );
+    expect(limits).toEqual({ contextWindow: 16384, maxOutputTokens: 2048, source: 'manual' });
+  });
+
+  test('falls back to discovered limits field by field', () => {
+    const limits = resolveModelLimits({ contextWindow: null, maxOutputTokens: 1024 }, { contextWindow: 32768 });
+    expect(limits).toEqual({ contextWindow: 32768, maxOutputTokens: 1024, source: 'discovered' });
+  });
+
+  test('returns null limits when nothing is known', () => {
+    expect(resolveModelLimits({}, undefined)).toEqual({ contextWindow: null, maxOutputTokens: null, source: null });
+  });
+
+  test('ignores zero, negative and non-numeric values', () => {
+    expect(resolveModelLimits({ contextWindow: 0 }, { contextWindow: 'abc' }).contextWindow).toBeNull();
+    expect(resolveModelLimits({ contextWindow: -5 }, {}).contextWindow).toBeNull();
+  });
+});
+
+// ============================================================================
+// computeChunkBudget
+// ============================================================================
+
+describe('computeChunkBudget', () => {
+  test('returns the legacy budget when the context window is unknown', () => {
+    expect(computeChunkBudget({ contextWindow: null })).toEqual(LEGACY_BUDGET);
+    expect(computeChunkBudget(null)).toEqual(LEGACY_BUDGET);
+  });
+
+  test('derives budgets for a 32k model without an output limit', () => {
+    const budget = computeChunkBudget({ contextWindow: 32768, maxOutputTokens: null });
+    expect(budget.outputBudget).toBe(8192);
+    expect(budget.inputBudget).toBe(32768 - 8192 - Math.ceil(32768 * 0.05));
+    expect(budget.contextPrefixTokens).toBe(4000);
+    // Amendments echo the chunk, so the output budget caps chunk size
+    expect(budget.maxTokens).toBe(Math.floor(8192 * 0.9));
+    expect(budget.largeChunkThreshold).toBe(Math.floor(budget.maxTokens * 0.75));
+  });
+
+  test('shrinks chunks and context prefix for small context windows', () => {
+    const budget = computeChunkBudget({ contextWindow: 8192, maxOutputTokens: 2048 });
+    expect(budget.outputBudget).toBe(2048);
+    expect(budget.contextPrefixTokens).toBeLessThan(4000);
+    expect(budget.maxTokens).toBeLessThanOrEqual(budget.inputBudget - budget.contextPrefixTokens);
+    expect(budget.maxTokens).toBeLessThan(LEGACY_BUDGET.maxTokens);
+  });
+
+  test('caps chunk size at the chunker maximum for very large windows', () => {
+    const budget = computeChunkBudget({ contextWindow: 1000000, maxOutputTokens: 65536 });
+    expect(budget.maxTokens).toBe(12000);
+  });
+
+  test('caps the output budget at half the context window', () => {
+    const budget = computeChunkBudget({ contextWindow: 10000, maxOutputTokens: 9000 });
+    expect(budget.outputBudget).toBe(5000);
+  });
+
+  test('never returns chunks below the chunker minimum', () => {
+    const budget = computeChunkBudget({ contextWindow: 2048, maxOutputTokens: 512 });
+    expect(budget.maxTokens).toBe(500);
+  });
+});
+
+// ============================================================================
+// selectConcurrency / checkPromptFits
+// ============================================================================
+
+describe('applyOutputBudget', () => {
+  test('sends the reserved output budget as maxTokens', () => {
+    const budget = computeChunkBudget({ contextWindow: 32768, maxOutputTokens: null });
+    expect(applyOutputBudget({ temperature: 0 }, budget)).toEqual({ temperature: 0, maxTokens: 8192 });
+  });
+
+  test('keeps a maxTokens set by the profile or prompt', () => {
+    const budget = computeChunkBudget({ contextWindow: 32768, maxOutputTokens: null });
+    expect(applyOutputBudget({ maxTokens: 1000 }, budget)).toEqual({ maxTokens: 1000 });
+  });
+
+  test('leaves the parameters alone when the output budget is unknown', () => {
+    expect(applyOutputBudget(undefined, computeChunkBudget(null))).toEqual({});
+  });
+});
+
+describe('selectConcurrency', () => {
+  test('uses reduced concurrency when a chunk exceeds the large-chunk threshold', () => {
+    const budget = { largeChunkThreshold: 8000 };
+    expect(selectConcurrency([{ tokenCount: 5000 }, { tokenCount: 9000 }], budget)).toBe(4);
+    expect(selectConcurrency([{ tokenCount: 5000 }], budget)).toBe(6);
+  });
+
+  test('reduces concurrency for chunks near the derived chunk cap', () => {
+    const budget = computeChunkBudget({ contextWindow: 32768, maxOutputTokens: null });
+    expect(selectConcurrency([{ tokenCount: budget.maxTokens }], budget)).toBe(4);
+    expect(selectConcurrency([{ tokenCount: budget.maxTokens / 2 }], budget)).toBe(6);
+  });
+
+  test('matches the legacy 8000-token threshold when the window is unknown', () => {
+    expect(selectConcurrency([{ tokenCount: 8001 }], computeChunkBudget(null))).toBe(4);
+    expect(selectConcurrency([{ tokenCount: 8000 }], computeChunkBudget(null))).toBe(6);
+  });
+});
+
+describe('checkPromptFits', () => {
+  test('reports overflow beyond the input budget', () => {
+    expect(checkPromptFits(1200, { inputBudget: 1000 })).toEqual({ fits: false, overflowBy: 200 });
+    expect(checkPromptFits(1000, { inputBudget: 1000 })).toEqual({ fits: true, overflowBy: 0 });
+  });
+
+  test('always fits when the input budget is unknown', () => {
+    expect(checkPromptFits(1e9, LEGACY_BUDGET)).toEqual({ fits: true, overflowBy: 0 });
+    expect(checkPromptFits(1e9, null)).toEqual({ fits: true, overflowBy: 0 });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for src/lib/tokenizer.js
+ * Tests tokenizer selection, loading, the vLLM /tokenize tokenizer and the
+ * active-tokenizer fallback behind estimateTokenCount.
+ */
+import {
+  TOKENIZERS,
+  heuristicTokenCount,
+  guessTokenizer,
+  loadTokenizer,
+  setActiveTokenizer,
+  getActiveTokenizer,
+  countTokens,
+  countTokensExact,
+} from '../src/lib/tokenizer.js';
+import { estimateTokenCount } from '../src/lib/comment-extractor.js';
+
+afterEach(() => {
+  setActiveTokenizer(null);
+});
+
+function mockTokenizeResponse(count) {
+  return jest.fn().mockResolvedValue({
+    ok: true,
+    json: () => Promise.resolve({ count, tokens: [] }),
+  });
+}
+
+// ============================================================================
+// Heuristic and selection
+// ============================================================================
+
+describe('heuristicTokenCount', () => {
+  test('counts ~4 characters per token, rounding up', () => {
+    expect(heuristicTokenCount('abcd')).toBe(1);
+    expect(heuristicTokenCount('abcde')).toBe(2);
+    expect(heuristicTokenCount('')).toBe(0);
+    expect(heuristicTokenCount(null)).toBe(0);
+  });
+});
+
+describe('guessTokenizer', () => {
+  test('maps OpenAI model families to their encodings', () => {
+    expect(guessTokenizer('gpt-4o-mini')).toBe('o200k');
+    expect(guessTokenizer('gpt-oss:20b')).toBe('o200k');
+    expect(guessTokenizer('o3-mini')).toBe('o200k');
+    expect(guessTokenizer('gpt-4-turbo')).toBe('cl100k');
+    expect(guessTokenizer('gpt-3.5-turbo')).toBe('cl100k');
+  });
+
+  test('maps Llama and Qwen models to the Llama 3 tokenizer', () => {
+    expect(guessTokenizer('llama3.1:8b')).toBe('llama3');
+    expect(guessTokenizer('Qwen/Qwen2.5-7B-Instruct')).toBe('llama3');
+  });
+
+  test('uses the server tokenizer for vLLM backends', () => {
+    expect(guessTokenizer('gpt-oss-20b', 'vllm')).toBe('vllm');
+  });
+
+  test('falls back to the heuristic for unknown models', () => {
+    expect(guessTokenizer('claude-sonnet-4')).toBe('heuristic');
+    expect(guessTokenizer('')).toBe('heuristic');
+    expect(guessTokenizer(undefined)).toBe('heuristic');
+  });
+
+  test('every guess is a registered tokenizer', () => {
+    for (const model of ['gpt-4o', 'gpt-4', 'llama3', 'mistral']) {
+      expect(TOKENIZERS).toHaveProperty(guessTokenizer(model));
+    }
+  });
+});
+
+// ============================================================================
+// loadTokenizer
+// ============================================================================
+
+describe('loadTokenizer', () => {
+  test('uses an injected loader for BPE tokenizers', async () => {
+    const loaders = { llama3: async () => (text) => text.split(' ').length };
+    const tokenizer = await loadTokenizer('llama3', { loaders });
+
+    expect(tokenizer.id).toBe('llama3');
+    expect(tokenizer.count('one two three')).toBe(3);
+  });
+
+  test('loads the bundled cl100k encoding', async () => {
+    const tokenizer = await loadTokenizer('cl100k');
+    expect(tokenizer.count('hello world')).toBe(2);
+  });
+
+  test('resolves unknown ids to the heuristic', async () => {
+    const tokenizer = await loadTokenizer('nope');
+    expect(tokenizer.id).toBe('heuristic');
+  });
+
+  test('propagates loader failures', async () => {
+    const loaders = { o200k: async () => { throw new Error('chunk load failed'); } };
+    await expect(loadTokenizer('o200k', { loaders })).rejects.toThrow('chunk load failed');
+  });
+
+  test('requires a backend config for vllm', async () => {
+    await expect(loadTokenizer('vllm')).rejects.toThrow('backend config');
+  });
+});
+
+// ============================================================================
+// vLLM tokenizer
+// ============================================================================
+
+describe('vllm tokenizer', () => {
+  const config = { url: 'http://localhost:8026/', apiKey: 'k', model: 'm' };
+
+  test('posts the text to /tokenize without special tokens', async () => {
+    const fetchFn = mockTokenizeResponse(7);
+    const tokenizer = await loadTokenizer('vllm', { config, fetchFn });
+
+    expect(await tokenizer.countAsync('some text')).toBe(7);
+    const [url, init] = fetchFn.mock.calls[0];
+    expect(url).toBe('http://localhost:8026/tokenize');
+    expect(init.headers['Authorization']).toBe('Bearer k');
+    expect(JSON.parse(init.body)).toEqual({ model: 'm', prompt: 'some text', add_special_tokens: false });
+  });
+
+  test('calibrates synchronous counts from exact counts on long samples', async () => {
+    const sample = 'x'.repeat(600);
+    const tokenizer = await loadTokenizer('vllm', { config, fetchFn: mockTokenizeResponse(100) });
+
+    expect(tokenizer.count(sample)).toBe(150); // heuristic ratio before calibration
+    await tokenizer.countAsync(sample);
+    expect(tokenizer.count(sample)).toBe(100);
+  });
+
+  test('ignores short samples for calibration', async () => {
+    const tokenizer = await loadTokenizer('vllm', { config, fetchFn: mockTokenizeResponse(1) });
+    await tokenizer.countAsync('short text');
+    expect(tokenizer.count('x'.repeat(400))).toBe(100);
+  });
+
+  test('countTokensExact falls back to the sync count on endpoint errors', async () => {
+    const fetchFn = jest.fn().mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+    setActiveTokenizer(await loadTokenizer('vllm', { config, fetchFn }));
+
+    expect(await countTokensExact('x'.repeat(40))).toBe(10);
+  });
+});
+
+// ============================================================================
+// Active tokenizer
+// ============================================================================
+
+describe('active tokenizer', () => {
+  test('defaults to the heuristic', () => {
+    expect(getActiveTokenizer().id).toBe('heuristic');
+    expect(countTokens('abcdefgh')).toBe(2);
+  });
+
+  test('estimateTokenCount counts through the active tokenizer', () => {
+    setActiveTokenizer({ id: 'words', count: (text) => text.split(' ').length });
+    expect(estimateTokenCount('one two three four')).toBe(4);
+  });
+
+  test('falls back to the heuristic when the tokenizer throws', () => {
+    setActiveTokenizer({ id: 'broken', count: () => { throw new Error('boom'); } });
+    expect(countTokens('abcdefgh')).toBe(2);
+  });
+
+  test('setActiveTokenizer(null) restores the heuristic', () => {
+    setActiveTokenizer({ id: 'words', count: () => 1 });
+    setActiveTokenizer(null);
+    expect(getActiveTokenizer().id).toBe('heuristic');
+  });
+
+  test('countTokensExact uses the sync count for tokenizers without countAsync', async () => {
+    setActiveTokenizer({ id: 'words', count: (text) => text.split(' ').length });
+    expect(await countTokensExact('a b c')).toBe(3);
+  });
+});
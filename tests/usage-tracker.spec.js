@@ -0,0 +1,157 @@
+/**
+ * Unit tests for src/lib/usage-tracker.js
+ * Tests usage arithmetic, price table parsing, cost estimation and session totals.
+ */
+import {
+  emptyUsage,
+  addUsage,
+  sumUsage,
+  estimateCost,
+  parsePriceTable,
+  formatPriceTable,
+  formatUsage,
+  UsageTracker,
+} from '../src/lib/usage-tracker.js';
+
+const usage = (promptTokens, completionTokens) => ({
+  promptTokens,
+  completionTokens,
+  totalTokens: promptTokens + completionTokens,
+});
+
+// ============================================================================
+// Usage arithmetic
+// ============================================================================
+
+describe('usage arithmetic', () => {
+  test('addUsage sums each field and treats null as zero', () => {
+    expect(addUsage(usage(10, 5), usage(1, 2))).toEqual(usage(11, 7));
+    expect(addUsage(null, usage(3, 4))).toEqual(usage(3, 4));
+    expect(addUsage(null, null)).toEqual(emptyUsage());
+  });
+
+  test('sumUsage skips null entries', () => {
+    expect(sumUsage([usage(1, 1), null, usage(2, 3)])).toEqual(usage(3, 4));
+    expect(sumUsage([])).toEqual(emptyUsage());
+  });
+
+  test('formatUsage renders totals with thousands separators', () => {
+    expect(formatUsage(usage(1000, 234))).toBe('1,234 tokens (1,000 in / 234 out)');
+  });
+});
+
+// ============================================================================
+// Pricing
+// ============================================================================
+
+describe('pricing', () => {
+  test('parsePriceTable reads "model: input, output" lines', () => {
+    const table = parsePriceTable('gpt-oss:20b: 0.10, 0.40\n# comment\n\nclaude-x: 3, 15');
+    expect(table).toEqual({
+      'gpt-oss:20b': { input: 0.1, output: 0.4 },
+      'claude-x': { input: 3, output: 15 },
+    });
+  });
+
+  test('parsePriceTable skips malformed lines', () => {
+    expect(parsePriceTable('no-prices\nmodel: 1\nother: a, b\nneg: -1, 2')).toEqual({});
+    expect(parsePriceTable('')).toEqual({});
+    expect(parsePriceTable(undefined)).toEqual({});
+  });
+
+  test('formatPriceTable round-trips through parsePriceTable', () => {
+    const table = { 'gpt-oss:20b': { input: 0.1, output: 0.4 } };
+    expect(parsePriceTable(formatPriceTable(table))).toEqual(table);
+  });
+
+  test('estimateCost prices prompt and completion tokens per million', () => {
+    const table = { m: { input: 2, output: 10 } };
+    expect(estimateCost(usage(500000, 100000), 'm', table)).toBeCloseTo(2);
+  });
+
+  test('estimateCost returns null for unpriced models or missing usage', () => {
+    expect(estimateCost(usage(1, 1), 'unknown', { m: { input: 1, output: 1 } })).toBeNull();
+    expect(estimateCost(null, 'm', { m: { input: 1, output: 1 } })).toBeNull();
+  });
+});
+
+// ============================================================================
+// UsageTracker
+// ============================================================================
+
+describe('UsageTracker', () => {
+  test('starts empty', () => {
+    const totals = new UsageTracker().getTotals();
+    expect(totals).toEqual({
+      requests: 0,
+      unreported: 0,
+      usage: emptyUsage(),
+      cost: null,
+      byModel: {},
+      estimateRatio: null,
+    });
+  });
+
+  test('accumulates usage per model and in total', () => {
+    const tracker = new UsageTracker();
+    tracker.record('a', usage(100, 10));
+    tracker.record('b', usage(50, 5));
+    tracker.record('a', usage(100, 20));
+
+    const totals = tracker.getTotals();
+    expect(totals.requests).toBe(3);
+    expect(totals.usage).toEqual(usage(250, 35));
+    expect(totals.byModel.a.usage).toEqual(usage(200, 30));
+    expect(totals.byModel.b.usage).toEqual(usage(50, 5));
+  });
+
+  test('counts requests without usage data separately', () => {
+    const tracker = new UsageTracker();
+    tracker.record('a', null, 100);
+    tracker.record('a', usage(10, 1));
+
+    const totals = tracker.getTotals();
+    expect(totals.requests).toBe(2);
+    expect(totals.unreported).toBe(1);
+    expect(totals.usage).toEqual(usage(10, 1));
+    expect(totals.estimateRatio).toBeNull();
+  });
+
+  test('prices only models present in the price table', () => {
+    const tracker = new UsageTracker({ a: { input: 1, output: 2 } });
+    tracker.record('a', usage(1000000, 1000000));
+    tracker.record('b', usage(1000000, 0));
+
+    const totals = tracker.getTotals();
+    expect(totals.cost).toBeCloseTo(3);
+    expect(totals.byModel.a.cost).toBeCloseTo(3);
+    expect(totals.byModel.b.cost).toBeNull();
+  });
+
+  test('setPriceTable reprices existing totals', () => {
+    const tracker = new UsageTracker();
+    tracker.record('a', usage(1000000, 0));
+    expect(tracker.getTotals().cost).toBeNull();
+
+    tracker.setPriceTable({ a: { input: 0.5, output: 1 } });
+    expect(tracker.getTotals().cost).toBeCloseTo(0.5);
+  });
+
+  test('compares reported prompt tokens against local estimates', () => {
+    const tracker = new UsageTracker();
+    tracker.record('a', usage(120, 10), 100);
+    tracker.record('a', usage(90, 10), 100);
+    tracker.record('a', usage(500, 10)); // no estimate -- excluded from ratio
+
+    expect(tracker.getTotals().estimateRatio).toBeCloseTo(1.05);
+  });
+
+  test('reset clears all totals', () => {
+    const tracker = new UsageTracker();
+    tracker.record('a', usage(1, 1), 1);
+    tracker.reset();
+
+    expect(tracker.getTotals().requests).toBe(0);
+    expect(tracker.getTotals().usage).toEqual(emptyUsage());
+  });
+});
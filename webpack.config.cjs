@@ -24,6 +24,11 @@ const ENV = {
   // vLLM UI defaults (injected into bundle)
   DEFAULT_VLLM_URL: process.env.DEFAULT_VLLM_URL || '/vllm',
   DEFAULT_VLLM_MODEL: process.env.VLLM_MODEL || 'qwen3.5-35b-a3b',
+  // Anthropic Messages / Gemini generateContent gateways (injected into bundle)
+  DEFAULT_ANTHROPIC_URL: process.env.DEFAULT_ANTHROPIC_URL || 'https://api.anthropic.com',
+  DEFAULT_ANTHROPIC_MODEL: process.env.DEFAULT_ANTHROPIC_MODEL || '',
+  DEFAULT_GEMINI_URL: process.env.DEFAULT_GEMINI_URL || 'https://generativelanguage.googleapis.com',
+  DEFAULT_GEMINI_MODEL: process.env.DEFAULT_GEMINI_MODEL || '',
 };
 
 module.exports = (env, argv) => {
@@ -93,6 +98,10 @@ module.exports = (env, argv) => {
         'process.env.DEFAULT_MODEL': JSON.stringify(ENV.DEFAULT_MODEL),
         'process.env.DEFAULT_VLLM_URL': JSON.stringify(ENV.DEFAULT_VLLM_URL),
         'process.env.DEFAULT_VLLM_MODEL': JSON.stringify(ENV.DEFAULT_VLLM_MODEL),
+        'process.env.DEFAULT_ANTHROPIC_URL': JSON.stringify(ENV.DEFAULT_ANTHROPIC_URL),
+        'process.env.DEFAULT_ANTHROPIC_MODEL': JSON.stringify(ENV.DEFAULT_ANTHROPIC_MODEL),
+        'process.env.DEFAULT_GEMINI_URL': JSON.stringify(ENV.DEFAULT_GEMINI_URL),
+        'process.env.DEFAULT_GEMINI_MODEL': JSON.stringify(ENV.DEFAULT_GEMINI_MODEL),
       })
     ],
     devServer: {